@@ -45,7 +45,12 @@ module.exports = {
   settings: {
     defaultEnv: 'development',
     task: {
-      optionsAsk: true
+      optionsAsk: true,
+      // Prefix of the envs options are read from, I.E. KEG => KEG_TAP
+      // Set to false to only read from the envs set in the env key of an option
+      envPrefix: false,
+      // Name of the argument used to pass an options file, I.E. --options-file ./options.json
+      optionsFile: 'options-file',
     }
   }
 
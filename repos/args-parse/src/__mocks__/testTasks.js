@@ -88,4 +88,103 @@ module.exports = {
       },
     }
   },
+  testTask6: {
+    name: 'testTask6',
+    options: {
+      watch: {
+        description: "Watch the files",
+        type: 'bool',
+        default: false
+      },
+      source: {
+        description: "Source folder",
+        positional: 0,
+      },
+      files: {
+        description: "Files in the source folder",
+        positional: 1,
+        variadic: true,
+      },
+      cmd: {
+        description: "Command to run",
+        passthrough: true,
+        type: 'string',
+      },
+    }
+  },
+  testTask7: {
+    name: 'testTask7',
+    options: {
+      tags: {
+        alias: [ 'tag' ],
+        description: "Tags of the image",
+        variadic: true,
+      },
+      count: {
+        description: "Number of each tag",
+        variadic: true,
+        type: 'number',
+      },
+      rest: {
+        description: "Args to pass on",
+        passthrough: true,
+      },
+    }
+  },
+  testTask8: {
+    name: 'testTask8',
+    options: {
+      port: {
+        description: "Port to listen on",
+        type: 'number',
+        min: 1,
+        max: 65535,
+        example: 'port=8080',
+      },
+      name: {
+        description: "Name of the container",
+        pattern: /^[a-z-]+$/,
+      },
+      prod: {
+        description: "Run in production mode",
+        type: 'bool',
+        implies: { watch: false },
+        conflicts: [ 'local' ],
+      },
+      watch: {
+        description: "Watch the files",
+        type: 'bool',
+        default: true,
+      },
+      local: {
+        description: "Use the local repo",
+        type: 'bool',
+      },
+    }
+  },
+  testTask9: {
+    name: 'testTask9',
+    options: {
+      context: {
+        description: "Context of the task",
+        env: 'TEST_TASK_CONTEXT',
+      },
+      tap: {
+        alias: [ 't' ],
+        description: "Name of the tap",
+        env: 'TEST_TASK_TAP',
+        default: 'default-tap',
+      },
+      port: {
+        description: "Port to listen on",
+        type: 'number',
+        env: 'TEST_TASK_PORT',
+      },
+      tags: {
+        description: "Tags of the image",
+        variadic: true,
+        env: 'TEST_TASK_TAGS',
+      },
+    }
+  },
 }
@@ -1,8 +1,21 @@
-const { testTask1, testTask2, testTask3, testTask4, testTask5 } = require('../__mocks__/testTasks')
+const {
+  testTask1,
+  testTask2,
+  testTask3,
+  testTask4,
+  testTask5,
+  testTask6,
+  testTask7,
+  testTask8,
+  testTask9,
+} = require('../__mocks__/testTasks')
 const Ask = require('../__mocks__/ask')
 jest.setMock('@keg-hub/ask-it', Ask)
 
-const { argsParse } = require('../argsParse')
+const path = require('path')
+const { argsParse, getSources } = require('../argsParse')
+
+const optionsFile = path.join(__dirname, '../__mocks__/optionsFile.json')
 
 describe('argsParse', () => {
 
@@ -274,4 +287,318 @@ describe('argsParse', () => {
 
   })
 
+  describe('positional options', () => {
+
+    it('should map the args to the options by the positional index', async () => {
+
+      const parsed = await argsParse({
+        args: [ 'src', 'index.js', 'utils.js' ],
+        task: testTask6,
+      })
+
+      expect(parsed.source).toBe('src')
+      expect(parsed.files).toEqual([ 'index.js', 'utils.js' ])
+      expect(parsed.watch).toBe(false)
+
+    })
+
+    it('should map a single arg to the first positional option', async () => {
+
+      const parsed = await argsParse({
+        args: [ 'src' ],
+        task: testTask6,
+      })
+
+      expect(parsed.source).toBe('src')
+      expect(parsed.watch).toBe(false)
+      expect(parsed.files).toBe(undefined)
+
+    })
+
+    it('should map the args left over after the named options', async () => {
+
+      const parsed = await argsParse({
+        args: [ 'src', '--watch', '--env', 'prod', 'index.js' ],
+        task: testTask6,
+      })
+
+      expect(parsed.watch).toBe(true)
+      expect(parsed.env).toBe('production')
+      expect(parsed.source).toBe('src')
+      expect(parsed.files).toEqual([ 'index.js' ])
+
+    })
+
+    it('should not map the values of unknown options', async () => {
+
+      const parsed = await argsParse({
+        args: [ 'src', '--unknown', 'skip', 'index.js' ],
+        task: testTask6,
+      })
+
+      expect(parsed.source).toBe('src')
+      expect(parsed.files).toEqual([ 'index.js' ])
+
+    })
+
+    it('should not overwrite a positional option passed by name', async () => {
+
+      const parsed = await argsParse({
+        args: [ 'source=lib', 'index.js' ],
+        task: testTask6,
+      })
+
+      expect(parsed.source).toBe('lib')
+
+    })
+
+  })
+
+  describe('variadic options', () => {
+
+    it('should collect the values of every use of the option', async () => {
+
+      const parsed = await argsParse({
+        args: [ '--tags', 'foo', 'bar', '--tag', 'baz', 'tags=qux' ],
+        task: testTask7,
+      })
+
+      expect(parsed.tags).toEqual([ 'foo', 'bar', 'baz', 'qux' ])
+
+    })
+
+    it('should convert each value to the option type', async () => {
+
+      const parsed = await argsParse({
+        args: [ 'count=1', '--count', '2', '3', '--tag', 'foo' ],
+        task: testTask7,
+      })
+
+      expect(parsed.count).toEqual([ 1, 2, 3 ])
+      expect(parsed.tags).toEqual([ 'foo' ])
+
+    })
+
+  })
+
+  describe('option constraints', () => {
+
+    it('should call process.exit once with every invalid argument', async () => {
+
+      const orgError = console.error
+      const orgLog = console.log
+      console.error = jest.fn()
+      console.log = jest.fn()
+
+      const orgExit = process.exit
+      process.exit = jest.fn()
+
+      await argsParse({
+        args: [ 'port=70000', '--name', 'Bad_Name', '--prod', '--local' ],
+        task: testTask8,
+      })
+
+      const logged = console.error.mock.calls.concat(console.log.mock.calls).join('\n')
+
+      expect(process.exit).toHaveBeenCalledTimes(1)
+      expect(logged).toContain('Must be a number less than or equal to 65535')
+      expect(logged).toContain('Must match the pattern /^[a-z-]+$/')
+      expect(logged).toContain('Can not be used with local')
+      expect(logged).toContain('port=8080')
+
+      console.error = orgError
+      console.log = orgLog
+      process.exit = orgExit
+
+    })
+
+    it('should set the implied values of the passed options', async () => {
+
+      const parsed = await argsParse({
+        args: [ '--prod', '--port', '3000' ],
+        task: testTask8,
+      })
+
+      expect(parsed.prod).toBe(true)
+      expect(parsed.watch).toBe(false)
+      expect(parsed.port).toBe(3000)
+
+    })
+
+    it('should not check conflicts of options that were set by an env', async () => {
+
+      process.env.TEST_TASK_LOCAL = 'true'
+
+      const orgExit = process.exit
+      process.exit = jest.fn()
+
+      const parsed = await argsParse({
+        args: [ '--prod', '--port', '3000' ],
+        task: {
+          ...testTask8,
+          options: {
+            ...testTask8.options,
+            local: { ...testTask8.options.local, env: 'TEST_TASK_LOCAL' },
+          },
+        },
+      })
+
+      expect(process.exit).not.toHaveBeenCalled()
+      expect(parsed.prod).toBe(true)
+      expect(parsed.local).toBe(true)
+
+      process.exit = orgExit
+      delete process.env.TEST_TASK_LOCAL
+
+    })
+
+  })
+
+  describe('option sources', () => {
+
+    afterEach(() => {
+      delete process.env.TEST_TASK_CONTEXT
+      delete process.env.TEST_TASK_TAP
+      delete process.env.TEST_TASK_PORT
+    })
+
+    it('should read the option values from the envs set in the options', async () => {
+
+      process.env.TEST_TASK_CONTEXT = 'tap'
+      process.env.TEST_TASK_PORT = '8080'
+
+      const parsed = await argsParse({ args: [], task: testTask9 })
+
+      expect(parsed.context).toBe('tap')
+      expect(parsed.port).toBe(8080)
+      expect(parsed.tap).toBe('default-tap')
+
+    })
+
+    it('should read the option values from the options file', async () => {
+
+      const toParse = {
+        args: [ '--options-file', optionsFile ],
+        task: testTask9,
+      }
+      const parsed = await argsParse(toParse)
+
+      expect(parsed.context).toBe('core')
+      expect(parsed.tap).toBe('file-tap')
+      expect(parsed.port).toBe(3000)
+      expect(parsed.tags).toEqual([ 'one', 'two' ])
+      expect(toParse.originalOptions).toEqual([])
+
+    })
+
+    it('should use argv, then the options file, then the envs, then the defaults', async () => {
+
+      process.env.TEST_TASK_CONTEXT = 'env-context'
+      process.env.TEST_TASK_TAP = 'env-tap'
+      process.env.TEST_TASK_PORT = '8080'
+
+      const parsed = await argsParse({
+        args: [ `options-file=${ optionsFile }`, '--port', '5000' ],
+        task: {
+          ...testTask9,
+          options: { ...testTask9.options, tags: { description: 'Tags' } },
+        },
+      })
+
+      expect(parsed.port).toBe(5000)
+      expect(parsed.tap).toBe('file-tap')
+      expect(parsed.context).toBe('core')
+      expect(parsed.env).toBe('development')
+
+    })
+
+    it('should record where each value came from', async () => {
+
+      process.env.TEST_TASK_PORT = '8080'
+
+      const parsed = await argsParse({
+        args: [ '--tap', 'argv-tap' ],
+        params: { context: 'param-context' },
+        task: testTask9,
+      })
+
+      expect(getSources(parsed)).toEqual({
+        tap: 'argv',
+        context: 'params',
+        port: 'env',
+        env: 'default',
+      })
+      expect(Object.keys(parsed).includes('__sources')).toBe(false)
+
+    })
+
+  })
+
+  describe('passthrough options', () => {
+
+    it('should not parse the args after --', async () => {
+
+      const toParse = {
+        args: [ 'src', '--', 'yarn', 'test', '--watch' ],
+        task: testTask6,
+      }
+      const parsed = await argsParse(toParse)
+
+      expect(parsed.source).toBe('src')
+      expect(parsed.watch).toBe(false)
+      expect(parsed.cmd).toBe('yarn test --watch')
+      expect(toParse.passthrough).toEqual([ 'yarn', 'test', '--watch' ])
+
+    })
+
+    it('should quote passthrough args with spaces when joined as a string', async () => {
+
+      const parsed = await argsParse({
+        args: [ '--watch', '--', 'echo', 'hello world' ],
+        task: testTask6,
+      })
+
+      expect(parsed.watch).toBe(true)
+      expect(parsed.cmd).toBe(`echo 'hello world'`)
+
+    })
+
+    it('should escape shell characters in the passthrough args when joined as a string', async () => {
+
+      const parsed = await argsParse({
+        args: [ '--', 'echo', `it's`, '$HOME', '`id`', 'a;b', '*', '--flag=v@1.0,x/y' ],
+        task: testTask6,
+      })
+
+      expect(parsed.cmd).toBe(`echo 'it'\\''s' '$HOME' '\`id\`' 'a;b' '*' --flag=v@1.0,x/y`)
+
+    })
+
+    it('should split the passthrough args when the args are a string', async () => {
+
+      const parsed = await argsParse({
+        args: 'src index.js -- yarn test "my file"',
+        task: testTask6,
+      })
+
+      expect(parsed.source).toBe('src')
+      expect(parsed.files).toEqual([ 'index.js' ])
+      expect(parsed.cmd).toBe(`yarn test 'my file'`)
+
+    })
+
+    it('should set the passthrough args as an array when the option has no string type', async () => {
+
+      const parsed = await argsParse({
+        args: [ '--tag', 'foo', '--', '-a', 'b' ],
+        task: testTask7,
+      })
+
+      expect(parsed.tags).toEqual([ 'foo' ])
+      expect(parsed.rest).toEqual([ '-a', 'b' ])
+
+    })
+
+  })
+
 })
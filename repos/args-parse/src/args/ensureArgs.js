@@ -1,9 +1,15 @@
-const { checkEnvArg } = require('./checkEnvArg')
-const { optionsAsk } = require('../options/optionsAsk')
-const { exists, reduceObj } = require('@keg-hub/jsutils')
-const { checkRequired } = require('../utils/checkRequired')
+const { optionsAsk, shouldAsk } = require('../options/optionsAsk')
+const { getSources, setSource, SOURCES } = require('../sources/valueSources')
+const { exists, isObj, reduceObj } = require('@keg-hub/jsutils')
+const { convertArg } = require('../options/convertArg')
 const { checkBoolValue } = require('../options/checkBoolValue')
-const { checkValueType } = require('../options/checkValueType')
+const { addImplied, validateOptions } = require('../options/validateOptions')
+
+/**
+ * Sources of the options that were passed in when the task was called
+ * @Array
+ */
+const PASSED_SOURCES = [ SOURCES.ARGV, SOURCES.PASSTHROUGH, SOURCES.PARAMS ]
 
 /**
  * Ensures a param value exists as needed
@@ -18,24 +24,27 @@ const { checkValueType } = require('../options/checkValueType')
  */
 const ensureArg = async (task, args, key, meta) => {
 
-  args[key] = checkBoolValue(args[key])
-  args[key] = checkEnvArg(key, args[key], meta.default)
-  args[key] = checkValueType(key, args[key], meta)
-  
-  if(exists(args[key])) return args
+  const hasValue = exists(args[key])
+  args[key] = convertArg(key, args[key], meta)
+
+  // Values added when converting, I.E. the environment, are defaults
+  if(exists(args[key]))
+    return hasValue ? args : setSource(args, key, SOURCES.DEFAULT)
 
   let value = await optionsAsk(key, meta)
 
   // Treat empty string as no value
-  ;!exists(value) || value === ''
-    ? checkRequired(task, key, meta)
-    : ( args[key] = checkBoolValue(value) )
+  if(!exists(value) || value === '') return args
+
+  args[key] = checkBoolValue(value)
 
-  return args
+  return setSource(args, key, shouldAsk(meta) ? SOURCES.ASK : SOURCES.DEFAULT)
 }
 
 /**
  * Adds default values when task is short-circuited
+ * <br/>Then validates the params against the constraints of the task options
+ * <br/>Where each value came from is saved to the params, see getSources
  * @function
  * @param {Object} task - Task Model of current task being run
  * @param {Object} args.params - Pre mapped params
@@ -43,11 +52,25 @@ const ensureArg = async (task, args, key, meta) => {
  * @returns {Object} - Mapped params object
  */
 const ensureArgs = async (task, mappedParams={}) => {
-  return reduceObj(task.options, async (key, meta, toResolve) => {
-    params = await toResolve
+  const keys = isObj(task.options)
+    ? Object.keys(task.options).filter(key => exists(mappedParams[key]))
+    : []
+
+  // Values without a source were passed in directly as params
+  keys.forEach(key => !getSources(mappedParams)[key] && setSource(mappedParams, key, SOURCES.PARAMS))
+
+  // Get the options passed in, before the defaults are added
+  // Values from the options file or envs were not passed, so they don't trigger the cross option checks
+  const sources = getSources(mappedParams)
+  const passed = keys.filter(key => PASSED_SOURCES.includes(sources[key]))
+
+  const params = await reduceObj(task.options, async (key, meta, toResolve) => {
+    const params = await toResolve
+
+    return ensureArg(task, params, key, isObj(meta) ? meta : { description: meta })
+  }, Promise.resolve(addImplied(task, mappedParams, passed)))
 
-    return ensureArg(task, params, key, meta)
-  }, Promise.resolve(mappedParams))
+  return validateOptions(task, params, passed)
 }
 
 module.exports = {
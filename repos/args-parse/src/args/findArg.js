@@ -24,6 +24,7 @@ const findArg = ({ key, meta={}, index, task, ...args }) => {
     long: key,
     short: key[0],
     alias: meta.alias,
+    variadic: meta.variadic,
     optionSchemas: task.options
   })
 
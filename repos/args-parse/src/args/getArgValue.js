@@ -40,6 +40,56 @@ const matchArgType = (matchTypes, option, value, optionSchemas) => {
 }
 
 
+/**
+ * Searches for every use of a variadic argument in the options array, and gets all it's values
+ * <br/>Each match takes the following options, until the next key identifier
+ * <br/>Found keys and values are removed from the options array
+ * @function
+ * @example
+ * // Both return [ 'foo', 'bar' ]
+ * getVariadicValue({ options: [ '--file', 'foo', 'bar' ], long: 'file', short: 'f' })
+ * getVariadicValue({ options: [ '--file', 'foo', 'file=bar' ], long: 'file', short: 'f' })
+ * @param {Object} params - Contains the data to be searched
+ * @param {Array} params.options - items passed from the command line
+ * @param {string} params.long - Long form name of the argument to find
+ * @param {string} params.short - Short form name of the argument to find
+ * @param {Array} params.alias - Other names of the argument to find
+ *
+ * @returns {Array|null} - All found values, or null if the argument was not passed
+ */
+const getVariadicValue = ({ options, long, short, alias }) => {
+  if(!isArr(options)) return null
+
+  const matchTypes = buildMatchTypes(long, short, alias)
+  let values = null
+  let index = 0
+
+  while(index < options.length){
+    const option = options[index]
+
+    if(matchTypes.includes(option)){
+      // Find the end of the values, which is the next key identifier
+      let end = index + 1
+      while(end < options.length && !hasKeyIdentifier(options[end])) end++
+
+      values = (values || []).concat(options.slice(index + 1, end))
+      options.splice(index, end - index)
+      continue
+    }
+
+    const value = option.includes('=') ? splitEqualsMatch(option, matchTypes) : undefined
+    if(exists(value)){
+      values = (values || []).concat(value)
+      options.splice(index, 1)
+      continue
+    }
+
+    index++
+  }
+
+  return values
+}
+
 /**
  * Searches for a argument in the options array, and gets it's value
  * @function
@@ -49,10 +99,13 @@ const matchArgType = (matchTypes, option, value, optionSchemas) => {
  * @param {string} params.long - Long form name of the argument to find
  * @param {string} params.short - Short form name of the argument to find
  * @param {string} params.def - Default value to use, if the argument can not be found
+ * @param {boolean} params.variadic - Should all values of the argument be found
  *
  * @returns {string} - The found value || the passed in default
  */
-const getArgValue = ({ options, long, short, alias, optionSchemas }) => {
+const getArgValue = ({ options, long, short, alias, optionSchemas, variadic }) => {
+
+  if(variadic) return getVariadicValue({ options, long, short, alias })
 
   const matchTypes = buildMatchTypes(long, short, alias)
 
@@ -83,6 +136,11 @@ const getArgValue = ({ options, long, short, alias, optionSchemas }) => {
       if (value === nextOpt)
         options.splice(index, 2)
 
+      // If the key is a flag without a value, remove it from the options array
+      // So the next option is not treated as the value of an unknown key
+      else if (value === true)
+        options.splice(index, 1)
+
       return value
 
     }, null)
@@ -90,5 +148,6 @@ const getArgValue = ({ options, long, short, alias, optionSchemas }) => {
 
 module.exports = {
   getArgValue,
+  getVariadicValue,
   matchArgType
 }
@@ -3,4 +3,6 @@ module.exports = {
   ...require('./ensureArgs'),
   ...require('./findArg'),
   ...require('./mapKeysToArgs'),
+  ...require('./mapPassthrough'),
+  ...require('./mapPositionals'),
 }
@@ -1,10 +1,10 @@
 const { exists } = require('@keg-hub/jsutils')
-const { getOptionMeta } = require('../options/getOptionMeta')
-const { ensureArg } = require('./ensureArgs')
+const { getPositionalKeys, mapPositionals } = require('./mapPositionals')
 
 
 /**
  * Maps the task option keys to the passed in args by key index
+ * <br/>When the task has positional options, the args are mapped by the positional index instead
  * @function
  * @param {Object} task - Task Model of current task being run
  * @param {Object} taskKeys - Keg names of the task options
@@ -14,23 +14,20 @@ const { ensureArg } = require('./ensureArgs')
  * @returns {Object} - Mapped params object
  */
 const mapKeysToArgs = (task, taskKeys, options, mappedParams) => {
-  return taskKeys.reduce(async (toResolve, key, index) => {
-    const params = await toResolve
+  if(getPositionalKeys(task).length)
+    return mapPositionals(task, options, mappedParams)
 
-    // Get the option meta for the key
-    const meta = getOptionMeta(task, key)
+  return taskKeys.reduce((params, key, index) => {
     const val = options[index]
 
     // If a value exists, add it to the params object
     exists(val) && ( params[key] = val )
 
-    // Ensure the param exists if needed, and return
-    return ensureArg(task, params, key, meta)
+    return params
 
-  }, Promise.resolve(mappedParams))
+  }, mappedParams)
 }
 
-
 module.exports = {
   mapKeysToArgs
 }
@@ -0,0 +1,63 @@
+const { get, isObj, isStr } = require('@keg-hub/jsutils')
+
+/**
+ * Args made of only these characters are safe to pass to a shell without quotes
+ * @RegExp
+ */
+const SAFE_ARG = /^[\w@%+=:,./-]+$/
+
+/**
+ * Escapes an arg so the shell treats it as a single literal argument
+ * <br/>Wraps it in single quotes, and escapes any single quotes in it as '\''
+ * @function
+ * @param {string} arg - Passthrough arg to quote
+ *
+ * @returns {string} - Quoted arg, or the original arg when it's safe
+ */
+const quoteArg = arg => {
+  const str = String(arg)
+
+  return SAFE_ARG.test(str) ? str : `'${ str.replace(/'/g, `'\\''`) }'`
+}
+
+/**
+ * Finds the task option with the passthrough key set
+ * @function
+ * @param {Object} task - Task Model of current task being run
+ *
+ * @returns {string} - Name of the passthrough option
+ */
+const getPassthroughKey = task => {
+  return isObj(task.options) &&
+    Object.keys(task.options).find(key => get(task.options, [ key, 'passthrough' ]))
+}
+
+/**
+ * Maps the args passed after `--` to the passthrough option of the task
+ * <br/>When the option type is `string`, the args are shell escaped and joined into a single string
+ * @function
+ * @param {Object} task - Task Model of current task being run
+ * @param {Array} passthrough - Args passed after the `--`
+ * @param {Object} params - Pre mapped params
+ *
+ * @returns {Object} - Mapped params object
+ */
+const mapPassthrough = (task, passthrough=[], params={}) => {
+  const key = getPassthroughKey(task)
+  if(!key || !passthrough.length) return params
+
+  const type = get(task.options, [ key, 'type' ])
+
+  return {
+    ...params,
+    [key]: isStr(type) && type.toLowerCase() === 'string'
+      ? passthrough.map(quoteArg).join(' ')
+      : passthrough
+  }
+}
+
+module.exports = {
+  getPassthroughKey,
+  mapPassthrough,
+  quoteArg
+}
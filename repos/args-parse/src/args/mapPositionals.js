@@ -0,0 +1,65 @@
+const { exists, isNum, isObj } = require('@keg-hub/jsutils')
+const { hasKeyIdentifier } = require('../utils/hasKeyIdentifier')
+
+/**
+ * Gets the names of the task options with a positional index, sorted by the index
+ * @function
+ * @param {Object} task - Task Model of current task being run
+ *
+ * @returns {Array} - Names of the positional options
+ */
+const getPositionalKeys = task => {
+  return isObj(task.options)
+    ? Object.keys(task.options)
+        .filter(key => isObj(task.options[key]) && isNum(task.options[key].positional))
+        .sort((key, other) => task.options[key].positional - task.options[other].positional)
+    : []
+}
+
+/**
+ * Gets the options that are not a key identifier, or the value of a key identifier
+ * <br/>Should be called after the values of the named options are removed from the options
+ * @function
+ * @param {Array} options - items passed from the command line
+ *
+ * @returns {Array} - Values to map to the positional options
+ */
+const getPositionalValues = options => {
+  return options.filter((option, index) => {
+    if(hasKeyIdentifier(option)) return false
+
+    // If the previous option is a key without an =, then it's the value of an unknown option
+    const prev = options[index - 1]
+    return !hasKeyIdentifier(prev) || prev.includes('=')
+  })
+}
+
+/**
+ * Maps the passed in values to the positional options of the task
+ * <br/>Variadic positional options get all values from their index to the end
+ * <br/>Options already set by name are not overwritten
+ * @function
+ * @param {Object} task - Task Model of current task being run
+ * @param {Array} values - Values to map to the positional options
+ * @param {Object} params - Pre mapped params
+ *
+ * @returns {Object} - Mapped params object
+ */
+const mapPositionals = (task, values, params={}) => {
+  return getPositionalKeys(task).reduce((mapped, key) => {
+    if(exists(mapped[key])) return mapped
+
+    const { positional, variadic } = task.options[key]
+    const value = variadic ? values.slice(positional) : values[positional]
+
+    ;(variadic ? value.length : exists(value)) && ( mapped[key] = value )
+
+    return mapped
+  }, params)
+}
+
+module.exports = {
+  getPositionalKeys,
+  getPositionalValues,
+  mapPositionals
+}
@@ -3,14 +3,33 @@ const { getConfig } = require('./utils/getConfig')
 const { exists, isObj } = require('@keg-hub/jsutils')
 const { mapKeysToArgs } = require('./args/mapKeysToArgs')
 const { getOptionMeta } = require('./options/getOptionMeta')
-const { ensureArg, ensureArgs } = require('./args/ensureArgs')
+const { ensureArgs } = require('./args/ensureArgs')
+const { mapPassthrough } = require('./args/mapPassthrough')
 const { hasKeyIdentifier } = require('./utils/hasKeyIdentifier')
 const { addDefaultOptions } = require('./options/addDefaultOptions')
 const { optionsHasIdentifiers } = require('./options/optionsHasIdentifiers')
 const { parseQuotes } = require('./utils/parseQuotes')
 const { convertNoArgs } = require('./utils/convertNoArgs')
+const { splitPassthrough } = require('./utils/splitPassthrough')
+const {
+  extractOptionsFile,
+  getEnvValues,
+  loadOptionsFile,
+  mapFileValues,
+  mergeSources,
+  getSources,
+  SOURCES,
+} = require('./sources')
+const {
+  getPositionalKeys,
+  getPositionalValues,
+  mapPositionals
+} = require('./args/mapPositionals')
+
 /**
  * Loops the task options looking to a match in the passed in options array
+ * <br/>Named options are found first, so their values are removed from the options array
+ * <br/>Then the left over values are mapped to the positional options
  * @function
  * @param {Object} task - Task Model of current task being run
  * @param {Object} taskKeys - Keg names of the task options
@@ -20,9 +39,7 @@ const { convertNoArgs } = require('./utils/convertNoArgs')
  * @returns {Object} - Mapped arguments object
  */
 const loopTaskKeys = (task, taskKeys, options, mappedParams) => {
-  return taskKeys.reduce(async (toResolve, key, index) => {
-    const params = await toResolve
-
+  const params = taskKeys.reduce((params, key, index) => {
     // Get the option meta for the key
     const meta = getOptionMeta(task, key)
 
@@ -38,10 +55,12 @@ const loopTaskKeys = (task, taskKeys, options, mappedParams) => {
     // If we get a value back, add it to the params object
     exists(value) && ( params[key] = value )
 
-    // Ensure the param exists if needed, and return
-    return ensureArg(task, params, key, meta)
+    return params
+
+  }, mappedParams)
 
-  }, Promise.resolve(mappedParams))
+  // Map the left over values to the positional options
+  return mapPositionals(task, getPositionalValues(options), params)
 }
 
 /**
@@ -60,8 +79,39 @@ const loopTaskOptions = (task, taskKeys, options, params) => {
     : mapKeysToArgs(task, taskKeys, options, params)
 }
 
+/**
+ * Maps the args passed from the command line to the task options
+ * @function
+ * @param {Object} task - Task Model of current task being run
+ * @param {Array} args - items passed from the command line
+ *
+ * @returns {Object} - Mapped arguments object
+ */
+const parseOptions = (task, args) => {
+  // If no args to parse, there's nothing to map
+  if(!args.length) return {}
+
+  // Get all the name of the options for the task
+  // This is used later to compare the keys with the passed in options
+  const taskKeys = isObj(task.options) && Object.keys(task.options)
+
+  // Short circuit the options parsing if there's only one option passed, and it's not a pair (=)
+  // Unless the task has positional options, which the option must be mapped to
+  const doOptsLoop = args.length !== 1 ||
+    hasKeyIdentifier(args[0]) ||
+    Boolean(getPositionalKeys(task).length)
+
+  // Loop over the task keys and map the task options to the passed in options
+  // Otherwise set it as the first key in the task options object
+  return doOptsLoop
+    ? taskKeys && loopTaskOptions(task, taskKeys, args, {})
+    : { [ taskKeys[0] ]: args[0] }
+}
+
 /**
  * Maps all passed in options to the cmdOpts based on keys
+ * <br/>Values are merged from each source, from the highest to the lowest precedence
+ * <br/>argv => passthrough => params => options file => envs => implied => ask => default
  * @function
  * @param {Array} args.args - items passed from the command line
  * @param {Object} args.task - Task Model of current task being run
@@ -71,42 +121,45 @@ const loopTaskOptions = (task, taskKeys, options, params) => {
  * @returns {Object} - Mapped arguments object
  */
 const argsParse = async (toParse, config) => {
-  const { task, params={} } = toParse
-
-  // Convert any --no-* args to falsy values
-  const args = convertNoArgs(
-    // Check for any quoted arguments and join them together as a single argument
-    parseQuotes(toParse.args)
-  )
+  const { task } = toParse
 
   // Initialize the config by calling it in the beginning
   getConfig(config)
 
+  // Split off the args after --, so they are passed through without being parsed
+  const { args: toSplit, passthrough } = splitPassthrough(toParse.args)
+
+  // Get the path to the options file, and remove it from the args
+  const { args, optionsFile } = extractOptionsFile(
+    // Convert any --no-* args to falsy values
+    convertNoArgs(
+      // Check for any quoted arguments and join them together as a single argument
+      parseQuotes(toSplit)
+    )
+  )
+
   // Make copy of args, which allows us to know the order at a later time
   toParse.originalOptions = Array.from(args)
+  toParse.passthrough = passthrough
 
   // Add the default options to the task
   task.options = addDefaultOptions(task.options)
 
-  // If no args to parse, Add the defaults and return it
-  if(!args.length) return ensureArgs(task, params)
-
-  // Get all the name of the options for the task
-  // This is used later to compare the keys with the passed in options
-  const taskKeys = isObj(task.options) && Object.keys(task.options)
-
-  // Short circuit the options parsing if there's only one option passed, and it's not a pair (=)
-  const doOptsLoop = args.length !== 1 || hasKeyIdentifier(args[0])
-
-  // Loop over the task keys and map the task options to the passed in options
-  // Otherwise set it as the first key in the task options object
-  return doOptsLoop
-    ? taskKeys && await loopTaskOptions(task, taskKeys, args, params)
-    : ensureArgs(task, {  ...params, [ taskKeys[0] ]: args[0] })
-
+  // Merge the values of each source, from the lowest to the highest precedence
+  const params = mergeSources([
+    [ SOURCES.ENV, getEnvValues(task) ],
+    [ SOURCES.FILE, mapFileValues(task, loadOptionsFile(optionsFile)) ],
+    [ SOURCES.PARAMS, toParse.params ],
+    [ SOURCES.PASSTHROUGH, mapPassthrough(task, passthrough) ],
+    [ SOURCES.ARGV, parseOptions(task, args) ],
+  ])
+
+  // Add the defaults, validate and return it
+  return ensureArgs(task, params)
 }
 
 module.exports = {
   ensureArgs,
-  argsParse
+  argsParse,
+  getSources,
 }
@@ -0,0 +1,181 @@
+const throwInvalid = jest.fn()
+jest.setMock('../../utils/throwInvalid', { throwInvalid })
+
+const { addImplied, validateOptions } = require('../validateOptions')
+
+const task = {
+  name: 'constraintsTask',
+  options: {
+    port: {
+      description: 'Port to listen on',
+      type: 'number',
+      min: 1,
+      max: 65535,
+    },
+    name: {
+      description: 'Name of the container',
+      pattern: '^[a-z-]+$',
+    },
+    context: {
+      description: 'Context of the task',
+      allowed: [ 'core', 'tap' ],
+      strict: true,
+    },
+    tap: {
+      description: 'Name of the tap',
+      requiredWith: [ 'context' ],
+    },
+    local: {
+      description: 'Use the local repo',
+      conflicts: [ 'branch' ],
+    },
+    branch: {
+      description: 'Branch of the repo',
+    },
+    prod: {
+      description: 'Run in production mode',
+      implies: { watch: false },
+    },
+    watch: {
+      description: 'Watch the files',
+      type: 'bool',
+      default: true,
+    },
+    ports: {
+      description: 'Ports to expose',
+      variadic: true,
+      type: 'number',
+      max: 9999,
+    },
+    image: {
+      description: 'Image to run',
+      validate: value => value.includes(':') || 'Must include a tag, I.E. keg-core:develop',
+    },
+  }
+}
+
+const getInvalid = () => throwInvalid.mock.calls[0][1]
+const getErrors = key => getInvalid().find(invalid => invalid.key === key).errors
+
+describe('validateOptions', () => {
+
+  afterEach(() => jest.clearAllMocks())
+
+  it('should return the params when all constraints pass', () => {
+
+    const params = {
+      port: 8080,
+      name: 'keg-core',
+      context: 'tap',
+      tap: 'my-tap',
+      local: true,
+      ports: [ 80, 443 ],
+      image: 'keg-core:develop',
+    }
+
+    expect(validateOptions(task, params, Object.keys(params))).toBe(params)
+    expect(throwInvalid).not.toHaveBeenCalled()
+
+  })
+
+  it('should validate the min and max of numbers', () => {
+
+    validateOptions(task, { port: 0, ports: [ 80, 10000 ] }, [ 'port', 'ports' ])
+
+    expect(getErrors('port')[0]).toBe('Must be a number greater than or equal to 1')
+    expect(getErrors('ports')[0]).toBe('Must be a number less than or equal to 9999')
+
+  })
+
+  it('should validate the pattern and allowed values of strings', () => {
+
+    validateOptions(task, { name: 'Keg_Core', context: 'components' }, [ 'name', 'context' ])
+
+    expect(getErrors('name')[0]).toBe('Must match the pattern /^[a-z-]+$/')
+    expect(getErrors('context')[0]).toBe('Must be one of core | tap')
+
+  })
+
+  it('should allow any value when the allowed values are empty', () => {
+
+    const anyTask = { name: 'anyTask', options: { context: { allowed: [], strict: true } } }
+    validateOptions(anyTask, { context: 'core' }, [ 'context' ])
+
+    expect(throwInvalid).not.toHaveBeenCalled()
+
+  })
+
+  it('should not enforce the allowed values when strict is not set', () => {
+
+    const suggestTask = { name: 'suggestTask', options: { context: { allowed: [ 'core', 'tap' ] } } }
+    validateOptions(suggestTask, { context: 'my-tap' }, [ 'context' ])
+
+    expect(throwInvalid).not.toHaveBeenCalled()
+
+  })
+
+  it('should require an option when an option in requiredWith is passed', () => {
+
+    validateOptions(task, { context: 'tap' }, [ 'context' ])
+
+    expect(getErrors('tap')[0]).toBe('Is required when context is set')
+
+  })
+
+  it('should not allow passing conflicting options', () => {
+
+    validateOptions(task, { local: true, branch: 'develop' }, [ 'local', 'branch' ])
+
+    expect(getErrors('local')[0]).toBe('Can not be used with branch')
+
+    jest.clearAllMocks()
+    validateOptions(task, { local: true, branch: 'develop' }, [ 'local' ])
+    expect(throwInvalid).not.toHaveBeenCalled()
+
+  })
+
+  it('should not allow passing a different value for an implied option', () => {
+
+    validateOptions(task, { prod: true, watch: true }, [ 'prod', 'watch' ])
+
+    expect(getErrors('prod')[0]).toBe('Sets watch=false, but a different value was passed')
+
+  })
+
+  it('should use the message returned from a custom validate function', () => {
+
+    validateOptions(task, { image: 'keg-core' }, [ 'image' ])
+
+    expect(getErrors('image')[0]).toBe('Must include a tag, I.E. keg-core:develop')
+
+  })
+
+  it('should collect every invalid option into a single error', () => {
+
+    validateOptions(task, { port: 70000, name: 'BAD', image: 'keg-core' }, [ 'port', 'name', 'image' ])
+
+    expect(throwInvalid).toHaveBeenCalledTimes(1)
+    expect(getInvalid().map(({ key }) => key)).toEqual([ 'port', 'name', 'image' ])
+
+  })
+
+})
+
+describe('addImplied', () => {
+
+  it('should add the implied values of the passed options', () => {
+
+    const params = addImplied(task, { prod: true }, [ 'prod' ])
+
+    expect(params.watch).toBe(false)
+
+  })
+
+  it('should not overwrite passed options, or imply from falsy options', () => {
+
+    expect(addImplied(task, { prod: true, watch: true }, [ 'prod', 'watch' ]).watch).toBe(true)
+    expect(addImplied(task, { prod: 'false' }, [ 'prod' ]).watch).toBe(undefined)
+
+  })
+
+})
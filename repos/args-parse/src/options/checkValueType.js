@@ -1,5 +1,5 @@
 const { checkBoolValue } = require('./checkBoolValue')
-const { toBool, toNum, isArr, isStr } = require('@keg-hub/jsutils')
+const { toBool, toNum, isArr, isObj, isStr } = require('@keg-hub/jsutils')
 
 /**
  * Convert JSON string into object, wrapped in a try / catch.
@@ -54,7 +54,7 @@ const checkValueType = (key, value, meta) => {
     }
     case 'obj':
     case 'object': {
-      return parseJSON(value, false)
+      return isObj(value) ? value : parseJSON(value, false)
     }
     case 'num':
     case 'number': {
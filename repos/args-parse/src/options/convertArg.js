@@ -0,0 +1,51 @@
+const { isArr } = require('@keg-hub/jsutils')
+const { checkEnvArg } = require('../args/checkEnvArg')
+const { checkBoolValue } = require('./checkBoolValue')
+const { checkValueType } = require('./checkValueType')
+
+/**
+ * Types that convert the whole value of a variadic option, instead of each item
+ * @Array
+ */
+const ARRAY_TYPES = [ 'arr', 'array' ]
+
+/**
+ * Converts the value of an option to the option type
+ * <br/>Each item of a variadic value is converted on it's own
+ * @function
+ * @param {string} key - Params key the value should be mapped to
+ * @param {*} value - Value of the option
+ * @param {Object} meta - Info about the option from the task
+ *
+ * @returns {*} - Converted value
+ */
+const checkArgType = (key, value, meta) => {
+  const type = meta.type && meta.type.toLowerCase()
+
+  return meta.variadic && isArr(value) && !ARRAY_TYPES.includes(type)
+    ? value.map(item => checkValueType(key, checkBoolValue(item), meta))
+    : checkValueType(key, value, meta)
+}
+
+/**
+ * Converts a value passed from the command line to the value of the option
+ * <br/>Converts string bools, maps environment shortcuts, then converts to the option type
+ * @function
+ * @param {string} key - Params key the value should be mapped to
+ * @param {*} value - Value of the option
+ * @param {Object} meta - Info about the option from the task
+ *
+ * @returns {*} - Converted value
+ */
+const convertArg = (key, value, meta) => {
+  return checkArgType(
+    key,
+    checkEnvArg(key, checkBoolValue(value), meta.default),
+    meta
+  )
+}
+
+module.exports = {
+  checkArgType,
+  convertArg
+}
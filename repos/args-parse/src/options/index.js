@@ -1,8 +1,10 @@
 module.exports = {
   ...require('./addDefaultOptions'),
   ...require('./checkBoolValue'),
+  ...require('./convertArg'),
   ...require('./getOptionMeta'),
   ...require('./optionsAsk'),
   ...require('./optionsHasIdentifiers'),
-  ...require('./removeOption')
+  ...require('./removeOption'),
+  ...require('./validateOptions'),
 }
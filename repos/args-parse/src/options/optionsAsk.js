@@ -2,6 +2,15 @@ const { isObj, isStr, get } = require('@keg-hub/jsutils')
 const { ask, buildModel } = require('@keg-hub/ask-it')
 const { getConfig } = require('../utils/getConfig')
 
+/**
+ * Checks if we should ask the user for the missing value to an option
+ * @function
+ * @param {Object} meta - Info about the option from the task
+ *
+ * @returns {boolean} - T/F if the user should be asked for the value
+ */
+const shouldAsk = meta => Boolean(meta.ask && get(getConfig(), 'settings.task.optionsAsk'))
+
 /**
  * Checks if we should ask the user for the missing value to an option
  * @function
@@ -11,10 +20,8 @@ const { getConfig } = require('../utils/getConfig')
  * @returns {Object} - Response from ask lib
  */
 const optionsAsk = async (key, meta) => {
-  const config = getConfig()
-
   // Check if we should ask for the meta value
-  if(!meta.ask || !get(config, 'settings.task.optionsAsk')) return meta.default
+  if(!shouldAsk(meta)) return meta.default
   
   // Build the default model for options
   // Default type to input
@@ -44,5 +51,6 @@ const optionsAsk = async (key, meta) => {
 
 
 module.exports = {
-  optionsAsk
+  optionsAsk,
+  shouldAsk
 }
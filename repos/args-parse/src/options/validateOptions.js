@@ -0,0 +1,233 @@
+const {
+  exists,
+  isArr,
+  isFunc,
+  isNum,
+  isObj,
+  isStr,
+  validate,
+} = require('@keg-hub/jsutils')
+const { getOptionMeta } = require('./getOptionMeta')
+const { convertArg } = require('./convertArg')
+const { checkBoolValue } = require('./checkBoolValue')
+const { throwInvalid } = require('../utils/throwInvalid')
+const { getSources, setSource, SOURCES } = require('../sources/valueSources')
+
+/**
+ * Checks if an option has a value. Empty strings are treated as no value
+ * @function
+ * @param {*} value - Value of the option
+ *
+ * @returns {boolean} - T/F if the value exists
+ */
+const hasValue = value => exists(value) && value !== ''
+
+/**
+ * Converts a value to an array, so variadic and single values are checked the same way
+ * @function
+ * @param {*} value - Value to convert
+ *
+ * @returns {Array} - Passed in value as an array
+ */
+const toValues = value => isArr(value) ? value : [ value ]
+
+/**
+ * Converts the option names of a constraint to an array
+ * @function
+ * @param {Array|string} keys - Option names of the constraint
+ *
+ * @returns {Array} - Option names
+ */
+const toKeys = keys => isArr(keys) ? keys : isStr(keys) ? [ keys ] : []
+
+/**
+ * Converts a pattern constraint into a RegExp
+ * @function
+ * @param {RegExp|string} pattern - Pattern the value must match
+ *
+ * @returns {RegExp} - Pattern as a RegExp
+ */
+const toPattern = pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern)
+
+/**
+ * Checks if two option values are the same
+ * @function
+ * @param {*} value - Value of the option
+ * @param {*} other - Value to compare against
+ *
+ * @returns {boolean} - T/F if the values are the same
+ */
+const isSameValue = (value, other) => JSON.stringify(value) === JSON.stringify(other)
+
+/**
+ * Checks if an option was passed with a truthy value, so its implies constraint applies
+ * @function
+ * @param {Array} passed - Names of the options passed in
+ * @param {string} key - Name of the option
+ * @param {*} value - Value of the option
+ *
+ * @returns {boolean} - T/F if the option implies other option values
+ */
+const isImplying = (passed, key, value) => passed.includes(key) && checkBoolValue(value) !== false
+
+/**
+ * Constraints checked for each option
+ * <br/>Each returns an error message when the value breaks the constraint
+ * @Object
+ */
+const constraints = {
+  required: ({ value, meta }) => {
+    return (meta.require || meta.required) && !hasValue(value) && `Is required`
+  },
+  requiredWith: ({ value, meta, passed }) => {
+    const withKeys = toKeys(meta.requiredWith).filter(other => passed.includes(other))
+
+    return withKeys.length && !hasValue(value) && `Is required when ${ withKeys.join(', ') } is set`
+  },
+  allowed: ({ value, meta }) => {
+    // Allowed values are only suggestions, unless the option sets strict
+    // An empty list does not limit the values
+    const allowed = meta.strict &&
+      isArr(meta.allowed) &&
+      meta.allowed.length &&
+      meta.allowed.map(String)
+
+    return allowed &&
+      hasValue(value) &&
+      toValues(value).some(item => !allowed.includes(String(item))) &&
+      `Must be one of ${ meta.allowed.join(' | ') }`
+  },
+  min: ({ value, meta }) => {
+    return exists(meta.min) &&
+      hasValue(value) &&
+      toValues(value).some(item => !isNum(item) || item < meta.min) &&
+      `Must be a number greater than or equal to ${ meta.min }`
+  },
+  max: ({ value, meta }) => {
+    return exists(meta.max) &&
+      hasValue(value) &&
+      toValues(value).some(item => !isNum(item) || item > meta.max) &&
+      `Must be a number less than or equal to ${ meta.max }`
+  },
+  pattern: ({ value, meta }) => {
+    return exists(meta.pattern) &&
+      hasValue(value) &&
+      toValues(value).some(item => !toPattern(meta.pattern).test(String(item))) &&
+      `Must match the pattern ${ toPattern(meta.pattern) }`
+  },
+  conflicts: ({ key, meta, passed }) => {
+    const conflicts = passed.includes(key) &&
+      toKeys(meta.conflicts).filter(other => passed.includes(other))
+
+    return conflicts && conflicts.length && `Can not be used with ${ conflicts.join(', ') }`
+  },
+  implies: ({ key, value, meta, params, passed, task }) => {
+    if(!isObj(meta.implies) || !isImplying(passed, key, value)) return false
+
+    const mismatched = Object.keys(meta.implies).filter(other => {
+      const implied = convertArg(other, meta.implies[other], getOptionMeta(task, other))
+      return !isSameValue(params[other], implied)
+    })
+
+    return mismatched.length &&
+      `Sets ${ mismatched.map(other => `${ other }=${ meta.implies[other] }`).join(', ') }, but a different value was passed`
+  },
+  validate: ({ key, value, meta, params, task }) => {
+    if(!isFunc(meta.validate) || !hasValue(value)) return false
+
+    const valid = meta.validate(value, params, task)
+
+    return valid === true
+      ? false
+      : isStr(valid)
+        ? valid
+        : `Failed the ${ meta.validate.name || key } validation`
+  },
+}
+
+/**
+ * Adds the values of the implies constraint of each passed option
+ * <br/>Implied values are not added for options that were passed in
+ * @function
+ * @param {Object} task - Task Model of current task being run
+ * @param {Object} params - Mapped params, before the defaults are added
+ * @param {Array} passed - Names of the options passed in
+ *
+ * @returns {Object} - Mapped params with the implied values
+ */
+const addImplied = (task, params, passed) => {
+  return passed.reduce((params, key) => {
+    const { implies } = getOptionMeta(task, key)
+    if(!isObj(implies) || !isImplying(passed, key, params[key])) return params
+
+    Object.keys(implies).forEach(other => {
+      if(passed.includes(other)) return
+
+      params[other] = implies[other]
+      setSource(params, other, SOURCES.IMPLIED)
+    })
+
+    return params
+  }, params)
+}
+
+/**
+ * Validates the params against the constraints of the task options
+ * <br/>Every broken constraint is collected, then thrown as a single error
+ * @function
+ * @param {Object} task - Task Model of current task being run
+ * @param {Object} params - Mapped params object
+ * @param {Array} [passed=[]] - Names of the options passed in
+ *
+ * @returns {Object} - Passed in params when they are valid
+ */
+const validateOptions = (task, params, passed=[]) => {
+  if(!isObj(task.options)) return params
+
+  const keys = Object.keys(task.options)
+  const errors = {}
+
+  // Build a validator for each option, which checks all constraints of the option
+  const validators = keys.reduce((validators, key) => {
+    const meta = getOptionMeta(task, key)
+
+    validators[key] = value => {
+      errors[key] = Object.values(constraints)
+        .map(constraint => constraint({ key, value, meta, params, passed, task }))
+        .filter(Boolean)
+
+      return !errors[key].length
+    }
+
+    return validators
+  }, {})
+
+  const [ valid, cases ] = validate(
+    keys.reduce((toValidate, key) => ({ ...toValidate, [key]: params[key] }), {}),
+    validators,
+    { logs: false, throws: false }
+  )
+
+  if(valid) return params
+
+  const sources = getSources(params)
+  const invalid = Object.values(cases)
+    .filter(({ success }) => !success)
+    .map(({ key, value }) => ({
+      key,
+      value,
+      errors: errors[key],
+      source: sources[key],
+      meta: getOptionMeta(task, key),
+    }))
+
+  throwInvalid(task, invalid)
+
+  return params
+}
+
+module.exports = {
+  addImplied,
+  constraints,
+  validateOptions
+}
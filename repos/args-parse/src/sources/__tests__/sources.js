@@ -0,0 +1,160 @@
+const path = require('path')
+const { getConfig, clearConfig } = require('../../utils/getConfig')
+const { testTask9 } = require('../../__mocks__/testTasks')
+const { getEnvValues, toEnvName } = require('../getEnvValues')
+const { extractOptionsFile, loadOptionsFile, mapFileValues } = require('../loadOptionsFile')
+const { getSources, mergeSources, setSource, SOURCES } = require('../valueSources')
+
+const jsonFile = path.join(__dirname, '../../__mocks__/optionsFile.json')
+const yamlFile = path.join(__dirname, '../../__mocks__/optionsFile.yml')
+
+describe('sources', () => {
+
+  beforeEach(() => {
+    clearConfig()
+    getConfig()
+  })
+
+  afterAll(() => clearConfig())
+
+  describe('getEnvValues', () => {
+
+    afterEach(() => {
+      delete process.env.TEST_TASK_TAP
+      delete process.env.TEST_TASK_TAGS
+      delete process.env.KEG_CONTEXT
+    })
+
+    it('should get the values from the env set in the option', () => {
+
+      process.env.TEST_TASK_TAP = 'env-tap'
+      process.env.TEST_TASK_TAGS = 'one,two'
+
+      expect(getEnvValues(testTask9)).toEqual({ tap: 'env-tap', tags: [ 'one', 'two' ] })
+
+    })
+
+    it('should get the values from the prefixed env when the envPrefix is set', () => {
+
+      clearConfig()
+      getConfig({ settings: { task: { envPrefix: 'KEG' } } })
+      process.env.KEG_CONTEXT = 'tap'
+
+      const task = { options: { context: {}, tap: { env: false } } }
+
+      expect(getEnvValues(task)).toEqual({ context: 'tap' })
+
+    })
+
+    it('should convert option names to env names', () => {
+
+      expect(toEnvName('KEG', 'tap')).toBe('KEG_TAP')
+      expect(toEnvName('KEG', 'optionsFile')).toBe('KEG_OPTIONS_FILE')
+      expect(toEnvName('KEG', 'dry-run')).toBe('KEG_DRY_RUN')
+
+    })
+
+  })
+
+  describe('loadOptionsFile', () => {
+
+    it('should find the options file in the args, and remove it', () => {
+
+      expect(extractOptionsFile([ '--options-file', './opts.json', '--tap', 'foo' ]))
+        .toEqual({ args: [ '--tap', 'foo' ], optionsFile: './opts.json' })
+
+      expect(extractOptionsFile([ 'options-file=./opts.yml', 'foo' ]))
+        .toEqual({ args: [ 'foo' ], optionsFile: './opts.yml' })
+
+    })
+
+    it('should exit the process when the options file flag has no path', () => {
+
+      const orgError = console.error
+      const orgLog = console.log
+      console.error = jest.fn()
+      console.log = jest.fn()
+
+      const orgExit = process.exit
+      process.exit = jest.fn()
+
+      extractOptionsFile([ '--tap', 'foo', '--options-file' ])
+      expect(process.exit).toHaveBeenCalledWith(1)
+
+      process.exit.mockClear()
+      extractOptionsFile([ '--options-file=', '--tap', 'foo' ])
+      expect(process.exit).toHaveBeenCalledWith(1)
+
+      process.exit.mockClear()
+      extractOptionsFile([ '--tap', 'foo' ])
+      expect(process.exit).not.toHaveBeenCalled()
+
+      console.error = orgError
+      console.log = orgLog
+      process.exit = orgExit
+
+    })
+
+    it('should load JSON and YAML files', () => {
+
+      expect(loadOptionsFile(jsonFile).tap).toBe('file-tap')
+      expect(loadOptionsFile(yamlFile)).toEqual({ context: 'core', t: 'yaml-tap', port: 4000 })
+
+    })
+
+    it('should map the file keys and aliases to the task options', () => {
+
+      expect(mapFileValues(testTask9, loadOptionsFile(yamlFile)))
+        .toEqual({ context: 'core', tap: 'yaml-tap', port: 4000 })
+
+      expect(mapFileValues(testTask9, loadOptionsFile(jsonFile)).unknown).toBe(undefined)
+
+    })
+
+    it('should exit the process when the file can not be loaded', () => {
+
+      const orgError = console.error
+      const orgLog = console.log
+      console.error = jest.fn()
+      console.log = jest.fn()
+
+      const orgExit = process.exit
+      process.exit = jest.fn()
+
+      loadOptionsFile('./does-not-exist.json')
+      expect(process.exit).toHaveBeenCalledWith(1)
+
+      console.error = orgError
+      console.log = orgLog
+      process.exit = orgExit
+
+    })
+
+  })
+
+  describe('valueSources', () => {
+
+    it('should merge the sources, with the later sources taking precedence', () => {
+
+      const params = mergeSources([
+        [ SOURCES.ENV, { tap: 'env-tap', context: 'core' } ],
+        [ SOURCES.ARGV, { tap: 'argv-tap' } ],
+      ])
+
+      expect(params).toEqual({ tap: 'argv-tap', context: 'core' })
+      expect(getSources(params)).toEqual({ tap: SOURCES.ARGV, context: SOURCES.ENV })
+
+    })
+
+    it('should not add the sources as an enumerable key of the params', () => {
+
+      const params = setSource({ tap: 'foo' }, 'tap', SOURCES.FILE)
+
+      expect(Object.keys(params)).toEqual([ 'tap' ])
+      expect(getSources(params).tap).toBe(SOURCES.FILE)
+
+    })
+
+  })
+
+})
@@ -0,0 +1,71 @@
+const { get, isObj, isStr } = require('@keg-hub/jsutils')
+const { getConfig } = require('../utils/getConfig')
+
+/**
+ * Converts an option name into the name of an env
+ * @function
+ * @example
+ * toEnvName('KEG', 'optionsFile') // KEG_OPTIONS_FILE
+ * toEnvName('KEG', 'dry-run') // KEG_DRY_RUN
+ * @param {string} prefix - Prefix added to the env name
+ * @param {string} key - Name of the option
+ *
+ * @returns {string} - Name of the env
+ */
+const toEnvName = (prefix, key) => {
+  const name = key
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .toUpperCase()
+
+  return `${ prefix }_${ name }`
+}
+
+/**
+ * Gets the name of the env an option can be read from
+ * <br/>Uses the `env` key of the option, or the envPrefix setting of the config
+ * <br/>Set the `env` key of the option to false, to not read it from an env
+ * @function
+ * @param {string} key - Name of the option
+ * @param {Object} meta - Info about the option from the task
+ *
+ * @returns {string|boolean} - Name of the env, or false
+ */
+const getEnvName = (key, meta) => {
+  if(isStr(meta.env)) return meta.env
+  if(meta.env === false) return false
+
+  const prefix = get(getConfig(), 'settings.task.envPrefix')
+
+  return isStr(prefix) && Boolean(prefix) && toEnvName(prefix, key)
+}
+
+/**
+ * Gets the values of the task options from the envs of the current process
+ * <br/>Values of variadic options are split on commas
+ * @function
+ * @param {Object} task - Task Model of current task being run
+ *
+ * @returns {Object} - Values of the options found in the envs
+ */
+const getEnvValues = task => {
+  return isObj(task.options)
+    ? Object.keys(task.options).reduce((values, key) => {
+        const meta = isObj(task.options[key]) ? task.options[key] : {}
+        const name = getEnvName(key, meta)
+        const value = name && process.env[name]
+
+        if(!isStr(value) || value === '') return values
+
+        values[key] = meta.variadic ? value.split(',') : value
+
+        return values
+      }, {})
+    : {}
+}
+
+module.exports = {
+  getEnvName,
+  getEnvValues,
+  toEnvName
+}
@@ -0,0 +1,5 @@
+module.exports = {
+  ...require('./getEnvValues'),
+  ...require('./loadOptionsFile'),
+  ...require('./valueSources'),
+}
@@ -0,0 +1,144 @@
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+const { exists, get, isArr, isObj } = require('@keg-hub/jsutils')
+const { Logger } = require("@keg-hub/ask-it/src/logger")
+const { getConfig } = require('../utils/getConfig')
+
+/**
+ * File extensions loaded as YAML, all others are loaded as JSON
+ * @Array
+ */
+const YAML_EXTS = [ '.yml', '.yaml' ]
+
+/**
+ * Finds the path to the options file in the passed in args
+ * <br/>Removes the options file arg from the args, so it's not parsed as an option
+ * @function
+ * @example
+ * extractOptionsFile([ '--options-file', './opts.json', '--tap', 'my-tap' ])
+ * // { args: [ '--tap', 'my-tap' ], optionsFile: './opts.json' }
+ * @param {Array} args - Arguments passed from the command line
+ *
+ * @returns {Object} - Args without the options file, and it's path => { args, optionsFile }
+ */
+const extractOptionsFile = args => {
+  const name = get(getConfig(), 'settings.task.optionsFile')
+  if(!name) return { args }
+
+  const flag = `--${ name }`
+  let found = false
+  let optionsFile
+
+  const remaining = args.filter((arg, index) => {
+    // Remove the flag and the path after it
+    if(arg === flag){
+      found = true
+      return false
+    }
+    if(args[index - 1] === flag){
+      optionsFile = arg
+      return false
+    }
+
+    // Remove the key=value version of the flag
+    const [ key, ...value ] = arg.split('=')
+    if(key !== name && key !== flag) return true
+
+    found = true
+    optionsFile = value.join('=')
+    return false
+  })
+
+  // The flag was passed without a path, so there's no file to load
+  found && !optionsFile && throwNoOptionsFile(flag)
+
+  return { args: remaining, optionsFile }
+}
+
+/**
+ * Logs an error that the options file flag was passed without a path, then exits the process
+ * @function
+ * @param {string} flag - Flag used to pass the options file
+ *
+ * @returns {void}
+ */
+const throwNoOptionsFile = flag => {
+  Logger.error(`\n The '${ flag }' option requires a path to the options file\n`)
+
+  process.exit(1)
+}
+
+/**
+ * Logs an error about the options file, then exits the process
+ * @function
+ * @param {string} filePath - Path to the options file
+ * @param {string} message - Reason the file could not be loaded
+ *
+ * @returns {void}
+ */
+const throwOptionsFile = (filePath, message) => {
+  Logger.error(`\n Could not load the options file '${ filePath }'`)
+  Logger.error(`  * ${ message }\n`)
+
+  process.exit(1)
+}
+
+/**
+ * Loads the values of the task options from a JSON or YAML file
+ * <br/>Relative paths are resolved from the current working directory
+ * @function
+ * @param {string} filePath - Path to the options file
+ *
+ * @returns {Object} - Values of the options in the file
+ */
+const loadOptionsFile = filePath => {
+  if(!filePath) return {}
+
+  const location = path.resolve(process.cwd(), filePath)
+
+  let values
+  try {
+    const content = fs.readFileSync(location, 'utf8')
+    values = YAML_EXTS.includes(path.extname(location).toLowerCase())
+      ? yaml.safeLoad(content)
+      : JSON.parse(content)
+  }
+  catch(err){
+    throwOptionsFile(filePath, err.message)
+  }
+
+  !isObj(values) &&
+    throwOptionsFile(filePath, `The file must contain an object of option values`)
+
+  return values
+}
+
+/**
+ * Maps the values of an options file to the task options
+ * <br/>Keys can be the name or an alias of the option. Keys not defined in the task are ignored
+ * @function
+ * @param {Object} task - Task Model of current task being run
+ * @param {Object} values - Values loaded from the options file
+ *
+ * @returns {Object} - Values of the task options
+ */
+const mapFileValues = (task, values={}) => {
+  return isObj(task.options)
+    ? Object.keys(task.options).reduce((mapped, key) => {
+        const alias = get(task.options, [ key, 'alias' ])
+        const found = [ key ].concat(isArr(alias) ? alias : [])
+          .find(name => exists(values[name]))
+
+        found && ( mapped[key] = values[found] )
+
+        return mapped
+      }, {})
+    : {}
+}
+
+module.exports = {
+  extractOptionsFile,
+  loadOptionsFile,
+  mapFileValues
+}
@@ -0,0 +1,94 @@
+const { isObj } = require('@keg-hub/jsutils')
+
+/**
+ * Where the value of an option came from
+ * <br/>Listed from the highest to the lowest precedence
+ * @Object
+ */
+const SOURCES = {
+  ARGV: 'argv',
+  PASSTHROUGH: 'passthrough',
+  PARAMS: 'params',
+  FILE: 'file',
+  ENV: 'env',
+  IMPLIED: 'implied',
+  ASK: 'ask',
+  DEFAULT: 'default',
+}
+
+/**
+ * Key of the parsed params the sources are saved to
+ * <br/>It's not enumerable, so it's not included when looping over the params
+ * @string
+ */
+const SOURCES_KEY = '__sources'
+
+/**
+ * Adds the sources object to the params, if it does not exist
+ * @function
+ * @param {Object} params - Parsed params object
+ *
+ * @returns {Object} - Sources of the params
+ */
+const ensureSources = params => {
+  !params[SOURCES_KEY] && Object.defineProperty(params, SOURCES_KEY, {
+    value: {},
+    enumerable: false,
+    writable: true,
+  })
+
+  return params[SOURCES_KEY]
+}
+
+/**
+ * Gets where the value of each option in the params came from
+ * @function
+ * @example
+ * getSources(await argsParse({ task, args }))
+ * // { tap: 'argv', context: 'env', env: 'default' }
+ * @param {Object} params - Parsed params object
+ *
+ * @returns {Object} - Source of each option => { [ key ]: source }
+ */
+const getSources = params => isObj(params) && params[SOURCES_KEY] || {}
+
+/**
+ * Saves where the value of an option came from
+ * @function
+ * @param {Object} params - Parsed params object
+ * @param {string} key - Name of the option
+ * @param {string} source - Where the value came from, one of SOURCES
+ *
+ * @returns {Object} - Passed in params
+ */
+const setSource = (params, key, source) => {
+  ensureSources(params)[key] = source
+
+  return params
+}
+
+/**
+ * Merges the values from each source into a single params object, and saves the source of each value
+ * <br/>Sources are passed from the lowest to the highest precedence
+ * @function
+ * @param {Array} sources - Values of each source => [[ source, values ]]
+ *
+ * @returns {Object} - Merged params object
+ */
+const mergeSources = sources => {
+  return sources.reduce((params, [ source, values ]) => {
+    isObj(values) && Object.keys(values).forEach(key => {
+      params[key] = values[key]
+      setSource(params, key, source)
+    })
+
+    return params
+  }, {})
+}
+
+module.exports = {
+  getSources,
+  mergeSources,
+  setSource,
+  SOURCES,
+}
@@ -0,0 +1,46 @@
+const { isArr, isStr } = require('@keg-hub/jsutils')
+const { parseQuotes } = require('./parseQuotes')
+
+/**
+ * Argument that separates the parsed args from the passthrough args
+ */
+const PASSTHROUGH = `--`
+
+/**
+ * Matches the passthrough separator when the args are a single string
+ */
+const PASSTHROUGH_MATCH = /(^|\s)--(\s|$)/
+
+/**
+ * Splits the passed in args on the first `--`
+ * <br/>Args after the `--` are not parsed, so they can be passed on to another command
+ * @function
+ * @example
+ * splitPassthrough([ '--foo', 'bar', '--', 'yarn', 'test', '--watch' ])
+ * // { args: [ '--foo', 'bar' ], passthrough: [ 'yarn', 'test', '--watch' ] }
+ * @param {Array|string} args - Arguments passed from the command line
+ *
+ * @returns {Object} - Args to be parsed, and the passthrough args => { args, passthrough }
+ */
+const splitPassthrough = (args=[]) => {
+  if(isArr(args)){
+    const index = args.indexOf(PASSTHROUGH)
+
+    return index === -1
+      ? { args, passthrough: [] }
+      : { args: args.slice(0, index), passthrough: args.slice(index + 1) }
+  }
+
+  const match = isStr(args) && args.match(PASSTHROUGH_MATCH)
+
+  return !match
+    ? { args, passthrough: [] }
+    : {
+        args: args.slice(0, match.index),
+        passthrough: parseQuotes(args.slice(match.index + match[0].length)),
+      }
+}
+
+module.exports = {
+  splitPassthrough
+}
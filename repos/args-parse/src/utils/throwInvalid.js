@@ -0,0 +1,62 @@
+const { Logger } = require("@keg-hub/ask-it/src/logger")
+const { exists, isStr } = require('@keg-hub/jsutils')
+
+/**
+ * Builds the expected format of an option from its meta
+ * @function
+ * @param {Object} meta - Information about the option
+ *
+ * @returns {string} - Expected format of the option
+ */
+const getExpected = (meta={}) => {
+  const range = exists(meta.min) || exists(meta.max)
+    ? `${ exists(meta.min) ? meta.min : '' } - ${ exists(meta.max) ? meta.max : '' }`.trim()
+    : ''
+
+  return [
+    meta.variadic ? `${ meta.type || 'value' } ...` : meta.type,
+    range,
+    meta.pattern && `${ meta.pattern }`,
+  ].filter(Boolean).join(', ')
+}
+
+/**
+ * Formats and throws an error listing every invalid argument of a task
+ * @param {Object} task - Current task being run
+ * @param {Array} invalid - Invalid arguments => [{ key, value, errors, source, meta }]
+ *
+ * @returns {void}
+ */
+const throwInvalid = (task, invalid=[]) => {
+  Logger.error(`\n Task '${task.name}' has invalid arguments:`)
+
+  invalid.forEach(({ key, value, errors, source, meta={} }) => {
+    const expected = getExpected(meta)
+    const from = source ? ` ( from ${ source } )` : ''
+
+    Logger.empty()
+    Logger.pair(`  ${ key }:`, exists(value) ? `${ JSON.stringify(value) }${ from }` : 'not set')
+    errors.map(error => Logger.error(`    * ${ error }`))
+
+    meta.alias && Logger.pair(`    * Alias:`, [ key[0] ].concat(meta.alias).join(' | '))
+    meta.description && Logger.pair(`    * Description:`, meta.description)
+    expected && Logger.pair(`    * Expected:`, expected)
+    meta.allowed && Logger.pair(`    * Allowed Values:`, meta.allowed.join(' | '))
+    meta.example && Logger.pair(`    * Example:`, meta.example)
+    isStr(meta.env) && Logger.pair(`    * Env:`, meta.env)
+  })
+
+  // Try catch the thrown error to get the stack trace.
+  try {
+    throw new Error(`Task failed! Invalid arguments: ${ invalid.map(({ key }) => key).join(', ') }`)
+  }
+  catch(err){
+    Logger.error(err.stack)
+    process.exit(1)
+  }
+
+}
+
+module.exports = {
+  throwInvalid
+}
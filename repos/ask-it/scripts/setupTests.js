@@ -3,3 +3,6 @@ const { inquirer } = require('../src/__mocks__/inquirer')
 
 global.getMockInquirer = () => inquirer
 jest.setMock('inquirer', inquirer)
+
+// Jest has no TTY, so force interactive mode to ask the mock inquirer
+process.env.ASK_IT_NON_INTERACTIVE = 'false'
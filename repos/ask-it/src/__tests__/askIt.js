@@ -17,4 +17,75 @@ describe('ask', () => {
     done()
   })
 
+  describe('non-interactive', () => {
+
+    beforeEach(() => mockInquirer.prompt.mockClear())
+
+    afterEach(() => {
+      delete process.env.ASK_IT_ANSWERS
+      process.env.ASK_IT_NON_INTERACTIVE = 'false'
+    })
+
+    it('should answer questions from the ASK_IT_ANSWERS env without prompting', async () => {
+
+      process.env.ASK_IT_ANSWERS = JSON.stringify({ tap: 'my-tap', 'Overwrite the link?': true })
+
+      expect(await ask.input({ name: 'tap', message: 'Tap name?' })).toBe('my-tap')
+      expect(await ask.confirm('Overwrite the link?')).toBe(true)
+      expect(mockInquirer.prompt).not.toHaveBeenCalled()
+
+    })
+
+    it('should only prompt for questions without an answer', async () => {
+
+      process.env.ASK_IT_ANSWERS = JSON.stringify({ tap: 'my-tap' })
+      mockInquirer.prompt.mockImplementationOnce(() => Promise.resolve({ context: 'core' }))
+
+      const answers = await ask([
+        { ...Models.input, name: 'tap' },
+        { ...Models.input, name: 'context', default: answers => answers.tap },
+      ])
+
+      expect(answers).toEqual({ tap: 'my-tap', context: 'core' })
+      expect(mockInquirer.prompt).toHaveBeenCalledTimes(1)
+
+      const [ question ] = mockInquirer.prompt.mock.calls[0][0]
+      expect(question.name).toBe('context')
+      expect(question.default({})).toBe('my-tap')
+
+    })
+
+    it('should use the defaults when there is no TTY', async () => {
+
+      process.env.ASK_IT_NON_INTERACTIVE = 'true'
+
+      expect(await ask.confirm('Rollback the publish?')).toBe(false)
+      expect(await ask({ ...Models.input, name: 'skipped', when: false })).toEqual({})
+      expect(mockInquirer.prompt).not.toHaveBeenCalled()
+
+    })
+
+    it('should throw naming the question when it has no default and there is no TTY', async () => {
+
+      process.env.ASK_IT_NON_INTERACTIVE = 'true'
+
+      await expect(ask.input({ name: 'taskName', message: 'Task name?' }))
+        .rejects.toThrow(`Can not ask the question "taskName"`)
+
+    })
+
+    it('should throw instead of looping when a promptList answer is invalid', async () => {
+
+      process.env.ASK_IT_ANSWERS = JSON.stringify({ 'Choose an option': '5' })
+      const orgLog = console.log
+      console.log = jest.fn()
+
+      await expect(ask.promptList([ 'one', 'two' ])).rejects.toThrow(`"Choose an option"`)
+
+      console.log = orgLog
+
+    })
+
+  })
+
 })
\ No newline at end of file
@@ -0,0 +1,138 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  ENVS,
+  findAnswer,
+  getAnswerKey,
+  getDefault,
+  isInteractive,
+  recordAnswers,
+} = require('../answers')
+
+const recordFile = path.join(os.tmpdir(), `ask-it-record-${ process.pid }.json`)
+
+describe('answers', () => {
+
+  afterEach(() => {
+    delete process.env[ENVS.ANSWERS]
+    delete process.env[ENVS.RECORD]
+    process.env[ENVS.NON_INTERACTIVE] = 'false'
+    fs.existsSync(recordFile) && fs.unlinkSync(recordFile)
+  })
+
+  describe('findAnswer', () => {
+
+    it('should find answers in the env by question name, then message', () => {
+
+      process.env[ENVS.ANSWERS] = JSON.stringify({ tap: 'my-tap', 'Overwrite the link?': true })
+
+      expect(findAnswer({ name: 'tap', message: 'Tap name?' })).toEqual({ found: true, value: 'my-tap' })
+      expect(findAnswer({ name: 'confirm', message: 'Overwrite the link?' }).value).toBe(true)
+      expect(findAnswer({ name: 'context', message: 'Context?' })).toEqual({ found: false })
+
+    })
+
+    it('should load the answers from a file when the env is a path', () => {
+
+      fs.writeFileSync(recordFile, JSON.stringify({ tap: 'file-tap' }))
+      process.env[ENVS.ANSWERS] = recordFile
+
+      expect(findAnswer({ name: 'tap' }).value).toBe('file-tap')
+
+    })
+
+    it('should throw when the answers can not be parsed', () => {
+
+      process.env[ENVS.ANSWERS] = '{ tap: '
+
+      expect(() => findAnswer({ name: 'tap' })).toThrow(ENVS.ANSWERS)
+
+    })
+
+  })
+
+  describe('getAnswerKey', () => {
+
+    it('should use the message for questions with a default model name', () => {
+
+      expect(getAnswerKey({ name: 'tap', message: 'Tap name?' })).toBe('tap')
+      expect(getAnswerKey({ name: 'confirm', message: '\u001b[33mContinue?\u001b[39m' })).toBe('Continue?')
+
+    })
+
+  })
+
+  describe('isInteractive', () => {
+
+    it('should use the ASK_IT_NON_INTERACTIVE env over the TTY', () => {
+
+      expect(isInteractive()).toBe(true)
+
+      process.env[ENVS.NON_INTERACTIVE] = 'true'
+      expect(isInteractive()).toBe(false)
+
+      process.env[ENVS.NON_INTERACTIVE] = 'fail'
+      expect(isInteractive()).toBe(false)
+
+    })
+
+  })
+
+  describe('getDefault', () => {
+
+    it('should get the default, or the default choice of list questions', async () => {
+
+      expect(await getDefault({ name: 'confirm', default: false })).toBe(false)
+      expect(await getDefault({ name: 'env', default: answers => answers.env || 'dev' })).toBe('dev')
+      expect(await getDefault({
+        type: 'list',
+        name: 'branch',
+        default: 1,
+        choices: [ 'develop', { name: 'Master', value: 'master' } ],
+      })).toBe('master')
+
+    })
+
+    it('should throw naming the question when it has no default', async () => {
+
+      await expect(getDefault({ name: 'tap', message: 'Tap name?', default: '' }))
+        .rejects.toThrow(`Can not ask the question "tap"`)
+
+    })
+
+    it('should throw when the ASK_IT_NON_INTERACTIVE env is fail', async () => {
+
+      process.env[ENVS.NON_INTERACTIVE] = 'fail'
+
+      await expect(getDefault({ name: 'confirm', message: 'Continue?', default: false }))
+        .rejects.toThrow(`Can not ask the question "Continue?"`)
+
+    })
+
+  })
+
+  describe('recordAnswers', () => {
+
+    it('should merge the answers into the record file, without passwords', () => {
+
+      fs.writeFileSync(recordFile, JSON.stringify({ context: 'core' }))
+      process.env[ENVS.RECORD] = recordFile
+
+      recordAnswers(
+        [
+          { name: 'tap', message: 'Tap name?' },
+          { name: 'confirm', message: 'Continue?' },
+          { name: 'token', type: 'password' },
+        ],
+        { tap: 'my-tap', confirm: true, token: 'secret' }
+      )
+
+      expect(JSON.parse(fs.readFileSync(recordFile, 'utf8')))
+        .toEqual({ context: 'core', tap: 'my-tap', 'Continue?': true })
+
+    })
+
+  })
+
+})
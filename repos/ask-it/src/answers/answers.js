@@ -0,0 +1,216 @@
+const fs = require('fs')
+const path = require('path')
+const { exists, isFunc, isNum, isObj, isStr } = require('@keg-hub/jsutils')
+const models = require('../models/models')
+
+/**
+ * Envs used to answer questions when running without a user, I.E. in CI
+ * @Object
+ */
+const ENVS = {
+  // Inline JSON of answers, or a path to a JSON file of answers
+  ANSWERS: 'ASK_IT_ANSWERS',
+  // Path to the JSON file the answers of a real session are recorded to
+  RECORD: 'ASK_IT_RECORD',
+  // Overrides the TTY check => true | false | fail
+  NON_INTERACTIVE: 'ASK_IT_NON_INTERACTIVE',
+}
+
+/**
+ * Names of the default question models
+ * <br/>Questions with these names are answered and recorded by their message instead
+ * @Array
+ */
+const DEFAULT_NAMES = Object.values(models).map(model => model.name)
+
+/**
+ * Question types where the default is the index of the selected choice
+ * @Array
+ */
+const CHOICE_TYPES = [ 'list', 'rawlist', 'expand' ]
+
+/**
+ * Removes terminal color codes, so colored messages match the messages in an answers file
+ * @function
+ * @param {string} text - Text to remove the colors from
+ *
+ * @returns {string} - Text without the color codes
+ */
+const stripColors = text => isStr(text) ? text.replace(/\u001b\[[0-9;]*m/g, '') : text
+
+/**
+ * Reads the value of the non-interactive env
+ * @function
+ *
+ * @returns {string} - Lowercase value of the env
+ */
+const getNonInteractiveEnv = () => `${ process.env[ENVS.NON_INTERACTIVE] || '' }`.toLowerCase()
+
+/**
+ * Checks if questions can be asked to a user in the terminal
+ * <br/>Set the ASK_IT_NON_INTERACTIVE env to override the TTY check
+ * @function
+ *
+ * @returns {boolean} - T/F if questions can be asked
+ */
+const isInteractive = () => {
+  const nonInteractive = getNonInteractiveEnv()
+
+  return nonInteractive === 'false'
+    ? true
+    : nonInteractive
+      ? false
+      : Boolean(process.stdin.isTTY && process.stdout.isTTY)
+}
+
+/**
+ * Checks if unanswered questions should fail, even when they have a default
+ * @function
+ *
+ * @returns {boolean} - T/F if defaults should not be used
+ */
+const isStrict = () => getNonInteractiveEnv() === 'fail'
+
+/**
+ * Loads a JSON file, resolving relative paths from the current working directory
+ * @function
+ * @param {string} location - Path to the JSON file
+ *
+ * @returns {Object} - Content of the file, or an empty object if it does not exist
+ */
+const loadJSON = location => {
+  const filePath = path.resolve(process.cwd(), location)
+
+  return fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : {}
+}
+
+/**
+ * Gets the answers set in the ASK_IT_ANSWERS env
+ * <br/>The env can be inline JSON, or a path to a JSON file
+ * @function
+ *
+ * @returns {Object} - Answers keyed by question name or message
+ */
+const getAnswers = () => {
+  const answers = (process.env[ENVS.ANSWERS] || '').trim()
+  if(!answers) return {}
+
+  try {
+    const loaded = answers.indexOf('{') === 0 ? JSON.parse(answers) : loadJSON(answers)
+
+    return isObj(loaded) ? loaded : {}
+  }
+  catch(err){
+    throw new Error(`Could not load the answers from ${ ENVS.ANSWERS }. ${ err.message }`)
+  }
+}
+
+/**
+ * Gets the key a question is answered and recorded by
+ * <br/>Questions using a default model name use their message, so they don't collide
+ * @function
+ * @param {Object} question - Question model
+ *
+ * @returns {string} - Key of the question in the answers
+ */
+const getAnswerKey = question => {
+  return !question.name || DEFAULT_NAMES.includes(question.name)
+    ? stripColors(isStr(question.message) ? question.message : question.name)
+    : question.name
+}
+
+/**
+ * Finds the answer of a question in the answers set in the ASK_IT_ANSWERS env
+ * <br/>Looks up the question by name first, then by message
+ * @function
+ * @param {Object} question - Question model
+ *
+ * @returns {Object} - Found answer => { found, value }
+ */
+const findAnswer = question => {
+  const answers = getAnswers()
+  const key = [ question.name, stripColors(question.message) ]
+    .find(key => isStr(key) && exists(answers[key]))
+
+  return key ? { found: true, value: answers[key] } : { found: false }
+}
+
+/**
+ * Throws an error naming the question that could not be answered
+ * @function
+ * @param {Object} question - Question model
+ * @param {string} reason - Why the question could not be answered
+ *
+ * @returns {void}
+ */
+const throwUnanswered = (question, reason) => {
+  const key = getAnswerKey(question)
+
+  throw new Error(
+    `Can not ask the question "${ key }", ${ reason }.\n` +
+    `  Answer it with the ${ ENVS.ANSWERS } env, I.E. ${ ENVS.ANSWERS }='${ JSON.stringify({ [key]: '<answer>' }) }'`
+  )
+}
+
+/**
+ * Gets the default answer of a question, when it can not be asked
+ * <br/>Throws when the question has no default, or the ASK_IT_NON_INTERACTIVE env is `fail`
+ * @function
+ * @param {Object} question - Question model
+ * @param {Object} answers - Answers of the previous questions
+ *
+ * @returns {*} - Default answer of the question
+ */
+const getDefault = async (question, answers={}) => {
+  isStrict() && throwUnanswered(question, `the ${ ENVS.NON_INTERACTIVE } env is set to fail`)
+
+  let value = isFunc(question.default) ? await question.default(answers) : question.default
+
+  // Choice questions use the index of the choice as the default
+  if(CHOICE_TYPES.includes(question.type) && isNum(value) && Array.isArray(question.choices)){
+    const choice = question.choices[value]
+    value = isObj(choice) ? (exists(choice.value) ? choice.value : choice.name) : choice
+  }
+
+  ;(!exists(value) || value === '') &&
+    throwUnanswered(question, `no TTY is available and it has no default`)
+
+  return value
+}
+
+/**
+ * Saves the answers of a real session to the file set in the ASK_IT_RECORD env
+ * <br/>Password answers are never recorded
+ * @function
+ * @param {Array} questions - Question models that were asked
+ * @param {Object} answers - Answers to the asked questions
+ *
+ * @returns {void}
+ */
+const recordAnswers = (questions, answers) => {
+  const location = process.env[ENVS.RECORD]
+  if(!location || !isObj(answers)) return
+
+  const recorded = questions.reduce((recorded, question) => {
+    question.type !== 'password' &&
+      exists(answers[question.name]) &&
+      ( recorded[getAnswerKey(question)] = answers[question.name] )
+
+    return recorded
+  }, loadJSON(location))
+
+  fs.writeFileSync(path.resolve(process.cwd(), location), JSON.stringify(recorded, null, 2) + '\n')
+}
+
+module.exports = {
+  ENVS,
+  findAnswer,
+  getAnswerKey,
+  getAnswers,
+  getDefault,
+  isInteractive,
+  recordAnswers,
+  throwUnanswered,
+}
@@ -1,5 +1,11 @@
-const { isArr } = require('@keg-hub/jsutils')
+const { isArr, isFunc } = require('@keg-hub/jsutils')
 const inquirer = require('inquirer')
+const {
+  findAnswer,
+  getDefault,
+  isInteractive,
+  recordAnswers,
+} = require('./answers')
 const { input } = require('./prompts/input')
 const { confirm } = require('./prompts/confirm')
 const { password } = require('./prompts/password')
@@ -10,30 +16,94 @@ const { password } = require('./prompts/password')
  */
 const separator = () => new inquirer.Separator()
 
+/**
+ * Question keys inquirer calls with the answers of the current session
+ * @Array
+ */
+const ANSWERS_KEYS = [ 'message', 'default', 'choices', 'when' ]
+
+/**
+ * Wraps the function keys of a question, so they get the answers of the previous questions
+ * <br/>Inquirer only passes the answers of the questions it asked itself
+ * @function
+ * @param {Object} question - Question model
+ * @param {Object} answers - Answers of the previous questions
+ *
+ * @returns {Object} - Question model with the wrapped function keys
+ */
+const withAnswers = (question, answers) => {
+  return ANSWERS_KEYS.reduce((wrapped, key) => {
+    isFunc(question[key]) &&
+      ( wrapped[key] = current => question[key]({ ...answers, ...current }) )
+
+    return wrapped
+  }, { ...question })
+}
+
+/**
+ * Answers a single question from the answers env, the default, or by asking the user
+ * @function
+ * @param {Object} question - Question model
+ * @param {Object} answers - Answers of the previous questions
+ * @param {Array} prompted - Questions asked to the user
+ *
+ * @returns {Object} - Answers including the answer to the question
+ */
+const answerQuestion = async (question, answers, prompted) => {
+  const when = isFunc(question.when) ? await question.when(answers) : question.when
+  if(when === false) return answers
+
+  const preset = findAnswer(question)
+  if(preset.found) return { ...answers, [question.name]: preset.value }
+
+  if(!isInteractive())
+    return { ...answers, [question.name]: await getDefault(question, answers) }
+
+  prompted.push(question)
+
+  return { ...answers, ...await inquirer.prompt([ withAnswers(question, answers) ]) }
+}
+
 /**
  * Asks a question or multiple questions to a user from the terminal
+ * <br/>Questions are answered from the ASK_IT_ANSWERS env first
+ * <br/>When there is no TTY, the question defaults are used, or an error naming the question is thrown
  * @function
  * @param {Object|Array} questions - Questions to ask the user in the inquirer question format
  *
  * @returns {Object} - Answers to questions as key / value pairs of names and answers
  */
-const ask = questions => {
+const ask = async questions => {
   questions = isArr(questions) ? questions : [ questions ]
 
-  return inquirer.prompt(questions)
+  // Let inquirer ask all questions, when none of them are already answered
+  if(isInteractive() && !questions.some(question => findAnswer(question).found)){
+    const answers = await inquirer.prompt(questions)
+    recordAnswers(questions, answers)
+
+    return answers
+  }
+
+  const prompted = []
+  const answers = await questions.reduce(async (toResolve, question) => {
+    return answerQuestion(question, await toResolve, prompted)
+  }, Promise.resolve({}))
+
+  recordAnswers(prompted, answers)
+
+  return answers
 }
 
 /**
  * Asks a single question, then get the value of the answer
  * @param {object} model - Model the the question to ask match inquirer's model spec
- * @param {string} name - Name of the question to ask
  *
  * @returns {*} - Response from the asked question
  */
-const singleQuestion = async (model, name) => {
-  const answers = await ask({ ...model, name })
+const singleQuestion = async model => {
+  const answers = await ask(model)
 
-  return answers[name]
+  return answers[model.name]
 }
 
 /**
@@ -42,7 +112,7 @@ const singleQuestion = async (model, name) => {
  *
  * @returns {*} - Response from the asked question
  */
-ask.confirm = question => singleQuestion(confirm(question), 'confirm')
+ask.confirm = question => singleQuestion(confirm(question))
 
 /**
  * Helper to ask a single input question
@@ -50,7 +120,7 @@ ask.confirm = question => singleQuestion(confirm(question), 'confirm')
  *
  * @returns {*} - Response from the asked question
  */
-ask.input = question => singleQuestion(input(question), 'input')
+ask.input = question => singleQuestion(input(question))
 
 /**
  * Helper to ask for a password
@@ -58,7 +128,7 @@ ask.input = question => singleQuestion(input(question), 'input')
  *
  * @returns {*} - Response from the asked question
  */
-ask.password = question => singleQuestion(password(question), 'password')
+ask.password = question => singleQuestion(password(question))
 
 module.exports = {
   ask,
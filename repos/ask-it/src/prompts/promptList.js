@@ -1,5 +1,7 @@
 const { ask } = require('../askIt')
+const { input } = require('./input')
 const { Logger } = require('../logger')
+const { findAnswer, isInteractive, throwUnanswered } = require('../answers')
 const { validate, isArr, isStr } = require('@keg-hub/jsutils')
 
 /**
@@ -32,11 +34,18 @@ const promptList = async (options, title='Options:', selectText='Choose an optio
     )
 
     // prompt user to choose an index
-    const input = await ask.input(Logger.color('yellow', selectText))
+    const question = input(Logger.color('yellow', selectText))
+    const selected = await ask.input(question)
 
     // parse the input and validate it
-    index = parseInt(input)
-    awaitingValidInput = (isNaN(input) || index < 0 || index >= options.length)
+    index = parseInt(selected)
+    awaitingValidInput = (isNaN(selected) || index < 0 || index >= options.length)
+
+    // Answers not entered by the user will never change, so don't ask again
+    awaitingValidInput &&
+      (!isInteractive() || findAnswer(question).found) &&
+      throwUnanswered(question, `the answer "${ selected }" is not an index from the range listed`)
+
     awaitingValidInput && Logger.warn('\nInvalid input. Please enter an index from the range listed.\n')
   }
 
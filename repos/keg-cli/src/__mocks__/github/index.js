@@ -1,4 +1,5 @@
 
 module.exports = {
-  ...require('./api')
+  ...require('./api'),
+  ...require('./pullRequests'),
 }
\ No newline at end of file
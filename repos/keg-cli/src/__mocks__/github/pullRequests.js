@@ -0,0 +1,39 @@
+const pullRequests = [
+  {
+    number: 42,
+    title: 'Add the login screen',
+    state: 'OPEN',
+    url: 'https://github.com/simpleviewinc/tap-events-force/pull/42',
+    author: { login: 'lancetipton' },
+    isDraft: false,
+    headRefName: 'feature-login',
+    baseRefName: 'develop',
+    createdAt: '2020-10-12T17:24:03Z',
+    body: 'Adds the login screen to the tap',
+  },
+  {
+    number: 41,
+    title: 'Update keg-core',
+    state: 'MERGED',
+    url: 'https://github.com/simpleviewinc/tap-events-force/pull/41',
+    author: { login: 'lancetipton' },
+    isDraft: true,
+    headRefName: 'update-core',
+    baseRefName: 'develop',
+    createdAt: '2020-10-10T09:12:45Z',
+    body: '',
+  },
+]
+
+const prDiff = `diff --git a/src/index.js b/src/index.js
+--- a/src/index.js
++++ b/src/index.js
+@@ -1 +1 @@
+-export const App = () => null
++export const App = () => <Login />
+`
+
+module.exports = {
+  prDiff,
+  pullRequests,
+}
@@ -30,6 +30,28 @@ Beta:
 Status: Watching for changes
 --------------------------------------------------------------------------------`
 
+const listProblemsStrOutput = `--------------------------------------------------------------------------------
+Name: core
+Identifier: sync_ChWoyx1p7svg5k3k1dIn4IDeuDZMBXDIfaqZuVZuAdi
+Labels: None
+Alpha:
+	URL: /Users/lancetipton/keg/keg-core
+	Connection state: Connected
+	Scan problems:
+		src/broken.js: unable to read file: permission denied
+Beta:
+	URL: docker://89081a36b44d/keg/keg-core
+		DOCKER_HOST=tcp://192.168.99.101:2376
+	Connection state: Disconnected
+Last error: unable to connect to beta: unable to connect to endpoint: container is not running
+Status: Halted on root deletion
+Conflicts:
+	(α) src/index.js (File -> File)
+	(β) src/index.js (File -> File)
+
+	(α) <root> (Directory -> Directory)
+--------------------------------------------------------------------------------`
+
 const listObjOutput = [
   {
     name: 'core',
@@ -79,6 +101,7 @@ const raw = jest.fn( async () => {
 })
 
 const commands = {
+  listProblemsStrOutput,
   listResponse,
   raw,
 }
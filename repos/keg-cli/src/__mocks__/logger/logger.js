@@ -7,6 +7,7 @@ const Logger = {
   print: jest.fn(logData),
   setColors: jest.fn(),
   header: jest.fn(logData),
+  subHeader: jest.fn(logData),
   highlight: jest.fn(logData),
   empty: jest.fn(() => console.log('')),
   label: jest.fn(logData),
@@ -16,6 +17,13 @@ const Logger = {
   stderr: jest.fn((...data) => console.error(...data)),
   stdout: jest.fn(logData),
   table: jest.fn(logData),
+  record: jest.fn(),
+  setLevel: jest.fn(),
+  setContext: jest.fn(),
+  addTransport: jest.fn(transport => transport),
+  removeTransport: jest.fn(),
+  addSecret: jest.fn(secret => secret),
+  mask: jest.fn(text => text),
 }
 
 Logger.spaceMsg = Logger.spacedMsg
@@ -38,6 +46,7 @@ const colorMap = [
   'magenta',
   'blue',
   'gray',
+  'debug',
 ]
 
 Logger.colorMap = keyMap(colorMap)
@@ -19,11 +19,19 @@ if(KEG_GLOBAL_CONFIG){
 
 let GLOBAL_INJECT_FOLDER = path.join(GLOBAL_CONFIG_FOLDER, '.tmp')
 
+// Folder where the git worktrees of tap preview environments are created
+let GLOBAL_PREVIEW_FOLDER = path.join(GLOBAL_CONFIG_FOLDER, 'previews')
+
+// Folder where the log files of each task run are written
+let GLOBAL_LOGS_FOLDER = path.join(GLOBAL_CONFIG_FOLDER, 'logs')
+
+// Folder where the images of the local docker registry are stored
+let GLOBAL_REGISTRY_FOLDER = path.join(GLOBAL_CONFIG_FOLDER, 'registry')
+
 module.exports = deepFreeze({
 
   // Tasks settings
   TASK_REQUIRED: [
-    'prefix',
     'name',
     'action',
     'description'
@@ -36,12 +44,16 @@ module.exports = deepFreeze({
     GIT: 'cli.git',
     TAPS: `cli.taps`,
     TAP_LINKS: `cli.taps.links`,
+    HOOKS: `cli.hooks`,
   },
 
   CLI_ROOT,
   GLOBAL_CONFIG_FILE,
   GLOBAL_INJECT_FOLDER,
   GLOBAL_CONFIG_FOLDER,
+  GLOBAL_PREVIEW_FOLDER,
+  GLOBAL_LOGS_FOLDER,
+  GLOBAL_REGISTRY_FOLDER,
 
   // Sets the command to open an IDE
   GLOBAL_CONFIG_EDITOR_CMD: 'cli.settings.editorCmd',
@@ -146,6 +158,89 @@ module.exports = deepFreeze({
       'minor',
       'patch',
     ]
-  }
+  },
+
+  // Package.json keys that can contain a dependency
+  DEPENDENCY_TYPES: [
+    'dependencies',
+    'devDependencies',
+    'peerDependencies',
+  ],
+
+  // Name of the file in the global config folder that holds the hub publish state
+  // Allows a failed publish to be resumed with `keg hub publish --resume`
+  PUBLISH_STATE_FILE: 'publish.state.json',
+
+  // Name of the file in the global inject folder that tracks the generated injected files
+  // Allows the files to be removed when the service is stopped, or by `keg docker gc`
+  INJECTED_MANIFEST_FILE: 'injected.manifest.json',
+
+  // Name of the file in the global preview folder that tracks the running tap previews
+  // Used by `keg tap preview list` and `keg tap preview destroy`
+  PREVIEWS_FILE: 'previews.json',
+
+  // Name of the file in the global config folder that stores the encrypted secrets
+  // Used by `keg secrets` for the git key, docker provider and NPM tokens
+  SECRETS_FILE: 'secrets.json',
+
+  // ENVs that contain secrets, so their values are never shown
+  // When building an image, they are passed as BuildKit secret mounts instead of build args
+  SECRET_ENVS: [
+    'GIT_KEY',
+    'PUBLIC_GIT_KEY',
+  ],
+
+  // Name of the file in the global config folder with the generated key used to encrypt the secrets
+  // Only used when the `git.secretsKeyFile` setting is set, and the `git.secure` setting is false
+  // It's saved next to the secrets, so it only protects them from other users of the machine
+  SECRETS_KEY_FILE: '.secrets.key',
+
+  // Name of the ENV that holds the password used to encrypt the secrets
+  // Only used when the `git.secure` setting is false, before the key file and the default password
+  SECRETS_KEY_ENV: 'KEG_SECRETS_KEY',
+
+  // Name of the file in the global config folder that tracks the arguments used to create mutagen syncs
+  // Used by `keg mutagen watch --heal` to recreate broken syncs
+  MUTAGEN_SYNCS_FILE: 'mutagen.syncs.json',
+
+  // Task lifecycle hooks, run before and after the action of a task
+  // Hooks are defined in the global config, or in the keg.cli.hooks of a taps config
+  HOOK_TYPES: [
+    'before',
+    'after',
+  ],
+
+  // What to do when a hook fails. Defaults to abort
+  HOOK_POLICIES: [
+    'abort',
+    'continue',
+  ],
+
+  // Config files of a tap checked for the keg.cli settings, in order
+  TAP_CONFIGS: [
+    'tap.json',
+    'app.json',
+    'package.json',
+  ],
+
+  // Policies used when a port of a service is already in use, before starting the service
+  // Set with the --on-port-conflict option, or the `docker.onPortConflict` setting
+  PORT_CONFLICT_POLICIES: [
+    'ask',
+    'kill',
+    'remap',
+    'abort',
+    'ignore',
+  ],
+
+  // Local docker registry used by `keg docker provider registry` for working offline
+  // Set the registry of a tap to "local" to push and pull images from it
+  LOCAL_REGISTRY: {
+    NAME: 'keg-registry',
+    IMAGE: 'registry:2',
+    PORT: 5000,
+    // Path in the global config of the host port the registry was started on
+    PORT_SETTING: 'cli.settings.docker.registryPort',
+  },
 
 })
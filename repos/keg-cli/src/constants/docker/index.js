@@ -1,4 +1,5 @@
 const containers = require('./containers')
+const { valuesSchema } = require('./valuesSchema')
 const { KEG_ENVS } = require('../envs')
 
 const {
@@ -14,6 +15,7 @@ const DOCKER = {
   IMAGES: images,
   CLI_KEY_MAP: cliKeyMap,
   MUTAGEN_MAP: mutagenMap,
+  VALUES_SCHEMA: valuesSchema,
   LOCATION_CONTEXT: locationContext,
   CONTAINERS_PATH: containersPath,
   KEG_PROXY_HOST: KEG_ENVS.KEG_PROXY_HOST,
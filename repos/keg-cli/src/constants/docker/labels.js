@@ -69,6 +69,37 @@ const proxyLabels = [
   ]
 ]
 
+// Labels with the source of an image, so pushed images can be traced back to a commit
+// Only added when the provenance of the image could be found
+const provenanceLabels = [
+  [
+    'KEG_GIT_COMMIT',
+    'provenance.commit',
+    'org.opencontainers.image.revision=${KEG_GIT_COMMIT}'
+  ],
+  [
+    'KEG_GIT_REPO',
+    'provenance.repo',
+    'org.opencontainers.image.source=${KEG_GIT_REPO}'
+  ],
+  [
+    'KEG_GIT_BRANCH',
+    'provenance.branch',
+    'com.keg.git.branch=${KEG_GIT_BRANCH}'
+  ],
+  [
+    'KEG_CLI_VERSION',
+    'provenance.cliVersion',
+    'com.keg.cli.version=${KEG_CLI_VERSION}'
+  ],
+]
+
+const provenanceLabelKeys = provenanceLabels.reduce((map, meta) => {
+  map[meta[1].split('.').pop()] = meta[2].split('=').shift()
+
+  return map
+}, {})
+
 const kegLabelKeys = kegLabels.reduce((map, meta) => {
   const key = meta[2].split('=').shift()
   map[key.replace(/\./g, '_').toUpperCase().replace('COM_', '')] = key
@@ -79,5 +110,7 @@ const kegLabelKeys = kegLabels.reduce((map, meta) => {
 module.exports = {
   kegLabels,
   kegLabelKeys,
+  provenanceLabels,
+  provenanceLabelKeys,
   proxyLabels,
 }
\ No newline at end of file
@@ -33,17 +33,18 @@ const buildExtraData = ({ container, env, __internal={} }) => {
 
 
 /*
- * Checks if an ENV file exists for the current env and loads it
+ * Gets the paths of the .env files for a container, in the order they are merged
+ * <br/>Later paths override the values of earlier paths
  * @function
  * @param {string} container - Name of the container to build the config for
+ * @param {string} env - Current environment the cli is running in
+ * @param {Object} __internal - Internal cli object containing injected paths
  *
- * @returns {Object} - Loaded ENVs for the current environment
+ * @returns {Array} - Paths to the .env files
 */
-const loadEnvFiles = args => {
+const getEnvPaths = args => {
   const { container, env, __internal={} } = args
 
-  const extraData = buildExtraData(args)
-
   const envPaths = [
     // ENVs in the container folder based on current environment
     // Example => /containers/core/local.env
@@ -60,10 +61,23 @@ const loadEnvFiles = args => {
   const { envsPath } = __internal
   envsPath && envPaths.push(envsPath)
 
+  return envPaths
+}
+
+/*
+ * Checks if an ENV file exists for the current env and loads it
+ * @function
+ * @param {string} container - Name of the container to build the config for
+ *
+ * @returns {Object} - Loaded ENVs for the current environment
+*/
+const loadEnvFiles = args => {
+  const extraData = buildExtraData(args)
+
   // Try to load each of the envPaths if then exists
   // Then merge and return them
   return deepMerge(
-    ...envPaths.reduce((envs, envPath) => {
+    ...getEnvPaths(args).reduce((envs, envPath) => {
       return envs.concat([ checkLoadEnv(envPath, extraData) ])
     }, [])
   )
@@ -71,7 +85,8 @@ const loadEnvFiles = args => {
 }
 
 /*
- * Builds two paths one with _ and the other with -
+ * Builds the paths of the values file for an environment
+ * <br/>Supports values_<env>.yml, values-<env>.yml and values.<env>.yml
  * @function
  * @param {string} rootPath - Root path of the values file
  * @param {string} container - Name of the container to build the config for
@@ -86,29 +101,29 @@ const buildValueDup = (rootPath, env, container) => {
       ? [
           path.join(rootPath, `${ container }_values_${ env }.yml`),
           path.join(rootPath, `${ container }-values-${ env }.yml`),
+          path.join(rootPath, `${ container }.values.${ env }.yml`),
         ]
       : [
           path.join(rootPath, `values_${ env }.yml`),
           path.join(rootPath, `values-${ env }.yml`),
+          path.join(rootPath, `values.${ env }.yml`),
         ]
 }
 
 /*
- * Checks if a yml file exists for the current env and loads it's env values
+ * Gets the paths of the values files for a container, in the order they are merged
+ * <br/>Later paths override the values of earlier paths
  * @function
  * @param {string} container - Name of the container to build the config for
  * @param {string} env - Current environment the cli is running in
  * @param {Object} __internal - Internal cli object containing injected paths
- * @param {string} loadPath - Path within the Values file to load content from
  *
- * @returns {Object} - Loaded yaml file content
+ * @returns {Array} - Paths of the values files, that may or may not exist
 */
-const loadValuesFiles = args => {
-  const { container, env, __internal={}, loadPath } = args
+const getValuesPaths = args => {
+  const { container, env, __internal={} } = args
   const { valuesPath, containerPath } = __internal
 
-  const extraData = buildExtraData(args)
-
   const globalPaths = [
     // ENVs in the global config folder based on current environment
     // Example => ~/.kegConfig/values_local.yml
@@ -129,6 +144,7 @@ const loadValuesFiles = args => {
       // Add the main injected values path first
       valuesPath,
       // Also try to load an injected ENV values file that override the default
+      // Example => <tap>/container/values.staging.yml
       ...buildValueDup(containerPath, env),
     ]
   : [
@@ -136,17 +152,38 @@ const loadValuesFiles = args => {
       // Example => /containers/core/values.yml
       path.join(containersPath, container, 'values.yml'),
       // ENVs in the container folder based on current environment
-      // Example => /containers/core/values_local.yml
+      // Example => /containers/core_values_local.yml
       ...buildValueDup(containersPath, env, container),
+      // ENVs in the container folder based on current environment
+      // Example => /containers/core/values.local.yml
+      ...buildValueDup(path.join(containersPath, container), env),
       // Load the global values after the internal values
       // This allows global defaults to overwrite internal values
       ...globalPaths,
     ]
 
+  return ymlPaths.filter(Boolean)
+}
+
+/*
+ * Checks if a yml file exists for the current env and loads it's env values
+ * @function
+ * @param {string} container - Name of the container to build the config for
+ * @param {string} env - Current environment the cli is running in
+ * @param {Object} __internal - Internal cli object containing injected paths
+ * @param {string} loadPath - Path within the Values file to load content from
+ *
+ * @returns {Object} - Loaded yaml file content
+*/
+const loadValuesFiles = args => {
+  const { loadPath } = args
+
+  const extraData = buildExtraData(args)
+
   // Try to load each of the envPaths if it exists, then merge and return them
   return deepMerge(
-    ...ymlPaths.reduce((ymls, ymlPath) => {
-      const loadedYml = ymlPath && loadYmlSync(ymlPath, false, extraData)
+    ...getValuesPaths(args).reduce((ymls, ymlPath) => {
+      const loadedYml = loadYmlSync(ymlPath, false, extraData)
       return loadedYml
         ? ymls.concat([ loadPath ? loadedYml[loadPath] : loadedYml ])
         : ymls
@@ -158,6 +195,9 @@ const loadValuesFiles = args => {
 
 
 module.exports = {
+  buildExtraData,
+  getEnvPaths,
+  getValuesPaths,
   loadEnvFiles,
   loadValuesFiles
 }
@@ -0,0 +1,41 @@
+/**
+ * Schema of the container values.yml files
+ * <br/>Keys of the env object are free-form, so only the known ENVs have their values validated
+ * @object
+ */
+const valuesSchema = {
+
+  // Top level keys allowed in a values.yml file
+  keys: {
+    env: 'object',
+    start: 'string',
+  },
+
+  // Known ENVs used by the Keg-CLI, mapped to the type of their value
+  // port => Number between 1 and 65535
+  // file => Path to a file that should exist
+  env: {
+    CONTAINER_NAME: 'string',
+    DOC_APP_PATH: 'string',
+    DOC_APP_PORT: 'port',
+    GIT_APP_URL: 'string',
+    IMAGE: 'string',
+    KEG_COMPOSE_DEFAULT: 'file',
+    KEG_COMPOSE_REPO: 'file',
+    KEG_COMPOSE_SERVICE: 'string',
+    KEG_CONTEXT_PATH: 'string',
+    KEG_DOCKER_FILE: 'file',
+    KEG_DOCKER_NETWORK: 'string',
+    KEG_EXEC_CMD: 'string',
+    KEG_MUTAGEN_FILE: 'file',
+    KEG_PROXY_HOST: 'string',
+    KEG_PROXY_PORT: 'port',
+    KEG_VALUES_FILE: 'file',
+    VERSION: 'string',
+  },
+
+}
+
+module.exports = {
+  valuesSchema
+}
@@ -0,0 +1,76 @@
+const crypto = require('crypto')
+const { encrypt, decrypt, isLegacyEncrypted } = require('../crypto')
+
+/**
+ * Encrypts a value with the legacy format, to test decrypting existing values
+ */
+const legacyEncrypt = (str, password) => {
+  const iv = crypto.randomBytes(16)
+  const key = crypto.createHash('sha1').update(password || 'a4E36cDq').digest().slice(0, 16)
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, iv)
+  const encrypted = Buffer.concat([ cipher.update(str), cipher.final() ])
+
+  return `${iv.toString('hex')}:${encrypted.toString('hex')}`
+}
+
+describe('crypto', () => {
+
+  describe('encrypt', () => {
+
+    it('should encrypt a value that can be decrypted with the same password', () => {
+      const encrypted = encrypt('my-secret-token', 'password')
+
+      expect(encrypted).not.toContain('my-secret-token')
+      expect(decrypt(encrypted, 'password')).toBe('my-secret-token')
+    })
+
+    it('should use a new salt and iv for each encrypted value', () => {
+      const first = encrypt('my-secret-token', 'password')
+      const second = encrypt('my-secret-token', 'password')
+      const [ version, salt, iv ] = first.split(':')
+
+      expect(version).toBe('v2')
+      expect(first).not.toBe(second)
+      expect(second.split(':')[1]).not.toBe(salt)
+      expect(second.split(':')[2]).not.toBe(iv)
+    })
+
+    it('should throw when no password is passed', () => {
+      expect(() => encrypt('my-secret-token')).toThrow()
+    })
+
+  })
+
+  describe('decrypt', () => {
+
+    it('should throw when the password is wrong', () => {
+      const encrypted = encrypt('my-secret-token', 'password')
+
+      expect(() => decrypt(encrypted, 'wrong-password')).toThrow()
+    })
+
+    it('should throw when the encrypted value was modified', () => {
+      const parts = encrypt('my-secret-token', 'password').split(':')
+      const data = parts[4]
+      parts[4] = (data[0] === 'a' ? 'b' : 'a') + data.slice(1)
+
+      expect(() => decrypt(parts.join(':'), 'password')).toThrow()
+    })
+
+    it('should decrypt values encrypted with the legacy format', () => {
+      expect(decrypt(legacyEncrypt('my-token', 'password'), 'password')).toBe('my-token')
+      expect(decrypt(legacyEncrypt('my-token'), false)).toBe('my-token')
+    })
+
+  })
+
+  describe('isLegacyEncrypted', () => {
+
+    it('should only be true for values encrypted with the legacy format', () => {
+      expect(isLegacyEncrypted(legacyEncrypt('my-token'))).toBe(true)
+      expect(isLegacyEncrypted(encrypt('my-token', 'password'))).toBe(false)
+    })
+
+  })
+
+})
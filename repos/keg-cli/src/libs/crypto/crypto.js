@@ -1,52 +1,116 @@
 const crypto = require('crypto')
 
-const algorithm = 'aes-128-cbc'
+const algorithm = 'aes-256-gcm'
 const secretFormat = 'hex'
-const iv = crypto.randomBytes(16)
-const salt = 'a4E36cDq'
+const formatVersion = 'v2'
+const keyLength = 32
+const ivLength = 12
+const saltLength = 16
 
-const getKey = (password) => {
+// Settings of the legacy format, only used to decrypt values stored before the v2 format
+const legacyAlgorithm = 'aes-128-cbc'
+const legacySalt = 'a4E36cDq'
+
+/**
+ * Derives the key used by the legacy format from the password
+ * @param {string} password - Password used to encrypt the value
+ *
+ * @returns {Buffer} - Derived key
+ */
+const getLegacyKey = password => {
   const hash = crypto.createHash("sha1")
   hash.update(password)
   return hash.digest().slice(0, 16)
 }
 
+/**
+ * Derives a key from the password and salt with scrypt
+ * @param {string} password - Password used to encrypt the value
+ * @param {Buffer} salt - Random salt stored with the encrypted value
+ *
+ * @returns {Buffer} - Derived key
+ */
+const getKey = (password, salt) => crypto.scryptSync(password, salt, keyLength)
+
+/**
+ * Checks if the passed in string was encrypted with the legacy format
+ * @param {string} str - Encrypted string
+ *
+ * @returns {boolean} - True if the string uses the legacy format
+ */
+const isLegacyEncrypted = str => typeof str === 'string' && str.indexOf(`${formatVersion}:`) !== 0
+
 /**
  * Encrypts the passed in string
+ * <br/>Uses a random salt and iv for every call, and authenticates the encrypted value
  * @param {string} str - String to be encrypted
+ * @param {string} password - Password used to derive the key
  *
- * @returns {string} - Encrypted string
+ * @returns {string} - Encrypted string => v2:salt:iv:authTag:encrypted
  */
 const encrypt = (str, password) => {
-  const key = getKey(password || salt)
-  const cipher = crypto.createCipheriv(algorithm, key, iv);
-  const encrypted = cipher.update(str)
-  const encryptedBuffer = Buffer.concat([encrypted, cipher.final()])
+  if(!password) throw new Error(`A password is required to encrypt a value!`)
+
+  const salt = crypto.randomBytes(saltLength)
+  const iv = crypto.randomBytes(ivLength)
+  const cipher = crypto.createCipheriv(algorithm, getKey(password, salt), iv)
+  const encrypted = Buffer.concat([ cipher.update(str, 'utf8'), cipher.final() ])
 
-  return iv.toString(secretFormat) + ':' + encryptedBuffer.toString(secretFormat)
+  return [
+    formatVersion,
+    salt.toString(secretFormat),
+    iv.toString(secretFormat),
+    cipher.getAuthTag().toString(secretFormat),
+    encrypted.toString(secretFormat),
+  ].join(':')
 }
 
 /**
- * Decrypts the passed in string
- * @param {string} data - String to be decrypted
+ * Decrypts a string encrypted with the legacy format
+ * @param {string} str - String to be decrypted
+ * @param {string} password - Password used to encrypt the value
  *
  * @returns {string} - Decrypted string
  */
-const decrypt = (str, password) => {
-
+const legacyDecrypt = (str, password) => {
   const strSplit = str.split(':')
-  const ivFromKey = Buffer.from(strSplit.shift(), secretFormat);
+  const ivFromKey = Buffer.from(strSplit.shift(), secretFormat)
   const encryptedText = Buffer.from(strSplit.join(':'), secretFormat)
 
-  const key = getKey(password || salt)
-  const decipher = crypto.createDecipheriv(algorithm, key, ivFromKey)
+  const key = getLegacyKey(password || legacySalt)
+  const decipher = crypto.createDecipheriv(legacyAlgorithm, key, ivFromKey)
   const decrypted = decipher.update(encryptedText)
 
   return Buffer.concat([decrypted, decipher.final()]).toString()
+}
+
+/**
+ * Decrypts the passed in string
+ * <br/>Throws when the password is wrong, or the encrypted value was modified
+ * @param {string} str - String to be decrypted
+ * @param {string} password - Password used to encrypt the value
+ *
+ * @returns {string} - Decrypted string
+ */
+const decrypt = (str, password) => {
+  if(isLegacyEncrypted(str)) return legacyDecrypt(str, password)
+
+  const [ version, salt, iv, authTag, encrypted ] = str.split(':')
+  const decipher = crypto.createDecipheriv(
+    algorithm,
+    getKey(password || '', Buffer.from(salt, secretFormat)),
+    Buffer.from(iv, secretFormat)
+  )
+  decipher.setAuthTag(Buffer.from(authTag, secretFormat))
 
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, secretFormat)),
+    decipher.final()
+  ]).toString('utf8')
 }
 
 module.exports = {
   encrypt,
-  decrypt
+  decrypt,
+  isLegacyEncrypted,
 }
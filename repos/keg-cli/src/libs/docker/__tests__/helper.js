@@ -57,5 +57,28 @@ describe('Docker Helpers', () => {
 
   })
 
+  describe('toBuildSecrets', () => {
+
+    afterAll(() => jest.resetAllMocks())
+
+    it('It should add the secrets as BuildKit secret mounts without their values', () => {
+
+      const cmd = Helpers.toBuildSecrets({ GIT_KEY: 'my-secret-key' }, 'docker build')
+
+      expect(cmd).toBe('docker build --secret id=GIT_KEY,env=GIT_KEY')
+      expect(cmd.indexOf('my-secret-key')).toBe(-1)
+
+    })
+
+    it('It should skip secrets without a value', () => {
+
+      const cmd = Helpers.toBuildSecrets({ GIT_KEY: '', PUBLIC_GIT_KEY: undefined }, 'docker build')
+
+      expect(cmd).toBe('docker build')
+
+    })
+
+  })
+
 
 })
\ No newline at end of file
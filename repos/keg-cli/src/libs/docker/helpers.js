@@ -337,6 +337,37 @@ const toBuildArgs = (envs={}, cmd='', filters=[]) => {
       ).trim()
 }
 
+/**
+ * Converts a key into a docker BuildKit secret mount ( --secret id=key,env=key )
+ * <br/>Only the name of the ENV is added, the value is read by docker from the ENV
+ * <br/>So the value is never part of the command or the image history
+ * @function
+ * @param {string} key - Name of the secret, and the ENV that holds its value
+ * @param {string} [cmd=''] - Cmd to add the secret to
+ *
+ * @returns {string} - Passed in cmd, with the secret added
+ */
+const asBuildSecret = (key, cmd='') => `${cmd} --secret id=${ key },env=${ key }`.trim()
+
+/**
+ * Converts an object into docker BuildKit secret mounts
+ * <br/>Secrets without a value are skipped
+ * @function
+ * @param {Object} [secrets={}] - Secrets to be converted
+ * @param {string} [cmd=''] - Cmd to add the secrets to
+ *
+ * @returns {string} - Passed in cmd, with the secrets added
+ */
+const toBuildSecrets = (secrets={}, cmd='') => {
+  return !isObj(secrets)
+    ? cmd
+    : reduceObj(
+        secrets,
+        (key, value, buildCmd) => value ? asBuildSecret(key, buildCmd) : buildCmd,
+        cmd
+      ).trim()
+}
+
 const getCmdParams = (args, ext={}) => {
   return isStr(args) ? { item: args, ...ext } : { ...ext, ...args }
 }
@@ -372,6 +403,7 @@ const buildNames = ({ image, name, tag }) => {
 
 module.exports = {
   asBuildArg,
+  asBuildSecret,
   asContainerEnv,
   apiError,
   apiSuccess,
@@ -383,5 +415,6 @@ module.exports = {
   noItemFoundError,
   portAsJSON,
   toBuildArgs,
+  toBuildSecrets,
   toContainerEnvs,
 }
@@ -1,9 +1,18 @@
-const { asBuildArg, asContainerEnv, toContainerEnvs, toBuildArgs } = require('./helpers')
+const {
+  asBuildArg,
+  asBuildSecret,
+  asContainerEnv,
+  toContainerEnvs,
+  toBuildArgs,
+  toBuildSecrets,
+} = require('./helpers')
 
 module.exports = {
   asBuildArg,
+  asBuildSecret,
   asContainerEnv,
   toBuildArgs,
+  toBuildSecrets,
   toContainerEnvs,
   ...require('./commands'),
   image: require('./image'),
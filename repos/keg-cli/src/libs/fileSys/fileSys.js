@@ -31,6 +31,19 @@ const movePath = (oldPath, newPath) => {
   return limboify(fs.rename, oldPath, newPath)
 }
 
+/**
+ * Moves a file from one location to another synchronously
+ * <br/>On the same file system the move is atomic, so the new path is never partially written
+ * @function
+ * @param {*} oldPath - Move from location
+ * @param {*} newPath - Move to location
+ *
+ * @returns {void}
+ */
+const movePathSync = (oldPath, newPath) => {
+  return fs.renameSync(oldPath, newPath)
+}
+
 /**
  * Makes a directory at the passed in folderPath
  * @function
@@ -346,7 +359,7 @@ const removeFile = file => limboify(fs.unlink, file)
  *
  * @returns {void}
  */
-const removeFileSync = file => fs.unlinkSync(filePath, callbackFunction)
+const removeFileSync = file => fs.unlinkSync(file)
 
 
 /**
@@ -450,6 +463,7 @@ module.exports = {
   getFolderContentSync,
   mkDir,
   movePath,
+  movePathSync,
   pathExists,
   pathExistsSync,
   readFile,
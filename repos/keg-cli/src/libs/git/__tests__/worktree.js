@@ -0,0 +1,68 @@
+const path = require('path')
+const { isArr } = require('@keg-hub/jsutils')
+const cliRoot = path.join(__dirname, '../../../../')
+const { git } = require('../git')
+const { formatWorktrees } = require('../worktree')
+
+const porcelain = `worktree /keg-hub/taps/my-tap
+HEAD 6f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a
+branch refs/heads/develop
+
+worktree /keg-hub/previews/my-tap-feature-login
+HEAD 0a9b8c7d6e5f4a3b2c1d0e9f8a7b6c5d4e3f2a1b
+branch refs/heads/feature/login
+
+worktree /keg-hub/previews/my-tap-detached
+HEAD 1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c
+detached
+`
+
+describe('worktree', () => {
+
+  afterEach(() => jest.resetAllMocks())
+
+  describe('formatWorktrees', () => {
+
+    it('should convert the porcelain output into worktree objects', () => {
+      expect(formatWorktrees(porcelain)).toEqual([
+        {
+          path: '/keg-hub/taps/my-tap',
+          commit: '6f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a',
+          branch: 'develop',
+        },
+        {
+          path: '/keg-hub/previews/my-tap-feature-login',
+          commit: '0a9b8c7d6e5f4a3b2c1d0e9f8a7b6c5d4e3f2a1b',
+          branch: 'feature/login',
+        },
+        {
+          path: '/keg-hub/previews/my-tap-detached',
+          commit: '1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c',
+          detached: true,
+        },
+      ])
+    })
+
+    it('should return an empty array when there is no output', () => {
+      expect(formatWorktrees('')).toEqual([])
+      expect(formatWorktrees()).toEqual([])
+    })
+
+  })
+
+  describe('list', () => {
+
+    it('should return the worktrees of the repo at the passed in location', async done => {
+
+      const res = await git.worktree.list(cliRoot)
+
+      expect(isArr(res)).toBe(true)
+      expect(res.length > 0).toBe(true)
+      res.map(worktree => expect('path' in worktree).toBe(true))
+
+      done()
+    })
+
+  })
+
+})
@@ -2,6 +2,7 @@ const { Logger } = require('KegLog')
 const { Repo } = require('./repo')
 const { Remote } = require('./remote')
 const { Branch } = require('./branch')
+const { Worktree } = require('./worktree')
 const { gitSSHEnv, buildCmdOpts } = require('./helpers')
 const { gitCli } = require('./commands')
 
@@ -11,6 +12,7 @@ class Git {
     this.branch = new Branch(this, options)
     this.repo = new Repo(this, options)
     this.remote = new Remote(this, options)
+    this.worktree = new Worktree(this, options)
 
     options.sshKey && this.setSSHKey(options.sshKey)
   }
@@ -0,0 +1,131 @@
+const os = require('os')
+const fs = require('fs')
+const path = require('path')
+const { prDiff } = require('KegMocks/github')
+const { generalError } = require('KegMocks/utils/error/generalError')
+jest.setMock('KegUtils/error/generalError', { generalError })
+
+const pr = require('../pr')
+
+// Use the fake gh binary, so no calls are made to github
+const fakeGhPath = path.join(__dirname, '../../../../__mocks__/github/bin')
+const callsPath = path.join(os.tmpdir(), `keg-fake-gh-calls-${process.pid}`)
+const orgPath = process.env.PATH
+const location = process.cwd()
+
+const getCalls = () => fs.readFileSync(callsPath, 'utf8')
+  .trim()
+  .split('\n')
+  .map(call => JSON.parse(call))
+
+describe('github pr', () => {
+
+  beforeAll(() => {
+    process.env.PATH = `${fakeGhPath}${path.delimiter}${orgPath}`
+    process.env.FAKE_GH_CALLS = callsPath
+  })
+
+  beforeEach(() => {
+    fs.writeFileSync(callsPath, '')
+    delete process.env.FAKE_GH_FAIL
+  })
+
+  afterAll(() => {
+    process.env.PATH = orgPath
+    delete process.env.FAKE_GH_CALLS
+    fs.existsSync(callsPath) && fs.unlinkSync(callsPath)
+    jest.resetAllMocks()
+  })
+
+  describe('list', () => {
+
+    it('should return the open pull requests parsed from the json output', async () => {
+      const res = await pr.list({ location })
+
+      expect(res.length).toBe(1)
+      expect(res[0].number).toBe(42)
+      expect(res[0].headRefName).toBe('feature-login')
+      expect(getCalls()[0].slice(0, 2)).toEqual([ 'pr', 'list' ])
+    })
+
+    it('should pass the filters to the gh cli', async () => {
+      const res = await pr.list({ location, state: 'all', limit: 10 })
+
+      expect(res.map(item => item.number)).toEqual([ 42, 41 ])
+      expect(getCalls()[0].slice(2, 6)).toEqual([ '--state', 'all', '--limit', '10' ])
+    })
+
+  })
+
+  describe('create', () => {
+
+    it('should return the url and number of the created pull request', async () => {
+      const res = await pr.create({ location, title: `Add the signup screen's form`, base: 'develop' })
+
+      expect(res).toEqual({
+        url: 'https://github.com/simpleviewinc/tap-events-force/pull/43',
+        number: 43,
+      })
+      expect(getCalls()[0]).toEqual([
+        'pr', 'create', '--title', `Add the signup screen's form`, '--base', 'develop', '--body', ''
+      ])
+    })
+
+    it('should fill the title and body from the commits when no title is passed', async () => {
+      await pr.create({ location, draft: true })
+
+      expect(getCalls()[0]).toEqual([ 'pr', 'create', '--draft', '--fill' ])
+    })
+
+  })
+
+  describe('diff', () => {
+
+    it('should return the diff of the pull request', async () => {
+      expect(await pr.diff({ location, number: 42 })).toBe(prDiff.trim())
+    })
+
+  })
+
+  describe('actions', () => {
+
+    it('should return true when the gh command succeeds, even when it logs to stderr', async () => {
+      expect(await pr.checkout({ location, number: 42 })).toBe(true)
+      expect(await pr.ready({ location, number: 41 })).toBe(true)
+      expect(await pr.reopen({ location, number: 41 })).toBe(true)
+      expect(await pr.close({ location, number: 42, comment: 'Not needed', deleteBranch: true })).toBe(true)
+
+      expect(getCalls()[3]).toEqual([ 'pr', 'close', '42', '--comment', 'Not needed', '--delete-branch' ])
+    })
+
+    it('should merge the pull request with the passed in method', async () => {
+      expect(await pr.merge({ location, number: 42, method: 'squash' })).toBe(true)
+      expect(getCalls()[0]).toEqual([ 'pr', 'merge', '42', '--squash' ])
+    })
+
+    it('should throw and not call the gh cli when the number is not an integer', async () => {
+      expect(() => pr.merge({ location, number: '42; rm -rf ~' })).toThrow()
+      expect(() => pr.checkout({ location })).toThrow()
+      expect(() => pr.close({ location, number: 'abc' })).toThrow()
+      expect(generalError).toHaveBeenCalledTimes(3)
+      expect(fs.readFileSync(callsPath, 'utf8')).toBe('')
+    })
+
+    it('should convert string numbers, and allow diff without a number', async () => {
+      expect(await pr.reopen({ location, number: '41' })).toBe(true)
+      await pr.diff({ location, number: undefined, errResponse: '', skipError: true })
+
+      expect(getCalls()[0]).toEqual([ 'pr', 'reopen', '41' ])
+      expect(getCalls()[1]).toEqual([ 'pr', 'diff', '--color', 'never' ])
+    })
+
+    it('should return the errResponse when the gh command fails', async () => {
+      expect(await pr.merge({ location, number: 7, errResponse: false, skipError: true })).toBe(false)
+
+      process.env.FAKE_GH_FAIL = 'authentication required'
+      expect(await pr.list({ location, errResponse: [], skipError: true })).toEqual([])
+    })
+
+  })
+
+})
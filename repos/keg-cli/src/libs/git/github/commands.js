@@ -1,30 +1,41 @@
 const { Logger } = require('KegLog')
+const { executeCmd } = require('KegProc')
 const { cliError, cliSuccess } = require('./helpers')
-const { executeCmd, spawnCmd, spawnProc } = require('KegProc')
+const { isArr, toStr } = require('@keg-hub/jsutils')
 
 /**
  * Calls the gh cli from the command line and returns the response
+ * <br/>The gh cli logs progress messages to stderr, so the exit code is used to check for errors
  * @function
  * @param {Object} args - arguments used to build the gh cli
+ * @param {string} args.cmd - gh command to be run ( I.E. pr list )
+ * @param {Array|string} args.opts - optional arguments to pass to the gh command
+ * @param {boolean} args.log - Log the gh command being run before running it
+ * @param {string} [args.format=''] - Format of the gh command output ( json )
+ * @param {boolean} args.skipError - Skip logging an error if the gh command fails
+ * @param {*} args.errResponse - On an error calling gh, this will be returned.
+ *                               If errResponse is undefined, the current process will exit
+ * @param {Object} cmdOpts - Options to pass to the child process
+ * @param {string} location - Location where the gh command should be run
  *
- * @returns {Array|string} - JSON array of items || stdout from docker cli call
+ * @returns {Array|Object|string} - Parsed JSON response || stdout from gh cli call
  */
-const ghCli = async ({ cmd, opts, log }) => {
+const ghCli = async (args={}, cmdOpts={}, location) => {
+  const { cmd, opts, log, format='', errResponse, skipError } = args
 
-  opts = isArr(opts) ? opts.join(' ') : opts
-
-  const cmdToRun = `gh ${ cmd } ${ opts }`.trim()
+  const options = isArr(opts) ? opts.join(' ').trim() : toStr(opts)
+  const cmdToRun = `gh ${ cmd } ${ options }`.trim()
 
   log && Logger.spacedMsg(`  Running command: `, cmdToRun)
 
-  const { error, data } = await executeCmd(cmdToRun, cmdOpts)
+  const { error, data, exitCode } = await executeCmd(cmdToRun, cmdOpts, location)
 
-  return error
+  return exitCode !== 0
     ? cliError(error, errResponse, skipError)
-    : cliSuccess(data, format)
+    : cliSuccess(data, format, errResponse)
 
 }
 
 module.exports = {
   ghCli
-}
\ No newline at end of file
+}
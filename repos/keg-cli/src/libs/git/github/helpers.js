@@ -1,27 +1,82 @@
 const { Logger } = require('KegLog')
 const { getGlobalConfig } = require('KegUtils/globalConfig/getGlobalConfig')
-const { checkCall } = require('@keg-hub/jsutils')
+const { getRepoPath } = require('KegUtils/getters/getRepoPath')
+const { throwNoConfigPath } = require('KegUtils/error/throwNoConfigPath')
+const { NEWLINES_MATCH } = require('KegConst/patterns')
+const { checkCall, isObj, isStr, toStr } = require('@keg-hub/jsutils')
 
 /**
  * Called on failed ghCli call
+ * <br/>Logs the error, then returns the errResponse. Exits the process if no errResponse is passed
  * @function
- * @param {Object} response - response from the ghCli call
+ * @param {string|Error} error - Error from the ghCli call
+ * @param {*} errResponse - Response to return after logging the error
+ * @param {boolean} skipError - Skip logging the error
  *
- * @returns {*}
+ * @returns {*} - The passed in errResponse
  */
-const cliError = () => {
-  
+const cliError = (error, errResponse, skipError) => {
+
+  // Check if we should skip logging the error
+  if(skipError) return errResponse
+
+  const toLog = isStr(error)
+    ? error
+    : isObj(error) && error.stack
+      ? error.stack
+      : toStr(error)
+
+  Logger.empty()
+  Logger.error(`  Github Cli Error:`)
+  Logger.error(` `, toLog.trim().split(NEWLINES_MATCH).join('\n  '))
+  Logger.empty()
+
+  // If the errResponse is not undefined, return it... otherwise exit the process!
+  return errResponse !== undefined ? errResponse : process.exit(1)
 }
 
 /**
  * Called on successful ghCli call
+ * <br/>Parses the response when the json format is used
  * @function
- * @param {Object} response - response from the ghCli call
+ * @param {string} data - stdout from the ghCli call
+ * @param {string} format - Output format of the data
+ * @param {*} errResponse - Response to return if the data can not be parsed
  *
- * @returns {*}
+ * @returns {Array|Object|string} - Parsed JSON response || trimmed stdout
  */
-const cliSuccess = () => {
-  
+const cliSuccess = (data='', format, errResponse) => {
+  if(format !== 'json') return data.trim()
+
+  try {
+    return JSON.parse(data)
+  }
+  catch(err){
+    return cliError(`Could not parse the gh cli response as JSON => ${err.message}`, errResponse)
+  }
+}
+
+/**
+ * Gets the location of the repo to run the gh command in
+ * <br/>Uses the passed in location, then the path of the tap or context from the globalConfig
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments passed to the github method
+ * @param {string} args.location - Path of the repo
+ * @param {string} args.tap - Name of a linked tap
+ * @param {string} args.context - Name of a repo in the globalConfig paths
+ *
+ * @returns {string} - Location of the repo
+ */
+const getRepoLocation = (globalConfig, { location, tap, context }) => {
+  if(location) return location
+
+  const name = tap || context
+  if(!name) return process.cwd()
+
+  const repoPath = getRepoPath(name, globalConfig)
+
+  return repoPath || throwNoConfigPath(globalConfig, name)
 }
 
 /**
@@ -36,5 +91,6 @@ const injectGlobalConfig = method => (...args) => checkCall(method, getGlobalCon
 module.exports = {
   cliError,
   cliSuccess,
+  getRepoLocation,
   injectGlobalConfig
-}
\ No newline at end of file
+}
@@ -1,57 +1,256 @@
-const { injectGlobalConfig } = require('./helpers')
+const { exists, isStr } = require('@keg-hub/jsutils')
+const { generalError } = require('KegUtils/error/generalError')
+const { ghCli } = require('./commands')
+const { getRepoLocation, injectGlobalConfig } = require('./helpers')
 
-const checkout = injectGlobalConfig((globalConfig, args) => {
-  
-})
+/**
+ * Fields of a pull request returned by the gh cli when using the json format
+ * @array
+ */
+const PR_FIELDS = [
+  'number',
+  'title',
+  'state',
+  'url',
+  'author',
+  'isDraft',
+  'headRefName',
+  'baseRefName',
+  'createdAt',
+]
 
+/**
+ * Quotes a value, so it can be safely passed as a gh cli argument
+ * @function
+ * @param {string} value - Value to quote
+ *
+ * @returns {string} - Quoted value
+ */
+const quote = value => `'${ String(value).replace(/'/g, `'\\''`) }'`
 
-const close = injectGlobalConfig((globalConfig, args) => {
-  
-})
+/**
+ * Converts the number of a pull request to an integer, so only a number is passed to the gh cli
+ * <br/>Throws when the number is not an integer, or is required and does not exist
+ * @function
+ * @param {number|string} number - Number of the pull request
+ * @param {boolean} [required=true] - Is the pull request number required
+ *
+ * @returns {number|undefined} - Number of the pull request
+ */
+const toPrNumber = (number, required=true) => {
+  if(!required && !exists(number)) return undefined
 
+  const prNum = /^\s*\d+\s*$/.test(String(number)) ? parseInt(number, 10) : NaN
 
-const create = injectGlobalConfig((globalConfig, args) => {
-  
-})
+  return isNaN(prNum)
+    ? generalError(`Invalid pull request number "${ number }". Must be an integer!`)
+    : prNum
+}
 
+/**
+ * Builds the options for the gh cli from the passed in flags
+ * <br/>Boolean flags are only added when true, other flags are added with their value quoted
+ * @function
+ * @param {Object} flags - Key value pairs of gh cli flag names and their values
+ *
+ * @returns {Array} - Built gh cli options
+ */
+const buildFlags = flags => {
+  return Object.entries(flags).reduce((opts, [ flag, value ]) => {
+    if(value === undefined || value === null || value === false) return opts
 
-const diff = injectGlobalConfig((globalConfig, args) => {
-  
-})
+    return value === true
+      ? opts.concat([ `--${flag}` ])
+      : opts.concat([ `--${flag}`, quote(value) ])
+  }, [])
+}
 
+/**
+ * Calls the gh pr command in the location of the repo
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments passed to the pr method
+ * @param {string} cmd - gh pr sub command to run
+ * @param {Array} opts - Options to pass to the gh pr sub command
+ * @param {string} format - Output format of the gh command
+ *
+ * @returns {*} - response of the github cli
+ */
+const prCli = (globalConfig, args, cmd, opts=[], format) => {
+  const { log, errResponse, skipError } = args
 
-const list = injectGlobalConfig((globalConfig, args) => {
-  
-})
+  return ghCli({
+    log,
+    format,
+    skipError,
+    errResponse,
+    cmd: `pr ${cmd}`,
+    opts: opts.filter(opt => opt !== undefined && opt !== ''),
+  }, {}, getRepoLocation(globalConfig, args))
+}
 
+/**
+ * Calls a gh pr command that does not return any data, only a status message
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments passed to the pr method
+ * @param {string} cmd - gh pr sub command to run
+ * @param {Array} opts - Options to pass to the gh pr sub command
+ *
+ * @returns {boolean} - True if the gh command was successful
+ */
+const prAction = async (globalConfig, args, cmd, opts) => {
+  const res = await prCli(globalConfig, args, cmd, opts)
 
-const merge = injectGlobalConfig((globalConfig, args) => {
-  
+  return isStr(res)
+}
+
+/**
+ * Checks out the branch of a pull request locally
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments to checkout the pull request
+ * @param {number} args.number - Number of the pull request
+ *
+ * @returns {boolean} - True if the pull request was checked out
+ */
+const checkout = injectGlobalConfig((globalConfig, args) => {
+  return prAction(globalConfig, args, 'checkout', [ toPrNumber(args.number) ])
 })
 
+/**
+ * Closes a pull request
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments to close the pull request
+ * @param {number} args.number - Number of the pull request
+ * @param {string} args.comment - Comment to leave when closing the pull request
+ * @param {boolean} args.deleteBranch - Delete the local and remote branch of the pull request
+ *
+ * @returns {boolean} - True if the pull request was closed
+ */
+const close = injectGlobalConfig((globalConfig, args) => {
+  const { number, comment, deleteBranch } = args
 
-const ready = injectGlobalConfig((globalConfig, args) => {
-  
+  return prAction(globalConfig, args, 'close', [
+    toPrNumber(number),
+    ...buildFlags({ comment, 'delete-branch': deleteBranch })
+  ])
 })
 
+/**
+ * Creates a pull request from the current branch
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments to create the pull request
+ * @param {string} args.title - Title of the pull request
+ * @param {string} args.body - Body of the pull request
+ * @param {string} args.base - Branch the pull request should be merged into
+ * @param {string} args.head - Branch that contains the changes. Defaults to the current branch
+ * @param {boolean} args.draft - Create the pull request as a draft
+ *
+ * @returns {Object|*} - Url and number of the created pull request
+ */
+const create = injectGlobalConfig(async (globalConfig, args) => {
+  const { title, body, base, head, draft } = args
 
-const reopen = injectGlobalConfig((globalConfig, args) => {
-  
+  // Fill the title and body from the commits when no title is passed
+  // The gh cli requires a body with the title when it's not run interactively
+  const url = await prCli(globalConfig, args, 'create', buildFlags({
+    title,
+    base,
+    head,
+    draft,
+    body: title ? body || '' : body,
+    fill: !title,
+  }))
+
+  if(!isStr(url)) return url
+
+  const number = parseInt(url.split('/').pop())
+
+  return { url, number: isNaN(number) ? undefined : number }
 })
 
+/**
+ * Gets the diff of a pull request
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments to get the pull request diff
+ * @param {number} args.number - Number of the pull request. Defaults to the pull request of the current branch
+ *
+ * @returns {string} - Diff of the pull request
+ */
+const diff = injectGlobalConfig((globalConfig, args) => {
+  return prCli(globalConfig, args, 'diff', [ toPrNumber(args.number, false), '--color never' ])
+})
 
-const review = injectGlobalConfig((globalConfig, args) => {
-  
+/**
+ * Lists the pull requests of the repo
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments to filter the pull requests
+ * @param {string} args.state - State of the pull requests ( open | closed | merged | all )
+ * @param {string} args.base - Only list pull requests that merge into the base branch
+ * @param {string} args.author - Only list pull requests created by the author
+ * @param {number} args.limit - Max number of pull requests to list
+ *
+ * @returns {Array} - Pull request objects
+ */
+const list = injectGlobalConfig((globalConfig, args) => {
+  const { state, base, author, limit } = args
+
+  return prCli(globalConfig, args, 'list', [
+    ...buildFlags({ state, base, author, limit }),
+    `--json ${ PR_FIELDS.join(',') }`,
+  ], 'json')
 })
 
+/**
+ * Merges a pull request
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments to merge the pull request
+ * @param {number} args.number - Number of the pull request
+ * @param {string} [args.method=merge] - How the pull request should be merged ( merge | squash | rebase )
+ * @param {boolean} args.deleteBranch - Delete the local and remote branch after merging
+ *
+ * @returns {boolean} - True if the pull request was merged
+ */
+const merge = injectGlobalConfig((globalConfig, args) => {
+  const { number, method='merge', deleteBranch } = args
 
-const status = injectGlobalConfig((globalConfig, args) => {
-  
+  return prAction(globalConfig, args, 'merge', [
+    toPrNumber(number),
+    `--${method}`,
+    ...buildFlags({ 'delete-branch': deleteBranch }),
+  ])
 })
 
+/**
+ * Marks a draft pull request as ready for review
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments to update the pull request
+ * @param {number} args.number - Number of the pull request
+ *
+ * @returns {boolean} - True if the pull request was marked as ready
+ */
+const ready = injectGlobalConfig((globalConfig, args) => {
+  return prAction(globalConfig, args, 'ready', [ toPrNumber(args.number) ])
+})
 
-const view = injectGlobalConfig((globalConfig, args) => {
-  
+/**
+ * Reopens a closed pull request
+ * @function
+ * @param {Object} globalConfig - Keg-Cli globalConfig object
+ * @param {Object} args - Arguments to reopen the pull request
+ * @param {number} args.number - Number of the pull request
+ *
+ * @returns {boolean} - True if the pull request was reopened
+ */
+const reopen = injectGlobalConfig((globalConfig, args) => {
+  return prAction(globalConfig, args, 'reopen', [ toPrNumber(args.number) ])
 })
 
 module.exports = {
@@ -63,7 +262,4 @@ module.exports = {
   merge,
   ready,
   reopen,
-  review,
-  status,
-  view,
-}
\ No newline at end of file
+}
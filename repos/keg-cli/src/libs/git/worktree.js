@@ -0,0 +1,109 @@
+const { gitCli, gitCmd } = require('./commands')
+const { buildCmdOpts } = require('./helpers')
+const { NEWLINES_MATCH } = require('KegConst/patterns')
+
+/**
+ * Formats the porcelain output of the git worktree list command into json objects
+ * @function
+ * @param {string} data - text response from the gitCli
+ *
+ * @returns {Array} - Worktree objects with the path, commit and branch of each worktree
+ */
+const formatWorktrees = (data='') => {
+  return data.split(NEWLINES_MATCH)
+    .reduce((worktrees, line) => {
+      const [ key, ...value ] = line.trim().split(' ')
+      if(!key) return worktrees
+
+      // Each worktree starts with the worktree key, so add a new worktree object
+      if(key === 'worktree') return worktrees.concat([{ path: value.join(' ') }])
+
+      const worktree = worktrees[worktrees.length - 1]
+      if(!worktree) return worktrees
+
+      key === 'HEAD' && (worktree.commit = value[0])
+      key === 'branch' && (worktree.branch = value[0].replace('refs/heads/', ''))
+      key === 'detached' && (worktree.detached = true)
+
+      return worktrees
+    }, [])
+}
+
+class Worktree {
+
+  constructor(git, options){
+    this.git = git
+    this.options = options
+  }
+
+  /**
+  * Creates a new worktree of the repo with the branch checked out
+  * @memberof Worktree
+  * @function
+  * @param {Object} args - Arguments that define the worktree to create
+  * @param {string} args.location - Location of the repo to create the worktree from
+  * @param {string} args.path - Location where the worktree should be created
+  * @param {string} args.branch - Branch to checkout in the worktree
+  * @param {boolean} args.log - Should the git command be logged
+  * @param {Object} cmdOpts - Options to pass to the spawnCmd
+  *
+  * @returns {boolean} - True if the worktree was created
+  */
+  add = async ({ location=process.cwd(), path, branch, log }, cmdOpts={}) => {
+    // Pass the path and branch as arguments, so they are never parsed by a shell
+    const exitCode = await gitCmd(
+      `worktree add`,
+      { ...buildCmdOpts(cmdOpts, { location }), args: [ '--', path, branch ] },
+      log
+    )
+
+    return exitCode === 0
+  }
+
+  /**
+  * Gets all worktrees of the repo at the passed in location
+  * @memberof Worktree
+  * @function
+  * @param {string} location - Location of the repo to get the worktrees of
+  * @param {Object} options - extra git cli options for git worktree command
+  *
+  * @returns {Array} - Worktree objects with the path, commit and branch of each worktree
+  */
+  list = async (location=process.cwd(), options) => {
+    const data = await gitCli({
+      opts: 'worktree list --porcelain',
+      ...options,
+    }, {}, location)
+
+    return formatWorktrees(data)
+  }
+
+  /**
+  * Removes a worktree of the repo
+  * @memberof Worktree
+  * @function
+  * @param {Object} args - Arguments that define the worktree to remove
+  * @param {string} args.location - Location of the repo the worktree was created from
+  * @param {string} args.path - Location of the worktree to remove
+  * @param {boolean} args.force - Remove the worktree even if it has local changes
+  * @param {boolean} args.log - Should the git command be logged
+  * @param {Object} cmdOpts - Options to pass to the spawnCmd
+  *
+  * @returns {boolean} - True if the worktree was removed
+  */
+  remove = async ({ location=process.cwd(), path, force, log }, cmdOpts={}) => {
+    const exitCode = await gitCmd(
+      `worktree remove ${ force ? '--force' : '' }`.trim(),
+      { ...buildCmdOpts(cmdOpts, { location }), args: [ '--', path ] },
+      log
+    )
+
+    return exitCode === 0
+  }
+
+}
+
+module.exports = {
+  formatWorktrees,
+  Worktree
+}
@@ -0,0 +1,177 @@
+const { Logger, MASKED_VALUE } = require('../logger')
+const { isLevelEnabled, getTypeLevel } = require('../levels')
+
+const buildTransport = () => ({ write: jest.fn() })
+
+describe('Logger', () => {
+
+  const orgLog = console.log
+  const orgWarn = console.warn
+  const orgError = console.error
+
+  beforeEach(() => {
+    console.log = jest.fn()
+    console.warn = jest.fn()
+    console.error = jest.fn()
+    Logger.setLevel('info')
+  })
+
+  afterEach(() => {
+    console.log = orgLog
+    console.warn = orgWarn
+    console.error = orgError
+    Logger.transports = []
+    Logger.context = {}
+    Logger.secrets = []
+  })
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should not log to the console when the level is not enabled', () => {
+    Logger.setLevel('warn')
+
+    Logger.log(`Info message`)
+    Logger.success(`Success message`)
+    Logger.warn(`Warn message`)
+    Logger.error(`Error message`)
+
+    expect(console.log).not.toHaveBeenCalled()
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    expect(console.error).toHaveBeenCalledTimes(1)
+  })
+
+  it('should ignore invalid log levels', () => {
+    Logger.setLevel('loud')
+
+    expect(Logger.level).toBe('info')
+  })
+
+  it('should write log entries to the transports without colors', () => {
+    const transport = Logger.addTransport(buildTransport())
+    Logger.setContext({ task: 'tap-build' })
+
+    Logger.pair(`Title:`, `Message`)
+    Logger.error(`Failed`, { code: 1 })
+
+    expect(transport.write).toHaveBeenCalledTimes(2)
+
+    const [ pair ] = transport.write.mock.calls[0]
+    expect(pair.message).toBe(`Title: Message`)
+    expect(pair.level).toBe(`info`)
+    expect(pair.task).toBe(`tap-build`)
+    expect(typeof pair.time).toBe(`string`)
+
+    const [ error ] = transport.write.mock.calls[1]
+    expect(error.level).toBe(`error`)
+    expect(error.type).toBe(`error`)
+    expect(error.message).toBe(`Failed {"code":1}`)
+  })
+
+  it('should write to the transports even when the console level is not enabled', () => {
+    const transport = Logger.addTransport(buildTransport())
+    Logger.setLevel('silent')
+
+    Logger.info(`Info message`)
+
+    expect(console.log).not.toHaveBeenCalled()
+    expect(transport.write).toHaveBeenCalledTimes(1)
+  })
+
+  it('should skip entries with an empty message', () => {
+    const transport = Logger.addTransport(buildTransport())
+
+    Logger.print(`   `)
+    Logger.record('info', { type: 'command', cmd: 'docker ps' })
+
+    expect(transport.write).toHaveBeenCalledTimes(1)
+    expect(transport.write.mock.calls[0][0].cmd).toBe(`docker ps`)
+  })
+
+  it('should stop writing to removed transports', () => {
+    const transport = Logger.addTransport(buildTransport())
+    Logger.removeTransport(transport)
+
+    Logger.log(`Message`)
+
+    expect(transport.write).not.toHaveBeenCalled()
+  })
+
+  it('should mask the registered secrets in the console logs', () => {
+    Logger.addSecret(`ghp_secret-token`)
+
+    Logger.spacedMsg(`Running command: `, `docker login --password ghp_secret-token`)
+    Logger.error(`Failed with token ghp_secret-token`)
+
+    const logged = console.log.mock.calls.concat(console.error.mock.calls)
+      .map(args => Logger.colors.strip(args.join(' ')))
+      .join('\n')
+
+    expect(logged).not.toContain(`ghp_secret-token`)
+    expect(logged).toContain(`docker login --password ${MASKED_VALUE}`)
+    expect(logged).toContain(`Failed with token ${MASKED_VALUE}`)
+  })
+
+  it('should mask the registered secrets in the transport entries', () => {
+    const transport = Logger.addTransport(buildTransport())
+    Logger.addSecret(`ghp_secret-token`)
+
+    Logger.record('debug', { type: 'command', cmd: `git clone https://ghp_secret-token@github.com/org/repo` })
+
+    expect(transport.write.mock.calls[0][0].cmd).toBe(`git clone https://${MASKED_VALUE}@github.com/org/repo`)
+  })
+
+  it('should mask the secrets and check the level when writing to stdout and stderr', () => {
+    const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true)
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true)
+    const transport = Logger.addTransport(buildTransport())
+    Logger.addSecret(`ghp_secret-token`)
+
+    Logger.stdout(`token=ghp_secret-token\n`)
+    Logger.stderr(Buffer.from(`Failed with token ghp_secret-token\n`), 'error')
+
+    expect(stdout).toHaveBeenCalledWith(`token=${MASKED_VALUE}\n`)
+    expect(stderr).toHaveBeenCalledWith(`Failed with token ${MASKED_VALUE}\n`)
+    expect(transport.write.mock.calls[0][0].message).toBe(`token=${MASKED_VALUE}`)
+
+    Logger.setLevel('error')
+    Logger.stdout(`Not logged\n`)
+    Logger.stderr(`Not logged\n`, 'warn')
+
+    expect(stdout).toHaveBeenCalledTimes(1)
+    expect(stderr).toHaveBeenCalledTimes(1)
+
+    stdout.mockRestore()
+    stderr.mockRestore()
+  })
+
+  it('should not register short or invalid secrets', () => {
+    Logger.addSecret(`abc`)
+    Logger.addSecret(undefined)
+    Logger.addSecret(`ghp_secret-token`)
+    Logger.addSecret(`ghp_secret-token`)
+
+    expect(Logger.secrets).toEqual([ `ghp_secret-token` ])
+    expect(Logger.mask(`abc`)).toBe(`abc`)
+  })
+
+})
+
+describe('levels', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should map the Logger types to a log level', () => {
+    expect(getTypeLevel('fail')).toBe('error')
+    expect(getTypeLevel('yellow')).toBe('warn')
+    expect(getTypeLevel('success')).toBe('info')
+    expect(getTypeLevel('debug')).toBe('debug')
+  })
+
+  it('should only enable levels up to the max level', () => {
+    expect(isLevelEnabled('error', 'warn')).toBe(true)
+    expect(isLevelEnabled('info', 'warn')).toBe(false)
+    expect(isLevelEnabled('error', 'silent')).toBe(false)
+    expect(isLevelEnabled('silent', 'debug')).toBe(false)
+  })
+
+})
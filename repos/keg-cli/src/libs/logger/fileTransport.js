@@ -0,0 +1,42 @@
+const fs = require('fs')
+const path = require('path')
+const { isLevelEnabled } = require('./levels')
+
+/**
+ * Writes log entries to a file as JSON lines
+ * <br/>Entries are written synchronously, so logs before a process.exit are not lost
+ */
+class FileTransport {
+
+  constructor({ filePath, level='debug' }){
+    this.filePath = filePath
+    this.level = level
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  }
+
+  /**
+  * Writes the log entry to the log file as a JSON line
+  * @memberof FileTransport
+  * @function
+  * @param {Object} entry - Log entry to write
+  * @param {string} entry.level - Log level of the entry
+  *
+  * @returns {void}
+  */
+  write = entry => {
+    if(!isLevelEnabled(entry.level, this.level)) return
+
+    try {
+      fs.appendFileSync(this.filePath, `${ JSON.stringify(entry) }\n`)
+    }
+    catch(err){
+      // Failing to write a log should never stop the task being run
+    }
+  }
+
+}
+
+module.exports = {
+  FileTransport
+}
@@ -1,5 +1,7 @@
 
 module.exports = {
+  ...require('./fileTransport'),
+  ...require('./levels'),
   ...require('./showHelp'),
   ...require('./logger')
-}
\ No newline at end of file
+}
@@ -0,0 +1,59 @@
+/**
+ * Log levels ordered from least to most verbose
+ * <br/>The silent level disables all logs
+ * @array
+ */
+const LOG_LEVELS = [ 'silent', 'error', 'warn', 'info', 'debug' ]
+
+/**
+ * Maps the Logger method types to a log level
+ * <br/>Types not defined here use the info level
+ * @object
+ */
+const TYPE_LEVELS = {
+  debug: 'debug',
+  error: 'error',
+  fail: 'error',
+  red: 'error',
+  warn: 'warn',
+  yellow: 'warn',
+}
+
+/**
+ * Gets the log level of a Logger method type
+ * @function
+ * @param {string} type - Type of log ( key of Log.colorMap )
+ *
+ * @returns {string} - Log level of the type
+ */
+const getTypeLevel = type => TYPE_LEVELS[type] || 'info'
+
+/**
+ * Checks if a log level is valid
+ * @function
+ * @param {string} level - Log level to check
+ *
+ * @returns {boolean} - True if the level exists in the LOG_LEVELS
+ */
+const isLogLevel = level => LOG_LEVELS.includes(level)
+
+/**
+ * Checks if a log should be written based on the max log level
+ * @function
+ * @param {string} level - Log level of the log
+ * @param {string} maxLevel - Most verbose level that should be written
+ *
+ * @returns {boolean} - True if the log should be written
+ */
+const isLevelEnabled = (level, maxLevel) => {
+  const index = LOG_LEVELS.indexOf(level)
+
+  return index > 0 && index <= LOG_LEVELS.indexOf(maxLevel)
+}
+
+module.exports = {
+  getTypeLevel,
+  isLevelEnabled,
+  isLogLevel,
+  LOG_LEVELS,
+}
@@ -1,5 +1,41 @@
 const { get, isColl, isObj, isStr, isFunc } = require('@keg-hub/jsutils')
 const colors = require('colors/safe')
+const { getTypeLevel, isLevelEnabled, isLogLevel } = require('./levels')
+
+/**
+ * Replaces the values of secrets in logged data
+ * @string
+ */
+const MASKED_VALUE = '********'
+
+/**
+ * Secrets shorter than this are not masked, so common words are not hidden in the logs
+ * @number
+ */
+const MIN_SECRET_LENGTH = 6
+
+/**
+ * Replaces every registered secret in the passed in text with the masked value
+ * @param {Array} secrets - Registered secret values
+ * @param {string} text - Text to mask
+ *
+ * @returns {string} - Text with the secrets masked
+ */
+const maskText = (secrets, text) => {
+  return secrets.reduce((masked, secret) => masked.split(secret).join(MASKED_VALUE), text)
+}
+
+/**
+ * Converts the logged data into a single line of text without colors
+ * @param {Array} data - Data passed to the Logger method
+ *
+ * @returns {string} - Text of the logged data
+ */
+const toMessage = data => {
+  return data.map(item => isColl(item) ? JSON.stringify(item) : colors.strip(String(item)))
+    .join(' ')
+    .trim()
+}
 
 /**
  * General logging method for all log types
@@ -12,18 +48,23 @@ const logData = (logger, type) => {
 
   return (...args) => {
 
+    // Record the log in the transports, then check if the level should be logged to the console
+    const level = getTypeLevel(type)
+    logger.record(level, { type, message: args })
+    if(!isLevelEnabled(level, logger.level)) return
+
     // Get the log color from the type, or use the default
     const logColor = logger.colorMap[type] || logger.colorMap[logger.default]
 
     // If the type is a log type use it, otherwise use the default
     const logMethod =  console[type] && type || logger.default
 
-    // Loop the passed in data to log, and apply the log color
+    // Loop the passed in data to log, mask any secrets, and apply the log color
     const toLog = args.map(data => {
       return isColl(data)
-        ? colors[logColor](JSON.stringify(data, null, 2))
+        ? colors[logColor](logger.mask(JSON.stringify(data, null, 2)))
         : isFunc(data.toString)
-          ? colors[logColor](data.toString())
+          ? colors[logColor](logger.mask(data.toString()))
           : colors[logColor](data)
     })
 
@@ -32,6 +73,25 @@ const logData = (logger, type) => {
 
 }
 
+/**
+ * Builds a method that writes the passed in data directly to a process stream
+ * <br/>The data is masked and recorded like the other log methods, and only written when the level is enabled
+ * @param {Loc Class} logger - Log class instance
+ * @param {string} stream - Name of the process stream ( stdout | stderr )
+ *
+ * @returns {Function} - Method that writes to the stream, called with the data and its log level
+ */
+const writeStream = (logger, stream) => {
+
+  return (data, level='info') => {
+    logger.record(level, { type: stream, message: [ data ] })
+    if(!isLevelEnabled(level, logger.level)) return false
+
+    return process[stream].write(logger.mask(Buffer.isBuffer(data) ? data.toString() : data))
+  }
+
+}
+
 class Log {
 
   constructor(props){
@@ -52,10 +112,23 @@ class Log {
       cyan: 'brightCyan',
       magenta: 'brightMagenta',
       blue: 'brightBlue',
-      gray: 'gray'
+      gray: 'gray',
+      debug: 'gray',
     }
 
     this.default = get(props, 'default', 'log')
+
+    // Most verbose level logged to the console
+    this.level = get(props, 'level', 'info')
+
+    // Transports that also receive every log entry, I.E. log files
+    this.transports = []
+
+    // Extra data added to every log entry, I.E. the name of the task being run
+    this.context = {}
+
+    // Values masked in every log, I.E. the git key
+    this.secrets = []
     
     // Loop the colorMap and build the log method for it
     Object.keys(this.colorMap).map(key => this[key] = logData(this, key))
@@ -81,7 +154,112 @@ class Log {
   *
   * @returns {void}
   */
-  print = (...data) => console.log(...data)
+  print = (...data) => {
+    this.record('info', { type: 'log', message: data })
+    isLevelEnabled('info', this.level) &&
+      console.log(...data.map(item => isStr(item) ? this.mask(item) : item))
+  }
+
+  /**
+  * Registers a secret, so its value is masked in every log and log entry
+  * @function
+  * @param {string} secret - Value of the secret
+  *
+  * @returns {string} - The passed in secret
+  */
+  addSecret = secret => {
+    isStr(secret) &&
+      secret.length >= MIN_SECRET_LENGTH &&
+      !this.secrets.includes(secret) &&
+      this.secrets.push(secret)
+
+    return secret
+  }
+
+  /**
+  * Masks the registered secrets in the passed in text
+  * @function
+  * @param {string} text - Text to mask
+  *
+  * @returns {string} - Text with the secrets masked
+  */
+  mask = text => isStr(text) && this.secrets.length ? maskText(this.secrets, text) : text
+
+  /**
+  * Helper to set the most verbose level logged to the console
+  * @function
+  * @param {string} level - Log level ( silent | error | warn | info | debug )
+  *
+  * @returns {void}
+  */
+  setLevel = level => {
+    isLogLevel(level) && (this.level = level)
+  }
+
+  /**
+  * Helper to set extra data added to every log entry
+  * @function
+  * @param {Object} context - Data to add to the log entries
+  *
+  * @returns {void}
+  */
+  setContext = context => {
+    isObj(context) && (this.context = { ...this.context, ...context })
+  }
+
+  /**
+  * Adds a transport that receives every log entry
+  * @function
+  * @param {Object} transport - Object with a write method, called with each log entry
+  *
+  * @returns {Object} - The added transport
+  */
+  addTransport = transport => {
+    transport && isFunc(transport.write) && this.transports.push(transport)
+
+    return transport
+  }
+
+  /**
+  * Removes a transport, so it no longer receives log entries
+  * @function
+  * @param {Object} transport - Transport to remove
+  *
+  * @returns {void}
+  */
+  removeTransport = transport => {
+    this.transports = this.transports.filter(item => item !== transport)
+  }
+
+  /**
+  * Writes a log entry to the transports, without logging it to the console
+  * <br/>Entries with an empty message are skipped
+  * @function
+  * @param {string} level - Log level of the entry
+  * @param {Object} entry - Data of the log entry
+  * @param {Array} entry.message - Data passed to the Logger method
+  *
+  * @returns {void}
+  */
+  record = (level, entry={}) => {
+    if(!this.transports.length) return
+
+    const message = entry.message && toMessage(entry.message)
+    if(entry.message && !message) return
+
+    const built = {
+      time: new Date().toISOString(),
+      level,
+      ...this.context,
+      ...entry,
+      ...(message && { message }),
+    }
+
+    // Mask the secrets in every string value, I.E. the message and recorded commands
+    Object.keys(built).map(key => built[key] = this.mask(built[key]))
+
+    this.transports.map(transport => transport.write(built))
+  }
 
   /**
   * Helper to change the default colors
@@ -99,14 +277,14 @@ class Log {
   *
   * @returns {void}
   */
-  empty = () => console.log('')
+  empty = () => isLevelEnabled('info', this.level) && console.log('')
 
   /**
    * Helper to print out a table.
    * @see docs about params here: https://developer.mozilla.org/en-US/docs/Web/API/Console/table
    * @returns {void}
    */
-  table = (...args) => console.table(...args)
+  table = (...args) => isLevelEnabled('info', this.level) && console.table(...args)
 
   /**
   * Helper to log out CLI message header
@@ -185,14 +363,14 @@ class Log {
   spaceMsg = (...args) => this.spacedMsg(...args)
 
   /**
-  * Writes to the process stdout
+  * Writes to the process stdout, see writeStream
   */
-  stdout = (...args) => process.stdout.write(...args)
+  stdout = writeStream(this, 'stdout')
 
   /**
-  * Writes to the process stderr
+  * Writes to the process stderr, see writeStream
   */
-  stderr = (...args) => process.stderr.write(...args)
+  stderr = writeStream(this, 'stderr')
 
   /**
   * Helper to highlight a word in a logged message
@@ -220,5 +398,6 @@ const Logger = new Log()
 Logger.log = Logger.print
 
 module.exports = {
-  Logger
+  Logger,
+  MASKED_VALUE,
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { mutagen } = require('KegMocks')
+const { listProblemsStrOutput } = mutagen.commands
+const { cliSuccess } = require('../helpers')
+
+describe('Mutagen Helpers', () => {
+
+  describe('cliSuccess', () => {
+
+    it('It returns the text output when the format is not json', () => {
+
+      expect(cliSuccess(listProblemsStrOutput, 'text')).toBe(listProblemsStrOutput)
+
+    })
+
+    it('It keeps conflicts and problems as readable entries', () => {
+
+      const [ sync ] = cliSuccess(listProblemsStrOutput, 'json', false, true)
+
+      expect(sync.conflicts).toEqual([
+        '(α) src/index.js (File -> File)',
+        '(β) src/index.js (File -> File)',
+        '(α) <root> (Directory -> Directory)',
+      ])
+      expect(sync.alpha.scanProblems).toEqual([
+        'src/broken.js: unable to read file: permission denied',
+      ])
+
+    })
+
+    it('It keeps the full value of lines that contain a colon', () => {
+
+      const [ sync ] = cliSuccess(listProblemsStrOutput, 'json', false, true)
+
+      expect(sync.lastError).toBe(
+        'unable to connect to beta: unable to connect to endpoint: container is not running'
+      )
+      expect(sync.status).toBe('Halted on root deletion')
+      expect(sync.beta.connectionState).toBe('Disconnected')
+      expect(sync.beta.dockerHost).toBe('tcp://192.168.99.101:2376')
+
+    })
+
+  })
+
+})
@@ -75,7 +75,9 @@ const jsonOutput = (data, skipError) => {
  */
 const parseListLine = line => {
   // Split the line by :
-  let [ key, value ] = line.split(': ')
+  // Values like error messages can also contain a :, so join the rest back together
+  let [ key, ...values ] = line.split(': ')
+  let value = values.join(': ')
   key = key.trim()
   value = value && value.trim()
 
@@ -104,6 +106,26 @@ const parseListLine = line => {
 
 }
 
+/**
+ * Sections of the mutagen sync list output that contain a list of entries
+ * <br/>The entries are paths, so they are kept as strings instead of being parsed into keys
+ * @array
+ */
+const LIST_SECTIONS = [
+  'conflicts',
+  'scanProblems',
+  'transitionProblems',
+]
+
+/**
+ * Gets the number of tabs a line of the mutagen list output is indented by
+ * @function
+ * @param {string} line - Line of the mutagen list output
+ *
+ * @returns {number} - Number of tabs before the content of the line
+ */
+const getIndent = line => line.match(/^\t*/)[0].length
+
 /**
  * Formats the mutagen list output into a json object
  * This helper cleans up the output, so it can be properly parsed as JSON
@@ -121,27 +143,41 @@ const jsonListOutput = (data, skipError) => {
       const built = {}
       let added = false
       let childObj
+      let listSection
 
       // Split the item on new lines, to parse each line individuallys
       item.split(NEWLINES_MATCH).map(lineSplit => {
         const line = lineSplit.replace(/\\t/g, '').trim()
         if(!line) return
 
+        // Lines indented under a list section are entries of that section
+        // I.E. conflicts or scan problems, so add them as is
+        if(listSection && getIndent(lineSplit) > listSection.indent)
+          return listSection.entries.push(line)
+
+        listSection = undefined
+
         const { key, value } = parseListLine(line)
         // If no value returned, then just return
         if(!value) return
 
+        // Check if the line starts a list section, and if so track it
+        // So the following lines get added to its entries
+        const isList = LIST_SECTIONS.includes(key) && isObj(value)
+        const parsed = isList ? [] : value
+        isList && (listSection = { indent: getIndent(lineSplit), entries: parsed })
+
         // Check if it has any tabs and if so, then add it to the childObj
         // If no tabs, then it gets added to the top level built item
         lineSplit.indexOf(`\t`) !== -1
-          ? isObj(childObj) && (childObj[key] = value)
+          ? isObj(childObj) && (childObj[key] = parsed)
           : checkCall(() => {
               added = true
-              built[key] = value
+              built[key] = parsed
               // Reset childObj every time a parent item is set
               // If set to undefined, then next item should be a parent item
               // Which could set the childObj to a new object
-              childObj = isObj(value) ? value : undefined
+              childObj = !isList && isObj(value) ? value : undefined
             })
       })
     
@@ -1,5 +1,5 @@
 const { Logger } = require('KegLog')
-const { isObj, isArr, isBool } = require('@keg-hub/jsutils')
+const { isObj, isArr, isBool, isStr } = require('@keg-hub/jsutils')
 const { spawnCmd, asyncCmd } = require('@keg-hub/spawn-cmd')
 
 /**
@@ -31,6 +31,21 @@ const logSpawn = (args, message) => {
   ;( args.length < 3 || !isBool(lastArg) || lastArg !== false ) && Logger.pair(...message)
 }
 
+/**
+ * Records the command in the log transports, so it's added to the task log files
+ * @param {string} cmd - Command being run
+ * @param {string} location - Path the command is run in
+ *
+ * @returns {void}
+ */
+const recordCmd = (cmd, location) => {
+  Logger.record('info', {
+    type: 'command',
+    cmd,
+    location: isStr(location) ? location : process.cwd(),
+  })
+}
+
 /**
  * Checks if the the command to be run should be logged,
  * <br/> Then calls spawnProc to run the passed in command
@@ -43,7 +58,10 @@ const logSpawn = (args, message) => {
  * @returns {*} - Response from spawned process
  */
 const doSpawnCmd = (...args) => {
-  logSpawn(args, [ `Running command: `, `${ args[0] }${ getExtraArgs(args[1]) }` ])
+  const cmd = `${ args[0] }${ getExtraArgs(args[1]) }`
+  recordCmd(cmd, args[2])
+  logSpawn(args, [ `Running command: `, cmd ])
+
   return spawnProc(...args)
 }
 
@@ -77,6 +95,7 @@ const executeCmd = (cmd, ...args) => {
 
   // Ensure the cwd is set
   options.cwd = options.cwd || location
+  recordCmd(cmd, options.cwd)
 
   return asyncCmd(cmd, options)
 }
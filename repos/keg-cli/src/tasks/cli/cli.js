@@ -25,10 +25,13 @@ module.exports = {
     description: 'Keg CLI specific tasks',
     example: 'keg cli <command> <options>',
     tasks: {
+      ...require('./completion'),
       ...require('./env'),
+      ...require('./logs'),
       ...require('./print'),
       ...require('./test'),
       ...require('./update'),
+      ...require('./values'),
     },
   }
 }
@@ -0,0 +1,36 @@
+const { getCompletionScript } = require('KegUtils/completion')
+
+/**
+ * Prints a shell completion script, generated from the registered tasks of the CLI
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {void}
+ */
+const cliCompletion = args => {
+  const { params, tasks } = args
+
+  // Write directly to stdout, so the output can be sourced by the shell
+  process.stdout.write(getCompletionScript(params.shell, tasks))
+}
+
+module.exports = {
+  completion: {
+    name: 'completion',
+    alias: [ 'comp' ],
+    action: cliCompletion,
+    description: 'Prints a shell completion script for the Keg CLI',
+    example: 'keg cli completion bash',
+    options: {
+      shell: {
+        description: 'Shell to generate the completion script for',
+        example: 'bash: source <(keg cli completion bash) | zsh: source <(keg cli completion zsh) | fish: keg cli completion fish | source',
+        allowed: [ 'bash', 'zsh', 'fish' ],
+        required: true,
+      },
+    }
+  }
+}
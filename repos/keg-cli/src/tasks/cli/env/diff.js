@@ -0,0 +1,77 @@
+const { Logger } = require('KegLog')
+const { diffDefaultEnvs } = require('KegUtils/defaultEnvs/diffDefaultEnvs')
+
+/**
+ * Logs the keys of one group of compared ENVs
+ * @function
+ * @param {string} title - Title of the group
+ * @param {Array} keys - Keys of the ENVs in the group
+ * @param {function} toText - Builds the text logged for each key
+ *
+ * @returns {void}
+ */
+const logGroup = (title, keys, toText) => {
+  if(!keys.length) return
+
+  Logger.empty()
+  Logger.info(`  ${title}`)
+  keys.map(key => Logger.print(`    ${ toText(key) }`))
+}
+
+/**
+ * Compares the users global defaults.env with the Keg-CLI defaults.env
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Compared ENVs => { missing, custom, changed }
+ */
+const diffEnv = args => {
+  const { params } = args
+  const diff = diffDefaultEnvs()
+  const { cliEnvs, globalEnvs, missing, custom, changed } = diff
+
+  Logger.subHeader(`Global ENVs diff`)
+  Logger.pair(`  Keg-CLI defaults: `, diff.cliEnvsPath)
+  Logger.pair(`  Global ENVs:      `, diff.globalEnvsPath)
+
+  logGroup(`Missing from the global ENVs:`, missing, key => Logger.colors.green(`+ ${key}=${cliEnvs[key]}`))
+
+  logGroup(`Changed in the global ENVs:`, changed, key => [
+    Logger.colors.red(`- ${key}=${cliEnvs[key]}`),
+    Logger.colors.green(`    + ${key}=${globalEnvs[key]}`),
+  ].join('\n'))
+
+  params.custom &&
+    logGroup(`Only in the global ENVs:`, custom, key => `  ${key}=${globalEnvs[key]}`)
+
+  Logger.empty()
+
+  missing.length || changed.length
+    ? Logger.log(`  Run "keg cli env sync" to add the missing ENVs to the global ENVs`)
+    : Logger.success(`  Global ENVs are in sync with the Keg-CLI defaults!`)
+
+  Logger.empty()
+
+  return { missing, custom, changed }
+}
+
+module.exports = {
+  diff: {
+    name: 'diff',
+    alias: [ 'compare' ],
+    action: diffEnv,
+    description: 'Compares the Global Keg-CLI env file with the Keg-CLI default ENVs',
+    example: 'keg cli env diff',
+    options: {
+      custom: {
+        alias: [ 'all' ],
+        description: 'Also print the ENVs that only exist in the Global Keg-CLI env file',
+        example: 'keg cli env diff --custom',
+        default: false,
+      },
+    },
+  }
+}
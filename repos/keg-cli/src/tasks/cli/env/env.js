@@ -14,6 +14,8 @@ module.exports = {
     description: 'Keg CLI env tasks',
     example: 'keg cli env <command> <options>',
     tasks: {
+      ...require('./diff'),
+      ...require('./explain'),
       ...require('./set'),
       ...require('./sync'),
       ...require('./unset'),
@@ -0,0 +1,126 @@
+const { Logger } = require('KegLog')
+const { throwNoTapLink } = require('KegUtils/error')
+const { explainEnvs, getEnvLayers } = require('KegUtils/envs')
+const { getTapPath } = require('KegUtils/globalConfig/getTapPath')
+const { injectService } = require('KegUtils/services/injectService')
+
+/**
+ * Injects the taps container folder when it exists, so its values files are used
+ * @function
+ * @param {Object} args - arguments passed from the runTask method
+ *
+ * @returns {Object} - Params of the task, with the __injected object added for injected taps
+ */
+const getTapParams = async args => {
+  const { globalConfig, params, task } = args
+  const tapPath = getTapPath(globalConfig, params.tap) || throwNoTapLink(globalConfig, params.tap)
+
+  const taskData = await injectService({
+    app: params.tap,
+    injectPath: tapPath,
+    taskData: { ...args, task: { ...task, inject: true } },
+  })
+
+  return taskData.params
+}
+
+/**
+ * Builds the text that describes where an ENV value came from
+ * @function
+ * @param {Object} explained - Source of the ENV value
+ *
+ * @returns {string} - Source and location of the ENV value
+ */
+const sourceText = ({ source, location }) => location ? `${source} => ${location}` : source
+
+/**
+ * Logs the final ENVs of a context with the source of each one
+ * @function
+ * @param {Object} explained - ENVs with their source, returned from explainEnvs
+ * @param {boolean} overrides - Should the overridden values also be logged
+ *
+ * @returns {void}
+ */
+const logExplained = (explained, overrides) => {
+  Object.keys(explained).sort().map(key => {
+    const env = explained[key]
+
+    Logger.pair(`  ${key}:`, String(env.value))
+    Logger.gray(`    ${ sourceText(env) }`)
+
+    overrides && env.overrides.slice().reverse().map(override => {
+      Logger.gray(`    overrides ${ String(override.value) } from ${ sourceText(override) }`)
+    })
+  })
+}
+
+/**
+ * Prints the final ENVs of a context, and the source that set each ENV
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - ENVs with their source
+ */
+const explainEnv = async args => {
+  const { globalConfig } = args
+  const params = args.params.tap ? await getTapParams(args) : args.params
+  const { context, env, key, overrides, tap, __injected } = params
+
+  const cmdContext = __injected ? context : tap ? 'tap' : context
+  const layers = await getEnvLayers({ globalConfig, cmdContext, params, tap })
+  const explained = explainEnvs(layers)
+
+  const keys = key && key.split(',').map(name => name.trim().toUpperCase())
+  const filtered = keys
+    ? keys.reduce((found, name) => {
+        explained[name] && (found[name] = explained[name])
+        return found
+      }, {})
+    : explained
+
+  Logger.subHeader(`ENVs for ${ tap || context } ( ${ env } )`)
+
+  Object.keys(filtered).length
+    ? logExplained(filtered, overrides)
+    : Logger.warn(`  No ENVs found${ keys ? ` for ${ keys.join(', ') }` : '' }!`)
+
+  Logger.empty()
+
+  return filtered
+}
+
+module.exports = {
+  explain: {
+    name: 'explain',
+    alias: [ 'why', 'source' ],
+    action: explainEnv,
+    description: 'Prints the ENVs of a context, and where each ENV value came from',
+    example: 'keg cli env explain --context core',
+    options: {
+      context: {
+        alias: [ 'name' ],
+        allowed: [ 'base', 'components', 'core', 'proxy', 'tap' ],
+        description: 'Context of the ENVs to explain',
+        example: 'keg cli env explain --context components',
+        default: 'core',
+      },
+      tap: {
+        description: 'Name of the linked tap to explain the ENVs of',
+        example: 'keg cli env explain --tap my-tap',
+      },
+      key: {
+        description: 'Only explain the passed in ENVs. Separate multiple ENVs with a comma',
+        example: 'keg cli env explain --key KEG_PROXY_PORT,NODE_ENV',
+      },
+      overrides: {
+        alias: [ 'all' ],
+        description: 'Also print the values that were overridden by a later source',
+        example: 'keg cli env explain --overrides',
+        default: false,
+      },
+    },
+  }
+}
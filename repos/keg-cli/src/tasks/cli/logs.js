@@ -0,0 +1,145 @@
+const { Logger } = require('KegLog')
+const { generalError } = require('KegUtils/error')
+const { getTaskLogs, readTaskLog } = require('KegUtils/log/getTaskLogs')
+const { getCurrentTaskLog } = require('KegUtils/log/initTaskLog')
+
+/**
+ * Builds the status text of a task run
+ * @function
+ * @param {Object} run - Task run returned from getTaskLogs
+ *
+ * @returns {string} - Colored status of the run
+ */
+const getRunStatus = ({ exitCode }) => {
+  return exitCode === undefined
+    ? Logger.colors.yellow(`unknown`)
+    : exitCode === 0
+      ? Logger.colors.green(`success`)
+      : Logger.colors.red(`failed ( ${exitCode} )`)
+}
+
+/**
+ * Logs the recent task runs
+ * @function
+ * @param {Array} runs - Task runs returned from getTaskLogs
+ *
+ * @returns {void}
+ */
+const logRuns = runs => {
+  Logger.subHeader(`Recent Keg-CLI runs`)
+
+  runs.map((run, index) => {
+    Logger.pair(`  ${index + 1}. ${run.started || ''} `, `keg ${ run.args.join(' ') }`)
+    Logger.log(`     Status: ${ getRunStatus(run) }  Errors: ${run.errors}  Commands: ${run.commands}`)
+    Logger.log(Logger.colors.gray(`     ${run.file}`))
+  })
+
+  Logger.empty()
+  Logger.log(`  Run "keg cli logs --show <number>" to print the logs of a run`)
+  Logger.empty()
+}
+
+/**
+ * Logs the entries of a task run
+ * @function
+ * @param {Object} run - Task run returned from getTaskLogs
+ * @param {boolean} raw - Print the JSON lines of the log file
+ *
+ * @returns {void}
+ */
+const logRunEntries = (run, raw) => {
+  const entries = readTaskLog(run.file)
+
+  if(raw) return entries.map(entry => Logger.stdout(`${ JSON.stringify(entry) }\n`))
+
+  Logger.subHeader(`keg ${ run.args.join(' ') }`)
+  entries.map(entry => {
+    const time = Logger.colors.gray(entry.time)
+
+    entry.type === 'command'
+      ? Logger.log(time, Logger.colors.cyan(`$ ${entry.cmd}`), Logger.colors.gray(`( ${entry.location} )`))
+      : entry.type === 'start' || entry.type === 'exit'
+        ? Logger.log(time, Logger.colors.gray(`[${entry.type}]`), entry.code !== undefined ? entry.code : '')
+        : Logger.log(time, entry.level === 'info' ? entry.message : Logger.color(entry.level === 'error' ? 'red' : 'yellow', entry.message))
+  })
+  Logger.empty()
+}
+
+/**
+ * Shows the recent runs of the Keg-CLI from the task log folders
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Array} - Recent task runs
+ */
+const showLogs = args => {
+  const { params } = args
+  const { task, raw } = params
+  const limit = parseInt(params.limit) || 10
+  const show = parseInt(params.show) || 0
+  const count = Math.max(limit, show)
+
+  // Skip the log files of the current run, so only previous runs are shown
+  const current = getCurrentTaskLog()
+  const exclude = current ? current.files : []
+
+  const runs = getTaskLogs({ task, limit: count + exclude.length })
+    .filter(run => !exclude.includes(run.file))
+    .slice(0, count)
+
+  if(!runs.length){
+    Logger.empty()
+    Logger.warn(`  No task logs found${ task ? ` for task "${task}"` : '' }`)
+    Logger.empty()
+
+    return runs
+  }
+
+  if(!show){
+    logRuns(runs.slice(0, limit))
+    return runs
+  }
+
+  const run = runs[show - 1]
+  !run && generalError(`Task run "${show}" does not exist. Only ${runs.length} runs were found`)
+  logRunEntries(run, raw)
+
+  return runs
+}
+
+module.exports = {
+  logs: {
+    name: 'logs',
+    alias: [ 'log', 'runs' ],
+    action: showLogs,
+    description: 'Shows the recent runs of the Keg-CLI, and their logs',
+    example: 'keg cli logs <options>',
+    options: {
+      task: {
+        alias: [ 'name' ],
+        description: 'Only show runs of a task. Matches the task log folder, I.E. tap-build',
+        example: 'keg cli logs --task tap-build',
+      },
+      limit: {
+        alias: [ 'max' ],
+        description: 'Max number of runs to show',
+        example: 'keg cli logs --limit 20',
+        default: 10,
+      },
+      show: {
+        alias: [ 'run' ],
+        description: 'Number of the run to print the logs of. The most recent run is 1',
+        example: 'keg cli logs --show 1',
+      },
+      raw: {
+        alias: [ 'json' ],
+        description: 'Print the logs of the run as JSON lines. Only used with the show option',
+        example: 'keg cli logs --show 1 --raw',
+        default: false,
+      },
+    },
+  }
+}
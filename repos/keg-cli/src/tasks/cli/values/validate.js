@@ -0,0 +1,110 @@
+const path = require('path')
+const { Logger } = require('KegLog')
+const { pathExistsSync } = require('KegFileSys/fileSys')
+const { validateValuesFile } = require('KegUtils/values/validateValues')
+const { throwNoTapLink, throwTaskFailed } = require('KegUtils/error')
+const { getTapPath } = require('KegUtils/globalConfig/getTapPath')
+const { buildExtraData, getValuesPaths } = require('KegConst/docker/loaders')
+
+/**
+ * Gets the container name and injected paths used to load the values files
+ * <br/>Taps with a container folder use their own values.yml, other taps use the default tap values
+ * @function
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ * @param {Object} params - Options passed from the command line
+ *
+ * @returns {Object} - Arguments for the values loaders => { container, __internal }
+ */
+const getLoaderArgs = (globalConfig, { context, tap }) => {
+  if(!tap) return { container: context }
+
+  const tapPath = getTapPath(globalConfig, tap) || throwNoTapLink(globalConfig, tap)
+  const containerPath = path.join(tapPath, 'container')
+  const valuesPath = path.join(containerPath, 'values.yml')
+
+  return pathExistsSync(valuesPath)
+    ? { container: tap, __internal: { containerPath, valuesPath, injectPath: tapPath, context: tap } }
+    : { container: 'tap', __internal: { injectPath: tapPath, context: tap } }
+}
+
+/**
+ * Logs the errors and warnings found in a values file
+ * @function
+ * @param {string} filePath - Path to the validated values file
+ * @param {Object} result - Found errors and warnings
+ *
+ * @returns {void}
+ */
+const logResult = (filePath, { errors, warnings }) => {
+  Logger.empty()
+  !errors.length && !warnings.length
+    ? Logger.success(`  ✔ ${filePath}`)
+    : Logger.log(`  ${filePath}`)
+
+  errors.map(error => Logger.error(`    ✖ ${error}`))
+  warnings.map(warning => Logger.warn(`    ⚠ ${warning}`))
+}
+
+/**
+ * Validates the values.yml files of a context against the values schema
+ * <br/>Checks every values file merged for the environment, in the order they are merged
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Array} - Validated values files => { filePath, errors, warnings }
+ */
+const validateValues = args => {
+  const { globalConfig, params } = args
+  const { env } = params
+
+  const loaderArgs = { ...getLoaderArgs(globalConfig, params), env }
+  const extraData = buildExtraData(loaderArgs)
+  const filePaths = getValuesPaths(loaderArgs).filter(filePath => pathExistsSync(filePath))
+
+  Logger.subHeader(`Values files for ${ params.tap || params.context } ( ${ env } )`)
+  Logger.info(`  Files are merged in the listed order, later files override earlier ones`)
+
+  const results = filePaths.map(filePath => {
+    const result = validateValuesFile(filePath, extraData)
+    logResult(filePath, result)
+
+    return { filePath, ...result }
+  })
+
+  const errorCount = results.reduce((count, { errors }) => count + errors.length, 0)
+  Logger.empty()
+
+  errorCount
+    ? Logger.error(`  Found ${ errorCount } error(s) in the values files!`)
+    : Logger.success(`  Values files are valid!`)
+
+  Logger.empty()
+
+  return errorCount ? throwTaskFailed() : results
+}
+
+module.exports = {
+  validate: {
+    name: 'validate',
+    alias: [ 'val', 'check' ],
+    action: validateValues,
+    description: 'Validates the values.yml files of a context, and checks for unresolved templates',
+    example: 'keg cli values validate <options>',
+    options: {
+      context: {
+        alias: [ 'name' ],
+        allowed: [ 'base', 'components', 'core', 'proxy', 'tap' ],
+        description: 'Context of the values files to validate',
+        example: 'keg cli values validate --context core',
+        default: 'tap',
+      },
+      tap: {
+        description: 'Name of the linked tap to validate the values files of',
+        example: 'keg cli values validate --tap my-tap --env staging',
+      },
+    },
+  }
+}
@@ -0,0 +1,11 @@
+module.exports = {
+  values: {
+    name: 'values',
+    alias: [ 'vals', 'val' ],
+    description: 'Keg CLI container values.yml tasks',
+    example: 'keg cli values <command> <options>',
+    tasks: {
+      ...require('./validate'),
+    },
+  }
+}
@@ -2,7 +2,7 @@ const path = require('path')
 const docker = require('KegDocCli')
 const { Logger } = require('KegLog')
 const { DOCKER } = require('KegConst/docker')
-const { buildDockerCmd } = require('KegUtils/docker')
+const { buildDockerCmd, getBuildSecrets } = require('KegUtils/docker')
 const { copyFileSync, removeFileSync } = require('KegFileSys/fileSys')
 const { buildContainerContext } = require('KegUtils/builders/buildContainerContext')
 const { throwRequired, generalError, throwNoTapLoc } = require('KegUtils/error')
@@ -101,12 +101,16 @@ const dockerBuild = async args => {
   // If using a tap, and no location is found, throw an error
   cmdContext === 'tap' && tap && !location && throwNoTapLoc(globalConfig, tap)
 
+  // Get the secrets to mount in the build, instead of passing them as build args
+  const secrets = await getBuildSecrets(globalConfig, contextEnvs)
+
   // Build the docker build command with options
   const dockerCmd = await buildDockerCmd({
     ...args,
     containerContext,
     params: {
       ...params,
+      secrets,
       location,
       cmd: `build`,
       options: options,
@@ -120,7 +124,12 @@ const dockerBuild = async args => {
   Logger.info(`Building docker image "${ image || cmdContext }" ...`)
 
   // Run the built docker command
-  await docker.raw(dockerCmd, { log, options: { env: contextEnvs }}, location)
+  // The secret mounts require BuildKit, and read their values from the ENVs
+  await docker.raw(
+    dockerCmd,
+    { log, options: { env: { ...contextEnvs, ...secrets, DOCKER_BUILDKIT: 1 } }},
+    location
+  )
 
   // Return the built image as a json object
   // This is needed for internal keg-cli calls
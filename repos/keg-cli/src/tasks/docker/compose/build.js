@@ -1,7 +1,7 @@
 const { get, reduceObj } = require('@keg-hub/jsutils')
 const { Logger } = require('KegLog')
 const { spawnCmd } = require('KegProc')
-const { buildComposeCmd, buildServiceName } = require('KegUtils/docker')
+const { buildComposeCmd, buildServiceName, getComposeBuildEnvs } = require('KegUtils/docker')
 const { buildContainerContext } = require('KegUtils/builders/buildContainerContext')
 const { DOCKER } = require('KegConst/docker')
 
@@ -37,9 +37,10 @@ const buildDockerCompose = async args => {
   const serviceName = buildServiceName(cmdContext, contextEnvs)
 
   // Run the docker compose build command
+  // BuildKit is enabled, so the secret mounts of the Dockerfile can be parsed
   await spawnCmd(
     `${ dockerCmd } ${ serviceName }`,
-    { options: { env: contextEnvs }},
+    { options: { env: getComposeBuildEnvs(contextEnvs) }},
     location,
     !Boolean(__internal),
   )
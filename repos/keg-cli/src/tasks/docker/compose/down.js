@@ -1,6 +1,7 @@
 const { Logger } = require('KegLog')
 const { spawnCmd } = require('KegProc')
 const { buildComposeCmd } = require('KegUtils/docker/compose/buildComposeCmd')
+const { getInjectedName } = require('KegUtils/docker/compose/injectedManifest')
 const { buildContainerContext } = require('KegUtils/builders/buildContainerContext')
 const { getProxyDomainFromLabel } = require('KegUtils/proxy/getProxyDomainFromLabel')
 const { removeInjectedCompose } = require('KegUtils/docker/compose/removeInjectedCompose')
@@ -26,7 +27,7 @@ const composeDown = async args => {
   const proxyDomain = await getProxyDomainFromLabel(containerContext.id || containerContext.name)
 
   // Build the docker compose down command
-  const { dockerCmd } = await buildComposeCmd({
+  const { dockerCmd, composeData } = await buildComposeCmd({
     params,
     cmdContext,
     contextEnvs,
@@ -42,9 +43,11 @@ const composeDown = async args => {
     !Boolean(__internal),
   )
 
-  // Check if we have a proxy domain, and remove the injected compose file after running the compose command
+  // Remove the injected compose file after running the compose command
   // Otherwise the injected compose file will just be recreated
-  ;proxyDomain && await removeInjectedCompose(proxyDomain, true)
+  // When the container no longer exists, use the compose data to find the injected compose file
+  const injectedName = proxyDomain || getInjectedName(composeData)
+  injectedName && await removeInjectedCompose(injectedName, true)
 
   log && Logger.highlight(`Compose service`, `"${ cmdContext }"`, `destroyed!`)
 
@@ -2,7 +2,7 @@ const { Logger } = require('KegLog')
 const { DOCKER } = require('KegConst/docker')
 const { spawnCmd } = require('KegProc')
 const { buildContainerContext } = require('KegUtils/builders/buildContainerContext')
-const { buildComposeCmd } = require('KegUtils/docker/compose')
+const { buildComposeCmd, getInjectedName, removeInjectedCompose } = require('KegUtils/docker/compose')
 
 /**
  * Runs the docker-compose build command
@@ -21,7 +21,7 @@ const composeStop = async args => {
   const { location, cmdContext, contextEnvs } = containerContext
 
   // Build the docker compose command
-  const { dockerCmd } = await buildComposeCmd({
+  const { dockerCmd, composeData } = await buildComposeCmd({
     params,
     cmdContext,
     cmd: 'stop',
@@ -43,6 +43,10 @@ const composeStop = async args => {
     !Boolean(__internal),
   )
 
+  // Remove the injected compose file, it gets recreated when the service is started again
+  const injectedName = getInjectedName(composeData)
+  injectedName && await removeInjectedCompose(injectedName, log)
+
   log && Logger.highlight(`Compose service`, `"${ cmdContext }"`, `stopped!`)
 
   return containerContext
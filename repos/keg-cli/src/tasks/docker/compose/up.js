@@ -2,7 +2,7 @@ const { Logger } = require('KegLog')
 const { DOCKER } = require('KegConst/docker')
 const { spawnCmd } = require('KegProc')
 const { logVirtualUrl } = require('KegUtils/log')
-const { buildComposeCmd } = require('KegUtils/docker/compose')
+const { buildComposeCmd, getComposeBuildEnvs } = require('KegUtils/docker/compose')
 const { buildContainerContext, buildDockerImage } = require('KegUtils/builders')
 
 /**
@@ -42,9 +42,10 @@ const composeUp = async args => {
   })
 
   // Run the docker-compose up command
+  // Compose builds the image when it does not exist, so BuildKit is enabled
   await spawnCmd(
     dockerCmd,
-    { options: { env: contextEnvs }},
+    { options: { env: getComposeBuildEnvs(contextEnvs) }},
     location,
     !Boolean(__internal),
   )
@@ -78,6 +78,7 @@ module.exports = {
       ...require('./copy'),
       ...require('./destroy'),
       ...require('./exec'),
+      ...require('./gc'),
       ...require('./image'),
       ...require('./log'),
       ...require('./machine'),
@@ -0,0 +1,96 @@
+const { Logger } = require('KegLog')
+const { findDockerGarbage } = require('KegUtils/docker/findDockerGarbage')
+const { removeDockerGarbage } = require('KegUtils/docker/removeDockerGarbage')
+
+/**
+ * Labels and helpers to log each type of found item
+ * @object
+ */
+const garbageTypes = {
+  containers: { label: 'Exited containers', toLog: item => `${item.name} (${item.id})` },
+  images: { label: 'Dangling images', toLog: item => item.id },
+  syncs: { label: 'Orphaned mutagen syncs', toLog: item => `${item.name} (${item.identifier})` },
+  injected: { label: 'Leftover injected files', toLog: item => item.files.join(', ') },
+}
+
+/**
+ * Logs the items found by findDockerGarbage, grouped by type
+ * @function
+ * @param {Object} garbage - Found items to remove, grouped by type
+ *
+ * @returns {number} - Total number of found items
+ */
+const logGarbage = garbage => {
+  return Object.entries(garbageTypes).reduce((total, [ type, { label, toLog } ]) => {
+    const items = garbage[type]
+    Logger.label(`  ${label}:`, `${items.length}`)
+    items.map(item => Logger.print(`    - ${ toLog(item) }`))
+
+    return total + items.length
+  }, 0)
+}
+
+/**
+ * Removes dangling keg images, exited keg containers, orphaned mutagen syncs and leftover injected files
+ * @function
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Found or removed items, grouped by type
+ */
+const dockerGc = async args => {
+  const { params } = args
+  const { dryrun, log } = params
+
+  const garbage = await findDockerGarbage()
+
+  Logger.header(dryrun ? `Keg GC - Dry Run` : `Keg GC`)
+  const total = logGarbage(garbage)
+  Logger.empty()
+
+  if(!total){
+    Logger.success(`  Nothing to clean up!`)
+    Logger.empty()
+    return garbage
+  }
+
+  if(dryrun){
+    Logger.info(`  Dry run, nothing was removed. Run without "--dry-run" to remove the items`)
+    Logger.empty()
+    return garbage
+  }
+
+  const removed = await removeDockerGarbage(garbage, log)
+
+  Logger.empty()
+  Logger.success(`  Finished cleaning up keg docker items!`)
+  Logger.empty()
+
+  return removed
+}
+
+module.exports = {
+  gc: {
+    name: 'gc',
+    alias: [ 'garbage' ],
+    action: dockerGc,
+    description: 'Removes dangling keg images, exited keg containers, orphaned mutagen syncs and leftover injected files',
+    example: 'keg docker gc <options>',
+    options: {
+      dryrun: {
+        alias: [ 'dry-run', 'dr' ],
+        description: 'Show the items that would be removed, without removing them',
+        example: 'keg docker gc --dry-run',
+        default: false
+      },
+      log: {
+        description: 'Log each item as it is removed',
+        example: 'keg docker gc --log false',
+        default: true
+      },
+    }
+  }
+}
@@ -12,9 +12,11 @@ module.exports = {
     alias: [ 'prov', 'pro', 'pr', 'p', 'dp' ],
     action: providerAction,
     tasks: {
+      ...require('./list'),
       ...require('./login'),
       ...require('./pull'),
       ...require('./push'),
+      ...require('./registry'),
     },
     description: 'Docker registry provider tasks',
     example: 'keg docker provider <task> <options>',
@@ -0,0 +1,112 @@
+const { limbo } = require('@keg-hub/jsutils')
+const { Logger } = require('KegLog')
+const { generalError } = require('KegUtils/error/generalError')
+const { DOCKER } = require('KegConst/docker')
+const { provenanceLabelKeys } = require('KegConst/docker/labels')
+const { getRegistryImage, getImageLabels, listTags } = require('KegUtils/registry')
+
+/**
+ * Gets the provenance of an image tag from its labels in the registry
+ * <br/>Tags that fail to load, or were pushed without provenance labels show empty values
+ * @param {Object} registry - Registry config => { url, user, token }
+ * @param {string} repository - Name of the image repository
+ * @param {string} tag - Tag of the image
+ *
+ * @returns {Object} - Provenance of the tag => { tag, commit, branch, cliVersion }
+ */
+const getTagProvenance = async (registry, repository, tag) => {
+  const [ err, labels={} ] = await limbo(getImageLabels(registry, repository, tag))
+  const commit = labels[provenanceLabelKeys.commit]
+
+  return {
+    tag,
+    commit: commit ? commit.slice(0, 12) : err ? 'error' : '',
+    branch: labels[provenanceLabelKeys.branch] || '',
+    cliVersion: labels[provenanceLabelKeys.cliVersion] || '',
+  }
+}
+
+/**
+ * Lists the tags of an image in a docker registry, with the commit each tag was built from
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} args.task - Current task being run
+ * @param {Object} args.params - Formatted key / value pair of the passed in options
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Array} - Provenance of each listed tag
+ */
+const providerList = async args => {
+  const limit = parseInt(args.params.limit) || 20
+  const { repository, registry } = await getRegistryImage(args)
+
+  const [ err, tags=[] ] = await limbo(listTags(registry, repository))
+  err && generalError(`Could not list the tags of "${ repository }" in registry "${ registry.url }"\n ${ err.message }`)
+
+  if(!tags.length){
+    Logger.empty()
+    Logger.warn(`  No tags found for "${ repository }" in registry "${ registry.url }"`)
+    Logger.empty()
+    return []
+  }
+
+  const rows = await Promise.all(
+    tags.slice(0, limit).map(tag => getTagProvenance(registry, repository, tag))
+  )
+
+  Logger.empty()
+  Logger.header(`${ registry.url }/${ repository }`)
+  Logger.table(rows)
+  tags.length > limit && Logger.info(`  Showing ${ limit } of ${ tags.length } tags`)
+  Logger.empty()
+
+  return rows
+}
+
+module.exports = {
+  list: {
+    name: 'list',
+    alias: [ 'ls', 'tags' ],
+    action: providerList,
+    description: 'Lists the tags of an image in a Docker registry provider, and the commit each tag was built from',
+    example: 'keg docker provider list <options>',
+    options: {
+      context: {
+        allowed: DOCKER.IMAGES,
+        description: 'Context of the image to list the tags of',
+        example: 'keg docker provider list --context core',
+        enforced: true,
+      },
+      tap: {
+        description: 'Name of the tap to list the tags of. Only needed if "context" argument is "tap"',
+        example: 'keg docker provider list --context tap --tap visitapps',
+      },
+      registry: {
+        description: 'Registry url or "local". Overrides the registry configured in the keg.cli.registry of the tap',
+        example: 'keg docker provider list --registry local',
+      },
+      provider: {
+        description: 'Url of the docker registry provider. Defaults to the registry of the tap, then the docker.providerUrl of the global config',
+        example: 'keg docker provider list --provider ghcr.io',
+      },
+      namespace: {
+        description: 'Use the docker namespace instead of the user for the docker provider url',
+        default: true
+      },
+      limit: {
+        alias: [ 'max' ],
+        description: 'Max number of tags to show',
+        example: 'keg docker provider list --limit 50',
+        default: 20,
+      },
+      token: {
+        description: 'API Token for the registry provider'
+      },
+      user: {
+        description: 'User to use when logging into the registry provider'
+      },
+    }
+  }
+}
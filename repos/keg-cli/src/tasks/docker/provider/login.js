@@ -1,4 +1,4 @@
-const { spawnCmd } = require('KegProc')
+const { Logger } = require('KegLog')
 const { buildDockerLogin } = require('KegUtils/builders/buildDockerLogin')
 const docker = require('KegDocCli')
 
@@ -17,7 +17,11 @@ const docker = require('KegDocCli')
 const providerLogin = async args => {
 
   const creds = await buildDockerLogin(args.params)
-  await docker.login(creds)
+
+  // Local registries do not require a login
+  creds.local
+    ? Logger.info(`Registry "${ creds.providerUrl }" is local, no login required`)
+    : await docker.login(creds)
 
 }
 
@@ -35,9 +39,16 @@ module.exports = {
         enforced: true
       },
       provider: {
-        description: 'Url of the docker registry provider',
+        description: 'Url of the docker registry provider. Defaults to the registry of the tap, then the docker.providerUrl of the global config',
         example: 'keg docker provider login --provider docker.pkg.github.com',
-        enforced: true
+      },
+      registry: {
+        description: 'Registry url or "local". Overrides the registry configured in the keg.cli.registry of the tap',
+        example: 'keg docker provider login --registry ghcr.io',
+      },
+      tap: {
+        description: 'Name of the tap to use the configured registry of',
+        example: 'keg docker provider login --tap visitapps',
       },
       token: {
         description: 'API Token for registry provider to allow logging in',
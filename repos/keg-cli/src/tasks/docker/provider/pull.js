@@ -1,9 +1,16 @@
-const { get, isStr } = require('@keg-hub/jsutils')
+const { get } = require('@keg-hub/jsutils')
+const { ask } = require('@keg-hub/ask-it')
 const docker = require('KegDocCli')
 const { Logger } = require('KegLog')
 const { DOCKER } = require('KegConst/docker')
 const { buildCmdContext } = require('KegUtils/builders/buildCmdContext')
 const { throwPackageError } = require('KegUtils/error/throwPackageError')
+const {
+  getRegistry,
+  getRegistryHost,
+  getRegistryImage,
+  listTags,
+} = require('KegUtils/registry')
 const {
   askForPackageVersion,
   buildPackageURL,
@@ -12,34 +19,25 @@ const {
 } = require('KegUtils/package')
 
 /**
- * Pulls an image locally from a configured registry provider in the cloud
+ * Host of the Github Packages docker registry
+ * <br/>Images in this registry are found with the Github packages API
+ * @string
+ */
+const GITHUB_PACKAGES = 'docker.pkg.github.com'
+
+/**
+ * Finds the image to pull from the Github Packages registry
  * @param {Object} args - arguments passed from the runTask method
- * @param {string} args.command - Initial command being run
- * @param {Array} args.options - arguments passed from the command line
- * @param {Object} args.tasks - All registered tasks of the CLI
- * @param {Object} args.task - Current task being run
- * @param {Object} args.params - Formatted key / value pair of the passed in options
- * @param {Object} globalConfig - Global config object for the keg-cli
+ * @param {Object} context - Context of the image to pull
+ * @param {string} context.cmdContext - Context of the image
+ * @param {string} context.tap - Name of the tap, when the context is a tap
+ * @param {string} context.provider - Url of the registry provider
  *
- * @returns {void}
+ * @returns {Object} - Url, version and name of the image to pull
  */
-const providerPull = async args => {
-  const { globalConfig, params, task } = args
-  const {
-    repo,
-    branch,
-    context,
-    version,
-    user=get(globalConfig, 'docker.user'),
-    provider=get(globalConfig, 'docker.providerUrl'),
-  } = params
-
-  // Get the command context
-  const { cmdContext, tap } = await buildCmdContext({
-    params,
-    globalConfig,
-    allowed: get(task, 'options.context.allowed', DOCKER.IMAGES)
-  })
+const findGithubImage = async (args, { cmdContext, tap, provider }) => {
+  const { globalConfig, params } = args
+  const { branch, context, version, user=get(globalConfig, 'docker.user') } = params
 
   // Get the package that matches the passed in user, context and docker
   const package = await getPackage({
@@ -48,7 +46,7 @@ const providerPull = async args => {
     type: 'docker',
     params: { ...params, context: cmdContext, tap },
   })
-  
+
   // Ensure we have a package to work with
   !package && throwPackageError(`No package found that matches context "${context}"`)
 
@@ -67,17 +65,78 @@ const providerPull = async args => {
     version: selectedVersion,
   })
 
+  return { url, image: package.image, version: selectedVersion }
+}
+
+/**
+ * Finds the image to pull from an OCI registry, using the registry HTTP API
+ * @param {Object} args - arguments passed from the runTask method
+ *
+ * @returns {Object} - Url, version and name of the image to pull
+ */
+const findRegistryImage = async args => {
+  const { branch, version } = args.params
+  const { image, repository, registry } = await getRegistryImage(args)
+
+  const tags = await listTags(registry, repository)
+  !tags.length && throwPackageError(`No tags found for "${ repository }" in registry "${ registry.url }"`)
+
+  // If the user passed in a version or branch to use, validate it
+  const versionRef = version || branch
+  versionRef && !tags.includes(versionRef) &&
+    throwPackageError(`Tag "${ versionRef }" does not exist for "${ repository }"`)
+
+  // If the user didn't pass in a version, ask the user to select one
+  const selectedVersion = versionRef ||
+    tags[await ask.promptList(tags, 'Image Tags:', 'Select a tag')]
+
+  return {
+    image,
+    version: selectedVersion,
+    url: `${ getRegistryHost(registry.url) }/${ repository }:${ selectedVersion }`,
+  }
+}
+
+/**
+ * Pulls an image locally from a configured registry provider in the cloud
+ * <br/>Uses the Github packages API for the Github registry, and the registry HTTP API for all others
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} args.task - Current task being run
+ * @param {Object} args.params - Formatted key / value pair of the passed in options
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {void}
+ */
+const providerPull = async args => {
+  const { globalConfig, params, task } = args
+
+  // Get the command context
+  const { cmdContext, tap } = await buildCmdContext({
+    params,
+    globalConfig,
+    allowed: get(task, 'options.context.allowed', DOCKER.IMAGES)
+  })
+
+  const registry = getRegistry({ ...params, tap }, globalConfig)
+
+  const { url, image, version } = getRegistryHost(registry.url) === GITHUB_PACKAGES
+    ? await findGithubImage(args, { cmdContext, tap, provider: registry.url })
+    : await findRegistryImage({ ...args, params: { ...params, context: cmdContext, tap } })
+
   // Pull the docker image from the built url
   await docker.pull(url)
 
   // Tag the image with latest if version is master, otherwise tag with the package version.
   Logger.info('Tagging image...')
 
-  selectedVersion === 'master'
-    ? await docker.image.tag(url, `${package.image}:latest`)
-    : await docker.image.tag(url, `${package.image}:${selectedVersion}`)
+  version === 'master'
+    ? await docker.image.tag(url, `${image}:latest`)
+    : await docker.image.tag(url, `${image}:${version}`)
 
-  Logger.spacedMsg(`Finished pulling docker package "${ package.image }"`)
+  Logger.spacedMsg(`Finished pulling docker package "${ image }"`)
 }
 
 module.exports = {
@@ -99,9 +158,12 @@ module.exports = {
         example: 'keg docker provider pull --branch develop',
       },
       provider: {
-        description: 'Url of the docker registry provider',
+        description: 'Url of the docker registry provider. Defaults to the registry of the tap, then the docker.providerUrl of the global config',
         example: 'keg docker provider pull --provider docker.pkg.github.com',
-        default: 'docker.pkg.github.com'
+      },
+      registry: {
+        description: 'Registry url or "local". Overrides the registry configured in the keg.cli.registry of the tap',
+        example: 'keg docker provider pull --registry local',
       },
       repo: {
         description: 'The name of the repository holding docker images to pull',
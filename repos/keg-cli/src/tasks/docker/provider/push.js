@@ -76,6 +76,14 @@ module.exports = {
         description: 'Use the docker namespace instead of the user for the docker provider url',
         default: true
       },
+      provider: {
+        description: 'Url of the docker registry provider. Defaults to the registry of the tap, then the docker.providerUrl of the global config',
+        example: 'keg docker provider push --provider ghcr.io',
+      },
+      registry: {
+        description: 'Registry url or "local". Overrides the registry configured in the keg.cli.registry of the tap',
+        example: 'keg docker provider push --registry local',
+      },
       tag: {
         description: 'Specify the tag tied to the image being pushed',
         default: 'latest',
@@ -0,0 +1,108 @@
+const docker = require('KegDocCli')
+const { Logger } = require('KegLog')
+const { ensureDirSync } = require('KegFileSys/fileSys')
+const { addGlobalConfigProp } = require('KegUtils/globalConfig/addGlobalConfigProp')
+const { LOCAL_REGISTRY, GLOBAL_REGISTRY_FOLDER } = require('KegConst/constants')
+
+/**
+ * Checks if a docker container is running
+ * @param {Object} container - Docker API container object
+ *
+ * @returns {boolean} - True if the container is running
+ */
+const isRunning = container => Boolean(container && container.status.indexOf('Up') === 0)
+
+/**
+ * Stops and removes the local docker registry container
+ * <br/>The pushed images are kept in the registry folder of the global config
+ * @param {Object} container - Docker API container object of the registry
+ *
+ * @returns {void}
+ */
+const stopRegistry = async container => {
+  if(!container)
+    return Logger.info(`Local registry "${ LOCAL_REGISTRY.NAME }" is not running`)
+
+  await docker.container.remove({ item: container.id, force: true })
+  Logger.success(`Stopped local registry "${ LOCAL_REGISTRY.NAME }"`)
+}
+
+/**
+ * Starts or stops a local docker registry, to push and pull images when working offline
+ * <br/>Set the registry of a tap to "local" to use it with the other provider tasks
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} args.task - Current task being run
+ * @param {Object} args.params - Formatted key / value pair of the passed in options
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Docker API container object of the registry
+ */
+const providerRegistry = async args => {
+  const { globalConfig, params } = args
+  const { stop, log } = params
+  const port = parseInt(params.port) || LOCAL_REGISTRY.PORT
+
+  const container = await docker.container.get(LOCAL_REGISTRY.NAME)
+  if(stop) return stopRegistry(container)
+
+  if(isRunning(container)){
+    Logger.info(`Local registry "${ LOCAL_REGISTRY.NAME }" is already running`)
+    return container
+  }
+
+  // Remove the stopped container, so it's recreated with the passed in port
+  container && await docker.container.remove({ item: container.id, force: true })
+
+  ensureDirSync(GLOBAL_REGISTRY_FOLDER)
+
+  await docker.image.run({
+    log,
+    image: LOCAL_REGISTRY.IMAGE,
+    name: LOCAL_REGISTRY.NAME,
+    overrideDockerfileCmd: false,
+    opts: [
+      `-d`,
+      `--restart always`,
+      `-p ${ port }:${ LOCAL_REGISTRY.PORT }`,
+      `-v ${ GLOBAL_REGISTRY_FOLDER }:/var/lib/registry`,
+    ],
+  })
+
+  // Save the port, so the "local" registry of the provider tasks uses it
+  addGlobalConfigProp(globalConfig, LOCAL_REGISTRY.PORT_SETTING, port)
+
+  Logger.success(`Local registry running at "localhost:${ port }"`)
+
+  return docker.container.get(LOCAL_REGISTRY.NAME)
+}
+
+module.exports = {
+  registry: {
+    name: 'registry',
+    alias: [ 'reg', 'local' ],
+    action: providerRegistry,
+    description: 'Starts or stops a local docker registry for working offline',
+    example: 'keg docker provider registry <options>',
+    options: {
+      stop: {
+        alias: [ 'down', 'remove' ],
+        description: 'Stop and remove the local registry container. Pushed images are kept',
+        example: 'keg docker provider registry --stop',
+        default: false,
+      },
+      port: {
+        description: 'Port of the host machine the registry is bound to',
+        example: 'keg docker provider registry --port 5001',
+        default: LOCAL_REGISTRY.PORT,
+      },
+      log: {
+        description: 'Log the docker command used to start the registry',
+        example: 'keg docker provider registry --log',
+        default: false,
+      },
+    }
+  }
+}
@@ -1,16 +1,11 @@
-const path = require('path')
 const { Logger } = require('KegLog')
-const platform = require('os').platform()
-const qrcode = require('qrcode-terminal')
 const { DOCKER } = require('KegConst/docker')
 const { isObj, isStr } = require('@keg-hub/jsutils')
-const { CONTAINER_PREFIXES, CLI_ROOT } = require('KegConst/constants')
+const { CONTAINER_PREFIXES } = require('KegConst/constants')
+const { getSetting } = require('KegUtils/globalConfig/getSetting')
 const { containerSelect } = require('KegUtils/docker/containerSelect')
+const { getTunnelProvider, getTunnelProviderNames } = require('KegUtils/tunnel')
 const { PACKAGE, IMAGE } = CONTAINER_PREFIXES
-const { pipeCmd } = require('KegProc')
-
-const NODE_MODULES_BIN = path.join(CLI_ROOT, `node_modules/.bin`)
-const NGROK_BIN = './ngrok' + (platform === 'win32' ? '.exe' : '')
 
 /**
  * Adds the http protocol to the found host header if it does not exist
@@ -105,59 +100,9 @@ const getHostHeader = async host => {
   return addHostHeaderProto(getHostFromLabel(container) || getHostFromName(container.name))
 }
 
-// TODO: Add better parsing for the log message
-/**
- * Callback for the standard out of the ngrok process
- * <br/>Looks for the started tunnel message, and parses the ngrok url
- * <br/>Displays a QR code with or the ngrok url for easy access
- * @function
- * @param {boolean} qr - Should a qr code be displayed
- * @param {boolean} log - Should messages be logged
- * @param {boolean} tunnelSet - Has the ngrok tunnel be setup
- *
- * @returns {function} - Standard out callback for the ngrok process
- */
-const onStdOut = (qr, log, tunnelSet=false) => {
-
- /**
-  * Return a callback used by the ngrok process to log message
-  * <br/>This is used to parse the ngrok tunnel url so it can be displayed 
-  * <br/>We also use it to create a QR code for easy access
-  * @function
-  * @param {string} data - Output from the standard out ngrok process
-  *
-  * @returns {void}
-  */
-  return data => {
-
-    // If logging is turned on and it's not the started tunnel message, then log the data
-    if(tunnelSet || data.indexOf(`msg="started tunnel"`) === -1)
-      return tunnelSet && log && Logger.stdout(data)
-
-    // Set tunnel set to true so we can start logging
-    tunnelSet = true
-
-    const localUrl = data.split(`addr=`)[1].split(' ')[0]
-    Logger.spacedMsg('Source:', Logger.color('magenta', localUrl))
-
-    const tunnelUrl = data.split(`url=`)[1].split(' ')[0].split('\n')[0]
-    Logger.spacedMsg('Tunnel:', Logger.color('green', tunnelUrl))
-
-    // If no qr code is set then just return
-    if(!qr) return
-
-    // Show a qr code on the terminal that the user can use to quickly access the tunnel on a mobile device
-    qr && qrcode.generate(tunnelUrl, { small: false })
-    // Set the qr to false to we only log out one qr code
-    qr = false
-
-    Logger.empty()
-  }
-
-}
-
 /**
- * Create a public tunnel the the url (by default, to `kegdev.xyz`)
+ * Create a tunnel to the url (by default, to `kegdev.xyz`)
+ * <br/>Uses the ngrok provider for a public tunnel, or the lan provider for a tunnel on the local network
  * @function
  * @param {Object} args - arguments passed from the runTask method
  * @param {string} args.command - Initial command being run
@@ -167,23 +112,23 @@ const onStdOut = (qr, log, tunnelSet=false) => {
  */
 const tunnel = async args => {
   const { params } = args
-  const { qr, source, port, host, log } = params
+  const { qr, source, port, host, listen, log } = params
+
+  const provider = getTunnelProvider(params.provider || getSetting('tunnel.provider') || 'ngrok')
 
   const hostHeader = await getHostHeader(host)
   !hostHeader && Logger.warn('Could not find a valid host header from container meta-data!')
 
   const srcUri = source || port || `${DOCKER.PREFIXED.KEG_DOCKER_IP}:80`
   
-  Logger.header('Starting tunnel...', 'white')
-
-  let ngrokCmd = `${NGROK_BIN} http --log=stdout`
-  hostHeader
-    ? (ngrokCmd += ` -host-header=rewrite ${hostHeader}`)
-    : (ngrokCmd += ` ${srcUri}`)
-
-  await pipeCmd(ngrokCmd.trim(), {
-    cwd: NODE_MODULES_BIN,
-    onStdOut: onStdOut(qr, log),
+  Logger.header(`Starting ${provider.name} tunnel...`, 'white')
+
+  await provider.start({
+    qr,
+    log,
+    listen,
+    hostHeader,
+    source: srcUri,
   })
 
 }
@@ -193,9 +138,15 @@ module.exports = {
     name: 'tunnel',
     alias: [ 't', 'tl', 'tn', 'tnl', 'tun', 'ngrok' ],
     action: tunnel,
-    description: 'Creates a public tunnel to the running docker container available at kegdev.xyz',
+    description: 'Creates a tunnel to the running docker container available at kegdev.xyz',
     example: 'keg docker tunnel <options>',
     options: {
+      provider: {
+        alias: [ 'mode', 'type' ],
+        allowed: getTunnelProviderNames(),
+        description: 'Provider used to create the tunnel. Defaults to the tunnel.provider setting, or ngrok',
+        example: 'keg docker tunnel --provider lan',
+      },
       host: {
         alias: [ 'header', 'rewrite' ],
         description: "Override the host header of the tunnel. By default, it uses the first found docker-package url",
@@ -215,6 +166,12 @@ module.exports = {
         description: 'optional override for the source of the tunnel, using this specified port of localhost instead.',
         example: 'keg docker tunnel --port 19006',
       },
+      listen: {
+        alias: [ 'lanPort' ],
+        description: 'Port the lan provider listens on, at the internal IP of the host machine',
+        example: 'keg docker tunnel --provider lan --listen 8080',
+        default: 8080,
+      },
       log: {
         description: 'Log output from the tunnel process',
         example: 'keg docker tunnel --log',
@@ -0,0 +1,82 @@
+const { Logger } = require('KegLog')
+const { runDoctorChecks } = require('KegUtils/doctor')
+
+/**
+ * Log colors and labels of each check status
+ * @object
+ */
+const statusLogs = {
+  pass: { color: 'green', label: 'PASS' },
+  warn: { color: 'yellow', label: 'WARN' },
+  fail: { color: 'red', label: 'FAIL' },
+}
+
+/**
+ * Prints the result of each doctor check, with a suggested fix when it did not pass
+ * @function
+ * @param {Array} report - Results of the doctor checks
+ *
+ * @returns {void}
+ */
+const displayReport = report => {
+  Logger.header(`Keg Doctor`)
+
+  report.map(({ name, status, message, fix }) => {
+    const { color, label } = statusLogs[status]
+
+    Logger.print(`  ${ Logger.color(color, label) }  ${ Logger.color('cyan', `${name}:`) } ${ message }`)
+    fix && Logger.print(`        ${ Logger.color('gray', 'Fix:') } ${ fix }`)
+  })
+
+  const count = status => report.filter(result => result.status === status).length
+
+  Logger.empty()
+  Logger.print(
+    `  ${ Logger.color('green', `${count('pass')} passed`) },`,
+    `${ Logger.color('yellow', `${count('warn')} warnings`) },`,
+    `${ Logger.color('red', `${count('fail')} failed`) }`
+  )
+  Logger.empty()
+}
+
+/**
+ * Runs diagnostic checks on the local keg environment
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Array} - Results of the doctor checks
+ */
+const doctor = async args => {
+  const { globalConfig, params } = args
+
+  const report = await runDoctorChecks(globalConfig)
+
+  params.json
+    ? Logger.print(JSON.stringify(report, null, 2))
+    : displayReport(report)
+
+  // Set the exit code, so failed checks can be caught by scripts
+  report.some(result => result.status === 'fail') && (process.exitCode = 1)
+
+  return report
+}
+
+module.exports = {
+  doctor: {
+    name: 'doctor',
+    alias: [ 'diagnose' ],
+    action: doctor,
+    description: 'Runs checks on the local keg environment, and suggests fixes for any problems',
+    example: 'keg doctor <options>',
+    options: {
+      json: {
+        description: 'Print the results of the checks as JSON',
+        example: 'keg doctor --json',
+        default: false,
+      },
+    }
+  }
+}
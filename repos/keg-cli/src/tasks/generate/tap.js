@@ -1,5 +1,88 @@
+const path = require('path')
+const { Logger } = require('KegLog')
+const { ask } = require('@keg-hub/ask-it')
+const { KegTpl } = require('KegTpl')
+const { fillTemplate } = require('KegUtils/template')
+const { generalError } = require('KegUtils/error/generalError')
+const { runInternalTask } = require('KegUtils/task/runInternalTask')
+const { writeFile, pathExists, mkDir, readDir } = require('KegFileSys')
+
+/**
+ * Maps the tap template files to their location in the generated tap
+ * <br/>Template files live in the src/templates/tap folder
+ * @object
+ */
+const tapTemplates = {
+  'app.template.json': 'app.json',
+  'package.template.json': 'package.json',
+  'container/Dockerfile.template': 'container/Dockerfile',
+  'container/docker-compose.template.yml': 'container/docker-compose.yml',
+  'container/values.template.yml': 'container/values.yml',
+}
+
+/**
+ * Builds the data used to fill the tap templates from the passed in params
+ * @param {Object} params - Parsed options passed from the command line
+ *
+ * @returns {Object} - Data to fill the tap templates
+ */
+const buildTemplateData = params => {
+  const { name, displayName, link, port, version, core } = params
+  const linkName = link || name
+
+  return {
+    name,
+    core,
+    port,
+    version,
+    link: linkName,
+    displayName: displayName || name,
+    // Keep the template string in the values file, so it's filled when the tap is run
+    linkPath: `{{ cli.taps.links.${ linkName } }}`,
+  }
+}
+
+/**
+ * Ensures the tap path does not exist, or is an empty folder
+ * @param {string} tapPath - Path where the tap will be generated
+ *
+ * @returns {void}
+ */
+const ensureTapPath = async tapPath => {
+  const [ errExists, exists ] = await pathExists(tapPath)
+  if(!exists) return
+
+  const [ errRead, content ] = await readDir(tapPath)
+  content && content.length &&
+    generalError(`Can not generate tap. Folder is not empty => ${tapPath}`)
+}
+
+/**
+ * Fills each tap template and writes it to the tap path
+ * @param {string} tapPath - Path where the tap will be generated
+ * @param {Object} data - Data to fill the tap templates
+ *
+ * @returns {void}
+ */
+const writeTapFiles = async (tapPath, data) => {
+  const [ errContainer ] = await mkDir(path.join(tapPath, 'container'))
+  errContainer && generalError(errContainer)
+
+  // Ensure the tapSrc path defined in the app.json exists
+  const [ errSrc ] = await mkDir(path.join(tapPath, 'src'))
+  errSrc && generalError(errSrc)
+
+  await Promise.all(
+    Object.entries(tapTemplates).map(async ([ tplFile, tapFile ]) => {
+      const filled = await fillTemplate({ loc: path.join(KegTpl, 'tap', tplFile), data })
+      const [ errWrite ] = await writeFile(path.join(tapPath, tapFile), filled)
+      errWrite && generalError(errWrite)
+    })
+  )
+}
+
 /**
- * 
+ * Generates a new tap from the tap templates, then links it in the global config
  * @param {Object} args - arguments passed from the runTask method
  * @param {string} args.command - Initial command being run
  * @param {Array} args.options - arguments passed from the command line
@@ -8,10 +91,31 @@
  *
  * @returns {void}
  */
-const generateTap = args => {
-  
-}
+const generateTap = async args => {
+  const { params } = args
+  const data = buildTemplateData(params)
+  const tapPath = path.resolve(params.location, params.name)
+
+  await ensureTapPath(tapPath)
+
+  const doWrite = await ask.confirm({
+    message: `Confirm, generate tap '${ data.name }' => ${tapPath}`,
+    default: true,
+  })
+
+  if(!doWrite) return Logger.warn(`Generate tap cancelled!`) || Logger.empty()
 
+  await writeTapFiles(tapPath, data)
+  Logger.success(`Generated new tap => ${tapPath}`)
+
+  // Link the new tap, so it can be run with keg tap --tap <link>
+  return runInternalTask('tasks.tap.tasks.link', {
+    ...args,
+    command: 'link',
+    params: { name: data.link, location: tapPath, silent: false },
+  })
+
+}
 
 module.exports = {
   alias: [ 't' ],
@@ -19,4 +123,59 @@ module.exports = {
   action: generateTap,
   description: `Generates scaffolding for a new Tap!`,
   example: 'keg generate tap <options>',
-}
\ No newline at end of file
+  options: {
+    name: {
+      description: 'Name of the new tap. Also used as the folder name',
+      example: 'keg generate tap --name my-tap',
+      ask: {
+        type: 'input',
+        message: 'Enter the tap name',
+      },
+      required: true,
+    },
+    location: {
+      alias: [ 'path', 'loc' ],
+      description: 'Parent folder the new tap folder will be created in',
+      example: 'keg generate tap --location ~/taps',
+      ask: {
+        type: 'input',
+        message: 'Enter the parent folder of the tap',
+      },
+      default: process.cwd(),
+    },
+    displayName: {
+      alias: [ 'display' ],
+      description: 'Display name of the tap. Defaults to the tap name',
+      example: 'keg generate tap --displayName \"My Tap\"',
+      ask: {
+        type: 'input',
+        message: 'Enter the tap display name',
+        default: '',
+      },
+    },
+    link: {
+      description: 'Name used to link the tap in the global config. Defaults to the tap name',
+      example: 'keg generate tap --link my-tap',
+      ask: {
+        type: 'input',
+        message: 'Enter the name used to link the tap',
+        default: '',
+      },
+    },
+    port: {
+      description: 'Port the tap app is served on inside the docker container',
+      example: 'keg generate tap --port 19006',
+      default: 19006,
+    },
+    version: {
+      description: 'Initial version of the tap',
+      example: 'keg generate tap --version 0.0.1',
+      default: '0.0.1',
+    },
+    core: {
+      description: 'Version of keg-core the tap depends on',
+      example: 'keg generate tap --core 8.0.0',
+      default: 'latest',
+    },
+  }
+}
@@ -1,16 +1,9 @@
-const {
-  addGlobalConfigProp,
-  confirmExec,
-  gitKeyExists,
-} = require('KegUtils')
+const { confirmExec, gitKeyExists } = require('KegUtils')
 const { throwRequired } = require('KegUtils/error')
-const { getSetting } = require('KegUtils/globalConfig')
-const { encrypt } = require('KegCrypto')
-const { ask } = require('@keg-hub/ask-it')
-const { GLOBAL_CONFIG_PATHS } = require('KegConst/constants')
+const { setSecret } = require('KegUtils/secrets')
 
 /**
- * Encrypts then adds a git key to the global config.
+ * Encrypts then adds a git key to the secrets store.
  * @param {Object} globalConfig - Global config object for the keg-cli
  * @param {string} value - Value of the git key
  *
@@ -24,23 +17,11 @@ const addGitKey = (args) => {
   if(!value) throwRequired(task, key, task.options.value)
 
   confirmExec({
-    confirm: `Overwrite current git key in global config?`,
-    success: `Set git key in global config!`,
-    cancel: `Set git key in global config cancelled!`,
+    confirm: `Overwrite current git key in the secrets store?`,
+    success: `Set git key in the secrets store!`,
+    cancel: `Set git key in the secrets store cancelled!`,
     preConfirm: !Boolean(gitKeyExists(globalConfig)),
-    execute: async () => {
-      const password = getSetting(`git.secure`)
-        ? await ask.password('Please enter a password')
-        : false
-
-      addGlobalConfigProp(
-        globalConfig,
-        `${GLOBAL_CONFIG_PATHS.GIT}.key`,
-        // Encrypt the value before saving,
-        // So at least not saving in plain text
-        encrypt(value, password)
-      )
-    }
+    execute: () => setSecret(`git.key`, value),
   })
 
 }
@@ -49,7 +30,7 @@ module.exports = {
   add: {
     name: 'add',
     action: addGitKey,
-    description: `Adds a github key to the global config`,
+    description: `Adds a github key to the secrets store`,
     example: 'keg git key add <options>',
     options: {
       value: {
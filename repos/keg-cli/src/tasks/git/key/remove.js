@@ -1,12 +1,15 @@
+const { get } = require('@keg-hub/jsutils')
 const {
   confirmExec,
   gitKeyExists,
   removeGlobalConfigProp,
 } = require('KegUtils')
+const { removeSecret } = require('KegUtils/secrets')
 const { GLOBAL_CONFIG_PATHS } = require('KegConst/constants')
 
 /**
- * Removes the git key from the global config cli
+ * Removes the git key from the secrets store
+ * <br/>Also removes the legacy git key from the global config, if it exists
  * @param {Object} globalConfig - Global config object for the keg-cli
  *
  * @returns {void}
@@ -15,14 +18,15 @@ const removeGitKey = (args) => {
   const { globalConfig } = args
 
   confirmExec({
-    confirm: `Remove git key from global config?`,
-    success: `Removed git key from global config!`,
-    cancel: `Remove git key from global config cancelled!`,
+    confirm: `Remove git key from the secrets store?`,
+    success: `Removed git key from the secrets store!`,
+    cancel: `Remove git key from the secrets store cancelled!`,
     preConfirm: !Boolean(gitKeyExists(globalConfig)),
-    execute: () => removeGlobalConfigProp(
-      globalConfig,
-      `${GLOBAL_CONFIG_PATHS.GIT}.key`
-    ),
+    execute: () => {
+      removeSecret(`git.key`)
+      get(globalConfig, `${GLOBAL_CONFIG_PATHS.GIT}.key`) &&
+        removeGlobalConfigProp(globalConfig, `${GLOBAL_CONFIG_PATHS.GIT}.key`)
+    },
   })
 }
 
@@ -32,7 +36,7 @@ module.exports = {
     name: 'remove',
     alias: [ 'rm' ],
     action: removeGitKey,
-    description: `Removes github key from the global config`,
+    description: `Removes github key from the secrets store`,
     example: 'keg git key remove',
   }
 }
\ No newline at end of file
@@ -1,35 +1,33 @@
-const { reduceObj, isInt, toInt } = require('@keg-hub/jsutils')
+const { Logger } = require('KegLog')
+const { github } = require('KegGitCli')
+const { isInt, toInt } = require('@keg-hub/jsutils')
 const { exists } = require('KegUtils/helpers/exists')
-const { spawnCmd } = require('KegProc')
-const { getGitPath } = require('KegUtils/git/getGitPath')
-const { throwNoConfigPath, generalError } = require('KegUtils/error')
-
+const { generalError } = require('KegUtils/error')
+const { prNumberOption, pullRequestOptions } = require('KegUtils/git/pullRequestOptions')
 
 /**
- * Git log task
+ * Checks out the branch of a github pull request
  * @param {Object} args - arguments passed from the runTask method
  * @param {string} args.command - Initial command being run
  * @param {Array} args.options - arguments passed from the command line
  * @param {Object} args.tasks - All registered tasks of the CLI
  * @param {Object} globalConfig - Global config object for the keg-cli
  *
- * @returns {void}
+ * @returns {boolean} - True if the pull request was checked out
  */
 const checkout = async args => {
-  const { params, options, tasks, globalConfig } = args
-  const { context, number, tap } = params
+  const { params, options } = args
+  const { number } = params
 
   const prNum = number || options.find(opt => isInt(toInt(opt)))
 
   !exists(prNum) && generalError(`A pull request number is required!`)
 
-  const location = !tap && ! context
-    ? process.cwd()
-    : await getGitPath(tap || context)
+  const checkedOut = await github.pr.checkout({ ...params, number: prNum })
 
-  !location && throwNoConfigPath(globalConfig, tap || context)
+  checkedOut && Logger.success(`\n  Checked out pull request #${ prNum }\n`)
 
-  await spawnCmd(`gh pr checkout ${ prNum }`, {}, location)
+  return checkedOut
 }
 
 module.exports = {
@@ -39,23 +37,8 @@ module.exports = {
     action: checkout,
     description: `Checkout a pull request from github!`,
     example: 'keg pr checkout <options>',
-    options: {
-      context: {
-        alias: [ 'name' ],
-        description: 'Context or name of the repo to execute the pr command on',
-        example: 'keg pr --context core ',
-        enforced: true,
-      },
-      number: {
-        alias: [ 'num' ],
-        description: `Pull request number.`,
-        example: 'keg pr --context core --number 23',
-      },
-      tap: {
-        description: 'Name of the linked tap when context option it set to tap',
-        example: 'keg pr --context tap --tap events-force',
-        enforced: true,
-      },
-    }
+    options: pullRequestOptions('checkout', {
+      number: prNumberOption('checkout', false),
+    })
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,46 @@
+const { Logger } = require('KegLog')
+const { github } = require('KegGitCli')
+const { prNumberOption, pullRequestOptions } = require('KegUtils/git/pullRequestOptions')
+
+/**
+ * Closes a github pull request
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {boolean} - True if the pull request was closed
+ */
+const closePullRequest = async args => {
+  const { params } = args
+  const closed = await github.pr.close({ ...params, deleteBranch: params.delete })
+
+  closed && Logger.success(`\n  Closed pull request #${ params.number }\n`)
+
+  return closed
+}
+
+module.exports = {
+  close: {
+    name: 'close',
+    alias: [ 'cl' ],
+    action: closePullRequest,
+    description: `Closes a github pull request`,
+    example: 'keg pr close <options>',
+    options: pullRequestOptions('close', {
+      number: prNumberOption('close'),
+      comment: {
+        alias: [ 'com' ],
+        description: 'Comment to leave on the pull request when closing it',
+        example: 'keg pr close --number 23 --comment "Replaced by #24"',
+      },
+      delete: {
+        alias: [ 'del' ],
+        description: 'Delete the local and remote branch of the pull request',
+        example: 'keg pr close --number 23 --delete',
+        default: false,
+      },
+    })
+  }
+}
@@ -0,0 +1,59 @@
+const { Logger } = require('KegLog')
+const { github } = require('KegGitCli')
+const { pullRequestOptions } = require('KegUtils/git/pullRequestOptions')
+
+/**
+ * Creates a github pull request from the current branch of the repo
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Url and number of the created pull request
+ */
+const createPullRequest = async args => {
+  const created = await github.pr.create(args.params)
+
+  created && Logger.label(`\n  Created pull request #${ created.number }:`, created.url)
+  Logger.empty()
+
+  return created
+}
+
+module.exports = {
+  create: {
+    name: 'create',
+    alias: [ 'cr', 'new' ],
+    action: createPullRequest,
+    description: `Creates a github pull request from the current branch`,
+    example: 'keg pr create <options>',
+    options: pullRequestOptions('create', {
+      title: {
+        alias: [ 'tl' ],
+        description: 'Title of the pull request. Uses the commits of the branch when not set',
+        example: 'keg pr create --title "Add the login screen"',
+      },
+      body: {
+        alias: [ 'bd' ],
+        description: 'Body of the pull request',
+        example: 'keg pr create --title "Add the login screen" --body "Adds the login screen"',
+      },
+      base: {
+        alias: [ 'bs' ],
+        description: 'Branch the pull request should be merged into. Defaults to the default branch of the repo',
+        example: 'keg pr create --base develop',
+      },
+      head: {
+        description: 'Branch that contains the changes. Defaults to the current branch',
+        example: 'keg pr create --head feature-login',
+      },
+      draft: {
+        alias: [ 'dr' ],
+        description: 'Create the pull request as a draft',
+        example: 'keg pr create --draft',
+        default: false,
+      },
+    })
+  }
+}
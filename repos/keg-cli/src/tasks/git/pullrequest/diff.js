@@ -0,0 +1,34 @@
+const { Logger } = require('KegLog')
+const { github } = require('KegGitCli')
+const { prNumberOption, pullRequestOptions } = require('KegUtils/git/pullRequestOptions')
+
+/**
+ * Prints the diff of a github pull request
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {string} - Diff of the pull request
+ */
+const diffPullRequest = async args => {
+  const diff = await github.pr.diff(args.params)
+
+  diff && Logger.print(diff)
+
+  return diff
+}
+
+module.exports = {
+  diff: {
+    name: 'diff',
+    alias: [ 'df' ],
+    action: diffPullRequest,
+    description: `Prints the diff of a github pull request`,
+    example: 'keg pr diff <options>',
+    options: pullRequestOptions('diff', {
+      number: prNumberOption('diff', false),
+    })
+  }
+}
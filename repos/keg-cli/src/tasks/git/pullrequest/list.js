@@ -0,0 +1,56 @@
+const { github } = require('KegGitCli')
+const { printPullRequests } = require('KegUtils/git/printPullRequests')
+const { pullRequestOptions } = require('KegUtils/git/pullRequestOptions')
+
+/**
+ * Lists the github pull requests of a repo
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Array} - Found pull requests
+ */
+const listPullRequests = async args => {
+  const pullRequests = await github.pr.list(args.params)
+
+  printPullRequests(pullRequests, `${ args.params.state.toUpperCase() } PULL REQUESTS`)
+
+  return pullRequests
+}
+
+module.exports = {
+  list: {
+    name: 'list',
+    alias: [ 'ls' ],
+    action: listPullRequests,
+    description: `Lists the github pull requests of a repo`,
+    example: 'keg pr list <options>',
+    options: pullRequestOptions('list', {
+      state: {
+        alias: [ 'st' ],
+        allowed: [ 'open', 'closed', 'merged', 'all' ],
+        description: 'Only list pull requests in the state',
+        example: 'keg pr list --state merged',
+        default: 'open',
+      },
+      base: {
+        alias: [ 'bs' ],
+        description: 'Only list pull requests that merge into the branch',
+        example: 'keg pr list --base develop',
+      },
+      author: {
+        alias: [ 'au' ],
+        description: 'Only list pull requests created by the github user',
+        example: 'keg pr list --author lancetipton',
+      },
+      limit: {
+        alias: [ 'lm' ],
+        description: 'Max number of pull requests to list',
+        example: 'keg pr list --limit 10',
+        default: 30,
+      },
+    })
+  }
+}
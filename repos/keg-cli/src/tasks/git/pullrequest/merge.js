@@ -0,0 +1,48 @@
+const { Logger } = require('KegLog')
+const { github } = require('KegGitCli')
+const { prNumberOption, pullRequestOptions } = require('KegUtils/git/pullRequestOptions')
+
+/**
+ * Merges a github pull request
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {boolean} - True if the pull request was merged
+ */
+const mergePullRequest = async args => {
+  const { params } = args
+  const merged = await github.pr.merge({ ...params, deleteBranch: params.delete })
+
+  merged && Logger.success(`\n  Merged pull request #${ params.number }\n`)
+
+  return merged
+}
+
+module.exports = {
+  merge: {
+    name: 'merge',
+    alias: [ 'mg' ],
+    action: mergePullRequest,
+    description: `Merges a github pull request`,
+    example: 'keg pr merge <options>',
+    options: pullRequestOptions('merge', {
+      number: prNumberOption('merge'),
+      method: {
+        alias: [ 'meth', 'mt' ],
+        allowed: [ 'merge', 'squash', 'rebase' ],
+        description: 'How the pull request should be merged',
+        example: 'keg pr merge --number 23 --method squash',
+        default: 'merge',
+      },
+      delete: {
+        alias: [ 'del' ],
+        description: 'Delete the local and remote branch after merging',
+        example: 'keg pr merge --number 23 --delete',
+        default: false,
+      },
+    })
+  }
+}
@@ -25,6 +25,13 @@ module.exports = {
     example: 'keg pr <options>',
     tasks: {
       checkout,
+      ...require('./close'),
+      ...require('./create'),
+      ...require('./diff'),
+      ...require('./list'),
+      ...require('./merge'),
+      ...require('./ready'),
+      ...require('./reopen'),
     },
     options: checkout.options
   }
@@ -0,0 +1,35 @@
+const { Logger } = require('KegLog')
+const { github } = require('KegGitCli')
+const { prNumberOption, pullRequestOptions } = require('KegUtils/git/pullRequestOptions')
+
+/**
+ * Marks a draft github pull request as ready for review
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {boolean} - True if the pull request was marked as ready
+ */
+const readyPullRequest = async args => {
+  const { params } = args
+  const ready = await github.pr.ready(params)
+
+  ready && Logger.success(`\n  Pull request #${ params.number } is ready for review\n`)
+
+  return ready
+}
+
+module.exports = {
+  ready: {
+    name: 'ready',
+    alias: [ 'rd' ],
+    action: readyPullRequest,
+    description: `Marks a draft github pull request as ready for review`,
+    example: 'keg pr ready <options>',
+    options: pullRequestOptions('ready', {
+      number: prNumberOption('ready'),
+    })
+  }
+}
@@ -0,0 +1,35 @@
+const { Logger } = require('KegLog')
+const { github } = require('KegGitCli')
+const { prNumberOption, pullRequestOptions } = require('KegUtils/git/pullRequestOptions')
+
+/**
+ * Reopens a closed github pull request
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {boolean} - True if the pull request was reopened
+ */
+const reopenPullRequest = async args => {
+  const { params } = args
+  const reopened = await github.pr.reopen(params)
+
+  reopened && Logger.success(`\n  Reopened pull request #${ params.number }\n`)
+
+  return reopened
+}
+
+module.exports = {
+  reopen: {
+    name: 'reopen',
+    alias: [ 'ro' ],
+    action: reopenPullRequest,
+    description: `Reopens a closed github pull request`,
+    example: 'keg pr reopen <options>',
+    options: pullRequestOptions('reopen', {
+      number: prNumberOption('reopen'),
+    })
+  }
+}
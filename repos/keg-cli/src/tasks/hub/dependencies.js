@@ -1,7 +1,30 @@
 const semver = require('semver')
-const { Logger } = require('KegLog')
+const { DEPENDENCY_TYPES } = require('KegConst/constants')
+const { ask } = require('@keg-hub/ask-it')
 const { getHubRepos } = require('KegUtils/hub/getHubRepos')
+const { generalError } = require('KegUtils/error/generalError')
+const {
+  buildMismatchReport,
+  checkMismatchFailure,
+  getReportLogger,
+  isMachineFormat,
+  printMismatchReport,
+} = require('KegUtils/hub/dependencyReport')
 const { reduceObj, mapObj, get, set } = require('@keg-hub/jsutils')
+const {
+  keepRangePrefix,
+  updateVersionInDependencies
+} = require('KegUtils/version/updateVersionInDependencies')
+
+/**
+ * Builds the key of a repos dependency type in the dependency map
+ * <br/>A repo can use the same dependency in more then one dependency type
+ * @param {string} repo - Name of the repo
+ * @param {string} type - Type of dependencies from the package.json of the repo
+ *
+ * @returns {string} - Key of the repo and dependency type
+ */
+const buildDepKey = (repo, type) => `${repo}:${type}`
 
 /**
  * Loops over a repos dependencies and compares it with all other repo dependencies
@@ -14,12 +37,14 @@ const { reduceObj, mapObj, get, set } = require('@keg-hub/jsutils')
  */
 const loopDependency = (repo, allDependencies, dependencies, type) => {
   return reduceObj(dependencies, (dependency, version, updated) => {
+    const depKey = buildDepKey(repo, type)
+
     !updated.cache[dependency]
-      ? (updated.cache[dependency] = { [repo]: { version, type } })
+      ? (updated.cache[dependency] = { [depKey]: { repo, version, type } })
       : (updated.versions[dependency] = {
           ...updated.cache[dependency],
           ...updated.versions[dependency],
-          [repo]: { version, type }
+          [depKey]: { repo, version, type }
         })
 
     return updated
@@ -61,14 +86,15 @@ const buildDepMap = (allDependencies, package, repo) => {
 /**
  * Loops over all versions of dependencies and finds the differences
  * @param {Object} versions - All dependencies and their versions
+ * @param {Object} log - Logger for messages that are not part of the report
  *
  * @returns {Object} - Mapped dependencies version mismatches
  */
-const diffDepVersions = versions => {
+const diffDepVersions = (versions, log) => {
   return reduceObj(versions, (depName, mapped, mismatch) => {
-    mapObj(mapped, (repo, meta) => {
-      mapObj(mapped, (altRepo, altMeta) => {
-        if(altRepo === repo) return
+    mapObj(mapped, (depKey, meta) => {
+      mapObj(mapped, (altDepKey, altMeta) => {
+        if(altDepKey === depKey) return
         
         try {
 
@@ -77,18 +103,18 @@ const diffDepVersions = versions => {
             semver.coerce(altMeta.version)
           ) && ( mismatch[depName] = {
             ...mismatch[depName],
-            [repo]: meta,
-            [altRepo]: altMeta,
+            [depKey]: meta,
+            [altDepKey]: altMeta,
           })
 
         }
         catch(err){
-          console.log(
+          log.warn(
             `\n`,
             `Error - ${err.message}\n`,
             `Dependency - ${depName}\n`,
-            `Repo - ${repo} | Version - ${meta.version}\n`,
-            `Other Repo - ${altRepo} | Other Version - ${altMeta.version}\n`,
+            `Repo - ${meta.repo} (${meta.type}) | Version - ${meta.version}\n`,
+            `Other Repo - ${altMeta.repo} (${altMeta.type}) | Other Version - ${altMeta.version}\n`,
           )
         }
       })
@@ -99,61 +125,143 @@ const diffDepVersions = versions => {
 }
 
 /**
- * Formats all dependencies mismatches to be printed
- * @param {Object} mismatched - All mismatched repos
+ * Builds the dependency map for all the passed in repos
+ * @param {Object} repos - Meta data for all repos of the keg-hub
  *
- * @returns {Object} - Dependencies to be rendered
+ * @returns {Object} - Dependency map with cache and versions keys
  */
-const formatMismatches = mismatched => {
-  return reduceObj(mismatched, (depName, mapped, toRender) => {
-    mapObj(mapped, (repo, meta) => {
-      toRender[depName] = toRender[depName] || {}
-      toRender[depName][meta.version] = toRender[depName][meta.version] || []
-      toRender[depName][meta.version].push(repo)
-    })
+const buildAllDependencies = repos => {
+  const allDependencies = { cache: {}, versions: {} }
+  repos.map(({ repo, package }) => buildDepMap(allDependencies, package, repo))
 
-    return toRender
-  })
+  return allDependencies
 }
 
 /**
- * Prints out the found mismatches dependencies of the keg-hub repos
- * @param {Object} formatted - Dependencies, repos and versions
+ * Compares the package.json dependencies
+ * <br/>Finds all dependencies that are mismatched and prints out their versions
+ * @param {Object} allDependencies - Dependency map built from the keg-hub repos
+ * @param {string} format - Format to print the mismatches in
+ * @param {Object} log - Logger for messages that are not part of the report
  *
- * @returns {void}
+ * @returns {Object} - Report of the mismatched dependencies
+ */
+const compareVersions = (allDependencies, format, log) => {
+  const mismatched = diffDepVersions(allDependencies.versions, log)
+  const report = buildMismatchReport(mismatched)
+
+  printMismatchReport(report, format)
+
+  return report
+}
+
+/**
+ * Parses the update option into the dependency and version to update
+ * <br/>Splits on the last `:`, so scoped dependencies are supported
+ * @param {string} update - Update option in the format <dependency>:<version>
+ *
+ * @returns {Object} - Dependency name and version to update to
+ */
+const parseUpdate = update => {
+  const splitAt = update.lastIndexOf(':')
+  const dependency = splitAt > 0 && update.slice(0, splitAt).trim()
+  const version = splitAt > 0 && update.slice(splitAt + 1).trim()
+
+  ;(!dependency || !version) &&
+    generalError(`Invalid update "${update}". Must be in the format <dependency>:<version>`)
+
+  !semver.valid(semver.coerce(version)) &&
+    generalError(`Invalid version "${version}" for dependency "${dependency}"`)
+
+  return { dependency, version }
+}
+
+/**
+ * Finds the repos using the dependency from the dependency map
+ * <br/>Then builds the version changes for each dependency type of the repos package.json
+ * @param {Array} repos - Meta data for all repos of the keg-hub
+ * @param {Object} allDependencies - Dependency map built from the keg-hub repos
+ * @param {string} dependency - Name of the dependency to update
+ * @param {string} version - New version of the dependency
+ *
+ * @returns {Array} - Changes for each repo and dependency type
  */
-const displayMismatches = formatted => {
-  Logger.header(`Mismatched Dependencies`)
+const buildVersionChanges = (repos, allDependencies, dependency, version) => {
+  const usedBy = get(allDependencies, [ 'versions', dependency ]) ||
+    get(allDependencies, [ 'cache', dependency ]) ||
+    {}
 
-  mapObj(formatted, (depName, mapped) => {
-    Logger.pair(`  Dependency:`, depName)
+  const usedByRepos = Object.values(usedBy).map(({ repo }) => repo)
 
-    mapObj(mapped, (version, repos) => {
-      Logger.pair(`    ${version}:`, repos.join(', '))
+  return repos.reduce((changes, { repo, package }) => {
+    if(!usedByRepos.includes(repo)) return changes
+
+    DEPENDENCY_TYPES.map(type => {
+      const current = get(package, [ type, dependency ])
+      const updated = current && keepRangePrefix(current, version)
+
+      current && current !== updated &&
+        changes.push({ repo, type, current, updated })
     })
 
-    Logger.empty()
-  })
+    return changes
+  }, [])
 }
 
 /**
- * Compares the package.json dependencies
- * <br/>Finds all dependencies that are mismatched and prints out their versions
- * @param {Object} repos - Meta data for all repos of the keg-hub
+ * Prints out a diff of the dependency version changes
+ * @param {string} dependency - Name of the dependency to update
+ * @param {Array} changes - Changes for each repo and dependency type
+ * @param {Object} log - Logger for messages that are not part of the report
  *
  * @returns {void}
  */
-const compareVersions = repos => {
-  const allDependencies = { cache: {}, versions: {} }
-  repos.map(({ repo, package }) => buildDepMap(allDependencies, package, repo))
-  const mismatched = diffDepVersions(allDependencies.versions)
-  const formatted = formatMismatches(mismatched)
+const displayChanges = (dependency, changes, log) => {
+  log.header(`Update ${dependency}`)
 
-  displayMismatches(formatted)
+  changes.map(({ repo, type, current, updated }) => {
+    log.pair(`  ${repo}:`, `package.json => ${type}`)
+    log.red(`    - "${dependency}": "${current}"`)
+    log.green(`    + "${dependency}": "${updated}"`)
+    log.empty()
+  })
 }
 
-const updateVersion = (repos, update) => {
-  // TODO: Add code from other branch to update the versions
+/**
+ * Updates a dependency version in all keg-hub repos that use it
+ * <br/>Prints a diff of the changes and asks to confirm before writing
+ * @param {Array} repos - Meta data for all repos of the keg-hub
+ * @param {Object} allDependencies - Dependency map built from the keg-hub repos
+ * @param {string} update - Update option in the format <dependency>:<version>
+ * @param {boolean} confirm - If the update should be confirmed by the user
+ * @param {Object} log - Logger for messages that are not part of the report
+ *
+ * @returns {Array} - Repos that had their package.json updated
+ */
+const updateVersion = async (repos, allDependencies, update, confirm, log) => {
+  const { dependency, version } = parseUpdate(update)
+  const changes = buildVersionChanges(repos, allDependencies, dependency, version)
+
+  if(!changes.length)
+    return log.warn(`No repos need "${dependency}" updated to version "${version}"!`)
+
+  displayChanges(dependency, changes, log)
+
+  const changedRepos = changes.map(({ repo }) => repo)
+  const toUpdate = repos.filter(({ repo }) => changedRepos.includes(repo))
+
+  const confirmed = !confirm || await ask.confirm(
+    `Update "${dependency}" to version "${version}" in ${toUpdate.length} repo(s)?`
+  )
+
+  if(!confirmed) return log.warn(`Dependency update canceled!`) || log.empty()
+
+  const updated = await updateVersionInDependencies(dependency, toUpdate, version)
+
+  log.success(`Updated "${dependency}" in repos => ${updated.map(({ repo }) => repo).join(', ')}`)
+  log.empty()
+
+  return updated
 }
 
 /**
@@ -168,10 +276,17 @@ const updateVersion = (repos, update) => {
  */
 const hubDeps = async args => {
   const { params } = args
-  const { update } = params
+  const { update, format, failOnMismatch, confirm } = params
   const repos = []
 
-  await getHubRepos({ ...params, callback: (repo, package, { location }) => {
+  // The prompt is printed to stdout, so it would be mixed with a machine readable report
+  update && confirm && isMachineFormat(format) &&
+    generalError(`Can not confirm the update with the ${format} format. Pass --confirm false to update without confirming`)
+
+  // Logs that are not part of the report go to stderr for machine readable formats
+  const log = getReportLogger(format)
+
+  await getHubRepos({ ...params, log, callback: (repo, package, { location }) => {
     repos.push({
       repo,
       package,
@@ -179,8 +294,12 @@ const hubDeps = async args => {
     })
   }})
 
-  compareVersions(repos)
-  update && updateVersion(repos)
+  const allDependencies = buildAllDependencies(repos)
+
+  const report = compareVersions(allDependencies, format, log)
+  update && await updateVersion(repos, allDependencies, update, confirm, log)
+
+  checkMismatchFailure(report, failOnMismatch)
 
   return repos
 }
@@ -203,7 +322,24 @@ module.exports = {
         alias: [ 'up' ],
         description: 'Updates a specific dependency in all repos where it exists',
         example: 'keg hub dependencies --update <dependency>:<version>',
-        default: true
+      },
+      format: {
+        alias: [ 'fmt' ],
+        allowed: [ 'text', 'json', 'markdown', 'table' ],
+        description: 'Format to print the mismatched dependencies in',
+        example: 'keg hub dependencies --format json',
+        default: 'text'
+      },
+      confirm: {
+        description: 'Confirm before updating the dependency version',
+        example: 'keg hub dependencies --update <dependency>:<version> --confirm false',
+        default: true,
+      },
+      failOnMismatch: {
+        alias: [ 'fail-on-mismatch', 'fail' ],
+        description: 'Exit with a non-zero exit code when mismatched dependencies are found',
+        example: 'keg hub dependencies --fail-on-mismatch',
+        default: false
       }
     }
   }
@@ -92,10 +92,21 @@ module.exports = {
       },
       dryrun: {
         alias: ['dry-run', 'dr'],
-        description: 'Does everything publish would do except pushing to git and publishing to npm',
+        description: 'Prints the ordered publish plan for each repo without making any changes or asking any questions',
         example: 'keg hub publish --dry-run',
         default: false
       },
+      order: {
+        description: 'Order to publish the repos in. graph orders by the repos dependencies, config uses the publish context order',
+        example: 'keg hub publish --order config',
+        allowed: [ 'graph', 'config' ],
+        default: 'graph'
+      },
+      resume: {
+        description: 'Resumes a failed publish from the failed repo and step',
+        example: 'keg hub publish --resume',
+        default: false
+      },
       confirm: {
         description: 'Asks the user to confirm the updates before publishing. Set to false for CI/CD environments',
         example: 'keg hub publish --no-confirm',
@@ -1,4 +1,4 @@
-const { isObj, isFunc, reduceObj } = require('@keg-hub/jsutils')
+const { get, isObj, isFunc, reduceObj } = require('@keg-hub/jsutils')
 const { buildTaskData } = require('../utils/builders/buildTaskData')
 
 /**
@@ -23,14 +23,30 @@ const initialize = (name, globalConfig) => {
 
 }
 
+/**
+ * Loads the custom tasks from the customTasks path of the global config
+ * @param {Object} globalConfig - CLI global config object
+ *
+ * @returns {Object} - All loaded custom tasks
+ */
+const initializeCustom = globalConfig => {
+  // Required inline, so the fileSys lib is not loaded until the tasks are initialized
+  const { loadCustomTasks } = require('../utils/task/loadCustomTasks')
+
+  return loadCustomTasks(get(globalConfig, 'cli.paths.customTasks'), globalConfig)
+}
+
 module.exports = globalConfig => {
   return {
+    // Custom tasks are added first, so they can not override the default tasks
+    ...initializeCustom(globalConfig),
     ...initialize('base', globalConfig),
     ...initialize('cli', globalConfig),
     ...initialize('components', globalConfig),
     ...initialize('config', globalConfig),
     ...initialize('core', globalConfig),
     ...initialize('docker', globalConfig),
+    ...initialize('doctor', globalConfig),
     ...initialize('git', globalConfig),
     ...initialize('global', globalConfig),
     ...initialize('generate', globalConfig),
@@ -38,6 +54,7 @@ module.exports = globalConfig => {
     ...initialize('mutagen', globalConfig),
     ...initialize('network', globalConfig),
     ...initialize('proxy', globalConfig),
+    ...initialize('secrets', globalConfig),
     ...initialize('tap', globalConfig),
   }
 }
\ No newline at end of file
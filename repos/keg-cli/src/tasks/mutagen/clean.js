@@ -1,6 +1,7 @@
 const { Logger } = require('KegLog')
 const { mutagen } = require('KegMutagen')
 const { isArr, get } = require('@keg-hub/jsutils')
+const { untrackSync } = require('KegUtils/mutagen/syncRegistry')
 
 /**
  * Clean up and remove orphaned mutagen syncs
@@ -40,6 +41,7 @@ const clean = async args => {
     // Loop over all the syncs to remove and terminate them
     .map(async sync => {
       await mutagen.sync.terminate({ name: sync.identifier, log })
+      untrackSync(sync.name)
       log && Logger.highlight(`Removed mutagen sync`, sync.name)
     })
   )
@@ -3,6 +3,7 @@ const { Logger } = require('KegLog')
 const { mutagen } = require('KegMutagen')
 const { runInternalTask } = require('KegUtils/task/runInternalTask')
 const { getMutagenConfig } = require('KegUtils/getters/getMutagenConfig')
+const { trackSync } = require('KegUtils/mutagen/syncRegistry')
 const { buildContainerContext } = require('KegUtils/builders/buildContainerContext')
 const {
   generalError,
@@ -117,8 +118,11 @@ const mutagenCreate = async args => {
   // Get the params to create the mutagen sync
   const syncParams = await getSyncParams(contextData, params)
 
-  // Create the sync
-  !actionOnly && await createMutagenSync(args, syncParams, __internal)
+  // Create the sync, and track how it was created, so it can be recreated if it breaks
+  if(!actionOnly){
+    await createMutagenSync(args, syncParams, __internal)
+    trackSync(syncParams, contextData.name)
+  }
 
   // Return the context, and built sync params
   return { ...contextData, mutagen: syncParams }
@@ -31,6 +31,7 @@ module.exports = {
       ...require('./get'),
       ...require('./list'),
       ...require('./terminate'),
+      ...require('./watch'),
     },
     options: {
       ...create.options,
@@ -1,6 +1,7 @@
 const { mutagen } = require('KegMutagen')
 const { generalError } = require('KegUtils/error')
 const { Logger } = require('KegLog')
+const { untrackSync } = require('KegUtils/mutagen/syncRegistry')
 /**
  * Start the mutagen daemon
  * @param {Object} args - arguments passed from the runTask method
@@ -23,6 +24,9 @@ const mutagenTerminate = async args => {
     ? await mutagen.sync.terminate({ name: sync.identifier })
     : !__internal.skipThrow && generalError(`Mutagen sync "${ context }" does not exist!`)
 
+  // Stop tracking the sync, so it's not recreated by keg mutagen watch
+  untrackSync(context)
+
   Logger.highlight(`Mutagen sync`, `"${ context }"`, `terminated!`)
 
 }
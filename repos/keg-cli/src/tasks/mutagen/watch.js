@@ -0,0 +1,151 @@
+const { Logger } = require('KegLog')
+const { mutagen } = require('KegMutagen')
+const { isArr, wait } = require('@keg-hub/jsutils')
+const { getSyncHealth, healSync } = require('KegUtils/mutagen')
+
+/**
+ * Logs the issues of a mutagen sync
+ * @function
+ * @param {Object} health - Health of the sync from getSyncHealth
+ *
+ * @returns {void}
+ */
+const logIssues = health => {
+  Logger.empty()
+  Logger.highlight(`Mutagen sync`, `"${ health.name }"`, `has issues!`)
+  Logger.pair(`  Status:`, health.status)
+
+  health.issues.map(({ type, endpoint, path, message }) => {
+    const label = `  * ${ type }${ endpoint ? ` (${ endpoint })` : '' }:`
+    const text = [ path, message ].filter(Boolean).join(' => ')
+
+    type === 'conflict' || type === 'problem'
+      ? Logger.warn(label, text)
+      : Logger.error(label, text)
+  })
+}
+
+/**
+ * Checks the health of the current mutagen syncs, and logs any that changed since the last check
+ * <br/>If heal is set, broken syncs are recreated once, until they are healthy again
+ * @function
+ * @param {Object} params - Options passed from the command line
+ * @param {Object} state - Reported issues and healed syncs from the previous checks
+ *
+ * @returns {Array} - Health of each sync
+ */
+const checkSyncs = async (params, state) => {
+  const { context, heal, log } = params
+
+  const syncs = await mutagen.sync.list({ format: 'json', skipError: true })
+  if(!isArr(syncs)){
+    !state.listFailed && Logger.warn(`\n Could not list the mutagen syncs. Is the mutagen daemon running?`)
+    state.listFailed = true
+    return []
+  }
+
+  state.listFailed = false
+
+  const health = syncs
+    .filter(sync => !('noSessionsFound' in sync))
+    .filter(sync => !context || sync.name === context)
+    .map(getSyncHealth)
+
+  await Promise.all(health.map(async syncHealth => {
+    const { name, issues, broken } = syncHealth
+    const reported = JSON.stringify(issues)
+
+    // Only log the sync when its issues changed, so the output is not repeated every check
+    if(state.reported[name] !== reported){
+      issues.length
+        ? logIssues(syncHealth)
+        : state.reported[name] && Logger.highlight(`\nMutagen sync`, `"${ name }"`, `is healthy again!`)
+
+      state.reported[name] = reported
+    }
+
+    if(!broken) return (state.healed[name] = false)
+    if(!heal || state.healed[name]) return
+
+    state.healed[name] = true
+    Logger.highlight(`Recreating mutagen sync`, `"${ name }"`, `...`)
+
+    const { healed, reason } = await healSync(syncHealth, { log })
+
+    healed
+      ? Logger.highlight(`Mutagen sync`, `"${ name }"`, `recreated!`)
+      : Logger.error(`  Could not recreate mutagen sync "${ name }" => ${ reason }`)
+  }))
+
+  return health
+}
+
+/**
+ * Watches the mutagen syncs, and reports conflicts, problems and halted states
+ * <br/>Optionally recreates broken syncs with the config used to create them
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Array} - Health of each sync, when the once option is set
+ */
+const mutagenWatch = async args => {
+  const { params } = args
+  const { interval, once } = params
+  const state = { reported: {}, healed: {} }
+
+  !once && Logger.info(`\n Watching mutagen syncs every ${ interval } seconds. Press Ctrl+C to stop\n`)
+
+  while(true){
+    const health = await checkSyncs(params, state)
+
+    if(once){
+      !health.some(syncHealth => syncHealth.issues.length) &&
+        Logger.success(`\n All mutagen syncs are healthy!\n`)
+
+      return health
+    }
+
+    await wait(interval * 1000)
+  }
+}
+
+module.exports = {
+  watch: {
+    name: 'watch',
+    alias: [ 'health', 'monitor', 'wt' ],
+    action: mutagenWatch,
+    description: `Watches the mutagen syncs, and reports conflicts, problems and halted states`,
+    example: 'keg mutagen watch <options>',
+    options: {
+      context: {
+        alias: [ 'name' ],
+        description: 'Only watch the mutagen sync with this name',
+        example: 'keg mutagen watch --context core',
+      },
+      heal: {
+        description: 'Recreate halted or disconnected syncs with the mutagen config used to create them',
+        example: 'keg mutagen watch --heal',
+        default: false,
+      },
+      interval: {
+        alias: [ 'int' ],
+        description: 'Seconds to wait between checking the mutagen syncs',
+        example: 'keg mutagen watch --interval 10',
+        default: 5,
+      },
+      once: {
+        description: 'Check the mutagen syncs one time, then exit',
+        example: 'keg mutagen watch --once',
+        default: false,
+      },
+      log: {
+        description: 'Log the mutagen commands run when recreating a sync',
+        example: 'keg mutagen watch --heal --log',
+        default: false,
+      },
+    }
+  }
+}
@@ -1,5 +1,5 @@
 const { DOCKER } = require('KegConst/docker')
-const { serviceOptions, composeService } = require('KegUtils/services')
+const { serviceOptions, composeService, portService } = require('KegUtils/services')
 
 /**
  * Start keg-proxy with docker-compose
@@ -12,18 +12,22 @@ const { serviceOptions, composeService } = require('KegUtils/services')
  * @returns {void}
  */
 const startProxy = async (args) => {
+  const exArgs = {
+    context: 'proxy',
+    container: 'keg-proxy',
+  }
+
+  // Check the proxy ports are free, and add the ENVs of any remapped ports
+  const portArgs = await portService(args, exArgs)
+
   return composeService({
-    ...args,
+    ...portArgs,
     __internal: {
-      ...args.__internal,
+      ...portArgs.__internal,
       skipDockerExec: true,
       locationContext: args.task.locationContext,
     },
-  },
-  {
-    context: 'proxy',
-    container: 'keg-proxy',
-  })
+  }, exArgs)
 
 }
 module.exports = {
@@ -0,0 +1,42 @@
+const { generalError } = require('KegUtils/error')
+const { getSecret } = require('KegUtils/secrets')
+
+/**
+ * Prints the decrypted value of a secret from the secrets store
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {string} - Decrypted value of the secret
+ */
+const getSecretValue = async args => {
+  const { globalConfig, params } = args
+  const { name } = params
+
+  const value = await getSecret(name, undefined, globalConfig)
+  value === undefined && generalError(`Secret "${name}" does not exist in the secrets store!`)
+
+  console.log(value)
+
+  return value
+}
+
+module.exports = {
+  get: {
+    name: 'get',
+    alias: [ 'print' ],
+    action: getSecretValue,
+    description: `Prints the decrypted value of a secret`,
+    example: 'keg secrets get <name>',
+    options: {
+      name: {
+        alias: [ 'nm' ],
+        description: 'Name of the secret to print',
+        example: 'keg secrets get git.key',
+        required: true,
+      },
+    }
+  }
+}
@@ -0,0 +1,40 @@
+const { Logger } = require('KegLog')
+const { listSecrets, migrateSecrets } = require('KegUtils/secrets')
+
+/**
+ * Lists the names of the secrets in the secrets store, without their values
+ * <br/>Migrates secrets stored in the global config with the legacy format first
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Array} - Stored secrets => { name, updatedAt }
+ */
+const listSecretNames = async args => {
+  const migrated = await migrateSecrets(undefined, args.globalConfig)
+  migrated.length && Logger.info(`\n Migrated legacy secrets: ${migrated.join(', ')}`)
+
+  const secrets = listSecrets()
+
+  Logger.subHeader(`Secrets`)
+
+  secrets.length
+    ? secrets.map(({ name, updatedAt }) => Logger.pair(`  ${name}:`, `updated ${updatedAt}`))
+    : Logger.info(`  No secrets found. Run "keg secrets set <name>" to add one`)
+
+  Logger.empty()
+
+  return secrets
+}
+
+module.exports = {
+  list: {
+    name: 'list',
+    alias: [ 'ls' ],
+    action: listSecretNames,
+    description: `Lists the names of the stored secrets`,
+    example: 'keg secrets list',
+  }
+}
@@ -0,0 +1,62 @@
+const { get } = require('@keg-hub/jsutils')
+const { confirmExec } = require('KegUtils/helpers/confirmExec')
+const { generalError } = require('KegUtils/error')
+const { removeGlobalConfigProp } = require('KegUtils/globalConfig')
+const { LEGACY_SECRETS, hasSecret, removeSecret } = require('KegUtils/secrets')
+
+/**
+ * Removes a secret from the secrets store
+ * <br/>Also removes the legacy value from the global config, if it exists
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {void}
+ */
+const removeSecretValue = async args => {
+  const { globalConfig, params } = args
+  const { name, confirm } = params
+
+  const legacyPath = LEGACY_SECRETS[name]
+  const hasLegacy = Boolean(legacyPath && get(globalConfig, legacyPath))
+
+  !hasSecret(name) &&
+    !hasLegacy &&
+    generalError(`Secret "${name}" does not exist in the secrets store!`)
+
+  await confirmExec({
+    confirm: `Remove secret "${name}" from the secrets store?`,
+    success: `Removed secret "${name}" from the secrets store!`,
+    cancel: `Remove secret "${name}" cancelled!`,
+    preConfirm: !confirm,
+    execute: () => {
+      removeSecret(name)
+      hasLegacy && removeGlobalConfigProp(globalConfig, legacyPath)
+    },
+  })
+}
+
+module.exports = {
+  remove: {
+    name: 'remove',
+    alias: [ 'rm', 'delete' ],
+    action: removeSecretValue,
+    description: `Removes a secret from the secrets store`,
+    example: 'keg secrets remove <name>',
+    options: {
+      name: {
+        alias: [ 'nm' ],
+        description: 'Name of the secret to remove',
+        example: 'keg secrets remove docker.token',
+        required: true,
+      },
+      confirm: {
+        description: 'Confirm before removing the secret',
+        example: 'keg secrets remove docker.token --confirm false',
+        default: true,
+      },
+    }
+  }
+}
@@ -0,0 +1,33 @@
+const { Logger } = require('KegLog')
+const { migrateSecrets, rotateSecrets } = require('KegUtils/secrets')
+
+/**
+ * Re-encrypts all secrets in the secrets store with a new key
+ * <br/>When the git.secure setting is set, the user is asked for the current and new password
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Array} - Names of the rotated secrets
+ */
+const rotateSecretValues = async args => {
+  await migrateSecrets(undefined, args.globalConfig)
+  const rotated = await rotateSecrets()
+
+  rotated.length
+    ? Logger.success(`\n Rotated secrets: ${rotated.join(', ')}\n`)
+    : Logger.info(`\n No secrets found to rotate\n`)
+
+  return rotated
+}
+
+module.exports = {
+  rotate: {
+    name: 'rotate',
+    action: rotateSecretValues,
+    description: `Re-encrypts all secrets with a new key or password`,
+    example: 'keg secrets rotate',
+  }
+}
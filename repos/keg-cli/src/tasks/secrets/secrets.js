@@ -0,0 +1,15 @@
+module.exports = {
+  secrets: {
+    name: 'secrets',
+    alias: [ 'secret', 'sec' ],
+    tasks: {
+      ...require('./get'),
+      ...require('./list'),
+      ...require('./remove'),
+      ...require('./rotate'),
+      ...require('./set'),
+    },
+    description: 'Manage the encrypted secrets used by the Keg-CLI ( git key, docker and npm tokens )',
+    example: 'keg secrets <command> <options>'
+  }
+}
@@ -0,0 +1,46 @@
+const { Logger } = require('KegLog')
+const { ask } = require('@keg-hub/ask-it')
+const { setSecret } = require('KegUtils/secrets')
+
+/**
+ * Encrypts a secret, and saves it to the secrets store
+ * <br/>Asks for the value when it's not passed, so it does not show in the shell history
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {void}
+ */
+const setSecretValue = async args => {
+  const { name, value } = args.params
+
+  const secretValue = value || await ask.password(`Please enter the value of the "${name}" secret`)
+  await setSecret(name, secretValue)
+
+  Logger.success(`\n Saved secret "${name}" to the secrets store!\n`)
+}
+
+module.exports = {
+  set: {
+    name: 'set',
+    alias: [ 'add' ],
+    action: setSecretValue,
+    description: `Encrypts and saves a secret to the secrets store`,
+    example: 'keg secrets set <name> <options>',
+    options: {
+      name: {
+        alias: [ 'nm' ],
+        description: 'Name of the secret ( git.key | docker.token | npm.token )',
+        example: 'keg secrets set docker.token',
+        required: true,
+      },
+      value: {
+        alias: [ 'val' ],
+        description: 'Value of the secret. Asked for when not passed',
+        example: 'keg secrets set npm.token --value <token>',
+      },
+    }
+  }
+}
@@ -0,0 +1,60 @@
+const { Logger } = require('KegLog')
+const { generalError } = require('KegUtils/error')
+const { getPreview } = require('KegUtils/preview/previewRegistry')
+const { destroyPreview } = require('KegUtils/preview/destroyPreview')
+
+/**
+ * Destroys a tap preview, removing its container, syncs and git worktree
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Destroyed tap preview
+ */
+const destroyTapPreview = async args => {
+  const { branch, tap, log } = args.params
+
+  const preview = getPreview(tap, branch)
+  !preview && generalError(
+    `No preview exists for branch "${branch}" of the ${tap} tap.`,
+    `Run "keg tap preview list" to see the existing previews`
+  )
+
+  await destroyPreview(preview, log)
+
+  Logger.empty()
+  Logger.success(`  Destroyed preview of branch "${branch}"!`)
+  Logger.empty()
+
+  return preview
+}
+
+module.exports = {
+  destroy: {
+    name: 'destroy',
+    alias: [ 'dest', 'des', 'kill', 'rm' ],
+    action: destroyTapPreview,
+    description: `Destroys a tap preview, removing its container, syncs and git worktree`,
+    example: 'keg tap preview destroy <branch> <options>',
+    options: {
+      branch: {
+        alias: [ 'br' ],
+        description: 'Git branch of the preview to destroy',
+        example: 'keg tap preview destroy feature-login --tap my-tap',
+        required: true,
+      },
+      tap: {
+        description: 'Name of the tap the preview was created from',
+        example: 'keg tap preview destroy --tap my-tap',
+        required: true,
+      },
+      log: {
+        description: 'Log each item as it is removed',
+        example: 'keg tap preview destroy --log false',
+        default: true
+      },
+    }
+  }
+}
@@ -0,0 +1,70 @@
+const docker = require('KegDocCli')
+const { Logger } = require('KegLog')
+const { loadPreviews } = require('KegUtils/preview/previewRegistry')
+
+/**
+ * Logs the details of a tap preview
+ * @function
+ * @param {Object} preview - Tracked tap preview
+ * @param {Object} container - Docker container of the preview if it exists
+ *
+ * @returns {void}
+ */
+const logPreview = (preview, container) => {
+  Logger.yellow(`  ${preview.name}`)
+  Logger.pair(`    * Tap:`, preview.tap)
+  Logger.pair(`    * Branch:`, preview.branch)
+  Logger.pair(`    * Status:`, container ? container.status : 'No container')
+  Logger.pair(`    * Url:`, preview.url)
+  Logger.pair(`    * Location:`, preview.path)
+  Logger.empty()
+}
+
+/**
+ * Lists the tracked tap previews, and the status of their docker containers
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Array} - Tracked tap previews
+ */
+const listPreviews = async args => {
+  const { tap } = args.params
+  const previews = Object.values(loadPreviews())
+    .filter(preview => !tap || preview.tap === tap)
+
+  Logger.subHeader(`Tap Previews`)
+
+  if(!previews.length){
+    Logger.info(`  No tap previews found. Run "keg tap preview <branch> --tap <tap>" to create one`)
+    Logger.empty()
+    return previews
+  }
+
+  const containers = await docker.container.list({ errResponse: [], skipError: true })
+
+  previews.map(preview => logPreview(
+    preview,
+    containers.find(container => container.name === preview.container)
+  ))
+
+  return previews
+}
+
+module.exports = {
+  list: {
+    name: 'list',
+    alias: [ 'ls' ],
+    action: listPreviews,
+    description: `Lists the tap previews and the status of their containers`,
+    example: 'keg tap preview list <options>',
+    options: {
+      tap: {
+        description: 'Only list the previews of the tap',
+        example: 'keg tap preview list --tap my-tap',
+      },
+    }
+  }
+}
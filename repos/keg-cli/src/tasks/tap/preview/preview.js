@@ -0,0 +1,110 @@
+const { Logger } = require('KegLog')
+const { DOCKER } = require('KegConst/docker')
+const { deepClone, get, set } = require('@keg-hub/jsutils')
+const { GLOBAL_CONFIG_PATHS } = require('KegConst/constants')
+const { throwNoTapLink } = require('KegUtils/error/throwNoTapLink')
+const { createPreview } = require('KegUtils/preview/createPreview')
+const { serviceOptions, startService } = require('KegUtils/services')
+const { injectService } = require('KegUtils/services/injectService')
+const { getTapPath } = require('KegUtils/globalConfig/getTapPath')
+
+/**
+ * Builds the task arguments to start the tap from the preview worktree
+ * <br/>Links the tap to the worktree, and injects the container folder of the worktree if it exists
+ * @function
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {Object} preview - Tap preview being started
+ *
+ * @returns {Object} - Updated arguments passed to the start service
+ */
+const buildPreviewArgs = async (args, preview) => {
+  const { globalConfig, params, task } = args
+
+  // Point the tap link to the worktree, so the KEG_CONTEXT_PATH is the previewed branch
+  const previewConfig = deepClone(globalConfig)
+  set(previewConfig, `${GLOBAL_CONFIG_PATHS.TAP_LINKS}.${preview.tap}`, preview.path)
+
+  const taskData = await injectService({
+    app: preview.tap,
+    injectPath: preview.path,
+    taskData: {
+      ...args,
+      task: { ...task, inject: true },
+      globalConfig: previewConfig,
+      // Use a unique container and compose project, so the preview runs next to the tap
+      envs: {
+        ...args.envs,
+        CONTAINER_NAME: preview.container,
+        COMPOSE_PROJECT_NAME: preview.name,
+      },
+      params,
+    },
+  })
+
+  // The injected container name would override the preview container name, so reset it
+  get(taskData, 'params.__injected') && set(taskData, 'params.__injected.container', preview.container)
+
+  return { ...taskData, task }
+}
+
+/**
+ * Starts a tap in a docker container from a git branch, next to any other running branches
+ * <br/>The branch is checked out in a git worktree, and gets its own container and proxy domain
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {string} args.command - Initial command being run
+ * @param {Array} args.options - arguments passed from the command line
+ * @param {Object} args.tasks - All registered tasks of the CLI
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {*} - Response from the start service
+ */
+const previewTap = async args => {
+  const { globalConfig, params } = args
+  const { tap, branch, log } = params
+
+  const tapPath = getTapPath(globalConfig, tap)
+  !tapPath && throwNoTapLink(globalConfig, tap)
+
+  const preview = await createPreview({ tap, branch, tapPath, log })
+  const previewArgs = await buildPreviewArgs(args, preview)
+
+  const response = await startService(previewArgs, {
+    tap,
+    context: 'tap',
+    container: preview.container,
+  })
+
+  Logger.empty()
+  Logger.label(`  Preview of "${branch}" running at:`, preview.url)
+  Logger.empty()
+
+  return response
+}
+
+module.exports = {
+  preview: {
+    name: 'preview',
+    alias: [ 'prev', 'pr' ],
+    action: previewTap,
+    locationContext: DOCKER.LOCATION_CONTEXT.CONTAINERS,
+    description: `Runs a git branch of a tap in its own docker container, next to other running branches`,
+    example: 'keg tap preview <branch> <options>',
+    tasks: {
+      ...require('./list'),
+      ...require('./destroy'),
+    },
+    options: serviceOptions('tap', 'preview', {
+      branch: {
+        alias: [ 'br' ],
+        description: 'Git branch of the tap to preview. Checked out in a git worktree of the tap',
+        example: 'keg tap preview --branch feature-login --tap my-tap',
+        required: true,
+      },
+      tap: {
+        description: 'Name of the tap to preview. Must be a tap linked in the global config',
+        example: 'keg tap preview --tap my-tap',
+        required: true,
+      },
+    }),
+  }
+}
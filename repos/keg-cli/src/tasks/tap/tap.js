@@ -36,6 +36,7 @@ module.exports = {
       ...require('./log'),
       ...require('./new'),
       ...require('./package'),
+      ...require('./preview'),
       ...require('./run'),
       ...require('./restart'),
       ...require('./start'),
@@ -2,6 +2,7 @@ const { buildTapContext } = require('./buildTapContext')
 const { getSetting } = require('../globalConfig/getSetting')
 const { getPublicGitKey } = require('../git/getPublicGitKey')
 const { getContainerConst } = require('../docker/getContainerConst')
+const { loadEnvValues } = require('../values/loadEnvValues')
 const { convertParamsToEnvs } = require('../task/convertParamsToEnvs')
 
 /**
@@ -20,12 +21,18 @@ const buildContextEnvs = async (args) => {
   const { cmdContext, envs={}, globalConfig, params={}, tap } = args
   const containerEnvs = getContainerConst(cmdContext, 'env', {})
 
+  // Load the values.<env>.yml and <env>.env files for the environment
+  const envValues = loadEnvValues({ cmdContext, env: params.env, __injected: params.__injected })
+
   // Get the ENV vars for the command context and merge with any passed in envs
   return {
 
     // Get the ENV context for the command
     ...containerEnvs,
 
+    // Layer the ENVs for the environment over the container ENVs
+    ...envValues,
+
     // Add the passed in custom ENVS to override any of the defaults
     ...envs,
 
@@ -47,7 +54,11 @@ const buildContextEnvs = async (args) => {
     ...convertParamsToEnvs(params),
 
     // Set the project name to allow linking services if needed
-    COMPOSE_PROJECT_NAME: containerEnvs.COMPOSE_PROJECT_NAME || cmdContext,
+    // Passed in envs can override it, so the same service can run in separate projects
+    COMPOSE_PROJECT_NAME: envs.COMPOSE_PROJECT_NAME ||
+      envValues.COMPOSE_PROJECT_NAME ||
+      containerEnvs.COMPOSE_PROJECT_NAME ||
+      cmdContext,
   }
 
 }
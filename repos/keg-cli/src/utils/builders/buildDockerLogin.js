@@ -1,8 +1,12 @@
 const { get, reduceObj } = require('@keg-hub/jsutils')
+const { Logger } = require('KegLog')
 const { getGlobalConfig } = require('../globalConfig/getGlobalConfig')
 const { getGitKey } = require('../git/getGitKey')
+const { getSecret } = require('../secrets/getSecret')
+const { hasSecret } = require('../secrets/secretsStore')
 const { getGitConfigItem } = require('../git/getGitConfigItem')
 const { throwDockerCreds } = require('../error/throwDockerCreds')
+const { getRegistry } = require('../registry/getRegistry')
 
 /**
  * Validates the login creds to ensure all keys exist
@@ -23,26 +27,41 @@ const validateLoginCreds = creds => {
 
 /**
  * Builds the login creds for a docker registry provider
+ * <br/>The token defaults to the docker.token secret, then the git key
+ * <br/>Local registries do not require a login, so the creds are not validated
  * @function
  * @param {creds} - Creds passed in from the command line
  * @param {string} creds.provider - The url used to log into the provider
+ * @param {string} creds.registry - Registry url, "local" or a registry config
+ * @param {string} creds.tap - Name of the tap to load the registry config from
  * @param {string} creds.user - User used to login to the provider
  * @param {string} creds.token - Auth token for the docker registry provider
  *
  * @returns {Object} - The built login creds
  */
-const buildDockerLogin = async ({ user, token, provider, namespace }) => {
+const buildDockerLogin = async ({ user, token, provider, namespace, registry, tap }) => {
   const globalConfig = getGlobalConfig()
+  const config = getRegistry({ registry, provider, tap }, globalConfig)
+
+  const location = {
+    providerUrl: config.url,
+    namespace: config.namespace || namespace && get(globalConfig, 'docker.namespace'),
+  }
+
+  if(config.local) return { ...location, user, token, local: true }
 
   return validateLoginCreds({
-    token: token || await getGitKey(globalConfig),
+    token: Logger.addSecret(
+      token ||
+        (hasSecret(`docker.token`) && await getSecret(`docker.token`)) ||
+        await getGitKey(globalConfig)
+    ),
     user: user || get(globalConfig, 'docker.user') || await getGitConfigItem('user.name'),
-    providerUrl: provider || get(globalConfig, 'docker.providerUrl'),
-    namespace: namespace && get(globalConfig, 'docker.namespace'),
+    ...location,
   })
 
 }
 
 module.exports = {
   buildDockerLogin
-}
\ No newline at end of file
+}
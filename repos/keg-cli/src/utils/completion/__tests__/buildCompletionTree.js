@@ -0,0 +1,84 @@
+const { buildCompletionTree } = require('../buildCompletionTree')
+
+const tasks = {
+  tap: {
+    name: 'tap',
+    alias: [ 'taps' ],
+    action: jest.fn(),
+    description: 'Tap tasks',
+    tasks: {
+      start: {
+        name: 'start',
+        alias: [ 'st' ],
+        action: jest.fn(),
+        description: 'Start a tap',
+        options: {
+          tap: { alias: [ 'name' ], description: 'Name of the tap' },
+          env: { description: 'Env', allowed: [ 'development', 'production' ] },
+          attached: { description: 'Attach to the container' },
+        }
+      },
+      st: 'start',
+    }
+  },
+  taps: 'tap',
+  git: {
+    name: 'git',
+    action: jest.fn(),
+    description: 'Git tasks',
+    options: {
+      branch: { description: 'Git branch' },
+      container: { description: 'Docker container' },
+    }
+  },
+}
+
+describe('buildCompletionTree', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  const tree = buildCompletionTree(tasks)
+
+  it('should add the words of the sub-tasks for each task path', () => {
+    expect(tree.commands['']).toEqual([ 'tap', 'taps', 'git' ])
+    expect(tree.commands['tap']).toEqual([ 'start', 'st' ])
+    expect(tree.commands['tap start']).toBe(undefined)
+  })
+
+  it('should resolve alias words to the path of the task', () => {
+    expect(tree.resolve).toEqual(expect.arrayContaining([
+      { parent: '', word: 'tap', path: 'tap' },
+      { parent: '', word: 'taps', path: 'tap' },
+      { parent: 'tap', word: 'start', path: 'tap start' },
+      { parent: 'tap', word: 'st', path: 'tap start' },
+    ]))
+  })
+
+  it('should add the option names and their alias', () => {
+    expect(tree.options['tap start']).toEqual([ '--tap', '--name', '--env', '--attached' ])
+  })
+
+  it('should add the allowed values of an option', () => {
+    expect(tree.values).toEqual(expect.arrayContaining([{
+      path: 'tap start',
+      options: [ '--env' ],
+      values: [ 'development', 'production' ]
+    }]))
+  })
+
+  it('should add dynamic value sources for tap, branch and container options', () => {
+    expect(tree.values).toEqual(expect.arrayContaining([
+      { path: 'tap start', options: [ '--tap', '--name' ], source: 'taps' },
+      { path: 'git', options: [ '--branch' ], source: 'branches' },
+      { path: 'git', options: [ '--container' ], source: 'containers' },
+    ]))
+    expect(tree.values.find(value => value.options.includes('--attached'))).toBe(undefined)
+  })
+
+  it('should map tasks without sub-tasks to their first option', () => {
+    expect(tree.positional['tap start']).toBe('--tap')
+    expect(tree.positional['git']).toBe('--branch')
+    expect(tree.positional['tap']).toBe(undefined)
+  })
+
+})
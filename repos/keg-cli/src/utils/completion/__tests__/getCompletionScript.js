@@ -0,0 +1,62 @@
+const { generalError } = require('KegMocks/utils/error/generalError')
+jest.setMock('KegUtils/error/generalError', { generalError })
+
+const { getCompletionScript } = require('../getCompletionScript')
+
+const tasks = {
+  tap: {
+    name: 'tap',
+    alias: [ 'taps' ],
+    action: jest.fn(),
+    description: 'Tap tasks',
+    tasks: {
+      start: {
+        name: 'start',
+        action: jest.fn(),
+        description: 'Start a tap',
+        options: {
+          tap: { description: 'Name of the tap' },
+          env: { description: 'Env', allowed: [ 'development', 'production' ] },
+        }
+      },
+    }
+  },
+  taps: 'tap',
+}
+
+describe('getCompletionScript', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should generate a bash completion script from the tasks', () => {
+    const script = getCompletionScript('bash', tasks)
+
+    expect(script).toContain(`complete -F _keg_cli_complete keg`)
+    expect(script).toContain(`'|taps') echo 'tap' ;;`)
+    expect(script).toContain(`'tap start') echo '--tap --env' ;;`)
+    expect(script).toContain(`'tap start|--env') echo 'development production' ;;`)
+    expect(script).toContain(`'tap start|--tap') _keg_cli_taps ;;`)
+  })
+
+  it('should generate a zsh completion script that loads the bash script', () => {
+    const script = getCompletionScript('zsh', tasks)
+
+    expect(script.indexOf('#compdef keg')).toBe(0)
+    expect(script).toContain(`bashcompinit`)
+    expect(script).toContain(`complete -F _keg_cli_complete keg`)
+  })
+
+  it('should generate a fish completion script from the tasks', () => {
+    const script = getCompletionScript('fish', tasks)
+
+    expect(script).toContain(`complete -c keg -f -a '(__keg_cli_complete)'`)
+    expect(script).toContain(`    case '|taps'\n      echo 'tap'`)
+    expect(script).toContain(`    case 'tap start|--env'\n      printf '%s\\n' 'development' 'production'`)
+  })
+
+  it('should call generalError when the shell is not supported', () => {
+    expect(() => getCompletionScript('powershell', tasks)).toThrow()
+    expect(generalError).toHaveBeenCalled()
+  })
+
+})
@@ -0,0 +1,157 @@
+const { getCompletionSources } = require('./completionSources')
+
+/**
+ * Wraps the value in single quotes, so the shell uses it literally
+ * @function
+ * @param {string} value - Value to quote
+ *
+ * @returns {string} - Quoted value
+ */
+const quote = value => `'${ `${value}`.replace(/'/g, `'\\''`) }'`
+
+/**
+ * Builds the body of a bash case statement
+ * @function
+ * @param {Array} entries - Array of [ patterns, command ] pairs
+ *
+ * @returns {string} - Case statement items
+ */
+const buildCases = entries => {
+  return entries
+    .map(([ patterns, command ]) => `    ${ patterns.map(quote).join('|') }) ${ command } ;;`)
+    .join('\n')
+}
+
+/**
+ * Builds a bash function that prints words based on a case statement
+ * @function
+ * @param {string} name - Name of the function
+ * @param {string} match - Value matched by the case statement
+ * @param {Array} entries - Array of [ patterns, command ] pairs
+ *
+ * @returns {string} - Bash function
+ */
+const buildCaseFunction = (name, match, entries) => {
+  return [
+    `${ name }(){`,
+    `  case "${ match }" in`,
+    buildCases(entries),
+    `  esac`,
+    `}`,
+  ].join('\n')
+}
+
+/**
+ * Builds a bash command that prints the passed in words
+ * @function
+ * @param {Array} words - Words to print
+ *
+ * @returns {string} - Bash echo command
+ */
+const echoWords = words => `echo ${ quote(words.join(' ')) }`
+
+/**
+ * Generates the bash completion script for the keg command
+ * @function
+ * @param {Object} tree - Completion tree built from buildCompletionTree
+ * @param {string} configPath - Path to the global config file of the CLI
+ *
+ * @returns {string} - Bash completion script
+ */
+const bashCompletion = (tree, configPath) => {
+  const sources = getCompletionSources(configPath)
+
+  return [
+    `# Keg-CLI bash completion`,
+    `# Generated from the Keg-CLI tasks with "keg cli completion bash"`,
+    ``,
+    `_keg_cli_taps(){`,
+    `  ${ sources.taps }`,
+    `}`,
+    ``,
+    `_keg_cli_containers(){`,
+    `  ${ sources.containers }`,
+    `}`,
+    ``,
+    `_keg_cli_branches(){`,
+    `  ${ sources.branches }`,
+    `}`,
+    ``,
+    buildCaseFunction(
+      `_keg_cli_resolve`,
+      `$1|$2`,
+      tree.resolve.map(({ parent, word, path }) => [[ `${parent}|${word}` ], `echo ${ quote(path) }`])
+    ),
+    ``,
+    buildCaseFunction(
+      `_keg_cli_commands`,
+      `$1`,
+      Object.entries(tree.commands).map(([ path, words ]) => [[ path ], echoWords(words) ])
+    ),
+    ``,
+    buildCaseFunction(
+      `_keg_cli_options`,
+      `$1`,
+      Object.entries(tree.options).map(([ path, words ]) => [[ path ], echoWords(words) ])
+    ),
+    ``,
+    buildCaseFunction(
+      `_keg_cli_positional`,
+      `$1`,
+      Object.entries(tree.positional).map(([ path, option ]) => [[ path ], `echo ${ quote(option) }`])
+    ),
+    ``,
+    buildCaseFunction(
+      `_keg_cli_values`,
+      `$1|$2`,
+      tree.values.map(({ path, options, values, source }) => [
+        options.map(option => `${path}|${option}`),
+        source ? `_keg_cli_${source}` : echoWords(values)
+      ])
+    ),
+    ``,
+    `_keg_cli_complete(){`,
+    `  local cur="\${COMP_WORDS[COMP_CWORD]}"`,
+    `  local prev="\${COMP_WORDS[COMP_CWORD-1]}"`,
+    `  local task_path="" word next words`,
+    `  local index=1`,
+    ``,
+    `  # Find the path of the task being completed, options come after the task`,
+    `  while [[ $index -lt $COMP_CWORD ]]; do`,
+    `    word="\${COMP_WORDS[$index]}"`,
+    `    [[ "$word" == -* ]] && break`,
+    `    next="$(_keg_cli_resolve "$task_path" "$word")"`,
+    `    # Unknown commands are linked taps, which run the tap tasks`,
+    `    [[ -z "$next" && -z "$task_path" ]] && next="tap"`,
+    `    [[ -n "$next" ]] && task_path="$next"`,
+    `    index=$((index + 1))`,
+    `  done`,
+    ``,
+    `  if [[ "$prev" == -* ]]; then`,
+    `    words="$(_keg_cli_values "$task_path" "$prev")"`,
+    `    if [[ -n "$words" ]]; then`,
+    `      COMPREPLY=( $(compgen -W "$words" -- "$cur") )`,
+    `      return`,
+    `    fi`,
+    `  fi`,
+    ``,
+    `  if [[ "$cur" == -* ]]; then`,
+    `    words="$(_keg_cli_options "$task_path")"`,
+    `  else`,
+    `    words="$(_keg_cli_commands "$task_path")"`,
+    `    [[ -z "$task_path" ]] && words="$words $(_keg_cli_taps)"`,
+    `    # Tasks without sub-tasks, use the first argument as the value of their first option`,
+    `    [[ -z "$words" && "$prev" != -* ]] && words="$(_keg_cli_values "$task_path" "$(_keg_cli_positional "$task_path")")"`,
+    `  fi`,
+    ``,
+    `  COMPREPLY=( $(compgen -W "$words" -- "$cur") )`,
+    `}`,
+    ``,
+    `complete -F _keg_cli_complete keg`,
+    ``,
+  ].join('\n')
+}
+
+module.exports = {
+  bashCompletion
+}
@@ -0,0 +1,106 @@
+const { get, isArr, isObj, isStr } = require('@keg-hub/jsutils')
+
+/**
+ * Maps task option names to a source of values known at completion time
+ * <br/>The values are loaded by the completion script when the option is completed
+ * @object
+ */
+const dynamicValues = {
+  tap: 'taps',
+  branch: 'branches',
+  container: 'containers',
+}
+
+/**
+ * Joins the parent task path with the name of a task
+ * @function
+ * @param {string} parent - Path of the parent task, with task names separated by spaces
+ * @param {string} name - Name of the task
+ *
+ * @returns {string} - Path of the task
+ */
+const joinPath = (parent, name) => parent ? `${parent} ${name}` : name
+
+/**
+ * Builds the option words and values of a task
+ * @function
+ * @param {Object} tree - Completion tree being built
+ * @param {string} taskPath - Path of the task the options belong to
+ * @param {Object} options - Options of the task
+ *
+ * @returns {void}
+ */
+const addOptions = (tree, taskPath, options) => {
+  if(!isObj(options)) return
+
+  tree.options[taskPath] = []
+
+  Object.entries(options).map(([ name, meta ]) => {
+    const words = [ name ].concat(get(meta, 'alias', [])).map(key => `--${key}`)
+    tree.options[taskPath] = tree.options[taskPath].concat(words)
+
+    const allowed = get(meta, 'allowed')
+    const source = dynamicValues[name]
+    if(!source && (!isArr(allowed) || !allowed.length)) return
+
+    tree.values.push(
+      source
+        ? { path: taskPath, options: words, source }
+        : { path: taskPath, options: words, values: allowed.map(value => `${value}`) }
+    )
+  })
+}
+
+/**
+ * Recursively adds the tasks, their alias and options to the completion tree
+ * @function
+ * @param {Object} tree - Completion tree being built
+ * @param {Object} tasks - Tasks at the current level of the task tree
+ * @param {string} parent - Path of the parent task
+ *
+ * @returns {Object} - Updated completion tree
+ */
+const addTasks = (tree, tasks, parent) => {
+  tree.commands[parent] = Object.keys(tasks)
+
+  Object.entries(tasks).map(([ key, task ]) => {
+    // Alias keys reference the name of the task at the same level
+    const name = isStr(task) ? task : key
+    const taskPath = joinPath(parent, name)
+    tree.resolve.push({ parent, word: key, path: taskPath })
+
+    if(isStr(task) || !isObj(task)) return
+
+    addOptions(tree, taskPath, task.options)
+
+    const hasSubTasks = isObj(task.tasks) && Object.keys(task.tasks).length
+    hasSubTasks && addTasks(tree, task.tasks, taskPath)
+
+    // Without sub-tasks, the first argument can be the value of the first option
+    const [ firstOption ] = get(tree.options, [ taskPath ], [])
+    !hasSubTasks && firstOption && (tree.positional[taskPath] = firstOption)
+  })
+
+  return tree
+}
+
+/**
+ * Builds the data needed to generate shell completion scripts from the CLI tasks
+ * <br/>Task paths are the task names separated by a space, with the root path being an empty string
+ * @function
+ * @param {Object} tasks - All registered tasks of the CLI
+ *
+ * @returns {Object} - Completion tree
+ * @property {Array} resolve - Maps a word under a parent path to the path of the task
+ * @property {Object} commands - Path of a task mapped to the words of its sub-tasks
+ * @property {Object} options - Path of a task mapped to the words of its options
+ * @property {Object} positional - Path of a task mapped to the option of its first argument
+ * @property {Array} values - Known values or the source of the values for task options
+ */
+const buildCompletionTree = tasks => {
+  return addTasks({ resolve: [], commands: {}, options: {}, positional: {}, values: [] }, tasks, '')
+}
+
+module.exports = {
+  buildCompletionTree
+}
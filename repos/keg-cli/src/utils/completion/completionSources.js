@@ -0,0 +1,21 @@
+/**
+ * Builds the shell commands that load values known at completion time
+ * <br/>The commands are valid in both bash and fish, and print one value per line
+ * @function
+ * @param {string} configPath - Path to the global config file of the CLI
+ *
+ * @returns {Object} - Value source names mapped to the shell command that loads them
+ */
+const getCompletionSources = configPath => {
+  const tapLinks = `require(${ JSON.stringify(configPath) }).cli.taps.links || {}`
+
+  return {
+    taps: `node -e 'try { Object.keys(${ tapLinks }).map(link => console.log(link)) } catch(err){}' 2>/dev/null`,
+    containers: `docker ps -a --format '{{.Names}}' 2>/dev/null`,
+    branches: `git branch --format='%(refname:short)' 2>/dev/null`,
+  }
+}
+
+module.exports = {
+  getCompletionSources
+}
@@ -0,0 +1,145 @@
+const { getCompletionSources } = require('./completionSources')
+
+/**
+ * Wraps the value in single quotes, so fish uses it literally
+ * @function
+ * @param {string} value - Value to quote
+ *
+ * @returns {string} - Quoted value
+ */
+const quote = value => `'${ `${value}`.replace(/\\/g, '\\\\').replace(/'/g, `\\'`) }'`
+
+/**
+ * Builds a fish function that prints words based on a switch statement
+ * @function
+ * @param {string} name - Name of the function
+ * @param {string} match - Value matched by the switch statement
+ * @param {Array} entries - Array of [ patterns, command ] pairs
+ *
+ * @returns {string} - Fish function
+ */
+const buildSwitchFunction = (name, match, entries) => {
+  return [
+    `function ${ name }`,
+    `  switch "${ match }"`,
+    ...entries.map(([ patterns, command ]) => [
+      `    case ${ patterns.map(quote).join(' ') }`,
+      `      ${ command }`,
+    ].join('\n')),
+    `  end`,
+    `end`,
+  ].join('\n')
+}
+
+/**
+ * Builds a fish command that prints the passed in words, one per line
+ * @function
+ * @param {Array} words - Words to print
+ *
+ * @returns {string} - Fish printf command
+ */
+const printWords = words => `printf '%s\\n' ${ words.map(quote).join(' ') }`
+
+/**
+ * Generates the fish completion script for the keg command
+ * @function
+ * @param {Object} tree - Completion tree built from buildCompletionTree
+ * @param {string} configPath - Path to the global config file of the CLI
+ *
+ * @returns {string} - Fish completion script
+ */
+const fishCompletion = (tree, configPath) => {
+  const sources = getCompletionSources(configPath)
+
+  return [
+    `# Keg-CLI fish completion`,
+    `# Generated from the Keg-CLI tasks with "keg cli completion fish"`,
+    ``,
+    `function __keg_cli_taps`,
+    `  ${ sources.taps }`,
+    `end`,
+    ``,
+    `function __keg_cli_containers`,
+    `  ${ sources.containers }`,
+    `end`,
+    ``,
+    `function __keg_cli_branches`,
+    `  ${ sources.branches }`,
+    `end`,
+    ``,
+    buildSwitchFunction(
+      `__keg_cli_resolve`,
+      `$argv[1]|$argv[2]`,
+      tree.resolve.map(({ parent, word, path }) => [[ `${parent}|${word}` ], `echo ${ quote(path) }`])
+    ),
+    ``,
+    buildSwitchFunction(
+      `__keg_cli_commands`,
+      `$argv[1]`,
+      Object.entries(tree.commands).map(([ path, words ]) => [[ path ], printWords(words) ])
+    ),
+    ``,
+    buildSwitchFunction(
+      `__keg_cli_options`,
+      `$argv[1]`,
+      Object.entries(tree.options).map(([ path, words ]) => [[ path ], printWords(words) ])
+    ),
+    ``,
+    buildSwitchFunction(
+      `__keg_cli_positional`,
+      `$argv[1]`,
+      Object.entries(tree.positional).map(([ path, option ]) => [[ path ], `echo ${ quote(option) }`])
+    ),
+    ``,
+    buildSwitchFunction(
+      `__keg_cli_values`,
+      `$argv[1]|$argv[2]`,
+      tree.values.map(({ path, options, values, source }) => [
+        options.map(option => `${path}|${option}`),
+        source ? `__keg_cli_${source}` : printWords(values)
+      ])
+    ),
+    ``,
+    `function __keg_cli_complete`,
+    `  set -l tokens (commandline -opc)`,
+    `  set -l cur (commandline -ct)`,
+    `  set -l task_path ''`,
+    ``,
+    `  # Find the path of the task being completed, options come after the task`,
+    `  for word in $tokens[2..-1]`,
+    `    string match -q -- '-*' $word; and break`,
+    `    set -l next (__keg_cli_resolve "$task_path" $word)`,
+    `    # Unknown commands are linked taps, which run the tap tasks`,
+    `    test -z "$next"; and test -z "$task_path"; and set next tap`,
+    `    test -n "$next"; and set task_path $next`,
+    `  end`,
+    ``,
+    `  if string match -q -- '-*' $tokens[-1]`,
+    `    set -l values (__keg_cli_values "$task_path" $tokens[-1])`,
+    `    if test (count $values) -gt 0`,
+    `      printf '%s\\n' $values`,
+    `      return`,
+    `    end`,
+    `  end`,
+    ``,
+    `  if string match -q -- '-*' "$cur"`,
+    `    __keg_cli_options "$task_path"`,
+    `  else`,
+    `    set -l words (__keg_cli_commands "$task_path")`,
+    `    test -z "$task_path"; and set -a words (__keg_cli_taps)`,
+    `    # Tasks without sub-tasks, use the first argument as the value of their first option`,
+    `    if test (count $words) -eq 0; and not string match -q -- '-*' $tokens[-1]`,
+    `      set words (__keg_cli_values "$task_path" (__keg_cli_positional "$task_path"))`,
+    `    end`,
+    `    printf '%s\\n' $words`,
+    `  end`,
+    `end`,
+    ``,
+    `complete -c keg -f -a '(__keg_cli_complete)'`,
+    ``,
+  ].join('\n')
+}
+
+module.exports = {
+  fishCompletion
+}
@@ -0,0 +1,40 @@
+const path = require('path')
+const { bashCompletion } = require('./bashCompletion')
+const { fishCompletion } = require('./fishCompletion')
+const { zshCompletion } = require('./zshCompletion')
+const { buildCompletionTree } = require('./buildCompletionTree')
+const { generalError } = require('KegUtils/error/generalError')
+const { GLOBAL_CONFIG_FOLDER, GLOBAL_CONFIG_FILE } = require('KegConst/constants')
+
+/**
+ * Maps the supported shells to their completion script generator
+ * @object
+ */
+const shellCompletions = {
+  bash: bashCompletion,
+  fish: fishCompletion,
+  zsh: zshCompletion,
+}
+
+/**
+ * Generates a shell completion script from the passed in CLI tasks
+ * @function
+ * @param {string} shell - Shell to generate the completion script for ( bash || zsh || fish )
+ * @param {Object} tasks - All registered tasks of the CLI
+ *
+ * @returns {string} - Completion script for the shell
+ */
+const getCompletionScript = (shell, tasks) => {
+  const buildScript = shellCompletions[shell]
+  !buildScript && generalError(`Shell completion is not supported for shell "${ shell }"!`)
+
+  return buildScript(
+    buildCompletionTree(tasks),
+    path.join(GLOBAL_CONFIG_FOLDER, GLOBAL_CONFIG_FILE)
+  )
+}
+
+module.exports = {
+  getCompletionScript,
+  shellCompletions,
+}
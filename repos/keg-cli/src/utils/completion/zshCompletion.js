@@ -0,0 +1,27 @@
+const { bashCompletion } = require('./bashCompletion')
+
+/**
+ * Generates the zsh completion script for the keg command
+ * <br/>Uses the zsh bashcompinit module, to load the bash completion script
+ * @function
+ * @param {Object} tree - Completion tree built from buildCompletionTree
+ * @param {string} configPath - Path to the global config file of the CLI
+ *
+ * @returns {string} - Zsh completion script
+ */
+const zshCompletion = (tree, configPath) => {
+  return [
+    `#compdef keg`,
+    `# Keg-CLI zsh completion`,
+    `# Generated from the Keg-CLI tasks with "keg cli completion zsh"`,
+    ``,
+    `autoload -U +X compinit && compinit`,
+    `autoload -U +X bashcompinit && bashcompinit`,
+    ``,
+    bashCompletion(tree, configPath),
+  ].join('\n')
+}
+
+module.exports = {
+  zshCompletion
+}
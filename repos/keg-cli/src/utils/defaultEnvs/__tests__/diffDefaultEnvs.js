@@ -0,0 +1,43 @@
+const { diffEnvs } = require('../diffDefaultEnvs')
+
+const cliEnvs = {
+  KEG_PROXY_PORT: '80',
+  KEG_DOCKER_NETWORK: 'keg-hub-net',
+  KEG_NODE_VERSION: '12.19-alpine',
+}
+
+const globalEnvs = {
+  KEG_PROXY_PORT: '80',
+  KEG_NODE_VERSION: '14-alpine',
+  MY_CUSTOM_ENV: 'custom',
+}
+
+describe('diffDefaultEnvs', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  describe('diffEnvs', () => {
+
+    it('Should return the ENVs missing from the global ENVs', () => {
+      expect(diffEnvs(cliEnvs, globalEnvs).missing).toEqual([ 'KEG_DOCKER_NETWORK' ])
+    })
+
+    it('Should return the ENVs only defined in the global ENVs', () => {
+      expect(diffEnvs(cliEnvs, globalEnvs).custom).toEqual([ 'MY_CUSTOM_ENV' ])
+    })
+
+    it('Should return the ENVs with different values', () => {
+      expect(diffEnvs(cliEnvs, globalEnvs).changed).toEqual([ 'KEG_NODE_VERSION' ])
+    })
+
+    it('Should return all cli ENVs as missing when no global ENVs exist', () => {
+      const diff = diffEnvs(cliEnvs)
+
+      expect(diff.missing).toEqual(Object.keys(cliEnvs))
+      expect(diff.custom).toEqual([])
+      expect(diff.changed).toEqual([])
+    })
+
+  })
+
+})
@@ -0,0 +1,56 @@
+const path = require('path')
+const { parseContent } = require('KegFileSys/env')
+const { pathExistsSync } = require('KegFileSys/fileSys')
+const { CLI_ROOT, DEFAULT_ENV, GLOBAL_CONFIG_FOLDER } = require('KegConst/constants')
+
+/**
+ * Compares the ENVs of the Keg-CLI defaults with the users global ENVs
+ * @function
+ * @param {Object} cliEnvs - ENVs of the Keg-CLI defaults.env file
+ * @param {Object} globalEnvs - ENVs of the users global defaults.env file
+ *
+ * @returns {Object} - Keys of the compared ENVs => { missing, custom, changed }
+ */
+const diffEnvs = (cliEnvs={}, globalEnvs={}) => {
+  const cliKeys = Object.keys(cliEnvs)
+  const globalKeys = Object.keys(globalEnvs)
+
+  return {
+    // ENVs added to the Keg-CLI defaults, that are not in the global ENVs
+    missing: cliKeys.filter(key => !globalKeys.includes(key)),
+    // ENVs only defined in the global ENVs
+    custom: globalKeys.filter(key => !cliKeys.includes(key)),
+    // ENVs in both files, with a different value
+    changed: cliKeys.filter(key => globalKeys.includes(key) && cliEnvs[key] !== globalEnvs[key]),
+  }
+}
+
+/**
+ * Loads the Keg-CLI defaults.env and the users global defaults.env, then compares them
+ * <br/>Templates are not filled, so the raw values of each file are compared
+ * @function
+ *
+ * @returns {Object} - Loaded ENVs and the compared keys => { cliEnvs, globalEnvs, missing, custom, changed }
+ */
+const diffDefaultEnvs = () => {
+  const cliEnvsPath = path.join(CLI_ROOT, 'scripts/setup/', DEFAULT_ENV)
+  const globalEnvsPath = path.join(GLOBAL_CONFIG_FOLDER, DEFAULT_ENV)
+
+  const cliEnvs = parseContent({ file: cliEnvsPath, fill: false }) || {}
+  const globalEnvs = pathExistsSync(globalEnvsPath)
+    ? parseContent({ file: globalEnvsPath, fill: false }) || {}
+    : {}
+
+  return {
+    cliEnvs,
+    globalEnvs,
+    cliEnvsPath,
+    globalEnvsPath,
+    ...diffEnvs(cliEnvs, globalEnvs),
+  }
+}
+
+module.exports = {
+  diffEnvs,
+  diffDefaultEnvs,
+}
@@ -1,5 +1,6 @@
 module.exports = {
   ...require('./addDefaultEnv'),
+  ...require('./diffDefaultEnvs'),
   ...require('./removeDefaultEnv'),
   ...require('./updateDefaultEnvFile'),
 }
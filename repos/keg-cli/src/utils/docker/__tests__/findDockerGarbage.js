@@ -0,0 +1,97 @@
+const path = require('path')
+const { GLOBAL_INJECT_FOLDER } = require('KegConst/constants')
+const { kegLabelKeys } = require('KegConst/docker/labels')
+
+const { generalError } = require('KegMocks/utils/error/generalError')
+jest.setMock('KegUtils/error/generalError', { generalError })
+
+const danglingImages = [{ id: 'f1e2d3c4b5a6', repository: '<none>', tag: '<none>' }]
+const exitedContainers = [{ id: 'a1b2c3d4e5f6', name: 'keg-core', status: 'Exited (0) 2 hours ago' }]
+const runningContainers = [
+  { id: 'b2c3d4e5f6a1', name: 'tap', image: 'tap:develop', labelsObj: { [kegLabelKeys.KEG_PROXY_DOMAIN]: 'tap-develop' } },
+]
+
+let dockerRunning = true
+const dockerCli = jest.fn(({ opts }) => {
+  return opts[0] === 'info'
+    ? dockerRunning && '20.10.2'
+    : exitedContainers
+})
+const imageList = jest.fn(() => danglingImages)
+const containerPs = jest.fn(() => runningContainers)
+jest.setMock('KegDocCli', { dockerCli, image: { list: imageList }, container: { ps: containerPs } })
+
+const syncList = jest.fn(() => [
+  { name: 'keg-core-src', identifier: 'sync_1', status: 'Watching for changes', beta: { connectionState: 'Connected' } },
+  { name: 'tap-src', identifier: 'sync_2', status: 'Watching for changes', beta: { connectionState: 'Disconnected' } },
+  { name: 'components-src', identifier: 'sync_3', status: 'Halted on root deletion', beta: { connectionState: 'Connected' } },
+])
+jest.setMock('KegMutagen', { mutagen: { sync: { list: syncList } } })
+
+const injectedFile = name => path.join(GLOBAL_INJECT_FOLDER, `${name}.yml`)
+const manifest = {
+  'tap-develop': { context: 'tap', files: [ injectedFile('tap-develop') ] },
+  'keg-core': { context: 'core', files: [ injectedFile('keg-core') ] },
+}
+jest.setMock('../compose/injectedManifest', { loadInjectedManifest: () => manifest })
+
+const kegFileSys = require('KegFileSys/fileSys')
+jest.setMock('KegFileSys/fileSys', {
+  ...kegFileSys,
+  pathExistsSync: jest.fn(() => true),
+  getFilesSync: jest.fn(() => [
+    injectedFile('tap-develop'),
+    injectedFile('keg-core'),
+    injectedFile('old-tap-branch'),
+    path.join(GLOBAL_INJECT_FOLDER, 'injected.manifest.json'),
+  ]),
+})
+
+const { findDockerGarbage } = require('../findDockerGarbage')
+
+describe('findDockerGarbage', () => {
+
+  beforeEach(() => {
+    dockerRunning = true
+    dockerCli.mockClear()
+    imageList.mockClear()
+  })
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should find dangling keg images and exited keg containers', async () => {
+    const { images, containers } = await findDockerGarbage()
+
+    expect(images).toEqual(danglingImages)
+    expect(containers).toEqual(exitedContainers)
+
+    const kegLabel = `label=${kegLabelKeys.KEG_ENV_CONTEXT}`
+    expect(imageList.mock.calls[0][0].opts).toEqual([ '--filter', 'dangling=true', '--filter', kegLabel ])
+    expect(dockerCli.mock.calls[1][0].opts).toEqual(
+      [ 'container', 'ls', '-a', '--filter', 'status=exited', '--filter', kegLabel ]
+    )
+  })
+
+  it('should find the halted and disconnected mutagen syncs', async () => {
+    const { syncs } = await findDockerGarbage()
+
+    expect(syncs.map(sync => sync.identifier)).toEqual([ 'sync_2', 'sync_3' ])
+  })
+
+  it('should find injected files of services that are not running, including untracked files', async () => {
+    const { injected } = await findDockerGarbage()
+
+    expect(injected).toEqual([
+      { name: 'keg-core', files: [ injectedFile('keg-core') ] },
+      { name: 'old-tap-branch', files: [ injectedFile('old-tap-branch') ] },
+    ])
+  })
+
+  it('should throw an error when docker is not running', async () => {
+    dockerRunning = false
+
+    await expect(findDockerGarbage()).rejects.toThrow()
+    expect(imageList).not.toHaveBeenCalled()
+  })
+
+})
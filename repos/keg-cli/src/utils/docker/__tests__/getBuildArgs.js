@@ -0,0 +1,76 @@
+const globalConfig = global.getGlobalCliConfig()
+
+const gitKey = 'ghp_private-git-key-value'
+const publicGitKey = 'ghp_public-git-key-value'
+
+const getGitKey = jest.fn(() => gitKey)
+jest.setMock('KegUtils/git/getGitKey', { getGitKey })
+
+const { getBuildArgs } = require('../getBuildArgs')
+
+const secrets = {
+  GIT_KEY: gitKey,
+  PUBLIC_GIT_KEY: publicGitKey,
+}
+
+describe('getBuildArgs', () => {
+
+  afterEach(() => jest.clearAllMocks())
+
+  it('should add the secrets as BuildKit secret mounts', async () => {
+
+    const dockerCmd = await getBuildArgs(globalConfig, {
+      secrets,
+      context: 'core',
+      dockerCmd: 'docker build',
+    })
+
+    expect(dockerCmd.indexOf('--secret id=GIT_KEY,env=GIT_KEY')).not.toBe(-1)
+    expect(dockerCmd.indexOf('--secret id=PUBLIC_GIT_KEY,env=PUBLIC_GIT_KEY')).not.toBe(-1)
+
+  })
+
+  it('should not add any secret value to the docker command', async () => {
+
+    const dockerCmd = await getBuildArgs(globalConfig, {
+      secrets,
+      context: 'core',
+      dockerCmd: 'docker build',
+      buildArgs: { ...secrets, NODE_ENV: 'development' },
+    })
+
+    expect(dockerCmd.indexOf(gitKey)).toBe(-1)
+    expect(dockerCmd.indexOf(publicGitKey)).toBe(-1)
+    expect(dockerCmd.indexOf('--build-arg GIT_KEY')).toBe(-1)
+    expect(dockerCmd.indexOf('--build-arg PUBLIC_GIT_KEY')).toBe(-1)
+    expect(dockerCmd.indexOf('--build-arg NODE_ENV=development')).not.toBe(-1)
+
+  })
+
+  it('should not get the git key to add it as a build arg', async () => {
+
+    const dockerCmd = await getBuildArgs(globalConfig, {
+      context: 'base',
+      dockerCmd: 'docker build',
+    })
+
+    expect(getGitKey).not.toHaveBeenCalled()
+    expect(dockerCmd.indexOf(gitKey)).toBe(-1)
+    expect(dockerCmd.indexOf('--secret')).toBe(-1)
+
+  })
+
+  it('should skip secrets without a value', async () => {
+
+    const dockerCmd = await getBuildArgs(globalConfig, {
+      secrets: { GIT_KEY: gitKey, PUBLIC_GIT_KEY: '' },
+      context: 'core',
+      dockerCmd: 'docker build',
+    })
+
+    expect(dockerCmd.indexOf('--secret id=GIT_KEY,env=GIT_KEY')).not.toBe(-1)
+    expect(dockerCmd.indexOf('id=PUBLIC_GIT_KEY')).toBe(-1)
+
+  })
+
+})
@@ -126,4 +126,28 @@ describe('getBuildLabels', () => {
     expect(labels.indexOf(`--label com.test.other="my-other-test-label"`)).not.toBe(-1)
   })
 
+  it('Should add the provenance labels when the provenance is passed in', () => {
+    const labels = getBuildLabels({
+      ...args.core,
+      provenance: {
+        commit: 'd560b53c43351f895538849a9c201849e74e1803',
+        branch: 'develop',
+        repo: 'https://github.com/simpleviewinc/keg-core.git',
+        cliVersion: '2.0.0',
+      }
+    })
+
+    expect(labels.indexOf(dockerLabels.core)).toBe(0)
+    expect(labels).toContain(`--label org.opencontainers.image.revision=d560b53c43351f895538849a9c201849e74e1803`)
+    expect(labels).toContain(`--label org.opencontainers.image.source=https://github.com/simpleviewinc/keg-core.git`)
+    expect(labels).toContain(`--label com.keg.git.branch=develop`)
+    expect(labels).toContain(`--label com.keg.cli.version=2.0.0`)
+  })
+
+  it('Should only add the provenance labels that have a value', () => {
+    const labels = getBuildLabels({ ...args.core, provenance: { cliVersion: '2.0.0' } })
+
+    expect(labels).toBe(`${dockerLabels.core} --label com.keg.cli.version=2.0.0`)
+  })
+
 })
\ No newline at end of file
@@ -0,0 +1,57 @@
+const { Logger } = require('KegMocks/logger')
+jest.setMock('KegLog', { Logger })
+
+const getGitKey = jest.fn(() => 'stored-git-key')
+jest.setMock('../../git/getGitKey', { getGitKey })
+
+const getPublicGitKey = jest.fn(() => 'stored-public-git-key')
+jest.setMock('../../git/getPublicGitKey', { getPublicGitKey })
+
+const { getBuildSecrets } = require('../getBuildSecrets')
+
+describe('getBuildSecrets', () => {
+
+  afterEach(() => jest.clearAllMocks())
+
+  it('should get the secrets from the secrets store', async () => {
+
+    const secrets = await getBuildSecrets({})
+
+    expect(secrets).toEqual({
+      GIT_KEY: 'stored-git-key',
+      PUBLIC_GIT_KEY: 'stored-public-git-key',
+    })
+
+  })
+
+  it('should use the values of the passed in envs first', async () => {
+
+    const secrets = await getBuildSecrets({}, { GIT_KEY: 'env-git-key', PUBLIC_GIT_KEY: 'env-public-key' })
+
+    expect(secrets.GIT_KEY).toBe('env-git-key')
+    expect(secrets.PUBLIC_GIT_KEY).toBe('env-public-key')
+    expect(getGitKey).not.toHaveBeenCalled()
+    expect(getPublicGitKey).not.toHaveBeenCalled()
+
+  })
+
+  it('should register each secret with the Logger, so it is masked', async () => {
+
+    await getBuildSecrets({})
+
+    expect(Logger.addSecret).toHaveBeenCalledWith('stored-git-key')
+    expect(Logger.addSecret).toHaveBeenCalledWith('stored-public-git-key')
+
+  })
+
+  it('should not return secrets without a value', async () => {
+
+    getPublicGitKey.mockImplementationOnce(() => undefined)
+    const secrets = await getBuildSecrets({})
+
+    expect(secrets).toEqual({ GIT_KEY: 'stored-git-key' })
+    expect(Logger.addSecret).toHaveBeenCalledTimes(1)
+
+  })
+
+})
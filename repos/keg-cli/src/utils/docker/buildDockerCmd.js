@@ -3,6 +3,8 @@ const { getDockerImg } = require('./getDockerImg')
 const { getBuildArgs } = require('./getBuildArgs')
 const { getDockerArgs } = require('./getDockerArgs')
 const { getBuildLabels } = require('./getBuildLabels')
+const { getImageProvenance } = require('./getImageProvenance')
+const { getTapPath } = require('../globalConfig/getTapPath')
 
 /**
  * Creates a docker run command as a string. Adds any needed volume mounts
@@ -12,6 +14,7 @@ const { getBuildLabels } = require('./getBuildLabels')
  * @param {string} args.params.dockerCmd - docker command being built
  * @param {string} args.params.context - Name of the image to be built
  * @param {Array} args.params.tags - Tag names for the image being built
+ * @param {Object} args.params.secrets - Secrets added as BuildKit secret mounts
  *
  * @returns {string} - Built docker build command
  */
@@ -23,6 +26,7 @@ const createBuildCmd = async (args, dockerCmd, container) => {
     context,
     branch,
     options=[],
+    secrets,
     tap,
     version
   } = params
@@ -40,16 +44,20 @@ const createBuildCmd = async (args, dockerCmd, container) => {
     version
   })
 
+  // Get the git commit, branch and repo the image is built from, to add as labels
+  const provenance = await getImageProvenance(location || (tap && getTapPath(globalConfig, tap)))
+
   // Add any build labels
-  dockerCmd = getBuildLabels(args, dockerCmd)
+  dockerCmd = getBuildLabels({ ...args, provenance }, dockerCmd)
 
-  // Add the build args for the github key and tap git url
+  // Add the build args for the tap git url, and the secret mounts for the github key
   dockerCmd = await getBuildArgs(globalConfig, {
     buildArgs,
     branch,
     context,
     dockerCmd,
     location,
+    secrets,
     tap
   })
 
@@ -18,22 +18,25 @@ const getUserUrl = async (repository, tap, user) => {
 
 /**
  * Builds the provider url based on the docker login creds
+ * <br/>Uses the registry of the tap when one is configured in its keg.cli.registry
  * @param {Object} image - Docker API image object
  * @param {Object} args - args Object passed to the Task calling this method
+ * @param {Object} [creds] - Docker login creds, built from the params when not passed in
  *
  * @returns {Promise<string>} - Url of the docker registry provider
  */
-const buildProviderUrl = async (image, args) => {
+const buildProviderUrl = async (image, args, creds) => {
   const { params } = args
 
   // Build the docker login object to get the url to push the image as well as the user
-  const login = await buildDockerLogin(params)
+  const login = creds || await buildDockerLogin(params)
   
-  const namespace = params.namespace 
-    ? login.namespace 
+  // Local registries have no user, so only use the namespace when it exists
+  const namespace = params.namespace || login.local
+    ? login.namespace
     : await getUserUrl(image.repository, params.tap, login.user)
 
-  return `${ login.providerUrl }/${ namespace }`
+  return [ login.providerUrl, namespace ].filter(Boolean).join('/')
 }
 
 module.exports = {
@@ -20,6 +20,10 @@ const getKegProxyDomainMock = jest.fn((data, contextEnvs) => {
 
 jest.setMock('../../../proxy/getKegProxyDomain', {  getKegProxyDomain: getKegProxyDomainMock })
 
+const injectedManifest = require('../injectedManifest')
+const addInjectedFileMock = jest.fn()
+jest.setMock('../injectedManifest', { ...injectedManifest, addInjectedFile: addInjectedFileMock })
+
 
 
 const args = {
@@ -66,6 +70,7 @@ describe('buildComposeCmd', () => {
       await removeInjectedCompose(`keg-core`)
       await removeInjectedCompose(`keg-components`)
       getKegProxyDomainMock.mockClear()
+      addInjectedFileMock.mockClear()
     })
 
     it('Should build the correct docker-compose up command for keg-core', async () => {
@@ -116,6 +121,15 @@ describe('buildComposeCmd', () => {
 
     })
 
+    it('Should add the injected compose file to the injected manifest', async () => {
+      await buildComposeCmd(args.core)
+      const [ name, injectedFilePath, context ] = addInjectedFileMock.mock.calls[0]
+
+      expect(name).toBe('keg-core')
+      expect(injectedFilePath.indexOf(`.tmp/keg-core.yml`) !== -1).toBe(true)
+      expect(context).toBe('core')
+    })
+
     it('Should add the detached argument, when attach param is false', async () => {
       const { dockerCmd, composeData } = await buildComposeCmd({ ...args.core, params: { ...args.core.params,  attach: false }})
       expect(isStr(dockerCmd)).toBe(true)
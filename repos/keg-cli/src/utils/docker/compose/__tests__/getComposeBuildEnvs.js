@@ -0,0 +1,33 @@
+const { getComposeBuildEnvs } = require('../getComposeBuildEnvs')
+
+describe('getComposeBuildEnvs', () => {
+
+  afterEach(() => jest.clearAllMocks())
+
+  it('should keep the context envs', () => {
+
+    const envs = getComposeBuildEnvs({ IMAGE: 'keg-core' })
+
+    expect(envs.IMAGE).toBe('keg-core')
+
+  })
+
+  it('should not add the git key secrets to the compose envs', () => {
+
+    const envs = getComposeBuildEnvs({ IMAGE: 'keg-core' })
+
+    expect(envs.PUBLIC_GIT_KEY).toBe(undefined)
+    expect(envs.GIT_KEY).toBe(undefined)
+
+  })
+
+  it('should always enable BuildKit, so the secret mounts work', () => {
+
+    const envs = getComposeBuildEnvs({ DOCKER_BUILDKIT: 0 })
+
+    expect(envs.DOCKER_BUILDKIT).toBe(1)
+    expect(envs.COMPOSE_DOCKER_CLI_BUILD).toBe(1)
+
+  })
+
+})
@@ -0,0 +1,98 @@
+const path = require('path')
+const { GLOBAL_INJECT_FOLDER, INJECTED_MANIFEST_FILE } = require('KegConst/constants')
+
+const manifestPath = path.join(GLOBAL_INJECT_FOLDER, INJECTED_MANIFEST_FILE)
+let files = {}
+
+const removeFileSync = jest.fn(filePath => delete files[filePath])
+const writeFileSync = jest.fn((filePath, data) => files[filePath] = data)
+
+jest.setMock('KegFileSys/fileSys', {
+  removeFileSync,
+  writeFileSync,
+  ensureDirSync: jest.fn(),
+  readFileSync: filePath => files[filePath],
+  pathExistsSync: filePath => filePath in files,
+})
+
+const {
+  addInjectedFile,
+  getInjectedName,
+  loadInjectedManifest,
+  removeInjectedFiles,
+} = require('../injectedManifest')
+
+describe('injectedManifest', () => {
+
+  beforeEach(() => {
+    files = {}
+    removeFileSync.mockClear()
+    writeFileSync.mockClear()
+  })
+
+  afterAll(() => jest.resetAllMocks())
+
+  describe('getInjectedName', () => {
+
+    it('should use the proxyDomain, then the image as the name', () => {
+      expect(getInjectedName({ proxyDomain: 'tap-develop', image: 'tap' })).toBe('tap-develop')
+      expect(getInjectedName({ image: 'tap' })).toBe('tap')
+      expect(getInjectedName(false)).toBe(undefined)
+    })
+
+  })
+
+  describe('addInjectedFile', () => {
+
+    it('should add the file to the manifest of the injected service', () => {
+      addInjectedFile('tap-develop', '/inject/tap-develop.yml', 'tap')
+
+      expect(loadInjectedManifest()).toEqual({
+        'tap-develop': { context: 'tap', files: [ '/inject/tap-develop.yml' ] }
+      })
+    })
+
+    it('should not add the same file twice', () => {
+      addInjectedFile('tap-develop', '/inject/tap-develop.yml', 'tap')
+      addInjectedFile('tap-develop', '/inject/tap-develop.yml', 'tap')
+      addInjectedFile('tap-develop', '/inject/tap-develop.env')
+
+      expect(loadInjectedManifest()['tap-develop'].files).toEqual([
+        '/inject/tap-develop.yml',
+        '/inject/tap-develop.env',
+      ])
+    })
+
+  })
+
+  describe('removeInjectedFiles', () => {
+
+    it('should remove the tracked files, and the service from the manifest', () => {
+      addInjectedFile('tap-develop', '/inject/tap-develop.yml', 'tap')
+      addInjectedFile('core', '/inject/core.yml', 'core')
+      files['/inject/tap-develop.yml'] = 'compose'
+      files['/inject/core.yml'] = 'compose'
+
+      expect(removeInjectedFiles('tap-develop')).toEqual([ '/inject/tap-develop.yml' ])
+      expect('/inject/tap-develop.yml' in files).toBe(false)
+      expect('/inject/core.yml' in files).toBe(true)
+      expect(Object.keys(loadInjectedManifest())).toEqual([ 'core' ])
+    })
+
+    it('should skip tracked files that no longer exist', () => {
+      addInjectedFile('tap-develop', '/inject/tap-develop.yml', 'tap')
+
+      expect(removeInjectedFiles('tap-develop')).toEqual([])
+      expect(removeFileSync).not.toHaveBeenCalled()
+      expect(loadInjectedManifest()).toEqual({})
+    })
+
+    it('should not write the manifest when the service is not tracked', () => {
+      expect(removeInjectedFiles('unknown')).toEqual([])
+      expect(writeFileSync).not.toHaveBeenCalled()
+      expect(manifestPath in files).toBe(false)
+    })
+
+  })
+
+})
@@ -6,6 +6,7 @@ const { loadTemplate } = require('KegUtils/template')
 const { GLOBAL_INJECT_FOLDER } = require('KegConst/constants')
 const { generalError } = require('KegUtils/error/generalError')
 const { getComposeContextData } = require('./getComposeContextData')
+const { addInjectedFile, getInjectedName } = require('./injectedManifest')
 const { writeFile, mkDir, pathExists } = require('KegFileSys/fileSys')
 const { generateComposeLabels } = require('KegUtils/proxy/generateComposeLabels')
 const { CONTAINERS } = DOCKER
@@ -18,13 +19,15 @@ const composeArgs = {
 
 /**
  * Writes the injected compose file to the global injected folder
+ * <br/>Adds the file to the injected manifest, so it can be removed when the service is stopped
  * @function
  * @param {string} injectedCompose - Path to the injected-compose.yml file
  * @param {Object} data - Data to fill the compose template with
+ * @param {string} context - Context of the service the compose file is for
  *
  * @returns {boolean} - If the file was added
  */
-const writeInjectedCompose = async (injectedCompose, data) => {
+const writeInjectedCompose = async (injectedCompose, data, context) => {
   await mkDir(GLOBAL_INJECT_FOLDER)
 
   const template = await loadTemplate('injected-compose', data)
@@ -32,6 +35,8 @@ const writeInjectedCompose = async (injectedCompose, data) => {
 
   err && generalError(`ERROR: Can not write injected compose file.\n${ err.stack }`)
 
+  addInjectedFile(getInjectedName(data), injectedCompose, context)
+
   return saved
 }
 
@@ -45,7 +50,7 @@ const writeInjectedCompose = async (injectedCompose, data) => {
 const addInjectedTemplate = async (dockerCmd, data={}, composeData) => {
 
   // Build the path of the injected compose file, based on the proxyDomain ( app name + git branch name )
-  const injectedCompose = path.join(GLOBAL_INJECT_FOLDER, `${composeData.proxyDomain || composeData.image}.yml`)
+  const injectedCompose = path.join(GLOBAL_INJECT_FOLDER, `${getInjectedName(composeData)}.yml`)
   const dockCmdWithCompose = `${dockerCmd} -f ${injectedCompose}`
 
   // Check if it already exists, and if it does, then just return
@@ -62,7 +67,7 @@ const addInjectedTemplate = async (dockerCmd, data={}, composeData) => {
   await writeInjectedCompose(injectedCompose, {
     ...composeData,
     generatedLabels: composeData.proxyDomain ? generateComposeLabels({ ...data, ...composeData }) : ''
-  })
+  }, data.cmdContext)
 
   return dockCmdWithCompose
 }
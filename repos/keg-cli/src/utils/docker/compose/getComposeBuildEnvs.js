@@ -0,0 +1,21 @@
+/**
+ * Gets the envs for a docker-compose command that may build an image
+ * <br/>The Dockerfiles use `RUN --mount=type=secret`, which requires BuildKit, so it's always enabled
+ * <br/>The git key secrets are only passed by `keg docker build`
+ * <br/>Compose file secrets require Compose v2, so they are not used for compose builds
+ * @function
+ * @param {Object} contextEnvs - Context envs of the compose service
+ *
+ * @returns {Object} - Context envs with BuildKit enabled
+ */
+const getComposeBuildEnvs = contextEnvs => {
+  return {
+    ...contextEnvs,
+    DOCKER_BUILDKIT: 1,
+    COMPOSE_DOCKER_CLI_BUILD: 1,
+  }
+}
+
+module.exports = {
+  getComposeBuildEnvs
+}
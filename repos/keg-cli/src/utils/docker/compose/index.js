@@ -2,7 +2,9 @@ module.exports = {
   ...require('./buildComposeCmd'),
   ...require('./buildServiceName'),
   ...require('./checkKillRunning'),
+  ...require('./getComposeBuildEnvs'),
   ...require('./getComposeConfig'),
+  ...require('./injectedManifest'),
   ...require('./loadComposeConfig'),
   ...require('./removeInjectedCompose'),
 }
\ No newline at end of file
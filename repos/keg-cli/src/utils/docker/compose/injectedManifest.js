@@ -0,0 +1,119 @@
+const path = require('path')
+const { Logger } = require('KegLog')
+const { get, uniqArr } = require('@keg-hub/jsutils')
+const { GLOBAL_INJECT_FOLDER, INJECTED_MANIFEST_FILE } = require('KegConst/constants')
+const {
+  ensureDirSync,
+  pathExistsSync,
+  readFileSync,
+  removeFileSync,
+  writeFileSync,
+} = require('KegFileSys/fileSys')
+
+/**
+ * Gets the path to the injected manifest file in the global inject folder
+ * @function
+ *
+ * @returns {string} - Path to the injected manifest file
+ */
+const getInjectedManifestPath = () => path.join(GLOBAL_INJECT_FOLDER, INJECTED_MANIFEST_FILE)
+
+/**
+ * Gets the name used to track the injected files of a compose service
+ * <br/>Uses the proxyDomain ( app name + git branch name ), or the image when no proxyDomain exists
+ * @function
+ * @param {Object} composeData - Data used to fill the injected compose template
+ *
+ * @returns {string|undefined} - Name of the injected service
+ */
+const getInjectedName = composeData => {
+  return composeData ? composeData.proxyDomain || composeData.image : undefined
+}
+
+/**
+ * Loads the injected manifest from the global inject folder
+ * <br/>Each key is the name of an injected service, mapped to the files generated for it
+ * @function
+ *
+ * @returns {Object} - Injected manifest, or an empty object if it does not exist
+ */
+const loadInjectedManifest = () => {
+  const manifestPath = getInjectedManifestPath()
+  if(!pathExistsSync(manifestPath)) return {}
+
+  try {
+    return JSON.parse(readFileSync(manifestPath))
+  }
+  catch(err){
+    Logger.warn(`Could not parse the injected manifest file => ${manifestPath}`)
+    return {}
+  }
+}
+
+/**
+ * Saves the injected manifest to the global inject folder
+ * @function
+ * @param {Object} manifest - Injected manifest to save
+ *
+ * @returns {Object} - Saved injected manifest
+ */
+const saveInjectedManifest = manifest => {
+  ensureDirSync(GLOBAL_INJECT_FOLDER)
+  writeFileSync(getInjectedManifestPath(), JSON.stringify(manifest, null, 2) + '\n')
+
+  return manifest
+}
+
+/**
+ * Adds a generated file to the injected manifest, so it can be removed later
+ * @function
+ * @param {string} name - Name of the injected service the file was generated for
+ * @param {string} filePath - Path to the generated file
+ * @param {string} [context] - Context of the service the file was generated for
+ *
+ * @returns {Object} - Updated injected manifest
+ */
+const addInjectedFile = (name, filePath, context) => {
+  const manifest = loadInjectedManifest()
+  const files = get(manifest, [ name, 'files' ], [])
+
+  manifest[name] = {
+    ...manifest[name],
+    ...(context && { context }),
+    files: uniqArr(files.concat([ filePath ])),
+  }
+
+  return saveInjectedManifest(manifest)
+}
+
+/**
+ * Removes all files tracked for an injected service, then removes it from the injected manifest
+ * @function
+ * @param {string} name - Name of the injected service to remove the files for
+ *
+ * @returns {Array} - Paths of the removed files
+ */
+const removeInjectedFiles = name => {
+  const manifest = loadInjectedManifest()
+  if(!manifest[name]) return []
+
+  const removed = get(manifest, [ name, 'files' ], []).filter(filePath => {
+    if(!pathExistsSync(filePath)) return false
+
+    removeFileSync(filePath)
+    return true
+  })
+
+  delete manifest[name]
+  saveInjectedManifest(manifest)
+
+  return removed
+}
+
+module.exports = {
+  addInjectedFile,
+  getInjectedManifestPath,
+  getInjectedName,
+  loadInjectedManifest,
+  removeInjectedFiles,
+}
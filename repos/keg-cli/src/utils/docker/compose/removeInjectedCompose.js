@@ -2,16 +2,22 @@ const path = require('path')
 const { Logger } = require('KegLog')
 const { removeFile, pathExists } = require('KegFileSys/fileSys')
 const { GLOBAL_INJECT_FOLDER } = require('KegConst/constants')
+const { removeInjectedFiles } = require('./injectedManifest')
 
 /**
  * Removes an injected compose file from the global injected folder
+ * <br/>Also removes any other files tracked for the service in the injected manifest
  * @function
- * @param {string} injectedCompose - Path to the injected-compose.yml file
+ * @param {string} name - Name of the injected service ( proxyDomain || image )
+ * @param {boolean} [log=true] - Should errors be logged
  *
  * @returns {Void}
  */
 const removeInjectedCompose = async (name, log=true) => {
   try {
+    removeInjectedFiles(name)
+
+    // Files created before the injected manifest existed are not tracked, so check the default path
     const injectedCompose = path.join(GLOBAL_INJECT_FOLDER, `${name}.yml`)
     const [ err, exists ] = await pathExists(injectedCompose)
     if(err && log) Logger.error(err.stack || err)
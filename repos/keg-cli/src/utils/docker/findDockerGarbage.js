@@ -0,0 +1,139 @@
+const path = require('path')
+const docker = require('KegDocCli')
+const { mutagen } = require('KegMutagen')
+const { get, isArr } = require('@keg-hub/jsutils')
+const { kegLabelKeys } = require('KegConst/docker/labels')
+const { GLOBAL_INJECT_FOLDER } = require('KegConst/constants')
+const { generalError } = require('KegUtils/error/generalError')
+const { getFilesSync, pathExistsSync } = require('KegFileSys/fileSys')
+const { loadInjectedManifest } = require('./compose/injectedManifest')
+const { KEG_ENV_CONTEXT, KEG_PROXY_DOMAIN } = kegLabelKeys
+
+/**
+ * Ensures the response of a docker or mutagen list command is an array
+ * @function
+ * @param {*} items - Response from the list command
+ *
+ * @returns {Array} - Listed items, or an empty array
+ */
+const asList = items => isArr(items) ? items : []
+
+/**
+ * Finds dangling images that were built by the keg-cli
+ * @function
+ *
+ * @returns {Array} - Dangling keg images
+ */
+const findDanglingImages = async () => {
+  const images = await docker.image.list({
+    opts: [ '--filter', 'dangling=true', '--filter', `label=${KEG_ENV_CONTEXT}` ],
+    errResponse: [],
+    skipError: true,
+  })
+
+  return asList(images)
+}
+
+/**
+ * Finds exited containers that were started by the keg-cli
+ * @function
+ *
+ * @returns {Array} - Exited keg containers
+ */
+const findExitedContainers = async () => {
+  const containers = await docker.dockerCli({
+    format: 'json',
+    opts: [ 'container', 'ls', '-a', '--filter', 'status=exited', '--filter', `label=${KEG_ENV_CONTEXT}` ],
+    errResponse: [],
+    skipError: true,
+  })
+
+  return asList(containers)
+}
+
+/**
+ * Finds mutagen syncs that are halted, or no longer connected to a container
+ * @function
+ *
+ * @returns {Array} - Orphaned mutagen syncs
+ */
+const findOrphanedSyncs = async () => {
+  const syncs = await mutagen.sync.list({ format: 'json', skipError: true })
+
+  return asList(syncs).filter(sync => {
+    if('noSessionsFound' in sync) return false
+
+    return get(sync, 'beta.connectionState') === 'Disconnected' ||
+      get(sync, 'status', '').indexOf('Halted') === 0
+  })
+}
+
+/**
+ * Gets the names of the running services that use an injected compose file
+ * @function
+ *
+ * @returns {Array} - Proxy domains, container and image names of the running containers
+ */
+const getRunningServiceNames = async () => {
+  const containers = await docker.container.ps({ errResponse: [], skipError: true })
+
+  return asList(containers).reduce((names, container) => {
+    return names.concat([
+      get(container, [ 'labelsObj', KEG_PROXY_DOMAIN ]),
+      container.name,
+      get(container, 'image', '').split(':').shift(),
+    ].filter(Boolean))
+  }, [])
+}
+
+/**
+ * Finds injected files of services that are no longer running
+ * <br/>Includes injected compose files created before the injected manifest existed
+ * @function
+ *
+ * @returns {Array} - Leftover injected files, grouped by the name of the injected service
+ */
+const findLeftoverInjected = async () => {
+  const manifest = loadInjectedManifest()
+  const running = await getRunningServiceNames()
+
+  const untracked = pathExistsSync(GLOBAL_INJECT_FOLDER)
+    ? getFilesSync(GLOBAL_INJECT_FOLDER, { full: true })
+        .filter(filePath => path.extname(filePath) === '.yml')
+        .map(filePath => ({ name: path.basename(filePath, '.yml'), files: [ filePath ] }))
+        .filter(({ name }) => !manifest[name])
+    : []
+
+  return Object.entries(manifest)
+    .map(([ name, entry ]) => ({ name, files: get(entry, 'files', []) }))
+    .concat(untracked)
+    .filter(({ name }) => !running.includes(name))
+}
+
+/**
+ * Finds the docker items, mutagen syncs and injected files left behind by the keg-cli
+ * @function
+ *
+ * @returns {Object} - Found items that can be removed, grouped by type
+ */
+const findDockerGarbage = async () => {
+  const dockerVersion = await docker.dockerCli({
+    opts: [ 'info', '--format', '"{{.ServerVersion}}"' ],
+    errResponse: false,
+    skipError: true,
+  })
+
+  // If docker is not running, every injected file would look like it was left behind
+  !dockerVersion && generalError(`Docker is not running. Start docker, then run the command again!`)
+
+  return {
+    images: await findDanglingImages(),
+    containers: await findExitedContainers(),
+    syncs: await findOrphanedSyncs(),
+    injected: await findLeftoverInjected(),
+  }
+}
+
+module.exports = {
+  findDockerGarbage
+}
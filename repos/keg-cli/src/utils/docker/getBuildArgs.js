@@ -1,11 +1,13 @@
 const { isArr, get, reduceObj, isObj, softFalsy } = require('@keg-hub/jsutils')
-const { getGitUrl, getGitKey, getTapPath, exists } = require('KegUtils')
+const { getGitUrl, getTapPath, exists } = require('KegUtils')
 const { getRemoteUrl } = require('KegUtils/git/getRemoteUrl')
 const docker = require('KegDocCli')
 const { DOCKER } = require('KegConst/docker')
+const { SECRET_ENVS } = require('KegConst/constants')
 
 /**
- * Adds build args to the a docker the build command
+ * Adds build args and secrets to the a docker the build command
+ * <br/>Secrets are added as BuildKit secret mounts, so their values are never part of the command
  *
  * @param {Object} globalConfig - Global config object for the Keg CLI
  * @param {*} { context, branch, dockerCmd }
@@ -13,29 +15,31 @@ const { DOCKER } = require('KegConst/docker')
  * @param {string} params.context - Name of the image to be built
  * @param {string} params.branch - Branch of the repo to clone (defaults to master)
  * @param {string} params.dockerCmd - The docker command being built
+ * @param {Object} params.secrets - Secrets to mount, the values must be set as ENVs of the build process
  *
  * @returns {string} - The dockerCmd string with the build args added
  */
 const getBuildArgs = async (globalConfig, params) => {
-  const { buildArgs, context, branch, location, tap } = params
-  let dockerCmd = params.dockerCmd || ''
+  const { buildArgs, context, branch, location, secrets, tap } = params
+
+  // Add the secret mounts, the values are read by docker from the ENVs
+  let dockerCmd = docker.toBuildSecrets(secrets, params.dockerCmd || '')
   
   const containerOpts = get(DOCKER, `CONTAINERS.${ context.toUpperCase() }`)
   if(!isObj(containerOpts.ARGS)) return dockerCmd
   
-  const gitKey = await getGitKey(globalConfig)
   const tapUrl = context ==='tap' && tap && await getRemoteUrl(getTapPath(globalConfig, tap))
 
-  // Add the context build ENVs to the command
-  dockerCmd = docker.toBuildArgs(buildArgs, dockerCmd, get(containerOpts, 'BUILD_ARGS_FILTER'))
+  // Add the context build ENVs to the command, without the secrets
+  dockerCmd = docker.toBuildArgs(
+    buildArgs,
+    dockerCmd,
+    get(containerOpts, 'BUILD_ARGS_FILTER', []).concat(SECRET_ENVS)
+  )
 
   return reduceObj(containerOpts.ARGS, (key, value, dockerCmd) => {
     let useVal
     switch(key){
-      case 'GIT_KEY':{
-        useVal = gitKey
-        break
-      }
       case 'GIT_CLI_URL':{
         useVal = getGitUrl({ globalConfig, repo: 'cli' })
         break
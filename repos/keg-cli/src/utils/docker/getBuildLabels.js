@@ -1,6 +1,6 @@
 const homeDir = require('os').homedir()
 const { DOCKER } = require('KegConst/docker')
-const { kegLabels } = require('KegConst/docker/labels')
+const { kegLabels, provenanceLabels } = require('KegConst/docker/labels')
 const { isArr, isStr, get, exists } = require('@keg-hub/jsutils')
 const { fillTemplate } = require('KegUtils/template/fillTemplate')
 
@@ -77,8 +77,10 @@ const buildLabel = (cmdWithLabels, label, args, key, value) => {
 
 /**
  * Build the default keg-cli docker labels, and adds them to the passed in docker command
+ * <br/>Provenance labels are only added when args.provenance exists
  * @param {Object} args - Arguments passed to the task
  * @param {Object} args.params - Data to build the docker command
+ * @param {Object} args.provenance - Git commit, branch, repo and keg-cli version of the image
  * @param {string} dockerCmd - docker command being built 
  *
  * @returns {string} - Docker command with default labels added
@@ -88,7 +90,7 @@ const buildDefaultLabels = (args, dockerCmd) => {
   const { context } = params
   const { ENV:contextEnvs } = get(DOCKER, `CONTAINERS.${context.toUpperCase()}`)
 
-  return kegLabels.reduce((cmdWithLabels, labelData) => {
+  return kegLabels.concat(provenanceLabels).reduce((cmdWithLabels, labelData) => {
     const [ key, valuePath, label ] = labelData
 
     const value = cleanUpValue(
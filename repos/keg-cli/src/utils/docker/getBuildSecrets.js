@@ -0,0 +1,31 @@
+const { Logger } = require('KegLog')
+const { SECRET_ENVS } = require('KegConst/constants')
+const { getGitKey } = require('../git/getGitKey')
+const { getPublicGitKey } = require('../git/getPublicGitKey')
+
+/**
+ * Gets the secrets passed to the docker build command as BuildKit secret mounts
+ * <br/>Uses the values from the passed in envs, then the ENVs and secrets store
+ * <br/>Each value is registered with the Logger, so it's masked in every logged command
+ * @function
+ * @param {Object} globalConfig - Global config object for the Keg CLI
+ * @param {Object} [envs={}] - Context envs of the image being built
+ *
+ * @returns {Object} - Secrets with a value => { GIT_KEY, PUBLIC_GIT_KEY }
+ */
+const getBuildSecrets = async (globalConfig, envs={}) => {
+  const values = {
+    GIT_KEY: envs.GIT_KEY || await getGitKey(globalConfig),
+    PUBLIC_GIT_KEY: envs.PUBLIC_GIT_KEY || await getPublicGitKey(globalConfig),
+  }
+
+  return SECRET_ENVS.reduce((secrets, key) => {
+    values[key] && (secrets[key] = Logger.addSecret(values[key]))
+
+    return secrets
+  }, {})
+}
+
+module.exports = {
+  getBuildSecrets
+}
@@ -0,0 +1,46 @@
+const { git } = require('KegGitCli')
+const { version } = require('KegPackage')
+
+/**
+ * Removes any credentials from a git remote url
+ * <br/>The url is added to the image labels, so it must not contain tokens
+ * @function
+ * @param {string} url - Url of a git remote
+ *
+ * @returns {string} - Url without credentials
+ */
+const stripCredentials = url => url && url.replace(/^(\w+:\/\/)[^@/]+@/, '$1')
+
+/**
+ * Gets the provenance of an image being built from the git repo it's built from
+ * <br/>When the location is not a git repo, only the keg-cli version is returned
+ * @function
+ * @param {string} location - Location the image is being built from
+ *
+ * @returns {Object} - Image provenance => { commit, branch, repo, cliVersion }
+ */
+const getImageProvenance = async location => {
+  const provenance = { cliVersion: version }
+  const isRepo = location && await git.repo.exists(location, { skipError: true })
+  if(!isRepo) return provenance
+
+  const [ commit, branch, remotes ] = await Promise.all([
+    git.repo.commitHash({ location, pretty: '%H', skipError: true }),
+    git.branch.name({ location }),
+    git.remote.list(location, { skipError: true }),
+  ])
+
+  const remote = (remotes || []).find(remote => remote.name === 'origin') || (remotes || [])[0]
+
+  return {
+    ...provenance,
+    commit,
+    branch,
+    repo: stripCredentials(remote && remote.url),
+  }
+}
+
+module.exports = {
+  getImageProvenance,
+  stripCredentials,
+}
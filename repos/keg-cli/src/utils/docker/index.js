@@ -6,17 +6,21 @@ module.exports = {
   ...require('./checkContainerExists'),
   ...require('./compose'),
   ...require('./containerSelect'),
+  ...require('./findDockerGarbage'),
   ...require('./checkRunningContainers'),
   ...require('./checkRemoveImage'),
   ...require('./getBuildArgs'),
+  ...require('./getBuildSecrets'),
   ...require('./getBuildTags'),
   ...require('./getContainerCmd'),
   ...require('./getContainerFromContext'),
   ...require('./getContainerConst'),
   ...require('./getDockerArgs'),
+  ...require('./getImageProvenance'),
   ...require('./getOrBuildImage'),
   ...require('./imageSelect'),
   ...require('./isDockerId'),
   ...require('./mountSocket'),
+  ...require('./removeDockerGarbage'),
   ...require('./removeLabels'),
 }
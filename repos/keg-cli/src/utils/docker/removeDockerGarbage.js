@@ -0,0 +1,96 @@
+const docker = require('KegDocCli')
+const { Logger } = require('KegLog')
+const { mutagen } = require('KegMutagen')
+const { removeInjectedCompose } = require('./compose/removeInjectedCompose')
+
+/**
+ * Removes docker items by calling the docker rm command for each item
+ * @function
+ * @param {string} type - Type of docker item to remove ( image || container )
+ * @param {Array} items - Docker items to remove
+ * @param {boolean} log - Should the removed items be logged
+ *
+ * @returns {Array} - Docker items that were removed
+ */
+const removeDockerItems = async (type, items, log) => {
+  return items.reduce(async (toResolve, item) => {
+    const removed = await toResolve
+    const resp = await docker.dockerCli({
+      opts: [ type, 'rm', item.id ],
+      errResponse: false,
+      skipError: true,
+    })
+
+    if(resp === false){
+      log && Logger.warn(`Could not remove ${type} ${item.id}`)
+      return removed
+    }
+
+    log && Logger.highlight(`Removed ${type}`, item.name || item.id)
+
+    return removed.concat([ item ])
+  }, Promise.resolve([]))
+}
+
+/**
+ * Terminates the passed in mutagen syncs
+ * @function
+ * @param {Array} syncs - Mutagen syncs to terminate
+ * @param {boolean} log - Should the terminated syncs be logged
+ *
+ * @returns {Array} - Mutagen syncs that were terminated
+ */
+const terminateSyncs = async (syncs, log) => {
+  return syncs.reduce(async (toResolve, sync) => {
+    const terminated = await toResolve
+    await mutagen.sync.terminate({ name: sync.identifier })
+    log && Logger.highlight(`Removed mutagen sync`, sync.name)
+
+    return terminated.concat([ sync ])
+  }, Promise.resolve([]))
+}
+
+/**
+ * Removes the injected files of services that are no longer running
+ * @function
+ * @param {Array} injected - Leftover injected files, grouped by the name of the injected service
+ * @param {boolean} log - Should the removed files be logged
+ *
+ * @returns {Array} - Injected services that had their files removed
+ */
+const removeInjected = async (injected, log) => {
+  return injected.reduce(async (toResolve, service) => {
+    const removed = await toResolve
+    await removeInjectedCompose(service.name, log)
+    log && service.files.map(filePath => Logger.highlight(`Removed injected file`, filePath))
+
+    return removed.concat([ service ])
+  }, Promise.resolve([]))
+}
+
+/**
+ * Removes the items found by findDockerGarbage
+ * @function
+ * @param {Object} garbage - Found items to remove, grouped by type
+ * @param {boolean} [log=true] - Should the removed items be logged
+ *
+ * @returns {Object} - Removed items, grouped by type
+ */
+const removeDockerGarbage = async (garbage, log=true) => {
+  const { images=[], containers=[], syncs=[], injected=[] } = garbage
+
+  // Remove the containers first, so the images are no longer in use
+  const removedContainers = await removeDockerItems('container', containers, log)
+  const removedImages = await removeDockerItems('image', images, log)
+
+  return {
+    containers: removedContainers,
+    images: removedImages,
+    syncs: await terminateSyncs(syncs, log),
+    injected: await removeInjected(injected, log),
+  }
+}
+
+module.exports = {
+  removeDockerGarbage
+}
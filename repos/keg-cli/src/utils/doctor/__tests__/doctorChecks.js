@@ -0,0 +1,137 @@
+const { deepClone } = require('@keg-hub/jsutils')
+const globalConfig = deepClone(global.getGlobalCliConfig())
+// Use paths that exist, so the paths check passes
+globalConfig.cli.paths = { cli: __dirname, core: __dirname, components: __dirname, customTasks: '' }
+
+const dockerCli = jest.fn()
+const containerGet = jest.fn()
+jest.setMock('KegDocCli', { dockerCli, container: { get: containerGet } })
+
+const isRunning = jest.fn()
+jest.setMock('KegMutagen', { mutagen: { isRunning } })
+
+const getProcessesUsingPort = jest.fn(() => Promise.resolve([]))
+jest.setMock('../../network/getProcessesUsingPort', { getProcessesUsingPort })
+
+const gitKeyExists = jest.fn(() => true)
+jest.setMock('../../git/gitKeyExists', { gitKeyExists })
+
+const { doctorChecks } = require('../doctorChecks')
+const { runDoctorChecks } = require('../runDoctorChecks')
+
+const getCheck = key => doctorChecks.find(check => check.key === key).check
+
+describe('doctorChecks', () => {
+
+  beforeEach(() => {
+    dockerCli.mockImplementation(({ opts }) => Promise.resolve(
+      opts[0] === 'info' ? '19.03.12\n' : 'bridge\nkeg-hub-net\nhost\n'
+    ))
+    containerGet.mockImplementation(() => Promise.resolve({ name: 'keg-proxy', status: 'Up 2 hours' }))
+    isRunning.mockImplementation(() => Promise.resolve('1234'))
+  })
+
+  afterEach(() => jest.clearAllMocks())
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should pass all checks when the environment is setup', async () => {
+    const report = await runDoctorChecks(globalConfig)
+
+    expect(report.length).toBe(doctorChecks.length)
+    report.map(result => expect(result.status).toBe('pass'))
+  })
+
+  it('should fail the config check when the global config is invalid', async () => {
+    const result = await getCheck('config')({ name: 'not-keg-cli' })
+
+    expect(result.status).toBe('fail')
+    expect(result.fix).toBeDefined()
+  })
+
+  it('should fail the paths check with the missing global config paths', async () => {
+    const missingPath = `${__dirname}/not-a-real-folder`
+    const result = await getCheck('paths')({
+      ...globalConfig,
+      cli: { ...globalConfig.cli, paths: { ...globalConfig.cli.paths, core: missingPath } }
+    })
+
+    expect(result.status).toBe('fail')
+    expect(result.message).toContain(`core => ${missingPath}`)
+    expect(result.message).not.toContain('components')
+  })
+
+  it('should fail the docker check, and skip the checks that need docker, when docker is not running', async () => {
+    dockerCli.mockImplementation(() => Promise.resolve(false))
+
+    const report = await runDoctorChecks(globalConfig)
+    const byKey = key => report.find(result => result.key === key)
+
+    expect(byKey('docker').status).toBe('fail')
+    expect(byKey('network').status).toBe('warn')
+    expect(byKey('proxy').status).toBe('warn')
+    expect(containerGet).not.toHaveBeenCalled()
+  })
+
+  it('should fail the network check when the keg network does not exist', async () => {
+    dockerCli.mockImplementation(() => Promise.resolve('bridge\nhost\n'))
+    const result = await getCheck('network')(globalConfig, { docker: { status: 'pass' } })
+
+    expect(result.status).toBe('fail')
+    expect(result.fix).toContain('docker network create keg-hub-net')
+  })
+
+  it('should fail the proxy check when the keg-proxy container is not running', async () => {
+    containerGet.mockImplementation(() => Promise.resolve({ name: 'keg-proxy', status: 'Exited (0) 2 hours ago' }))
+    const result = await getCheck('proxy')(globalConfig, { docker: { status: 'pass' } })
+
+    expect(result.status).toBe('fail')
+    expect(result.fix).toContain('keg proxy start')
+  })
+
+  it('should fail the ports check when another process uses the proxy ports', async () => {
+    getProcessesUsingPort.mockImplementationOnce(() => Promise.resolve([{ command: 'nginx', pid: '99' }]))
+    const result = await getCheck('ports')(globalConfig, { proxy: { status: 'fail' } })
+
+    expect(result.status).toBe('fail')
+    expect(result.message).toContain('80 => nginx (99)')
+  })
+
+  it('should not check the proxy ports when the keg-proxy is running', async () => {
+    const result = await getCheck('ports')(globalConfig, { proxy: { status: 'pass' } })
+
+    expect(result.status).toBe('pass')
+    expect(getProcessesUsingPort).not.toHaveBeenCalled()
+  })
+
+  it('should warn when the mutagen daemon is not running', async () => {
+    isRunning.mockImplementation(() => Promise.resolve(false))
+    const result = await getCheck('mutagen')(globalConfig)
+
+    expect(result.status).toBe('warn')
+  })
+
+  it('should warn when the git key is not set', async () => {
+    gitKeyExists.mockImplementationOnce(() => false)
+    const result = await getCheck('gitKey')(globalConfig)
+
+    expect(result.status).toBe('warn')
+    expect(result.fix).toContain('keg git key add')
+  })
+
+  it('should add a failed result when a check throws an error', async () => {
+    const report = await runDoctorChecks(globalConfig, [{
+      key: 'broken',
+      name: 'Broken',
+      check: () => { throw new Error('Broken check') },
+    }])
+
+    expect(report).toEqual([{
+      key: 'broken',
+      name: 'Broken',
+      status: 'fail',
+      message: 'Check failed with error: Broken check'
+    }])
+  })
+
+})
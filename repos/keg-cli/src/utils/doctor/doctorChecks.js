@@ -0,0 +1,213 @@
+const docker = require('KegDocCli')
+const { get } = require('@keg-hub/jsutils')
+const { mutagen } = require('KegMutagen')
+const { DOCKER } = require('KegConst/docker')
+const { pathExistsSync } = require('KegFileSys/fileSys')
+const { gitKeyExists } = require('../git/gitKeyExists')
+const { GLOBAL_CONFIG_PATHS } = require('KegConst/constants')
+const { getProcessesUsingPort } = require('../network/getProcessesUsingPort')
+const { validateGlobalConfig } = require('../globalConfig/validateGlobalConfig')
+
+/**
+ * Name of the keg-proxy docker container
+ * @string
+ */
+const PROXY_CONTAINER = 'keg-proxy'
+
+/**
+ * Builds the result of a doctor check
+ * @function
+ * @param {string} status - Status of the check ( pass || warn || fail )
+ * @param {string} message - Describes the result of the check
+ * @param {string} [fix] - Suggested fix when the check does not pass
+ *
+ * @returns {Object} - Result of the doctor check
+ */
+const checkResult = (status, message, fix) => ({ status, message, ...(fix && { fix }) })
+
+/**
+ * Result for checks that can not run because docker is not running
+ * @function
+ * @param {Object} results - Results of the checks that have already been run
+ *
+ * @returns {Object|boolean} - Warn result if docker is not running, otherwise false
+ */
+const dockerSkipped = results => {
+  return get(results, 'docker.status') !== 'pass' &&
+    checkResult('warn', `Skipped, docker is not running`, `Fix the docker check first`)
+}
+
+/**
+ * Checks the global config is valid
+ * @function
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Result of the check
+ */
+const checkGlobalConfig = async globalConfig => {
+  return validateGlobalConfig(globalConfig, false)
+    ? checkResult('pass', `Global config is valid`)
+    : checkResult('fail', `Global config is invalid`, `Run "keg config sync" to sync the global config`)
+}
+
+/**
+ * Checks the paths in the global config exist on the local machine
+ * @function
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Result of the check
+ */
+const checkConfigPaths = async globalConfig => {
+  const paths = get(globalConfig, GLOBAL_CONFIG_PATHS.CLI_PATHS, {})
+  const missing = Object.keys(paths).filter(key => paths[key] && !pathExistsSync(paths[key]))
+
+  return !missing.length
+    ? checkResult('pass', `All global config paths exist`)
+    : checkResult(
+        'fail',
+        `Missing global config paths: ${ missing.map(key => `${key} => ${paths[key]}`).join(', ') }`,
+        `Run "keg config set --key ${GLOBAL_CONFIG_PATHS.CLI_PATHS}.<name> --value <path>" for each missing path`
+      )
+}
+
+/**
+ * Checks the docker daemon is running
+ * @function
+ *
+ * @returns {Object} - Result of the check
+ */
+const checkDocker = async () => {
+  const version = await docker.dockerCli({
+    opts: [ 'info', '--format', '"{{.ServerVersion}}"' ],
+    errResponse: false,
+    skipError: true,
+  })
+
+  return version
+    ? checkResult('pass', `Docker is running, version ${ version.trim() }`)
+    : checkResult('fail', `Docker is not running`, `Start docker, then run "keg doctor" again`)
+}
+
+/**
+ * Checks the keg docker network exists
+ * @function
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ * @param {Object} results - Results of the checks that have already been run
+ *
+ * @returns {Object} - Result of the check
+ */
+const checkNetwork = async (globalConfig, results) => {
+  const skipped = dockerSkipped(results)
+  if(skipped) return skipped
+
+  const network = DOCKER.KEG_DOCKER_NETWORK
+  const networks = await docker.dockerCli({
+    opts: [ 'network', 'ls', '--format', '"{{.Name}}"' ],
+    errResponse: '',
+    skipError: true,
+  })
+
+  return networks.split('\n').map(name => name.trim()).includes(network)
+    ? checkResult('pass', `Docker network ${network} exists`)
+    : checkResult('fail', `Docker network ${network} does not exist`, `Run "docker network create ${network}"`)
+}
+
+/**
+ * Checks the keg-proxy docker container is running
+ * @function
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ * @param {Object} results - Results of the checks that have already been run
+ *
+ * @returns {Object} - Result of the check
+ */
+const checkProxy = async (globalConfig, results) => {
+  const skipped = dockerSkipped(results)
+  if(skipped) return skipped
+
+  const container = await docker.container.get(PROXY_CONTAINER)
+
+  return container && get(container, 'status', '').indexOf('Up') === 0
+    ? checkResult('pass', `Container ${PROXY_CONTAINER} is running`)
+    : checkResult('fail', `Container ${PROXY_CONTAINER} is not running`, `Run "keg proxy start"`)
+}
+
+/**
+ * Checks the ports used by the keg-proxy are not used by other processes
+ * <br/>When the keg-proxy is running, it's the process using the ports
+ * @function
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ * @param {Object} results - Results of the checks that have already been run
+ *
+ * @returns {Object} - Result of the check
+ */
+const checkProxyPorts = async (globalConfig, results) => {
+  const { PROXY_INSECURE_PORT, PROXY_SECURE_PORT } = get(DOCKER, 'CONTAINERS.PROXY.ENV', {})
+  const ports = [ PROXY_INSECURE_PORT, PROXY_SECURE_PORT ].filter(Boolean)
+
+  if(get(results, 'proxy.status') === 'pass')
+    return checkResult('pass', `Ports ${ports.join(', ')} are used by ${PROXY_CONTAINER}`)
+
+  const used = await ports.reduce(async (toResolve, port) => {
+    const found = await toResolve
+    const processes = await getProcessesUsingPort(port)
+
+    return processes.length
+      ? found.concat([ `${port} => ${processes.map(proc => `${proc.command} (${proc.pid})`).join(', ')}` ])
+      : found
+  }, Promise.resolve([]))
+
+  return !used.length
+    ? checkResult('pass', `Ports ${ports.join(', ')} are available for ${PROXY_CONTAINER}`)
+    : checkResult(
+        'fail',
+        `Ports needed by ${PROXY_CONTAINER} are in use: ${used.join(', ')}`,
+        `Stop the processes, or run "keg network kill --port <port>"`
+      )
+}
+
+/**
+ * Checks the mutagen daemon is running
+ * @function
+ *
+ * @returns {Object} - Result of the check
+ */
+const checkMutagen = async () => {
+  const pid = await mutagen.isRunning()
+
+  return pid
+    ? checkResult('pass', `Mutagen daemon is running, pid ${pid}`)
+    : checkResult('warn', `Mutagen daemon is not running`, `Run "mutagen daemon start"`)
+}
+
+/**
+ * Checks a git key exists to access private repos
+ * @function
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Result of the check
+ */
+const checkGitKey = async globalConfig => {
+  return gitKeyExists(globalConfig)
+    ? checkResult('pass', `Git key is set`)
+    : checkResult('warn', `Git key is not set, private repos can not be cloned`, `Run "keg git key add"`)
+}
+
+/**
+ * Checks run by the doctor task, in the order they are run
+ * <br/>Each check is passed the globalConfig, and the results of the checks already run
+ * @array
+ */
+const doctorChecks = [
+  { key: 'config', name: 'Global Config', check: checkGlobalConfig },
+  { key: 'paths', name: 'Config Paths', check: checkConfigPaths },
+  { key: 'docker', name: 'Docker', check: checkDocker },
+  { key: 'network', name: 'Docker Network', check: checkNetwork },
+  { key: 'proxy', name: 'Proxy', check: checkProxy },
+  { key: 'ports', name: 'Proxy Ports', check: checkProxyPorts },
+  { key: 'mutagen', name: 'Mutagen', check: checkMutagen },
+  { key: 'gitKey', name: 'Git Key', check: checkGitKey },
+]
+
+module.exports = {
+  doctorChecks
+}
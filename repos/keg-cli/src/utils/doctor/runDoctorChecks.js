@@ -0,0 +1,31 @@
+const { doctorChecks } = require('./doctorChecks')
+
+/**
+ * Runs the doctor checks in order, so each check has access to the results of earlier checks
+ * <br/>If a check throws, it's added as a failed check, so the other checks still run
+ * @function
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ * @param {Array} [checks=doctorChecks] - Checks to run
+ *
+ * @returns {Array} - Result of each check, with the key and name of the check
+ */
+const runDoctorChecks = async (globalConfig, checks=doctorChecks) => {
+  const results = {}
+
+  return checks.reduce(async (toResolve, { key, name, check }) => {
+    const report = await toResolve
+
+    try {
+      results[key] = await check(globalConfig, results)
+    }
+    catch(err){
+      results[key] = { status: 'fail', message: `Check failed with error: ${ err.message }` }
+    }
+
+    return report.concat([{ key, name, ...results[key] }])
+  }, Promise.resolve([]))
+}
+
+module.exports = {
+  runDoctorChecks
+}
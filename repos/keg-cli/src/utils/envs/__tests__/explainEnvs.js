@@ -0,0 +1,43 @@
+const { explainEnvs } = require('../explainEnvs')
+
+const layers = [
+  { source: 'cli defaults', location: '/keg-cli/defaults.env', envs: { NODE_ENV: 'development', KEG_PROXY_PORT: 80 } },
+  { source: 'values file', location: '/containers/core/values.yml', envs: { KEG_PROXY_PORT: 19006, IMAGE: 'keg-core' } },
+  false,
+  { source: 'task params', envs: { NODE_ENV: 'local' } },
+]
+
+describe('explainEnvs', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('Should return the final value and source of each ENV', () => {
+    const explained = explainEnvs(layers)
+
+    expect(explained.IMAGE.value).toBe('keg-core')
+    expect(explained.IMAGE.source).toBe('values file')
+    expect(explained.IMAGE.location).toBe('/containers/core/values.yml')
+
+    expect(explained.NODE_ENV.value).toBe('local')
+    expect(explained.NODE_ENV.source).toBe('task params')
+    expect(explained.NODE_ENV.location).toBe(undefined)
+  })
+
+  it('Should track the values overridden by later layers in order', () => {
+    const explained = explainEnvs(layers.concat([
+      { source: 'env file', location: '/root/.kegConfig/local.env', envs: { KEG_PROXY_PORT: 3000 } }
+    ]))
+
+    expect(explained.KEG_PROXY_PORT.value).toBe(3000)
+    expect(explained.KEG_PROXY_PORT.overrides).toEqual([
+      { value: 80, source: 'cli defaults', location: '/keg-cli/defaults.env' },
+      { value: 19006, source: 'values file', location: '/containers/core/values.yml' },
+    ])
+    expect(explained.IMAGE.overrides).toEqual([])
+  })
+
+  it('Should return an empty object when no layers are passed', () => {
+    expect(explainEnvs()).toEqual({})
+  })
+
+})
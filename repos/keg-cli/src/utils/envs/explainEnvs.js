@@ -0,0 +1,35 @@
+/**
+ * Merges the ENV layers in order, and tracks the source of each ENV
+ * <br/>Later layers override earlier layers, the overridden values are kept in the overrides array
+ * @function
+ * @param {Array} layers - ENV layers in the order they are merged => { source, location, envs }
+ *
+ * @returns {Object} - Final ENVs with their source => { [key]: { value, source, location, overrides } }
+ */
+const explainEnvs = (layers=[]) => {
+  return layers.filter(Boolean)
+    .reduce((explained, { envs={}, source, location }) => {
+      Object.entries(envs).map(([ key, value ]) => {
+        const current = explained[key]
+
+        explained[key] = {
+          value,
+          source,
+          location,
+          overrides: current
+            ? current.overrides.concat([{
+                value: current.value,
+                source: current.source,
+                location: current.location,
+              }])
+            : [],
+        }
+      })
+
+      return explained
+    }, {})
+}
+
+module.exports = {
+  explainEnvs
+}
@@ -0,0 +1,123 @@
+const path = require('path')
+const { get } = require('@keg-hub/jsutils')
+const { DOCKER } = require('KegConst/docker')
+const { loadYmlSync } = require('KegFileSys/yml')
+const { pathExistsSync } = require('KegFileSys/fileSys')
+const { checkLoadEnv, loadENV } = require('KegFileSys/env')
+const { CLI_ROOT, DEFAULT_ENV, GLOBAL_CONFIG_FOLDER, SECRET_ENVS } = require('KegConst/constants')
+const { buildExtraData, getEnvPaths, getValuesPaths } = require('KegConst/docker/loaders')
+const { gitKeyExists } = require('../git/gitKeyExists')
+const { getSetting } = require('../globalConfig/getSetting')
+const { buildTapContext } = require('../builders/buildTapContext')
+const { buildInjectedEnvs } = require('../services/injectService')
+const { convertParamsToEnvs } = require('../task/convertParamsToEnvs')
+
+/**
+ * Value shown in place of ENVs that contain secrets
+ * @string
+ */
+const HIDDEN_VALUE = '********'
+
+/**
+ * Gets the ENVs of process.env that are passed on to the docker commands
+ * <br/>Only includes ENVs with the KEG_ prefix, or ENVs that are also set by another layer
+ * @function
+ * @param {Array} layers - Other ENV layers of the context
+ *
+ * @returns {Object} - ENVs of the current process
+ */
+const getProcessEnvs = layers => {
+  const keys = layers.reduce((found, layer) => found.concat(Object.keys(layer.envs)), [])
+
+  return Object.keys(process.env)
+    .filter(key => key.indexOf('KEG_') === 0 || keys.includes(key))
+    .reduce((envs, key) => {
+      envs[key] = SECRET_ENVS.includes(key) ? HIDDEN_VALUE : process.env[key]
+
+      return envs
+    }, {})
+}
+
+/**
+ * Builds a layer for each values.yml and .env file of the context that exists
+ * @function
+ * @param {Object} loaderArgs - Arguments passed to the values loaders => { container, env, __internal }
+ *
+ * @returns {Array} - ENV layers of the values files, then the .env files
+ */
+const getFileLayers = loaderArgs => {
+  const extraData = buildExtraData(loaderArgs)
+
+  const valuesLayers = getValuesPaths(loaderArgs)
+    .filter(location => pathExistsSync(location))
+    .map(location => ({
+      location,
+      source: 'values file',
+      envs: get(loadYmlSync(location, false, extraData), 'env', {}),
+    }))
+
+  const envLayers = getEnvPaths(loaderArgs)
+    .filter(location => pathExistsSync(location))
+    .map(location => ({
+      location,
+      source: 'env file',
+      envs: loadENV({ envPath: location, data: extraData }),
+    }))
+
+  return valuesLayers.concat(envLayers)
+}
+
+/**
+ * Gets the ENV layers of a context, in the same order they are merged by buildContextEnvs
+ * <br/>Each layer defines where its ENVs came from => { source, location, envs }
+ * @function
+ * @param {Object} args - Defines the context to get the ENV layers for
+ * @param {Object} args.globalConfig - Global config object for the keg-cli
+ * @param {string} args.cmdContext - Context to run the docker container in
+ * @param {Object} args.params - Parameters passed to the task from the cmd line
+ * @param {string} args.tap - Name of the tap to get the ENV layers for
+ *
+ * @returns {Array} - ENV layers, later layers override earlier layers
+ */
+const getEnvLayers = async ({ globalConfig, cmdContext, params={}, tap }) => {
+  const { env, __injected } = params
+
+  const __internal = __injected && __injected.containerPath
+    ? { ...__injected, context: cmdContext }
+    : undefined
+
+  const cliDefaults = path.join(CLI_ROOT, 'scripts/setup/', DEFAULT_ENV)
+  const globalDefaults = path.join(GLOBAL_CONFIG_FOLDER, DEFAULT_ENV)
+
+  const layers = [
+    { source: 'context', envs: { COMPOSE_PROJECT_NAME: cmdContext } },
+    { source: 'docker machine', envs: DOCKER.PREFIXED },
+    { source: 'cli defaults', location: cliDefaults, envs: checkLoadEnv(cliDefaults) },
+    { source: 'global defaults', location: globalDefaults, envs: checkLoadEnv(globalDefaults) },
+    __internal && {
+      source: 'injected tap',
+      location: __internal.containerPath,
+      envs: buildInjectedEnvs(__internal.injectPath, __internal),
+    },
+    ...getFileLayers({ container: cmdContext, env, __internal }),
+    getSetting('docker.buildKit') && {
+      source: 'setting',
+      location: 'docker.buildKit',
+      envs: { DOCKER_BUILDKIT: 1, COMPOSE_DOCKER_CLI_BUILD: 1 },
+    },
+    tap && tap !== 'tap' && {
+      source: 'tap link',
+      location: tap,
+      envs: await buildTapContext({ globalConfig, cmdContext, tap, envs: {} }),
+    },
+    gitKeyExists(globalConfig) && { source: 'git key', envs: { PUBLIC_GIT_KEY: HIDDEN_VALUE } },
+    { source: 'task params', envs: convertParamsToEnvs(params) },
+  ].filter(Boolean)
+
+  // process.env is the base of the ENVs passed to the docker commands, so add it first
+  return [ { source: 'process.env', envs: getProcessEnvs(layers) } ].concat(layers)
+}
+
+module.exports = {
+  getEnvLayers
+}
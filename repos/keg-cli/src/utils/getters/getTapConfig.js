@@ -0,0 +1,35 @@
+const path = require('path')
+const { get } = require('@keg-hub/jsutils')
+const { pathExistsSync } = require('KegFileSys/fileSys')
+const { generalError } = require('../error/generalError')
+const { TAP_CONFIGS } = require('KegConst/constants')
+
+/**
+ * Loads the keg.cli settings of a taps config
+ * <br/>Only json configs are checked, so no tap code is run when loading the settings
+ * @function
+ * @param {string} tapPath - Path to the linked tap
+ * @param {string} [key] - Key of a setting in the keg.cli object to return
+ *
+ * @returns {Object} - keg.cli settings of the tap, or the setting of the passed in key
+ */
+const getTapConfig = (tapPath, key) => {
+  const configPath = tapPath && TAP_CONFIGS
+    .map(file => path.join(tapPath, file))
+    .find(file => pathExistsSync(file))
+
+  if(!configPath) return key ? undefined : {}
+
+  try {
+    const cliConfig = get(require(configPath), 'keg.cli', {})
+
+    return key ? get(cliConfig, key) : cliConfig
+  }
+  catch(err){
+    generalError(`Could not load the tap config ${configPath}\n ${err.message}`)
+  }
+}
+
+module.exports = {
+  getTapConfig
+}
@@ -8,4 +8,5 @@ module.exports = {
   ...require('./getPrefix'),
   ...require('./getRemotePath'),
   ...require('./getRepoPath'),
+  ...require('./getTapConfig'),
 }
@@ -1,22 +1,23 @@
 const { get } = require('@keg-hub/jsutils')
 const { GLOBAL_CONFIG_PATHS } = require('KegConst/constants')
 const { DOCKER } = require('KegConst/docker')
-const { decrypt } = require('KegCrypto')
+const { hasSecret } = require('../secrets/secretsStore')
 
 /**
- * Gets the git key to allow cloning private repos
- * Pulls from the ENV GIT_KEY or global config
+ * Checks if a git key exists to allow cloning private repos
+ * Checks the ENV GIT_KEY, the secrets store, then the legacy global config value
  * @param {Object} globalConfig - Global config object for the Keg CLI
  *
- * @returns {string} - Found git key
+ * @returns {boolean} - True if a git key exists
  */
 const gitKeyExists = globalConfig => {
   return Boolean(
     process.env[ get(DOCKER, 'CONTAINERS.CORE.ARGS.GIT_KEY') ] ||
+      hasSecret(`git.key`) ||
       get(globalConfig, `${GLOBAL_CONFIG_PATHS.GIT}.key`)
   )
 }
 
 module.exports = {
   gitKeyExists
-}
\ No newline at end of file
+}
@@ -9,4 +9,7 @@ module.exports = {
   ...require('./getRemoteUrl'),
   ...require('./gitKeyExists'),
   ...require('./printGitBranches'),
+  ...require('./printPullRequests'),
+  ...require('./pullRequestOptions'),
+  ...require('./slugifyBranch'),
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { Logger } = require('KegLog')
+const { get } = require('@keg-hub/jsutils')
+
+/**
+ * Prints a formatted pull request
+ * @param {Object} pr - Pull request object from the github lib
+ *
+ * @returns {void}
+ */
+const printPullRequest = pr => {
+  Logger.print(
+    Logger.color('data', `  #${ pr.number }`),
+    Logger.color('blue', ' => '),
+    Logger.color('data', pr.title),
+    pr.isDraft ? Logger.color('yellow', '( draft )') : ''
+  )
+  Logger.pair(`      Branch:`, `${ pr.headRefName } => ${ pr.baseRefName }`)
+  Logger.pair(`      Author:`, `${ get(pr, 'author.login', '') }`)
+  Logger.pair(`      State:`, `${ pr.state }`)
+  Logger.pair(`      Url:`, `${ pr.url }`)
+}
+
+/**
+ * Prints all passed in pull requests
+ * @param {Array} pullRequests - Pull requests from the github lib
+ * @param {string} [title=PULL REQUESTS] - Title of the printed pull requests
+ *
+ * @returns {void}
+ */
+const printPullRequests = (pullRequests=[], title=`PULL REQUESTS`) => {
+  Logger.header(title)
+
+  !pullRequests.length
+    ? Logger.info(`  No pull requests found!`)
+    : pullRequests.map(pr => {
+        printPullRequest(pr)
+        Logger.empty()
+      })
+
+  Logger.empty()
+}
+
+module.exports = {
+  printPullRequests
+}
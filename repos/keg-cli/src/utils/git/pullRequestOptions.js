@@ -0,0 +1,55 @@
+const { deepMerge } = require('@keg-hub/jsutils')
+
+/**
+ * Builds the option for the number of a pull request
+ * @function
+ * @param {string} action - Name of the pull request task
+ * @param {boolean} [required=true] - Is the pull request number required
+ *
+ * @returns {Object} - Pull request number option
+ */
+const prNumberOption = (action, required=true) => ({
+  alias: [ 'num' ],
+  description: required
+    ? `Pull request number`
+    : `Pull request number. Defaults to the pull request of the current branch`,
+  example: `keg pr ${ action } --number 23`,
+  ...(required && { required }),
+})
+
+/**
+ * Builds the default options for the pull request tasks
+ * <br/>Allows defining which repo the pull request task should be run on
+ * @function
+ * @param {string} action - Name of the pull request task
+ * @param {Object} overrides - Task specific options, added before the default options
+ *
+ * @returns {Object} - Options for the pull request task
+ */
+const pullRequestOptions = (action, overrides={}) => {
+  return deepMerge({
+    // Add the overrides first, so the task options are the first keys within the object
+    ...overrides,
+    context: {
+      alias: [ 'name' ],
+      description: 'Context or name of the repo to execute the pr command on',
+      example: `keg pr ${ action } --context core`,
+      enforced: true,
+    },
+    tap: {
+      description: 'Name of the linked tap to execute the pr command on',
+      example: `keg pr ${ action } --tap events-force`,
+      enforced: true,
+    },
+    log: {
+      description: 'Log the gh command before running it',
+      example: `keg pr ${ action } --log`,
+      default: false,
+    },
+  }, overrides)
+}
+
+module.exports = {
+  prNumberOption,
+  pullRequestOptions,
+}
@@ -0,0 +1,28 @@
+/**
+ * Max length of a slugified branch name
+ * <br/>Keeps the proxy domain of a branch under the 63 character limit of a host name label
+ * @number
+ */
+const MAX_BRANCH_LENGTH = 40
+
+/**
+ * Converts a git branch name into a slug, that can be used in a host name or docker name
+ * <br/>I.E. feature/Fix_Bar => feature-fix-bar
+ * @function
+ * @param {string} branch - Git branch name
+ *
+ * @returns {string} - Lowercase branch name, with only letters, numbers and dashes
+ */
+const slugifyBranch = (branch='') => {
+  return branch
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_BRANCH_LENGTH)
+    .replace(/-+$/, '')
+}
+
+module.exports = {
+  slugifyBranch
+}
@@ -0,0 +1,58 @@
+const { deepClone } = require('@keg-hub/jsutils')
+const { generalError } = require('KegMocks/utils/error/generalError')
+const globalConfig = global.getGlobalCliConfig()
+
+jest.setMock('../../error/generalError', { generalError })
+
+const writeFile = jest.fn(() => Promise.resolve())
+const ensureDirSync = jest.fn(dir => dir)
+jest.setMock('KegFileSys/fileSys', { ...jest.requireActual('KegFileSys/fileSys'), writeFile, ensureDirSync })
+
+const __updateGlobalConfig = jest.fn()
+jest.setMock('../globalConfigCache', { __updateGlobalConfig })
+
+const { saveGlobalConfig } = require('../saveGlobalConfig')
+const { validateGlobalConfig } = require('../validateGlobalConfig')
+
+describe('saveGlobalConfig', () => {
+
+  afterEach(() => jest.clearAllMocks())
+
+  afterAll(() => jest.resetAllMocks())
+
+  describe('validateGlobalConfig', () => {
+
+    it('should return true for a valid global config', () => {
+      expect(validateGlobalConfig(deepClone(globalConfig))).toBe(true)
+    })
+
+    it('should return false when a required property is missing', () => {
+      const config = deepClone(globalConfig)
+      delete config.cli.settings
+
+      expect(validateGlobalConfig(config, false)).toBe(false)
+      expect(validateGlobalConfig({ ...config, name: 'keg-core' }, false)).toBe(false)
+      expect(validateGlobalConfig('keg-cli', false)).toBe(false)
+    })
+
+  })
+
+  it('should write and cache a valid global config', async () => {
+    const config = deepClone(globalConfig)
+
+    expect(await saveGlobalConfig(config)).toBe(config)
+    expect(writeFile).toHaveBeenCalledTimes(1)
+    expect(__updateGlobalConfig).toHaveBeenCalledWith(config)
+  })
+
+  it('should throw and not write an invalid global config', async () => {
+    const config = deepClone(globalConfig)
+    delete config.cli.paths
+
+    await expect(saveGlobalConfig(config)).rejects.toThrow()
+    expect(generalError).toHaveBeenCalled()
+    expect(writeFile).not.toHaveBeenCalled()
+    expect(__updateGlobalConfig).not.toHaveBeenCalled()
+  })
+
+})
@@ -1,5 +1,6 @@
 const path = require('path')
 const { isObj, checkCall } = require('@keg-hub/jsutils')
+const { generalError } = require('../error/generalError')
 const { throwExitError } = require('../error/throwExitError')
 const { __updateGlobalConfig } = require('./globalConfigCache')
 const { validateGlobalConfig } = require('./validateGlobalConfig')
@@ -8,6 +9,7 @@ const { GLOBAL_CONFIG_FOLDER, GLOBAL_CONFIG_FILE } = require('../../constants/co
 
 /**
  * Validate the config is the global config and that then global config path exists
+ * If the config is invalid, an error is thrown and nothing is saved
  * Then saves the passed on config object as the global config for the keg-cli
  * @param {Object} config - Global config object for the keg-cli
  *
@@ -21,12 +23,15 @@ const saveGlobalConfig = async config => {
     new Error(`Could not validate global config folder at ${globalPath}!`)
   )
 
-  // Write the temp config file
-  validateGlobalConfig(config) &&
-    await writeFile(
-      path.join(GLOBAL_CONFIG_FOLDER, GLOBAL_CONFIG_FILE),
-      JSON.stringify(config, null, 2),
-    )
+  // Never write an invalid global config, validateGlobalConfig logs the reason it's invalid
+  !validateGlobalConfig(config) &&
+    generalError(`Global config is invalid and was not saved!`)
+
+  // Write the global config file
+  await writeFile(
+    path.join(GLOBAL_CONFIG_FOLDER, GLOBAL_CONFIG_FILE),
+    JSON.stringify(config, null, 2),
+  )
 
   // Update the cached version for getGlobalConfig calls
   checkCall(__updateGlobalConfig, config)
@@ -1,50 +1,73 @@
-const { isObj, get } = require('@keg-hub/jsutils')
-const { defaultConfig } = require('./defaultConfig')
-const { generalError } = require('../error/generalError')
+const { Logger } = require('KegLog')
+const { isObj } = require('@keg-hub/jsutils')
+
+/**
+ * Properties and types the global config must have to be valid
+ * @Object
+ */
+const requiredProps = {
+  name: 'string',
+  version: 'string',
+  cli: 'object',
+}
+
+/**
+ * Properties of the global config cli property that must be objects
+ * @Array
+ */
+const requiredCliProps = [ 'paths', 'git', 'taps', 'settings' ]
+
+/**
+ * Throws an error with the reason the global config is invalid
+ * @param {string} message - Reason the global config is invalid
+ *
+ * @returns {void}
+ */
+const invalidConfig = message => {
+  throw new Error(message)
+}
 
 /**
  * Validates the passed in config object is a global config object
  * If it's invalid, an error is throw, which gets caught an returns false
- * But it still logs the error message by using generalError helper
+ * But it still logs the error message, unless log is false
  * @param {Object} config - Object to check if is a valid global config object
+ * @param {Boolean} [log=true] - Should the reason the config is invalid be logged
  *
  * @returns {Boolean} - If its a valid global config object
  */
-const validateGlobalConfig = config => {
+const validateGlobalConfig = (config, log=true) => {
   try {
 
     if(!isObj(config))
-      generalError(`Can not save a non-object as the global config!`)
+      invalidConfig(`Can not save a non-object as the global config!`)
 
-    // Loop over the global config keys and ensure they are of the proper type
-    // Use the default config to compare against
-    Object.keys(defaultConfig).map(key => {
-      const defType = typeof defaultConfig[key]
+    // Loop over the required keys and ensure they are of the proper type
+    Object.keys(requiredProps).map(key => {
+      const reqType = requiredProps[key]
 
       // Ensures the types match
-      Boolean(defType !== typeof config[key]) && 
-        generalError(`Global Config missing required property "${key}" of type "${defType}"`)
-
-      // Ensure the config name is correct
-      if(key === 'name' && config.name !== "keg-cli")
-        generalError(`Can not save a global config with invalid name => "${ config.name }"!`)
-
-      // If not on the cli key, just return
-      if(key !== 'cli') return
+      Boolean(reqType !== typeof config[key]) && 
+        invalidConfig(`Global Config missing required property "${key}" of type "${reqType}"`)
+    })
 
-      // Loop over the cli property keys, and ensure they are all valid objects
-      Object.keys(defaultConfig[key]).map(subKey => {
-        !isObj(config.cli[subKey]) &&
-          generalError(`Global Config missing required object property "${key}" of type "${defType}"`)
-      })
+    // Ensure the config name is correct
+    config.name !== "keg-cli" &&
+      invalidConfig(`Can not save a global config with invalid name => "${ config.name }"!`)
 
+    // Loop over the cli property keys, and ensure they are all valid objects
+    requiredCliProps.map(subKey => {
+      !isObj(config.cli[subKey]) &&
+        invalidConfig(`Global Config missing required object property "cli.${subKey}"`)
     })
 
     // If we made it to the end, return true
     return true
   }
-  catch(e){
-    // If an error was thrown, return false
+  catch(err){
+    // If an error was thrown, log it and return false
+    log && Logger.error(`\n ${ err.message }\n`)
+
     return false
   }
 
@@ -10,16 +10,19 @@ const { checkCall } = require('@keg-hub/jsutils')
  * @param {string} script - the yarn command with options
  * @param {Function} errorCB - called if the yarn command throws an error
  * @param {Boolean} log - show log message or not
+ * @param {Object} envs - extra envs to add to the yarn command process
  * 
  * @returns {Boolean} - whether the cmd was successful or not
  */
-const runYarnScript = async (location, script, errorCB, log) => {
+const runYarnScript = async (location, script, errorCB, log, envs) => {
   log && Logger.log(`Running yarn ${script.trim()}...`)
 
   // Run the yarn script from the package.json of the passed in location
   const exitCode = await spawnCmd(
     `yarn ${script.trim()}`.trim(),
-    { cwd: location },
+    envs
+      ? { cwd: location, options: { env: { ...process.env, ...envs } } }
+      : { cwd: location },
     false
   )
 
@@ -0,0 +1,96 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { deepClone } = require('@keg-hub/jsutils')
+const { Logger } = require('KegMocks/logger')
+
+jest.setMock('KegLog', { Logger })
+
+const generalError = message => { throw new Error(message) }
+jest.setMock('../../error/generalError', { generalError })
+
+const { getHookKey, getTaskHooks, normalizeHook } = require('../getTaskHooks')
+
+const task = { name: 'start', parent: 'tap' }
+
+describe('getTaskHooks', () => {
+
+  let tapPath
+  let globalConfig
+
+  beforeEach(() => {
+    tapPath = fs.mkdtempSync(path.join(os.tmpdir(), 'keg-hooks-'))
+    fs.writeFileSync(path.join(tapPath, 'app.json'), JSON.stringify({
+      keg: { cli: { hooks: { tap: { start: { after: { module: './hooks/seed.js', policy: 'continue' } } } } } }
+    }))
+
+    globalConfig = deepClone(global.getGlobalCliConfig())
+    globalConfig.cli.taps = { links: { 'my-tap': tapPath } }
+    globalConfig.cli.hooks = {
+      tap: { start: { before: 'yarn migrate', after: [ 'echo started' ] } },
+    }
+  })
+
+  afterEach(() => fs.rmSync(tapPath, { recursive: true, force: true }))
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should build the hook key from the parent and task name', () => {
+    expect(getHookKey(task)).toBe('tap.start')
+    expect(getHookKey({ name: 'cli' })).toBe('cli')
+  })
+
+  it('should get the global hooks of the task', () => {
+    const hooks = getTaskHooks({ task, params: {}, globalConfig })
+
+    expect(hooks.before.map(hook => hook.cmd)).toEqual([ 'yarn migrate' ])
+    expect(hooks.after.map(hook => hook.cmd)).toEqual([ 'echo started' ])
+    expect(hooks.before[0].policy).toBe('abort')
+    expect(hooks.before[0].source).toBe('global')
+  })
+
+  it('should add the hooks of the tap after the global hooks', () => {
+    const hooks = getTaskHooks({ task, params: { tap: 'my-tap' }, globalConfig })
+
+    expect(hooks.after.map(hook => hook.source)).toEqual([ 'global', 'my-tap' ])
+    expect(hooks.after[1]).toEqual(expect.objectContaining({
+      policy: 'continue',
+      location: tapPath,
+      module: path.join(tapPath, 'hooks/seed.js'),
+    }))
+  })
+
+  it('should return no hooks when the task has none', () => {
+    const hooks = getTaskHooks({ task: { name: 'build', parent: 'tap' }, params: {}, globalConfig })
+
+    expect(hooks).toEqual({ before: [], after: [] })
+  })
+
+})
+
+describe('normalizeHook', () => {
+
+  const source = { name: 'global', location: '/keg' }
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should resolve the location of the hook from the source location', () => {
+    expect(normalizeHook({ cmd: 'yarn seed', location: 'app', name: 'Seed' }, source)).toEqual({
+      cmd: 'yarn seed',
+      module: undefined,
+      name: 'Seed',
+      policy: 'abort',
+      source: 'global',
+      location: '/keg/app',
+    })
+  })
+
+  it('should throw when the hook has no cmd or module', () => {
+    expect(() => normalizeHook({ policy: 'continue' }, source)).toThrow()
+  })
+
+  it('should throw when the policy is invalid', () => {
+    expect(() => normalizeHook({ cmd: 'yarn seed', policy: 'retry' }, source)).toThrow()
+  })
+
+})
@@ -0,0 +1,79 @@
+const { Logger } = require('KegMocks/logger')
+jest.setMock('KegLog', { Logger })
+
+const generalError = jest.fn(message => { throw new Error(message) })
+jest.setMock('../../error/generalError', { generalError })
+
+const executeCmd = jest.fn(() => Promise.resolve({ data: '', exitCode: 0 }))
+jest.setMock('KegProc', { executeCmd })
+
+const { runTaskHooks } = require('../runTaskHooks')
+
+const task = { name: 'start', parent: 'tap' }
+const params = { tap: 'my-tap', env: 'development' }
+
+const buildHook = (cmd, policy='abort') => ({ cmd, name: cmd, policy, source: 'global', location: '/keg' })
+
+describe('runTaskHooks', () => {
+
+  afterEach(() => jest.clearAllMocks())
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should run the command hooks with the task data as ENVs', async () => {
+    const hooks = { before: [], after: [ buildHook('yarn seed') ] }
+
+    const reports = await runTaskHooks('after', hooks, { task, params, result: { started: true } })
+
+    expect(reports).toEqual([ expect.objectContaining({ name: 'yarn seed', status: 'passed', type: 'after' }) ])
+
+    const [ cmd, options, location ] = executeCmd.mock.calls[0]
+    expect(cmd).toBe('yarn seed')
+    expect(location).toBe('/keg')
+    expect(options.env).toEqual({
+      KEG_HOOK_TYPE: 'after',
+      KEG_HOOK_TASK: 'tap.start',
+      KEG_HOOK_PARAMS: JSON.stringify(params),
+      KEG_HOOK_RESULT: JSON.stringify({ started: true }),
+    })
+  })
+
+  it('should continue running hooks when a hook with the continue policy fails', async () => {
+    executeCmd.mockImplementationOnce(() => Promise.resolve({ error: 'Not found', exitCode: 1 }))
+    const hooks = { before: [ buildHook('yarn migrate', 'continue'), buildHook('yarn seed') ] }
+
+    const reports = await runTaskHooks('before', hooks, { task, params })
+
+    expect(reports.map(report => report.status)).toEqual([ 'failed', 'passed' ])
+    expect(reports[0].error).toBe('Not found')
+    expect(Logger.warn).toHaveBeenCalled()
+  })
+
+  it('should stop running hooks and fail the task when a hook with the abort policy fails', async () => {
+    executeCmd.mockImplementationOnce(() => Promise.resolve({ exitCode: 2 }))
+    const hooks = { before: [ buildHook('yarn migrate'), buildHook('yarn seed') ] }
+
+    await expect(runTaskHooks('before', hooks, { task, params })).rejects.toThrow()
+    expect(executeCmd).toHaveBeenCalledTimes(1)
+  })
+
+  it('should call the function exported by a module hook', async () => {
+    const hook = { module: 'hookModule', name: 'hookModule', policy: 'abort', source: 'global' }
+    const hookMethod = jest.fn()
+    jest.doMock('hookModule', () => hookMethod, { virtual: true })
+
+    await runTaskHooks('after', { after: [ hook ] }, { task, params, result: 'done' })
+
+    expect(hookMethod).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'after',
+      task: 'tap.start',
+      params,
+      result: 'done',
+    }))
+  })
+
+  it('should return an empty array when there are no hooks of the type', async () => {
+    expect(await runTaskHooks('before', {}, { task, params })).toEqual([])
+  })
+
+})
@@ -0,0 +1,113 @@
+const path = require('path')
+const { get, isArr, isObj, isStr } = require('@keg-hub/jsutils')
+const { generalError } = require('../error/generalError')
+const { getTapPath } = require('../globalConfig/getTapPath')
+const { getTapConfig } = require('../getters/getTapConfig')
+const {
+  GLOBAL_CONFIG_PATHS,
+  HOOK_POLICIES,
+  HOOK_TYPES,
+} = require('KegConst/constants')
+
+/**
+ * Builds the key of a task in the hooks config
+ * <br/>Uses the parent task name and the task name, I.E. tap.start
+ * @function
+ * @param {Object} task - Task being run
+ *
+ * @returns {string} - Key of the task in the hooks config
+ */
+const getHookKey = (task={}) => [ task.parent, task.name ].filter(Boolean).join('.')
+
+/**
+ * Loads the hooks defined in the keg.cli.hooks of a taps config
+ * @function
+ * @param {string} tapPath - Path to the linked tap
+ *
+ * @returns {Object} - Hooks of the tap
+ */
+const loadTapHooks = tapPath => getTapConfig(tapPath, 'hooks') || {}
+
+/**
+ * Normalizes a hook from the hooks config
+ * <br/>A string is a shell command, an object can define a cmd or a JS module
+ * @function
+ * @param {string|Object} hook - Hook from the hooks config
+ * @param {Object} source - Where the hook was defined
+ * @param {string} source.name - Name of the hook source ( global | tap name )
+ * @param {string} source.location - Location relative paths of the hook are resolved from
+ *
+ * @returns {Object} - Normalized hook => { name, cmd, module, policy, location, source }
+ */
+const normalizeHook = (hook, source) => {
+  const { cmd, module, policy='abort', location, name } = isStr(hook) ? { cmd: hook } : hook
+
+  ;(!isObj(hook) && !isStr(hook) || !cmd && !module) &&
+    generalError(`Invalid ${source.name} hook. A hook must define a cmd or a module => ${JSON.stringify(hook)}`)
+
+  !HOOK_POLICIES.includes(policy) &&
+    generalError(`Invalid policy "${policy}" of the ${source.name} hook. Must be one of ${HOOK_POLICIES.join(' | ')}`)
+
+  return {
+    cmd,
+    policy,
+    source: source.name,
+    name: name || cmd || module,
+    location: path.resolve(source.location, location || ''),
+    module: module && path.resolve(source.location, module),
+  }
+}
+
+/**
+ * Gets the hooks of a type for a task from a hooks config
+ * @function
+ * @param {Object} hooks - Hooks config
+ * @param {string} key - Key of the task in the hooks config
+ * @param {string} type - Type of hooks to get ( before | after )
+ * @param {Object} source - Where the hooks were defined
+ *
+ * @returns {Array} - Normalized hooks
+ */
+const getHooksOfType = (hooks, key, type, source) => {
+  const found = get(hooks, `${key}.${type}`)
+  if(!found) return []
+
+  return (isArr(found) ? found : [ found ]).map(hook => normalizeHook(hook, source))
+}
+
+/**
+ * Gets the before and after hooks of a task
+ * <br/>Global hooks run first, then the hooks of the tap the task is run for
+ * @function
+ * @param {Object} args - Arguments of the task being run
+ * @param {Object} args.task - Task being run
+ * @param {Object} args.params - Parsed params of the task
+ * @param {Object} args.globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Hooks of the task => { before, after }
+ */
+const getTaskHooks = ({ task, params={}, globalConfig }) => {
+  const key = getHookKey(task)
+  const tapPath = params.tap && getTapPath(globalConfig, params.tap)
+
+  const sources = [
+    {
+      name: 'global',
+      location: process.cwd(),
+      hooks: get(globalConfig, GLOBAL_CONFIG_PATHS.HOOKS, {}),
+    },
+    tapPath && { name: params.tap, location: tapPath, hooks: loadTapHooks(tapPath) },
+  ].filter(Boolean)
+
+  return HOOK_TYPES.reduce((built, type) => ({
+    ...built,
+    [type]: sources.reduce((hooks, source) => hooks.concat(getHooksOfType(source.hooks, key, type, source)), []),
+  }), {})
+}
+
+module.exports = {
+  getHookKey,
+  getTaskHooks,
+  loadTapHooks,
+  normalizeHook,
+}
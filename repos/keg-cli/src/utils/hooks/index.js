@@ -0,0 +1,5 @@
+
+module.exports = {
+  ...require('./getTaskHooks'),
+  ...require('./runTaskHooks'),
+}
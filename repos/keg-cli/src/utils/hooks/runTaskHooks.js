@@ -0,0 +1,133 @@
+const { Logger } = require('KegLog')
+const { executeCmd } = require('KegProc')
+const { isFunc } = require('@keg-hub/jsutils')
+const { generalError } = require('../error/generalError')
+const { getHookKey } = require('./getTaskHooks')
+
+/**
+ * Converts a value to JSON, so it can be passed to a hook as an ENV
+ * @function
+ * @param {*} value - Value to convert
+ *
+ * @returns {string} - JSON string of the value, or an empty string if it can not be converted
+ */
+const toJSON = value => {
+  try { return JSON.stringify(value === undefined ? null : value) }
+  catch(err){ return '' }
+}
+
+/**
+ * Runs a shell command hook
+ * <br/>The hook type, task, params and task result are passed to the command as ENVs
+ * <br/>Runs in a shell, so the command can use pipes and operators like &&
+ * @function
+ * @param {Object} hook - Normalized hook returned from getTaskHooks
+ * @param {Object} hookArgs - Arguments passed to the hook
+ *
+ * @returns {void}
+ */
+const runCmdHook = async (hook, { type, task, params, result }) => {
+  const { data, error, exitCode } = await executeCmd(hook.cmd, {
+    env: {
+      KEG_HOOK_TYPE: type,
+      KEG_HOOK_TASK: task,
+      KEG_HOOK_PARAMS: toJSON(params),
+      KEG_HOOK_RESULT: toJSON(result),
+    },
+  }, hook.location)
+
+  data && Logger.stdout(data)
+
+  if(exitCode !== 0) throw new Error(error ? error.trim() : `Command exited with code ${exitCode}`)
+}
+
+/**
+ * Runs a JS module hook
+ * <br/>The module should export a function, which is called with the hook arguments
+ * @function
+ * @param {Object} hook - Normalized hook returned from getTaskHooks
+ * @param {Object} hookArgs - Arguments passed to the hook
+ *
+ * @returns {*} - Response from the hook module
+ */
+const runModuleHook = (hook, hookArgs) => {
+  const loaded = require(hook.module)
+  const method = isFunc(loaded) ? loaded : loaded && loaded.default
+
+  if(!isFunc(method)) throw new Error(`Hook module does not export a function`)
+
+  return method(hookArgs)
+}
+
+/**
+ * Runs a single hook, then logs and builds a report of its status
+ * @function
+ * @param {Object} hook - Normalized hook returned from getTaskHooks
+ * @param {Object} hookArgs - Arguments passed to the hook
+ *
+ * @returns {Object} - Report of the hook => { name, source, type, policy, status, error }
+ */
+const runHook = async (hook, hookArgs) => {
+  const { name, source, policy } = hook
+  const report = { name, source, policy, type: hookArgs.type }
+
+  Logger.pair(`  Running ${hookArgs.type} hook: `, `${name} ( ${source} )`)
+
+  try {
+    hook.module
+      ? await runModuleHook(hook, hookArgs)
+      : await runCmdHook(hook, hookArgs)
+
+    Logger.success(`  Hook passed: ${name}`)
+
+    return { ...report, status: 'passed' }
+  }
+  catch(err){
+    Logger.warn(`  Hook failed: ${name} ( policy ${policy} ) => ${err.message}`)
+
+    return { ...report, status: 'failed', error: err.message }
+  }
+}
+
+/**
+ * Runs the hooks of a type for a task, one after the other
+ * <br/>When a hook with the abort policy fails, the task fails, and the remaining hooks are not run
+ * @function
+ * @param {string} type - Type of hooks to run ( before | after )
+ * @param {Object} hooks - Hooks of the task returned from getTaskHooks
+ * @param {Object} args - Arguments of the task being run
+ * @param {Object} args.task - Task being run
+ * @param {Object} args.params - Parsed params of the task
+ * @param {Object} args.globalConfig - Global config object for the keg-cli
+ * @param {*} args.result - Response from the task action. Only passed to after hooks
+ *
+ * @returns {Array} - Reports of the hooks that were run
+ */
+const runTaskHooks = async (type, hooks, { task, params, globalConfig, result }) => {
+  const toRun = hooks[type] || []
+  if(!toRun.length) return []
+
+  const hookArgs = { type, task: getHookKey(task), params, globalConfig, result }
+
+  const reports = await toRun.reduce(async (toResolve, hook) => {
+    const reports = await toResolve
+    const last = reports[reports.length - 1]
+    if(last && last.status === 'failed' && last.policy === 'abort') return reports
+
+    return reports.concat([ await runHook(hook, hookArgs) ])
+  }, Promise.resolve([]))
+
+  const aborted = reports.find(report => report.status === 'failed' && report.policy === 'abort')
+  aborted && generalError(
+    `The ${type} hook "${aborted.name}" of task "${hookArgs.task}" failed.`,
+    type === 'before'
+      ? `The task was not run, because the hook policy is abort.`
+      : `The task was run, but is marked as failed, because the hook policy is abort.`
+  )
+
+  return reports
+}
+
+module.exports = {
+  runTaskHooks
+}
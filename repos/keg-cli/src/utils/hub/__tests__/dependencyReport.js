@@ -0,0 +1,135 @@
+const { Logger } = require('KegLog')
+
+const {
+  buildMismatchReport,
+  checkMismatchFailure,
+  getReportLogger,
+  isMachineFormat,
+  printMismatchReport,
+} = require('../dependencyReport')
+
+const mismatched = {
+  'semver': {
+    'keg-cli:dependencies': { repo: 'keg-cli', version: '7.1.3', type: 'dependencies' },
+    'keg-core:devDependencies': { repo: 'keg-core', version: '^7.3.2', type: 'devDependencies' },
+    'tap-resolver:peerDependencies': { repo: 'tap-resolver', version: '7.1.3', type: 'peerDependencies' },
+  },
+  '@keg-hub/jsutils': {
+    'keg-core:dependencies': { repo: 'keg-core', version: '8.0.0', type: 'dependencies' },
+    'keg-core:peerDependencies': { repo: 'keg-core', version: '7.0.0', type: 'peerDependencies' },
+  },
+}
+
+const report = buildMismatchReport(mismatched)
+
+describe('dependencyReport', () => {
+
+  afterEach(() => {
+    jest.clearAllMocks()
+    process.exitCode = undefined
+  })
+
+  describe('buildMismatchReport', () => {
+
+    it('should group the repos and dependency types by version', () => {
+      expect(report.mismatched).toBe(2)
+      expect(report.dependencies[0]).toEqual({
+        dependency: 'semver',
+        versions: [
+          {
+            version: '7.1.3',
+            repos: [
+              { repo: 'keg-cli', type: 'dependencies' },
+              { repo: 'tap-resolver', type: 'peerDependencies' },
+            ]
+          },
+          {
+            version: '^7.3.2',
+            repos: [{ repo: 'keg-core', type: 'devDependencies' }],
+          },
+        ]
+      })
+    })
+
+    it('should return an empty report when nothing is mismatched', () => {
+      expect(buildMismatchReport({})).toEqual({ mismatched: 0, dependencies: [] })
+    })
+
+  })
+
+  describe('printMismatchReport', () => {
+
+    it('should print only the report as JSON to stdout', () => {
+      printMismatchReport(report, 'json')
+
+      expect(Logger.stdout).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(Logger.stdout.mock.calls[0][0])).toEqual(report)
+    })
+
+    it('should print a markdown table with a row for each version', () => {
+      printMismatchReport(report, 'markdown')
+
+      const rows = Logger.stdout.mock.calls[0][0].trim().split('\n')
+      expect(rows[2]).toBe('| Dependency | Version | Repos |')
+      expect(rows[4]).toBe('| semver | 7.1.3 | keg-cli (dependencies), tap-resolver (peerDependencies) |')
+      expect(rows.length).toBe(8)
+    })
+
+    it('should print a console table with a row for each version', () => {
+      printMismatchReport(report, 'table')
+
+      expect(Logger.table.mock.calls[0][0][2]).toEqual({
+        dependency: '@keg-hub/jsutils',
+        version: '8.0.0',
+        repos: 'keg-core (dependencies)',
+      })
+    })
+
+    it('should print the text format by default', () => {
+      printMismatchReport(report)
+
+      expect(Logger.header).toHaveBeenCalledWith(`Mismatched Dependencies`)
+      expect(Logger.stdout).not.toHaveBeenCalled()
+    })
+
+  })
+
+  describe('getReportLogger', () => {
+
+    it('should log to stderr for machine readable formats', () => {
+      expect(isMachineFormat('json')).toBe(true)
+      expect(isMachineFormat('markdown')).toBe(true)
+      expect(isMachineFormat('table')).toBe(false)
+
+      const log = getReportLogger('json')
+      log.warn(`Missing package.json`)
+      log.pair(`  keg-core:`, `package.json => dependencies`)
+
+      expect(Logger.stderr).toHaveBeenCalledWith(`Missing package.json\n`, 'warn')
+      expect(Logger.stderr).toHaveBeenCalledWith(`  keg-core: package.json => dependencies\n`, 'info')
+      expect(Logger.warn).not.toHaveBeenCalled()
+      expect(Logger.stdout).not.toHaveBeenCalled()
+    })
+
+    it('should use the Logger for the other formats', () => {
+      expect(getReportLogger('text')).toBe(Logger)
+    })
+
+  })
+
+  describe('checkMismatchFailure', () => {
+
+    it('should set a non-zero exit code when there are mismatches', () => {
+      expect(checkMismatchFailure(report, true)).toBe(true)
+      expect(process.exitCode).toBe(1)
+    })
+
+    it('should not set the exit code without failOnMismatch or mismatches', () => {
+      expect(checkMismatchFailure(report, false)).toBe(false)
+      expect(checkMismatchFailure(buildMismatchReport({}), true)).toBe(false)
+      expect(process.exitCode).toBe(undefined)
+    })
+
+  })
+
+})
@@ -0,0 +1,191 @@
+const { Logger } = require('KegLog')
+const { getTypeLevel } = require('KegLog/levels')
+const { reduceObj } = require('@keg-hub/jsutils')
+
+/**
+ * Report formats read by other tools, I.E. piped to jq
+ * <br/>Only the report is printed to stdout, all other logs are printed to stderr
+ * @array
+ */
+const machineFormats = [ 'json', 'markdown' ]
+
+/**
+ * Logger methods used while building the report and updating dependencies
+ * @array
+ */
+const reportLogMethods = [ 'empty', 'error', 'green', 'header', 'info', 'pair', 'red', 'success', 'warn' ]
+
+/**
+ * Checks if the report format is read by other tools
+ * @function
+ * @param {string} format - Format to print the report in
+ *
+ * @returns {boolean} - True if the format is machine readable
+ */
+const isMachineFormat = format => machineFormats.includes(format)
+
+/**
+ * Gets the logger used for all logs that are not part of the report
+ * <br/>Machine readable formats get a logger that writes to stderr, so stdout only has the report
+ * <br/>Each method writes with the log level of its type, so the log level is still respected
+ * @function
+ * @param {string} format - Format to print the report in
+ *
+ * @returns {Object} - Logger with the reportLogMethods
+ */
+const getReportLogger = format => {
+  return !isMachineFormat(format)
+    ? Logger
+    : reportLogMethods.reduce((log, method) => {
+        log[method] = (...messages) => Logger.stderr(`${ messages.join(' ') }\n`, getTypeLevel(method))
+
+        return log
+      }, {})
+}
+
+/**
+ * Builds a report of all dependency mismatches
+ * <br/>Groups the repos and dependency types by the version they use
+ * @function
+ * @param {Object} mismatched - All mismatched repos, keyed by the repo and dependency type
+ *
+ * @returns {Object} - Report of the mismatched dependencies
+ */
+const buildMismatchReport = mismatched => {
+  const dependencies = reduceObj(mismatched, (depName, mapped, report) => {
+    const versions = reduceObj(mapped, (depKey, { repo, version, type }, byVersion) => {
+      byVersion[version] = byVersion[version] || { version, repos: [] }
+      byVersion[version].repos.push({ repo, type })
+
+      return byVersion
+    }, {})
+
+    return report.concat([{ dependency: depName, versions: Object.values(versions) }])
+  }, [])
+
+  return { mismatched: dependencies.length, dependencies }
+}
+
+/**
+ * Joins the repos of a version into a single string
+ * @function
+ * @param {Array} repos - Repos and dependency types using a version
+ *
+ * @returns {string} - Joined repos with their dependency type
+ */
+const joinRepos = repos => repos.map(({ repo, type }) => `${repo} (${type})`).join(', ')
+
+/**
+ * Prints out the found mismatches dependencies of the keg-hub repos
+ * @function
+ * @param {Object} report - Report of the mismatched dependencies
+ *
+ * @returns {void}
+ */
+const displayMismatches = report => {
+  Logger.header(`Mismatched Dependencies`)
+
+  report.dependencies.map(({ dependency, versions }) => {
+    Logger.pair(`  Dependency:`, dependency)
+
+    versions.map(({ version, repos }) => {
+      Logger.pair(`    ${version}:`, joinRepos(repos))
+    })
+
+    Logger.empty()
+  })
+}
+
+/**
+ * Prints out the mismatch report as JSON
+ * @function
+ * @param {Object} report - Report of the mismatched dependencies
+ *
+ * @returns {void}
+ */
+const displayJson = report => Logger.stdout(`${ JSON.stringify(report, null, 2) }\n`)
+
+/**
+ * Prints out the mismatch report as a markdown table
+ * @function
+ * @param {Object} report - Report of the mismatched dependencies
+ *
+ * @returns {void}
+ */
+const displayMarkdown = report => {
+  const rows = report.dependencies.reduce((rows, { dependency, versions }) => {
+    return rows.concat(versions.map(({ version, repos }) => {
+      return `| ${dependency} | ${version} | ${joinRepos(repos)} |`
+    }))
+  }, [])
+
+  Logger.stdout([
+    `## Mismatched Dependencies`,
+    ``,
+    `| Dependency | Version | Repos |`,
+    `| --- | --- | --- |`,
+    ...rows,
+  ].join('\n') + '\n')
+}
+
+/**
+ * Prints out the mismatch report as a console table
+ * @function
+ * @param {Object} report - Report of the mismatched dependencies
+ *
+ * @returns {void}
+ */
+const displayTable = report => {
+  Logger.table(report.dependencies.reduce((rows, { dependency, versions }) => {
+    return rows.concat(versions.map(({ version, repos }) => ({
+      dependency,
+      version,
+      repos: joinRepos(repos),
+    })))
+  }, []))
+}
+
+/**
+ * Maps the format option to the method that prints the mismatch report
+ * @object
+ */
+const displayFormats = {
+  json: displayJson,
+  markdown: displayMarkdown,
+  table: displayTable,
+  text: displayMismatches,
+}
+
+/**
+ * Prints the mismatch report in the passed in format
+ * @function
+ * @param {Object} report - Report of the mismatched dependencies
+ * @param {string} format - Format to print the report in
+ *
+ * @returns {void}
+ */
+const printMismatchReport = (report, format) => (displayFormats[format] || displayMismatches)(report)
+
+/**
+ * Sets a non-zero exit code when the report has mismatched dependencies
+ * <br/>Sets the exit code without exiting, so the report output is not cut off
+ * @function
+ * @param {Object} report - Report of the mismatched dependencies
+ * @param {boolean} failOnMismatch - If mismatched dependencies should fail the task
+ *
+ * @returns {boolean} - True if the task failed
+ */
+const checkMismatchFailure = (report, failOnMismatch) => {
+  const failed = Boolean(failOnMismatch && report.mismatched)
+  failed && (process.exitCode = 1)
+
+  return failed
+}
+
+module.exports = {
+  buildMismatchReport,
+  checkMismatchFailure,
+  getReportLogger,
+  isMachineFormat,
+  printMismatchReport,
+}
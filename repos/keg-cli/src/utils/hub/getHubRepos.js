@@ -40,17 +40,18 @@ const findSubNodeModules = 'find * -maxdepth 0 -type d | grep -Ev \'^(_)|node_mo
  * @function
  * @param {Object} repoPath - Path to the repo
  * @param {Object} repo - Name of the repo folder
+ * @param {Object} [log=Logger] - Logger used for the warning, I.E. to log to stderr
  *
  * @returns {Object} - Loaded package.json object for the repo
  */
-const getPackageJson = (repoPath, repo) => {
+const getPackageJson = (repoPath, repo, log=Logger) => {
   try {
     const rawdata = readFileSync(path.resolve(repoPath, 'package.json'))
     return JSON.parse(rawdata)
   }
   catch(error){
-    Logger.warn(`Missing package.json file in keg-hub/repos folder "${repo}"!`)
-    Logger.info(`Repo "${repo}" will not be included in task execution!`)
+    log.warn(`Missing package.json file in keg-hub/repos folder "${repo}"!`)
+    log.info(`Repo "${repo}" will not be included in task execution!`)
     return false
   }
 }
@@ -65,14 +66,15 @@ const getPackageJson = (repoPath, repo) => {
  * @param {Object} args.format - Repo format the method should respond with
  * @param {Function} args.callback - custom callback
  * @param {Boolean} args.full - to build with all the info or not
+ * @param {Object} args.log - Logger used for warnings, defaults to the Logger
  * 
  * @returns {Object} - Formatted repo information
  */
 const buildRepo = (repo, hubReposPath, args) => {
-  const { format, callback, full } = args
+  const { format, callback, full, log } = args
 
   const repoPath =  path.join(hubReposPath, repo)
-  const package = getPackageJson(repoPath, repo)
+  const package = getPackageJson(repoPath, repo, log)
 
   return isFunc(callback)
     ? callback(
@@ -132,6 +134,7 @@ const buildRepos = (repos, hubReposPath, args) => {
  * @param {Object} args.callback - Callback method to override the default
  * @param {Object} args.format - Repo format the method should respond with
  * @param {Boolean} args.full
+ * @param {Object} args.log - Logger used for warnings, defaults to the Logger
  * 
  * @returns {Array} - Group of promises resolving to formatted repo information
  */
@@ -9,10 +9,11 @@ const { runYarnScript } = require('../helpers/runYarnScript')
  * @param {string} script - name of the script in package.json
  * @param {Function} errorCb - called if the script throws or fails
  * @param {Boolean} log - show log message or not
+ * @param {Object} envs - extra envs to add to the script process
  * 
  * @return {Boolean} - whether  the call was successful or not
  */
-const runRepoScript = (repo, script, errorCb, log) => {
+const runRepoScript = (repo, script, errorCb, log, envs) => {
   log && Logger.log(`Running yarn ${script.trim()} for repo ${repo.repo} ...`)
 
   // Run the yarn script from the package.json of the repo
@@ -20,7 +21,8 @@ const runRepoScript = (repo, script, errorCb, log) => {
     repo.location,
     script,
     errorCb,
-    false
+    false,
+    envs
   )
 }
 
@@ -0,0 +1,97 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { buildTaskLogName, rotateTaskLogs } = require('../initTaskLog')
+const { getTaskLogs, summarizeTaskLog } = require('../getTaskLogs')
+
+const writeLog = (folder, file, entries) => {
+  fs.mkdirSync(folder, { recursive: true })
+  fs.writeFileSync(
+    path.join(folder, file),
+    entries.map(entry => JSON.stringify(entry)).join('\n') + '\nnot json\n'
+  )
+}
+
+describe('taskLogs', () => {
+
+  let logsFolder
+
+  beforeEach(() => {
+    logsFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'keg-logs-'))
+
+    writeLog(path.join(logsFolder, 'tap-build'), '2020-01-01T00-00-00-000Z-1.log', [
+      { time: '2020-01-01T00:00:00.000Z', level: 'info', type: 'start', args: [ 'tap', 'build' ] },
+      { time: '2020-01-01T00:00:01.000Z', level: 'info', type: 'command', cmd: 'docker build .' },
+      { time: '2020-01-01T00:00:02.000Z', level: 'error', type: 'error', message: 'Build failed' },
+      { time: '2020-01-01T00:00:03.000Z', level: 'error', type: 'exit', code: 1 },
+    ])
+
+    writeLog(path.join(logsFolder, 'hub-publish'), '2020-01-02T00-00-00-000Z-2.log', [
+      { time: '2020-01-02T00:00:00.000Z', level: 'info', type: 'start', args: [ 'hub', 'publish' ] },
+      { time: '2020-01-02T00:00:01.000Z', level: 'info', type: 'exit', code: 0 },
+    ])
+  })
+
+  afterEach(() => fs.rmSync(logsFolder, { recursive: true, force: true }))
+
+  afterAll(() => jest.resetAllMocks())
+
+  describe('buildTaskLogName', () => {
+
+    it('should use the command line arguments up to the task name', () => {
+      expect(buildTaskLogName('cli', { name: 'diff' }, [ 'cli', 'env', 'diff', '--custom' ])).toBe('cli-env-diff')
+      expect(buildTaskLogName('tap', { name: 'build', alias: [ 'bld' ] }, [ 'my-tap', 'bld' ])).toBe('my-tap-bld')
+    })
+
+    it('should use the command and task name when the task is not in the arguments', () => {
+      expect(buildTaskLogName('tap', { name: 'build' }, [])).toBe('tap-build')
+      expect(buildTaskLogName('docker', { name: 'docker' }, [])).toBe('docker')
+    })
+
+  })
+
+  describe('getTaskLogs', () => {
+
+    it('should return the most recent runs first', () => {
+      const runs = getTaskLogs({ folder: logsFolder })
+
+      expect(runs.map(run => run.task)).toEqual([ 'hub-publish', 'tap-build' ])
+      expect(runs[1]).toEqual(expect.objectContaining({
+        args: [ 'tap', 'build' ],
+        exitCode: 1,
+        errors: 1,
+        commands: 1,
+      }))
+    })
+
+    it('should filter the runs by task, and limit the amount of runs', () => {
+      expect(getTaskLogs({ folder: logsFolder, task: 'tap-build' }).length).toBe(1)
+      expect(getTaskLogs({ folder: logsFolder, limit: 1 })[0].task).toBe('hub-publish')
+      expect(getTaskLogs({ folder: path.join(logsFolder, 'missing') })).toEqual([])
+    })
+
+  })
+
+  describe('summarizeTaskLog', () => {
+
+    it('should not set an exit code when the run has no exit entry', () => {
+      expect(summarizeTaskLog([]).exitCode).toBe(undefined)
+    })
+
+  })
+
+  describe('rotateTaskLogs', () => {
+
+    it('should remove the oldest log files over the max amount of files', () => {
+      const folder = path.join(logsFolder, 'tap-build')
+      writeLog(folder, '2020-01-03T00-00-00-000Z-3.log', [])
+
+      const removed = rotateTaskLogs(folder, 1)
+
+      expect(removed).toEqual([ path.join(folder, '2020-01-01T00-00-00-000Z-1.log') ])
+      expect(fs.readdirSync(folder)).toEqual([ '2020-01-03T00-00-00-000Z-3.log' ])
+    })
+
+  })
+
+})
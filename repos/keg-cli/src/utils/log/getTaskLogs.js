@@ -0,0 +1,89 @@
+const fs = require('fs')
+const path = require('path')
+const { GLOBAL_LOGS_FOLDER } = require('KegConst/constants')
+
+/**
+ * Gets the paths of the log files in a folder
+ * @function
+ * @param {string} folder - Folder to get the log files from
+ *
+ * @returns {Array} - Paths of the log files
+ */
+const getLogFiles = folder => {
+  return fs.existsSync(folder) && fs.statSync(folder).isDirectory()
+    ? fs.readdirSync(folder)
+        .filter(file => path.extname(file) === '.log')
+        .map(file => path.join(folder, file))
+    : []
+}
+
+/**
+ * Reads the entries of a task log file
+ * <br/>Lines that are not valid JSON are skipped
+ * @function
+ * @param {string} filePath - Path to the log file
+ *
+ * @returns {Array} - Log entries
+ */
+const readTaskLog = filePath => {
+  if(!fs.existsSync(filePath)) return []
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .reduce((entries, line) => {
+      try { return line.trim() ? entries.concat([ JSON.parse(line) ]) : entries }
+      catch(err){ return entries }
+    }, [])
+}
+
+/**
+ * Builds a summary of a task run from its log entries
+ * @function
+ * @param {Array} entries - Entries of the task log
+ *
+ * @returns {Object} - Summary of the task run => { started, ended, args, exitCode, errors, commands }
+ */
+const summarizeTaskLog = entries => {
+  const start = entries.find(entry => entry.type === 'start') || entries[0] || {}
+  const exit = entries.find(entry => entry.type === 'exit')
+
+  return {
+    started: start.time,
+    ended: exit ? exit.time : undefined,
+    args: start.args || [],
+    exitCode: exit ? exit.code : undefined,
+    errors: entries.filter(entry => entry.level === 'error' && entry.type !== 'exit').length,
+    commands: entries.filter(entry => entry.type === 'command').length,
+  }
+}
+
+/**
+ * Gets the most recent task runs from the task log folders
+ * @function
+ * @param {Object} options - Filters the task runs
+ * @param {string} options.task - Only get runs of the task log folder
+ * @param {number} [options.limit=10] - Max amount of runs to return
+ * @param {string} [options.folder=GLOBAL_LOGS_FOLDER] - Folder containing the task log folders
+ *
+ * @returns {Array} - Task runs, most recent first => { task, file, ...summary }
+ */
+const getTaskLogs = ({ task, limit=10, folder=GLOBAL_LOGS_FOLDER }={}) => {
+  if(!fs.existsSync(folder)) return []
+
+  const tasks = task ? [ task ] : fs.readdirSync(folder)
+
+  return tasks.reduce((runs, name) => {
+      return runs.concat(
+        getLogFiles(path.join(folder, name)).map(file => ({ task: name, file }))
+      )
+    }, [])
+    .sort((a, b) => path.basename(b.file).localeCompare(path.basename(a.file)))
+    .slice(0, limit)
+    .map(run => ({ ...run, ...summarizeTaskLog(readTaskLog(run.file)) }))
+}
+
+module.exports = {
+  getTaskLogs,
+  readTaskLog,
+  summarizeTaskLog,
+}
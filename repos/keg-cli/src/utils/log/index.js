@@ -1,5 +1,7 @@
 
 module.exports = {
   ...require('./dockerLog'),
+  ...require('./getTaskLogs'),
+  ...require('./initTaskLog'),
   ...require('./logVirtualUrl'),
-}
\ No newline at end of file
+}
@@ -0,0 +1,125 @@
+const fs = require('fs')
+const path = require('path')
+const { Logger, FileTransport } = require('KegLog')
+const { GLOBAL_LOGS_FOLDER } = require('KegConst/constants')
+const { getSetting } = require('../globalConfig/getSetting')
+
+/**
+ * Cache holder for the log of the current task run
+ * <br/>Sub tasks are run in the same process, so they write to the same log
+ * @object
+ */
+let __taskLog
+
+/**
+ * Builds the name of the task log folder from the command line arguments of the task being run
+ * <br/>Uses the arguments up to the name of the task, I.E. keg cli env diff => cli-env-diff
+ * @function
+ * @param {string} command - Name of the command being run
+ * @param {Object} task - Task being run
+ * @param {Array} argv - Arguments passed from the command line
+ *
+ * @returns {string} - Name of the task log folder
+ */
+const buildTaskLogName = (command='', task={}, argv=process.argv.slice(2)) => {
+  const names = [ task.name ].concat(task.alias || [])
+  const end = argv.findIndex(arg => names.includes(arg))
+
+  const parts = end !== -1
+    ? argv.slice(0, end + 1)
+    : [ command, task.name ].filter((name, index, all) => name && all.indexOf(name) === index)
+
+  return parts.join('-').replace(/[^A-Za-z0-9_.-]/g, '_') || 'keg'
+}
+
+/**
+ * Removes the oldest log files in the folder, so only the max amount of files are kept
+ * @function
+ * @param {string} folder - Folder of the task logs
+ * @param {number} maxFiles - Max amount of log files to keep
+ *
+ * @returns {Array} - Paths of the removed log files
+ */
+const rotateTaskLogs = (folder, maxFiles) => {
+  if(!fs.existsSync(folder)) return []
+
+  const removed = fs.readdirSync(folder)
+    .filter(file => path.extname(file) === '.log')
+    .sort()
+    .reverse()
+    .slice(Math.max(maxFiles, 0))
+    .map(file => path.join(folder, file))
+
+  removed.map(file => fs.unlinkSync(file))
+
+  return removed
+}
+
+/**
+ * Builds the path of a new task log file
+ * <br/>The file name starts with the time, so the files sort in the order they were created
+ * @function
+ * @param {string} folder - Folder of the task logs
+ *
+ * @returns {string} - Path to the new log file
+ */
+const buildTaskLogPath = folder => {
+  const time = new Date().toISOString().replace(/[:.]/g, '-')
+
+  return path.join(folder, `${time}-${process.pid}.log`)
+}
+
+/**
+ * Sets up the log level and log files of the current task run
+ * <br/>The task log folder keeps all log levels, the --log-file option uses the --log-level
+ * @function
+ * @param {Object} args - Arguments of the task being run
+ * @param {string} args.command - Name of the command being run
+ * @param {Object} args.task - Task being run
+ * @param {Object} args.params - Parsed params of the task
+ *
+ * @returns {Object} - Name and log file paths of the task log
+ */
+const initTaskLog = ({ command, task, params={} }) => {
+  if(__taskLog) return __taskLog
+
+  const name = buildTaskLogName(command, task)
+  const level = params.logLevel || getSetting('logs.level') || 'info'
+  const files = []
+
+  Logger.setLevel(level)
+  Logger.setContext({ task: name })
+
+  if(getSetting('logs.enabled') !== false){
+    const folder = path.join(GLOBAL_LOGS_FOLDER, name)
+    const maxFiles = parseInt(getSetting('logs.maxFiles')) || 10
+
+    rotateTaskLogs(folder, maxFiles - 1)
+    files.push(Logger.addTransport(new FileTransport({ filePath: buildTaskLogPath(folder) })).filePath)
+  }
+
+  params.logFile &&
+    files.push(Logger.addTransport(new FileTransport({ filePath: path.resolve(params.logFile), level })).filePath)
+
+  Logger.record('info', { type: 'start', args: process.argv.slice(2), cwd: process.cwd() })
+  process.once('exit', code => Logger.record(code ? 'error' : 'info', { type: 'exit', code }))
+
+  __taskLog = { name, files }
+
+  return __taskLog
+}
+
+/**
+ * Gets the log of the current task run
+ * @function
+ *
+ * @returns {Object|undefined} - Name and log file paths of the task log
+ */
+const getCurrentTaskLog = () => __taskLog
+
+module.exports = {
+  buildTaskLogName,
+  getCurrentTaskLog,
+  initTaskLog,
+  rotateTaskLogs,
+}
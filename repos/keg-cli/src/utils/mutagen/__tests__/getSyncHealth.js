@@ -0,0 +1,78 @@
+const { mutagen } = require('KegMocks')
+const { listProblemsStrOutput } = mutagen.commands
+const { cliSuccess } = require('KegMutagen/helpers')
+const { getSyncHealth } = require('../getSyncHealth')
+
+const healthySync = {
+  name: 'components',
+  identifier: 'sync_2XhtW6uXucBNGAhRysF6iJDHqFOTKH9nRej02T5FSrf',
+  alpha: { url: '/keg/keg-components', connectionState: 'Connected' },
+  beta: { url: 'docker://89081a36b44d/keg/keg-components', connectionState: 'Connected' },
+  status: 'Watching for changes',
+}
+
+describe('getSyncHealth', () => {
+
+  it('should return no issues for a healthy sync', () => {
+    const health = getSyncHealth(healthySync)
+
+    expect(health.name).toBe('components')
+    expect(health.issues).toEqual([])
+    expect(health.broken).toBe(false)
+  })
+
+  it('should report the halted status, last error and disconnected endpoints', () => {
+    const [ sync ] = cliSuccess(listProblemsStrOutput, 'json', false, true)
+    const { broken, issues } = getSyncHealth(sync)
+    const types = issues.map(issue => issue.type)
+
+    expect(broken).toBe(true)
+    expect(types).toContain('halted')
+    expect(types).toContain('error')
+    expect(issues.find(issue => issue.type === 'disconnected').endpoint).toBe('beta')
+  })
+
+  it('should report problems and conflicts with the full path of the file', () => {
+    const [ sync ] = cliSuccess(listProblemsStrOutput, 'json', false, true)
+    const { issues } = getSyncHealth(sync)
+
+    expect(issues.find(issue => issue.type === 'problem')).toEqual({
+      type: 'problem',
+      endpoint: 'alpha',
+      path: '/Users/lancetipton/keg/keg-core/src/broken.js',
+      message: 'unable to read file: permission denied',
+    })
+
+    expect(issues.filter(issue => issue.type === 'conflict')).toEqual([
+      {
+        type: 'conflict',
+        endpoint: 'alpha',
+        path: '/Users/lancetipton/keg/keg-core/src/index.js',
+        message: 'File -> File',
+      },
+      {
+        type: 'conflict',
+        endpoint: 'beta',
+        path: 'docker://89081a36b44d/keg/keg-core/src/index.js',
+        message: 'File -> File',
+      },
+      {
+        type: 'conflict',
+        endpoint: 'alpha',
+        path: '/Users/lancetipton/keg/keg-core',
+        message: 'Directory -> Directory',
+      },
+    ])
+  })
+
+  it('should not mark a sync with only conflicts as broken', () => {
+    const health = getSyncHealth({
+      ...healthySync,
+      conflicts: [ '(α) src/index.js (File -> File)' ],
+    })
+
+    expect(health.issues.length).toBe(1)
+    expect(health.broken).toBe(false)
+  })
+
+})
@@ -0,0 +1,137 @@
+const { get, isArr } = require('@keg-hub/jsutils')
+
+/**
+ * Matches the status of a sync that mutagen has stopped syncing
+ * <br/>I.E. Halted on root deletion || Halted on root type change || Halted on root emptying
+ * @RegExp
+ */
+const HALTED_MATCH = /^halted/i
+
+/**
+ * Matches a conflict entry of the mutagen list output => (α) path/to/file (File -> Directory)
+ * @RegExp
+ */
+const CONFLICT_MATCH = /^\((α|β|alpha|beta)\)\s+(.+?)\s+\((.+)\)$/
+
+/**
+ * Matches a scan or transition problem entry of the mutagen list output => path/to/file: error
+ * @RegExp
+ */
+const PROBLEM_MATCH = /^(.+?): (.+)$/
+
+/**
+ * Maps the endpoint names of the mutagen list output to the keys of the sync object
+ * @object
+ */
+const ENDPOINTS = {
+  α: 'alpha',
+  β: 'beta',
+  alpha: 'alpha',
+  beta: 'beta',
+}
+
+/**
+ * Builds the full path of a file in a sync endpoint, so it can be found by the user
+ * <br/>Mutagen shows "<root>" when the problem is with the synced folder itself
+ * @function
+ * @param {Object} sync - Parsed mutagen sync item
+ * @param {string} endpoint - Endpoint of the sync ( alpha | beta )
+ * @param {string} relative - Path relative to the root of the endpoint
+ *
+ * @returns {string} - Full path to the file in the endpoint
+ */
+const getEndpointPath = (sync, endpoint, relative) => {
+  const url = get(sync, `${endpoint}.url`, '')
+
+  return !relative || relative === '<root>'
+    ? url
+    : `${url.replace(/\/$/, '')}/${relative}`
+}
+
+/**
+ * Gets the scan and transition problems of a sync endpoint
+ * @function
+ * @param {Object} sync - Parsed mutagen sync item
+ * @param {string} endpoint - Endpoint of the sync ( alpha | beta )
+ *
+ * @returns {Array} - Issues found in the endpoint
+ */
+const getEndpointIssues = (sync, endpoint) => {
+  const issues = []
+  const state = get(sync, `${endpoint}.connectionState`)
+
+  state &&
+    state !== 'Connected' &&
+    issues.push({ type: 'disconnected', endpoint, message: `${endpoint} is ${state.toLowerCase()}` })
+
+  const problems = [ 'scanProblems', 'transitionProblems' ]
+    .reduce((found, key) => found.concat(get(sync, `${endpoint}.${key}`) || []), [])
+
+  return problems.reduce((found, entry) => {
+    const [ , relative=entry, error ] = entry.match(PROBLEM_MATCH) || []
+
+    return found.concat([{
+      endpoint,
+      type: 'problem',
+      path: getEndpointPath(sync, endpoint, relative),
+      message: error || entry,
+    }])
+  }, issues)
+}
+
+/**
+ * Gets the conflicts of a sync, with the full path of the conflicting files
+ * @function
+ * @param {Object} sync - Parsed mutagen sync item
+ *
+ * @returns {Array} - Conflicts found in the sync
+ */
+const getConflicts = sync => {
+  return (isArr(sync.conflicts) ? sync.conflicts : []).map(entry => {
+    const match = entry.match(CONFLICT_MATCH)
+    if(!match) return { type: 'conflict', path: entry, message: '' }
+
+    const endpoint = ENDPOINTS[match[1]]
+
+    return {
+      endpoint,
+      type: 'conflict',
+      path: getEndpointPath(sync, endpoint, match[2]),
+      message: match[3],
+    }
+  })
+}
+
+/**
+ * Checks a parsed mutagen sync for conflicts, problems, and halted or disconnected states
+ * <br/>A sync is broken when it's halted or disconnected, and needs to be recreated to sync again
+ * @function
+ * @param {Object} sync - Parsed mutagen sync item from mutagen.sync.list
+ *
+ * @returns {Object} - Health of the sync => { name, identifier, status, issues, broken }
+ */
+const getSyncHealth = sync => {
+  const status = sync.status || ''
+  const issues = []
+
+  HALTED_MATCH.test(status) && issues.push({ type: 'halted', message: status })
+  sync.lastError && issues.push({ type: 'error', message: sync.lastError })
+
+  const allIssues = issues.concat(
+    getEndpointIssues(sync, 'alpha'),
+    getEndpointIssues(sync, 'beta'),
+    getConflicts(sync)
+  )
+
+  return {
+    status,
+    name: sync.name,
+    issues: allIssues,
+    identifier: sync.identifier,
+    broken: allIssues.some(issue => issue.type === 'halted' || issue.type === 'disconnected'),
+  }
+}
+
+module.exports = {
+  getSyncHealth
+}
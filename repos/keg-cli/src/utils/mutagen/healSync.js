@@ -0,0 +1,35 @@
+const docker = require('KegDocCli')
+const { mutagen } = require('KegMutagen')
+const { getTrackedSync, trackSync } = require('./syncRegistry')
+
+/**
+ * Recreates a broken mutagen sync with the same arguments used to create it
+ * <br/>The container is found by name, so the sync still works when the container was recreated
+ * @function
+ * @param {Object} sync - Parsed mutagen sync item from mutagen.sync.list
+ * @param {Object} [options] - Options for recreating the sync
+ * @param {boolean} options.log - Log the mutagen commands being run
+ *
+ * @returns {Object} - Result of recreating the sync => { healed, reason }
+ */
+const healSync = async (sync, { log }={}) => {
+  const tracked = getTrackedSync(sync.name)
+  if(!tracked)
+    return { healed: false, reason: `No create arguments were tracked for the sync` }
+
+  const containerRef = tracked.containerName || tracked.container
+  const container = await docker.container.get(containerRef)
+
+  if(!container || container.status.indexOf('Up') !== 0)
+    return { healed: false, reason: `Container "${containerRef}" is not running` }
+
+  await mutagen.sync.terminate({ name: sync.identifier, log })
+  await mutagen.sync.create({ ...tracked, container: container.id, log })
+  trackSync({ ...tracked, container: container.id }, tracked.containerName)
+
+  return { healed: true }
+}
+
+module.exports = {
+  healSync
+}
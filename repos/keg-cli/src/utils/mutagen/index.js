@@ -0,0 +1,5 @@
+module.exports = {
+  ...require('./getSyncHealth'),
+  ...require('./healSync'),
+  ...require('./syncRegistry'),
+}
@@ -0,0 +1,104 @@
+const path = require('path')
+const { generalError } = require('KegUtils/error')
+const { GLOBAL_CONFIG_FOLDER, MUTAGEN_SYNCS_FILE } = require('KegConst/constants')
+const {
+  ensureDirSync,
+  pathExistsSync,
+  readFileSync,
+  writeFileSync,
+} = require('KegFileSys/fileSys')
+
+/**
+ * Gets the path to the mutagen syncs file in the global config folder
+ * @function
+ *
+ * @returns {string} - Path to the mutagen syncs file
+ */
+const getSyncsPath = () => path.join(GLOBAL_CONFIG_FOLDER, MUTAGEN_SYNCS_FILE)
+
+/**
+ * Loads the tracked mutagen syncs from the global config folder
+ * <br/>Each key is the name of a sync, mapped to the arguments used to create it
+ * @function
+ *
+ * @returns {Object} - Tracked mutagen syncs, or an empty object if none exist
+ */
+const loadSyncs = () => {
+  const syncsPath = getSyncsPath()
+  if(!pathExistsSync(syncsPath)) return {}
+
+  try {
+    return JSON.parse(readFileSync(syncsPath))
+  }
+  catch(err){
+    generalError(`Could not parse the mutagen syncs file => ${syncsPath}`, err.message)
+  }
+}
+
+/**
+ * Saves the tracked mutagen syncs to the global config folder
+ * @function
+ * @param {Object} syncs - Tracked mutagen syncs to save
+ *
+ * @returns {Object} - Saved mutagen syncs
+ */
+const saveSyncs = syncs => {
+  ensureDirSync(GLOBAL_CONFIG_FOLDER)
+  writeFileSync(getSyncsPath(), JSON.stringify(syncs, null, 2) + '\n')
+
+  return syncs
+}
+
+/**
+ * Gets the arguments used to create a mutagen sync
+ * @function
+ * @param {string} name - Name of the mutagen sync
+ *
+ * @returns {Object|undefined} - Arguments used to create the sync
+ */
+const getTrackedSync = name => loadSyncs()[name]
+
+/**
+ * Adds or updates the arguments used to create a mutagen sync
+ * <br/>The config is the merged mutagen.yml config, so the sync can be recreated the same way
+ * @function
+ * @param {Object} params - Arguments passed to mutagen.sync.create
+ * @param {string} params.name - Name of the mutagen sync
+ * @param {string} params.local - Local path of the sync
+ * @param {string} params.remote - Path in the docker container of the sync
+ * @param {string} params.container - Id of the docker container of the sync
+ * @param {Object} params.config - Mutagen config of the sync
+ * @param {string} [containerName] - Name of the docker container, used to find it when its id changes
+ *
+ * @returns {Object} - Tracked sync arguments
+ */
+const trackSync = ({ name, local, remote, container, config, service }, containerName) => {
+  const tracked = { name, local, remote, container, containerName, config, service }
+  saveSyncs({ ...loadSyncs(), [name]: tracked })
+
+  return tracked
+}
+
+/**
+ * Removes a mutagen sync from the mutagen syncs file
+ * @function
+ * @param {string} name - Name of the mutagen sync
+ *
+ * @returns {boolean} - True if the sync was tracked and removed
+ */
+const untrackSync = name => {
+  const { [name]: sync, ...syncs } = loadSyncs()
+  if(!sync) return false
+
+  saveSyncs(syncs)
+
+  return true
+}
+
+module.exports = {
+  getSyncsPath,
+  getTrackedSync,
+  loadSyncs,
+  trackSync,
+  untrackSync,
+}
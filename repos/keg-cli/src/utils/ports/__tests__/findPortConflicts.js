@@ -0,0 +1,83 @@
+const list = jest.fn()
+jest.setMock('KegDocCli', { container: { list } })
+
+const getProcessesUsingPort = jest.fn(() => Promise.resolve([]))
+jest.setMock('../../network/getProcessesUsingPort', { getProcessesUsingPort })
+
+const { findPortConflicts, getPublishedPorts } = require('../findPortConflicts')
+
+const containers = [
+  { name: 'keg-proxy', status: 'Up 2 hours', ports: '0.0.0.0:80->80/tcp, 0.0.0.0:443->443/tcp' },
+  { name: 'tap', status: 'Up 5 minutes', ports: '0.0.0.0:19006->19006/tcp' },
+  { name: 'old-tap', status: 'Exited (0) 2 days ago', ports: '' },
+]
+
+const ports = [
+  { service: 'tap', port: 80, env: 'KEG_PROXY_PORT' },
+  { service: 'tap', port: 19006, env: 'TAP_PORT' },
+  { service: 'tap', port: 3000 },
+]
+
+describe('findPortConflicts', () => {
+
+  const orgNoMachine = process.env.KEG_NO_MACHINE
+
+  beforeEach(() => {
+    delete process.env.KEG_NO_MACHINE
+    list.mockImplementation(() => Promise.resolve(containers))
+  })
+
+  afterEach(() => jest.clearAllMocks())
+
+  afterAll(() => {
+    orgNoMachine === undefined
+      ? delete process.env.KEG_NO_MACHINE
+      : (process.env.KEG_NO_MACHINE = orgNoMachine)
+
+    jest.resetAllMocks()
+  })
+
+  it('should return the ports published by other running containers', async () => {
+    const conflicts = await findPortConflicts(ports, 'tap')
+
+    expect(conflicts).toEqual([
+      { service: 'tap', port: 80, env: 'KEG_PROXY_PORT', containers: [ 'keg-proxy' ], processes: [] }
+    ])
+  })
+
+  it('should not check local processes when docker-machine is used', async () => {
+    await findPortConflicts(ports, 'tap')
+
+    expect(getProcessesUsingPort).not.toHaveBeenCalled()
+  })
+
+  it('should return ports used by local processes, ignoring docker processes', async () => {
+    process.env.KEG_NO_MACHINE = 'true'
+    getProcessesUsingPort.mockImplementation(port => Promise.resolve(
+      port === 3000
+        ? [{ command: 'node', pid: '1234' }, { command: 'com.docke', pid: '99' }]
+        : [{ command: 'com.docke', pid: '99' }]
+    ))
+
+    const conflicts = await findPortConflicts(ports, 'tap')
+
+    expect(conflicts.map(({ port }) => port)).toEqual([ 80, 3000 ])
+    expect(conflicts[1].processes).toEqual([{ command: 'node', pid: '1234' }])
+  })
+
+})
+
+describe('getPublishedPorts', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should return the host ports of the docker container ports', () => {
+    expect(getPublishedPorts('0.0.0.0:80->19006/tcp, 80/tcp, :::443->443/tcp')).toEqual([ 80, 443 ])
+  })
+
+  it('should return an empty array when no ports are published', () => {
+    expect(getPublishedPorts('')).toEqual([])
+    expect(getPublishedPorts()).toEqual([])
+  })
+
+})
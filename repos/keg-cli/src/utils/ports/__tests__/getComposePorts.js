@@ -0,0 +1,86 @@
+const { getComposePorts, parsePortMapping } = require('../getComposePorts')
+
+const composeConfig = {
+  services: {
+    'keg-proxy': {
+      ports: [
+        '${PROXY_INSECURE_PORT:-80}:${PROXY_ENTRY_PORT:-80}',
+        '${PROXY_SECURE_PORT:-443}:443',
+      ],
+    },
+    tap: {
+      ports: [
+        '${KEG_PROXY_PORT}:${KEG_PROXY_PORT}',
+        '127.0.0.1:9229:9229/tcp',
+        '3000',
+        '8000-8010:8000-8010',
+        { published: 5432, target: 5432 },
+      ],
+    },
+    worker: {},
+  },
+}
+
+describe('getComposePorts', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should return the published host ports of all services', () => {
+    const ports = getComposePorts(composeConfig, { PROXY_INSECURE_PORT: 8081, KEG_PROXY_PORT: 19006 })
+
+    expect(ports.map(({ service, port }) => `${service}:${port}`)).toEqual([
+      'keg-proxy:8081',
+      'keg-proxy:443',
+      'tap:19006',
+      'tap:9229',
+      'tap:5432',
+    ])
+  })
+
+  it('should return the ENVs that set the host and container ports', () => {
+    const [ insecure, secure ] = getComposePorts(composeConfig, {})
+
+    expect(insecure).toEqual({
+      service: 'keg-proxy',
+      port: 80,
+      env: 'PROXY_INSECURE_PORT',
+      target: 80,
+      targetEnv: 'PROXY_ENTRY_PORT',
+      mapping: '${PROXY_INSECURE_PORT:-80}:${PROXY_ENTRY_PORT:-80}',
+    })
+
+    expect(secure.env).toBe('PROXY_SECURE_PORT')
+    expect(secure.targetEnv).toBe(undefined)
+  })
+
+  it('should return an empty array when no services exist', () => {
+    expect(getComposePorts({}, {})).toEqual([])
+    expect(getComposePorts(undefined, {})).toEqual([])
+  })
+
+})
+
+describe('parsePortMapping', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should resolve the compose variables from the envs', () => {
+    expect(parsePortMapping('$APP_PORT:80', { APP_PORT: '3000' })).toEqual({
+      port: 3000,
+      env: 'APP_PORT',
+      target: 80,
+      targetEnv: undefined,
+      mapping: '$APP_PORT:80',
+    })
+  })
+
+  it('should not return mappings without a host port', () => {
+    expect(parsePortMapping('${APP_PORT}:80', {})).toBeFalsy()
+    expect(parsePortMapping('80', {})).toBe(undefined)
+  })
+
+  it('should skip port ranges', () => {
+    expect(parsePortMapping('8000-8010:8000-8010', {})).toBe(undefined)
+  })
+
+})
@@ -0,0 +1,41 @@
+const net = require('net')
+const { generalError } = require('../error/generalError')
+
+/**
+ * Checks if a port is free on the host machine, by trying to listen on it
+ * @function
+ * @param {number} port - Port to check
+ *
+ * @returns {Promise<boolean>} - True if the port is free
+ */
+const isPortFree = port => new Promise(res => {
+  const server = net.createServer()
+
+  server.once('error', () => res(false))
+  server.once('listening', () => server.close(() => res(true)))
+  server.listen(port, '0.0.0.0')
+})
+
+/**
+ * Finds the next free port after the passed in port
+ * <br/>Privileged ports ( below 1024 ) start searching at the port + 8000, I.E. 80 => 8080
+ * @function
+ * @param {number} port - Port that is already in use
+ * @param {Array} exclude - Ports that should not be used, even if they are free
+ *
+ * @returns {Promise<number>} - Free port
+ */
+const findFreePort = async (port, exclude=[]) => {
+  const start = port < 1024 ? port + 8000 : port + 1
+
+  for(let check = start; check <= 65535; check++){
+    if(!exclude.includes(check) && await isPortFree(check)) return check
+  }
+
+  generalError(`Could not find a free port to replace port ${port}!`)
+}
+
+module.exports = {
+  findFreePort,
+  isPortFree,
+}
@@ -0,0 +1,84 @@
+const docker = require('KegDocCli')
+const { getProcessesUsingPort } = require('../network/getProcessesUsingPort')
+
+/**
+ * Commands of the processes docker uses to publish container ports on the host machine
+ * <br/>These are checked through the docker containers, so they are ignored
+ * @array
+ */
+const DOCKER_PROCESSES = [ 'docker-pr', 'com.docke', 'vpnkit' ]
+
+/**
+ * Gets the host ports published by a docker container
+ * @function
+ * @param {string} ports - Ports of the container from the docker cli. I.E. 0.0.0.0:80->19006/tcp
+ *
+ * @returns {Array} - Published host ports
+ */
+const getPublishedPorts = (ports='') => {
+  return ports.split(',')
+    .map(mapping => mapping.trim())
+    .filter(mapping => mapping.includes('->'))
+    .map(mapping => parseInt(mapping.split('->')[0].split(':').pop()))
+    .filter(Boolean)
+}
+
+/**
+ * Gets the running docker containers, except the container being started
+ * @function
+ * @param {string} container - Name of the container being started
+ *
+ * @returns {Array} - Running docker containers
+ */
+const getRunningContainers = async container => {
+  const containers = await docker.container.list({ errResponse: [], format: 'json' })
+
+  return containers.filter(cont => cont.name !== container && (cont.status || '').indexOf('Up') === 0)
+}
+
+/**
+ * Gets the local processes using a port
+ * <br/>Only checked when docker-machine is not used, because docker-machine publishes ports in its VM
+ * @function
+ * @param {number} port - Port to check
+ *
+ * @returns {Array} - Processes using the port
+ */
+const getLocalProcesses = async port => {
+  if(!process.env.KEG_NO_MACHINE) return []
+
+  const processes = await getProcessesUsingPort(port)
+
+  return processes.filter(proc => !DOCKER_PROCESSES.includes(proc.command))
+}
+
+/**
+ * Finds the ports that are already used by another docker container or a local process
+ * @function
+ * @param {Array} ports - Ports to check, returned from getComposePorts
+ * @param {string} container - Name of the container being started, its own ports are not conflicts
+ *
+ * @returns {Array} - Conflicting ports => { ...port, containers, processes }
+ */
+const findPortConflicts = async (ports=[], container) => {
+  const running = await getRunningContainers(container)
+
+  return ports.reduce(async (toResolve, port) => {
+    const conflicts = await toResolve
+
+    const containers = running
+      .filter(cont => getPublishedPorts(cont.ports).includes(port.port))
+      .map(cont => cont.name)
+
+    const processes = await getLocalProcesses(port.port)
+
+    return containers.length || processes.length
+      ? conflicts.concat([{ ...port, containers, processes }])
+      : conflicts
+  }, Promise.resolve([]))
+}
+
+module.exports = {
+  findPortConflicts,
+  getPublishedPorts,
+}
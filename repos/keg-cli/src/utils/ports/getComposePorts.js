@@ -0,0 +1,91 @@
+const { get, isObj, isStr } = require('@keg-hub/jsutils')
+
+/**
+ * Resolves the compose variables in a part of a port mapping
+ * <br/>Supports ${VAR}, ${VAR:-default}, ${VAR-default} and $VAR
+ * @function
+ * @param {string} part - Host or container part of a port mapping
+ * @param {Object} envs - ENVs used to resolve the compose variables
+ *
+ * @returns {Object} - Resolved port, and the ENV it was resolved from => { port, env }
+ */
+const resolvePortPart = (part='', envs={}) => {
+  const match = String(part).trim().match(/^\$\{?([A-Za-z0-9_]+)(?::?-([^}]*))?\}?$/)
+  if(!match) return { port: parseInt(part) || undefined }
+
+  const [ _, env, fallback ] = match
+  const value = envs[env] !== undefined && envs[env] !== '' ? envs[env] : fallback
+
+  return { env, port: parseInt(value) || undefined }
+}
+
+/**
+ * Splits a short syntax port mapping on the ":" character, ignoring the ":" inside compose variables
+ * @function
+ * @param {string} mapping - Port mapping from the docker-compose file. I.E. ${PORT:-80}:80/tcp
+ *
+ * @returns {Array} - Parts of the port mapping
+ */
+const splitMapping = mapping => {
+  return (mapping.split('/')[0].match(/(\$\{[^}]*\}|[^:])+/g) || [])
+}
+
+/**
+ * Parses a port mapping of a docker-compose service
+ * <br/>Only mappings that publish a single host port are returned
+ * @function
+ * @param {string|Object} mapping - Short or long syntax port mapping
+ * @param {Object} envs - ENVs used to resolve the compose variables
+ *
+ * @returns {Object|undefined} - Parsed port => { port, env, target, targetEnv, mapping }
+ */
+const parsePortMapping = (mapping, envs) => {
+  const [ hostPart, targetPart ] = isObj(mapping)
+    ? [ mapping.published, mapping.target ]
+    : splitMapping(String(mapping)).slice(-2)
+
+  // A single port only defines the container port, so docker picks a random host port
+  // Port ranges are skipped, because they can not be remapped to a single port
+  if(targetPart === undefined || String(hostPart).includes('-') && !String(hostPart).includes('$'))
+    return
+
+  const host = resolvePortPart(hostPart, envs)
+  const target = resolvePortPart(targetPart, envs)
+
+  return host.port && {
+    port: host.port,
+    env: host.env,
+    target: target.port,
+    targetEnv: target.env,
+    mapping: isObj(mapping) ? `${hostPart}:${targetPart}` : String(mapping),
+  }
+}
+
+/**
+ * Gets the host ports published by the services of a docker-compose config
+ * @function
+ * @param {Object} composeConfig - Loaded docker-compose config
+ * @param {Object} envs - ENVs used to resolve the compose variables
+ *
+ * @returns {Array} - Published host ports => { service, port, env, target, targetEnv, mapping }
+ */
+const getComposePorts = (composeConfig, envs={}) => {
+  return Object.entries(get(composeConfig, 'services', {}))
+    .reduce((ports, [ service, config ]) => {
+      const mappings = get(config, 'ports', [])
+
+      return ports.concat(
+        mappings.map(mapping => {
+          const parsed = (isStr(mapping) || isObj(mapping) || Number.isInteger(mapping)) &&
+            parsePortMapping(mapping, envs)
+
+          return parsed && { service, ...parsed }
+        }).filter(Boolean)
+      )
+    }, [])
+}
+
+module.exports = {
+  getComposePorts,
+  parsePortMapping,
+}
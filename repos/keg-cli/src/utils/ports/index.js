@@ -0,0 +1,6 @@
+module.exports = {
+  ...require('./findFreePort'),
+  ...require('./findPortConflicts'),
+  ...require('./getComposePorts'),
+  ...require('./resolvePortConflicts'),
+}
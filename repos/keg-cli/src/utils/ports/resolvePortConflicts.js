@@ -0,0 +1,141 @@
+const docker = require('KegDocCli')
+const { Logger } = require('KegLog')
+const { ask } = require('@keg-hub/ask-it')
+const { kill } = require('../process/kill')
+const { findFreePort } = require('./findFreePort')
+const { generalError } = require('../error/generalError')
+const { printProcesses } = require('../network/printProcesses')
+
+/**
+ * Builds the text that describes what is using a conflicting port
+ * @function
+ * @param {Object} conflict - Conflicting port returned from findPortConflicts
+ *
+ * @returns {string} - Description of the port users
+ */
+const describeUsers = ({ containers, processes }) => {
+  return containers.map(name => `container "${name}"`)
+    .concat(processes.map(proc => `process "${proc.command}" ( ${proc.pid} )`))
+    .join(', ')
+}
+
+/**
+ * Logs the conflicting port, and what is using it
+ * @function
+ * @param {Object} conflict - Conflicting port returned from findPortConflicts
+ *
+ * @returns {void}
+ */
+const logConflict = conflict => {
+  const { port, env, service } = conflict
+
+  Logger.empty()
+  Logger.warn(`  Port ${port}${ env ? ` ( ${env} )` : '' } of service "${service}" is already in use`)
+  Logger.log(`  Used by ${ describeUsers(conflict) }`)
+  conflict.processes.length && printProcesses(`  Processes using port ${port}:`, conflict.processes)
+}
+
+/**
+ * Asks the user how the conflicting port should be resolved
+ * <br/>Remapping is only available when the host port is set by an ENV
+ * @function
+ * @param {Object} conflict - Conflicting port returned from findPortConflicts
+ *
+ * @returns {string} - Selected policy ( kill | remap | abort )
+ */
+const askForPolicy = async conflict => {
+  const policies = [
+    conflict.env && { policy: 'remap', text: `Remap ${conflict.env} to a free port` },
+    { policy: 'kill', text: `Stop ${ describeUsers(conflict) }` },
+    { policy: 'abort', text: `Abort starting the service` },
+  ].filter(Boolean)
+
+  const index = await ask.promptList(
+    policies.map(({ text }) => text),
+    `How should port ${conflict.port} be resolved?`,
+    'Select an option:'
+  )
+
+  return policies[index].policy
+}
+
+/**
+ * Stops the containers, and kills the processes using the conflicting port
+ * @function
+ * @param {Object} conflict - Conflicting port returned from findPortConflicts
+ *
+ * @returns {Object} - Empty object, because no ENVs are updated
+ */
+const killConflict = async ({ containers, processes }) => {
+  await Promise.all(containers.map(name => docker.container.stop({ item: name, force: true })))
+  await Promise.all(processes.map(proc => kill(proc.pid)))
+
+  return {}
+}
+
+/**
+ * Remaps the ENV of the conflicting host port to a free port
+ * <br/>When the ENV also sets the container port, the KEG_PROXY_PORT is updated to match
+ * <br/>This keeps the keg-proxy labels pointing at the port the app listens on
+ * @function
+ * @param {Object} conflict - Conflicting port returned from findPortConflicts
+ * @param {Object} envs - ENVs of the service being started
+ * @param {Array} exclude - Ports that should not be used
+ *
+ * @returns {Object} - Updated ENVs
+ */
+const remapConflict = async (conflict, envs, exclude) => {
+  const { port, env, targetEnv, mapping } = conflict
+
+  !env && generalError(
+    `Port ${port} can not be remapped, because it's not set by an ENV. Update the docker-compose mapping => ${mapping}`
+  )
+
+  const freePort = await findFreePort(port, exclude)
+  const updated = { [env]: freePort }
+
+  targetEnv === env &&
+    String(envs.KEG_PROXY_PORT) === String(port) &&
+    (updated.KEG_PROXY_PORT = freePort)
+
+  Logger.success(`  Remapped ${env} from ${port} to ${freePort}`)
+
+  return updated
+}
+
+/**
+ * Resolves the conflicting ports of a service based on the policy
+ * @function
+ * @param {Array} conflicts - Conflicting ports returned from findPortConflicts
+ * @param {Object} options - Defines how the conflicts are resolved
+ * @param {string} [options.policy=ask] - How to resolve the conflicts ( ask | kill | remap | abort | ignore )
+ * @param {Object} options.envs - ENVs of the service being started
+ * @param {Array} options.exclude - Ports that should not be used when remapping
+ *
+ * @returns {Object} - ENVs updated to use the remapped ports
+ */
+const resolvePortConflicts = async (conflicts=[], { policy='ask', envs={}, exclude=[] }) => {
+  return conflicts.reduce(async (toResolve, conflict) => {
+    const updated = await toResolve
+    logConflict(conflict)
+
+    if(policy === 'ignore') return updated
+
+    const selected = policy === 'ask' ? await askForPolicy(conflict) : policy
+
+    selected === 'abort' && generalError(
+      `Port ${conflict.port} is already in use. Use the --on-port-conflict option to kill or remap it`
+    )
+
+    return {
+      ...updated,
+      ...(selected === 'remap'
+        ? await remapConflict(conflict, envs, exclude.concat(Object.values(updated)))
+        : await killConflict(conflict)),
+    }
+  }, Promise.resolve({}))
+}
+
+module.exports = {
+  resolvePortConflicts
+}
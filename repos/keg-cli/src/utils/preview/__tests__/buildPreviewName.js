@@ -0,0 +1,29 @@
+const { buildPreviewName, getPreviewUrl } = require('../buildPreviewName')
+
+describe('buildPreviewName', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should join the tap and branch names', () => {
+    expect(buildPreviewName('my-tap', 'develop')).toBe('my-tap-develop')
+  })
+
+  it('should replace characters not allowed in a container name', () => {
+    expect(buildPreviewName('my-tap', 'feature/Login#2')).toBe('my-tap-feature-login-2')
+    expect(buildPreviewName('my-tap', 'fix/')).toBe('my-tap-fix')
+    expect(buildPreviewName('my-tap', 'Fix_Bar')).toBe('my-tap-fix-bar')
+    expect(buildPreviewName('my-tap', 'feature/$(rm -rf);x')).toBe('my-tap-feature-rm-rf-x')
+  })
+
+  it('should cap the length of the branch name', () => {
+    const name = buildPreviewName('my-tap', `feature/${'a'.repeat(80)}`)
+
+    expect(name.length).toBe('my-tap-'.length + 40)
+    expect(name).not.toMatch(/-$/)
+  })
+
+  it('should build the preview url from the proxy domain', () => {
+    expect(getPreviewUrl('my-tap-develop')).toMatch(/^http:\/\/my-tap-develop\./)
+  })
+
+})
@@ -0,0 +1,76 @@
+const path = require('path')
+const { GLOBAL_PREVIEW_FOLDER, PREVIEWS_FILE } = require('KegConst/constants')
+
+const previewsPath = path.join(GLOBAL_PREVIEW_FOLDER, PREVIEWS_FILE)
+let files = {}
+
+const writeFileSync = jest.fn((filePath, data) => files[filePath] = data)
+
+jest.setMock('KegFileSys/fileSys', {
+  writeFileSync,
+  ensureDirSync: jest.fn(),
+  readFileSync: filePath => files[filePath],
+  pathExistsSync: filePath => filePath in files,
+})
+
+const { generalError } = require('KegMocks/utils/error/generalError')
+jest.setMock('KegUtils/error', { generalError })
+
+const {
+  addPreview,
+  getPreview,
+  loadPreviews,
+  removePreview,
+} = require('../previewRegistry')
+
+const develop = { name: 'my-tap-develop', tap: 'my-tap', branch: 'develop' }
+const feature = { name: 'my-tap-feature-login', tap: 'my-tap', branch: 'feature/login' }
+
+describe('previewRegistry', () => {
+
+  beforeEach(() => {
+    files = {}
+    writeFileSync.mockClear()
+  })
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should return an empty object when no previews file exists', () => {
+    expect(loadPreviews()).toEqual({})
+  })
+
+  it('should add previews to the previews file by name', () => {
+    addPreview(develop)
+    addPreview(feature)
+
+    expect(Object.keys(JSON.parse(files[previewsPath]))).toEqual([ develop.name, feature.name ])
+  })
+
+  it('should find a preview by the tap and branch', () => {
+    addPreview(develop)
+    addPreview(feature)
+
+    expect(getPreview('my-tap', 'feature/login')).toEqual(feature)
+    expect(getPreview('other-tap', 'develop')).toBe(undefined)
+  })
+
+  it('should remove a preview from the previews file', () => {
+    addPreview(develop)
+    addPreview(feature)
+
+    expect(removePreview(develop.name)).toBe(true)
+    expect(loadPreviews()).toEqual({ [feature.name]: feature })
+  })
+
+  it('should not write the previews file when the preview does not exist', () => {
+    expect(removePreview('unknown')).toBe(false)
+    expect(writeFileSync).not.toHaveBeenCalled()
+  })
+
+  it('should throw when the previews file can not be parsed', () => {
+    files[previewsPath] = '{ invalid'
+
+    expect(() => loadPreviews()).toThrow()
+  })
+
+})
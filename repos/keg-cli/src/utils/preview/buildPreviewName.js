@@ -0,0 +1,28 @@
+const { DOCKER } = require('KegConst/docker')
+const { slugifyBranch } = require('../git/slugifyBranch')
+
+/**
+ * Builds the name of a tap preview from the tap and the git branch name
+ * <br/>The name is used as the proxy domain, docker container name and compose project name of the preview
+ * <br/>So the branch is slugified, the same way as the proxy domain built by getProxyDomainFromBranch
+ * @function
+ * @param {string} tap - Name of the linked tap
+ * @param {string} branch - Git branch of the tap being previewed
+ *
+ * @returns {string} - Name of the tap preview
+ */
+const buildPreviewName = (tap, branch) => `${tap}-${slugifyBranch(branch)}`
+
+/**
+ * Builds the url the proxy routes to a tap preview
+ * @function
+ * @param {string} proxyDomain - Proxy domain of the tap preview
+ *
+ * @returns {string} - Url of the tap preview
+ */
+const getPreviewUrl = proxyDomain => `http://${proxyDomain}.${DOCKER.KEG_PROXY_HOST}`
+
+module.exports = {
+  buildPreviewName,
+  getPreviewUrl,
+}
@@ -0,0 +1,92 @@
+const path = require('path')
+const { Logger } = require('KegLog')
+const { git } = require('KegGitCli')
+const { generalError } = require('KegUtils/error')
+const { pathExistsSync } = require('KegFileSys/fileSys')
+const { GLOBAL_PREVIEW_FOLDER } = require('KegConst/constants')
+const { addPreview, getPreview } = require('./previewRegistry')
+const { buildPreviewName, getPreviewUrl } = require('./buildPreviewName')
+
+/**
+ * Gets the path to a worktree with the branch checked out
+ * <br/>Reuses an existing worktree of the branch, or creates a new one in the global preview folder
+ * @function
+ * @param {Object} args - Arguments that define the preview
+ * @param {string} args.tap - Name of the linked tap
+ * @param {string} args.branch - Git branch of the tap to preview
+ * @param {string} args.tapPath - Path to the linked tap
+ * @param {string} args.name - Name of the tap preview
+ * @param {boolean} args.log - Should the git commands be logged
+ *
+ * @returns {Object} - Path of the worktree, and if it was created for the preview
+ */
+const getPreviewWorktree = async ({ tap, branch, tapPath, name, log }) => {
+  const worktrees = await git.worktree.list(tapPath)
+  const existing = worktrees.find(worktree => worktree.branch === branch)
+
+  // Can't have the same branch checked out twice, so the tap should be started normally
+  existing &&
+    path.resolve(existing.path) === path.resolve(tapPath) &&
+    generalError(
+      `Branch "${branch}" is already checked out in the ${tap} tap.`,
+      `Use "keg tap start --tap ${tap}" to run it instead`
+    )
+
+  // The branch is already checked out in a separate worktree, so use that one
+  // It was not created by the preview, so it should not be removed on destroy
+  if(existing) return { path: existing.path, worktree: false }
+
+  const previewPath = path.join(GLOBAL_PREVIEW_FOLDER, name)
+  if(pathExistsSync(previewPath)) return { path: previewPath, worktree: true }
+
+  log && Logger.info(`Creating worktree for branch "${branch}" at ${previewPath}`)
+
+  const created = await git.worktree.add({
+    log,
+    branch,
+    location: tapPath,
+    path: previewPath,
+  })
+
+  !created && generalError(`Could not create a worktree for branch "${branch}" of the ${tap} tap`)
+
+  return { path: previewPath, worktree: true }
+}
+
+/**
+ * Creates the worktree for a tap preview, and tracks it in the previews file
+ * <br/>If the preview already exists, the tracked preview is returned
+ * @function
+ * @param {Object} args - Arguments that define the preview
+ * @param {string} args.tap - Name of the linked tap
+ * @param {string} args.branch - Git branch of the tap to preview
+ * @param {string} args.tapPath - Path to the linked tap
+ * @param {boolean} args.log - Should the git commands be logged
+ *
+ * @returns {Object} - Tracked tap preview
+ */
+const createPreview = async ({ tap, branch, tapPath, log }) => {
+  const tracked = getPreview(tap, branch)
+  if(tracked && pathExistsSync(tracked.path)) return tracked
+
+  const name = buildPreviewName(tap, branch)
+  const worktree = await getPreviewWorktree({ tap, branch, tapPath, name, log })
+
+  return addPreview({
+    name,
+    tap,
+    branch,
+    tapPath,
+    // Matches the proxy domain built from the worktree branch by getProxyDomainFromBranch
+    proxyDomain: name,
+    container: name,
+    path: worktree.path,
+    worktree: worktree.worktree,
+    url: getPreviewUrl(name),
+    createdAt: new Date().toISOString(),
+  })
+}
+
+module.exports = {
+  createPreview
+}
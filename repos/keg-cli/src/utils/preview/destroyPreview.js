@@ -0,0 +1,63 @@
+const docker = require('KegDocCli')
+const { Logger } = require('KegLog')
+const { git } = require('KegGitCli')
+const { get, isArr } = require('@keg-hub/jsutils')
+const { mutagen } = require('KegMutagen')
+const { removePreview } = require('./previewRegistry')
+const { removeInjectedCompose } = require('../docker/compose/removeInjectedCompose')
+
+/**
+ * Terminates the mutagen syncs of a tap preview
+ * <br/>The syncs are found by the local path, which points to the preview worktree
+ * @function
+ * @param {Object} preview - Tap preview to terminate the syncs of
+ *
+ * @returns {Array} - Mutagen syncs that were terminated
+ */
+const terminatePreviewSyncs = async preview => {
+  const syncs = await mutagen.sync.list({ format: 'json', skipError: true })
+
+  return (isArr(syncs) ? syncs : []).reduce(async (toResolve, sync) => {
+    const terminated = await toResolve
+    if(get(sync, 'alpha.url', '').indexOf(preview.path) !== 0) return terminated
+
+    await mutagen.sync.terminate({ name: sync.identifier })
+
+    return terminated.concat([ sync ])
+  }, Promise.resolve([]))
+}
+
+/**
+ * Removes the docker container, syncs, injected files and worktree of a tap preview
+ * <br/>Then removes the preview from the previews file
+ * @function
+ * @param {Object} preview - Tap preview to destroy
+ * @param {boolean} [log=true] - Should the removed items be logged
+ *
+ * @returns {Object} - Destroyed tap preview
+ */
+const destroyPreview = async (preview, log=true) => {
+  await terminatePreviewSyncs(preview)
+
+  const destroyed = await docker.container.destroy(preview.container)
+  log && destroyed && Logger.highlight(`Removed container`, preview.container)
+
+  await removeInjectedCompose(preview.proxyDomain, log)
+
+  // Only remove worktrees created by the preview, never the ones created by the user
+  const removed = preview.worktree && await git.worktree.remove({
+    force: true,
+    path: preview.path,
+    location: preview.tapPath,
+  })
+
+  log && removed && Logger.highlight(`Removed worktree`, preview.path)
+
+  removePreview(preview.name)
+
+  return preview
+}
+
+module.exports = {
+  destroyPreview
+}
@@ -0,0 +1,6 @@
+module.exports = {
+  ...require('./buildPreviewName'),
+  ...require('./createPreview'),
+  ...require('./destroyPreview'),
+  ...require('./previewRegistry'),
+}
@@ -0,0 +1,101 @@
+const path = require('path')
+const { generalError } = require('KegUtils/error')
+const { GLOBAL_PREVIEW_FOLDER, PREVIEWS_FILE } = require('KegConst/constants')
+const {
+  ensureDirSync,
+  pathExistsSync,
+  readFileSync,
+  writeFileSync,
+} = require('KegFileSys/fileSys')
+
+/**
+ * Gets the path to the previews file in the global preview folder
+ * @function
+ *
+ * @returns {string} - Path to the previews file
+ */
+const getPreviewsPath = () => path.join(GLOBAL_PREVIEW_FOLDER, PREVIEWS_FILE)
+
+/**
+ * Loads the tracked tap previews from the global preview folder
+ * <br/>Each key is the name of a preview, mapped to the data used to create it
+ * @function
+ *
+ * @returns {Object} - Tracked tap previews, or an empty object if none exist
+ */
+const loadPreviews = () => {
+  const previewsPath = getPreviewsPath()
+  if(!pathExistsSync(previewsPath)) return {}
+
+  try {
+    return JSON.parse(readFileSync(previewsPath))
+  }
+  catch(err){
+    generalError(`Could not parse the previews file => ${previewsPath}`, err.message)
+  }
+}
+
+/**
+ * Saves the tracked tap previews to the global preview folder
+ * @function
+ * @param {Object} previews - Tracked tap previews to save
+ *
+ * @returns {Object} - Saved tap previews
+ */
+const savePreviews = previews => {
+  ensureDirSync(GLOBAL_PREVIEW_FOLDER)
+  writeFileSync(getPreviewsPath(), JSON.stringify(previews, null, 2) + '\n')
+
+  return previews
+}
+
+/**
+ * Gets a tracked tap preview by the tap and git branch
+ * @function
+ * @param {string} tap - Name of the linked tap
+ * @param {string} branch - Git branch of the preview
+ *
+ * @returns {Object|undefined} - Found tap preview
+ */
+const getPreview = (tap, branch) => {
+  return Object.values(loadPreviews())
+    .find(preview => preview.tap === tap && preview.branch === branch)
+}
+
+/**
+ * Adds or updates a tap preview in the previews file
+ * @function
+ * @param {Object} preview - Tap preview to track
+ * @param {string} preview.name - Name of the tap preview
+ *
+ * @returns {Object} - Tracked tap preview
+ */
+const addPreview = preview => {
+  savePreviews({ ...loadPreviews(), [preview.name]: preview })
+
+  return preview
+}
+
+/**
+ * Removes a tap preview from the previews file
+ * @function
+ * @param {string} name - Name of the tap preview
+ *
+ * @returns {boolean} - True if the preview was tracked and removed
+ */
+const removePreview = name => {
+  const { [name]: preview, ...previews } = loadPreviews()
+  if(!preview) return false
+
+  savePreviews(previews)
+
+  return true
+}
+
+module.exports = {
+  addPreview,
+  getPreview,
+  getPreviewsPath,
+  loadPreviews,
+  removePreview,
+}
@@ -2,6 +2,7 @@ const currentBranchMocks = {
   'keg-core': `add-plugin`,
   'keg-components': `new-component`,
   'tap-test': `tap-feature`,
+  'tap-slash': `feature/Fix_Bar`,
 }
 const currentMock = jest.fn((data) => {
   return { name: currentBranchMocks[data.location] }
@@ -22,6 +23,11 @@ describe('getProxyDomainFromBranch', () => {
 
   afterAll(() => jest.resetAllMocks())
 
+  it('Should slugify the branch name, so the proxyDomain is a valid host name', async () => {
+    const proxyDomain = await getProxyDomainFromBranch('tap-slash', 'tap-slash')
+    expect(proxyDomain).toBe(`tap-slash-feature-fix-bar`)
+  })
+
   it('Should return the correct proxyDomain for keg-core', async () => {
     expect(currentMock).not.toHaveBeenCalled()
     const proxyDomain = await getProxyDomainFromBranch('keg-core', 'keg-core')
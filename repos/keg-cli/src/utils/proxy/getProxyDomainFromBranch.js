@@ -1,6 +1,7 @@
 const { git } = require('KegGitCli')
 const { get } = require('@keg-hub/jsutils')
 const { throwNoGitBranch } = require('KegUtils/error/throwNoGitBranch')
+const { slugifyBranch } = require('KegUtils/git/slugifyBranch')
 
 /**
  * Builds name for the proxy config to create a unique name based on the app and it current git branch
@@ -24,8 +25,8 @@ const getProxyDomainFromBranch = async (contextName, contextPath) => {
   // This means a git repo is required!
   !branchName && throwNoGitBranch(contextPath)
 
-  // If we have a branch name, join it with the app name and return
-  return `${contextName}-${branchName}`
+  // If we have a branch name, slugify it so it's a valid host name, then join it with the app name
+  return `${contextName}-${slugifyBranch(branchName)}`
 
 }
 
@@ -0,0 +1,71 @@
+const { buildDependencyGraph, sortByDependencies } = require('../buildDependencyGraph')
+
+const repos = [
+  {
+    repo: 'keg-core',
+    package: {
+      name: '@keg-hub/keg-core',
+      dependencies: { '@keg-hub/keg-components': '8.0.0', 'react': '16.13.1' },
+      devDependencies: { '@keg-hub/re-theme': '8.0.0' },
+    }
+  },
+  {
+    repo: 'keg-components',
+    package: {
+      name: '@keg-hub/keg-components',
+      peerDependencies: { '@keg-hub/re-theme': '8.0.0' },
+    }
+  },
+  {
+    repo: 're-theme',
+    package: { name: '@keg-hub/re-theme' }
+  },
+  { repo: 'no-package' },
+]
+
+describe('buildDependencyGraph', () => {
+
+  it('should map each package to the repo packages it depends on', () => {
+    expect(buildDependencyGraph(repos)).toEqual({
+      '@keg-hub/keg-core': [ '@keg-hub/keg-components', '@keg-hub/re-theme' ],
+      '@keg-hub/keg-components': [ '@keg-hub/re-theme' ],
+      '@keg-hub/re-theme': [],
+    })
+  })
+
+})
+
+describe('sortByDependencies', () => {
+
+  it('should sort packages after the packages they depend on', () => {
+    const graph = buildDependencyGraph(repos)
+    const { sorted, cycles } = sortByDependencies(
+      [ '@keg-hub/keg-core', '@keg-hub/keg-components', '@keg-hub/re-theme' ],
+      graph
+    )
+
+    expect(sorted).toEqual([ '@keg-hub/re-theme', '@keg-hub/keg-components', '@keg-hub/keg-core' ])
+    expect(cycles).toEqual([])
+  })
+
+  it('should keep the passed in order of packages without dependencies between them', () => {
+    const { sorted } = sortByDependencies([ 'b', 'c', 'a' ], { a: [], b: [], c: [] })
+
+    expect(sorted).toEqual([ 'b', 'c', 'a' ])
+  })
+
+  it('should order indirect dependencies through packages not being sorted', () => {
+    const graph = { a: [ 'b' ], b: [ 'c' ], c: [] }
+    const { sorted } = sortByDependencies([ 'a', 'c' ], graph)
+
+    expect(sorted).toEqual([ 'c', 'a' ])
+  })
+
+  it('should return any circular dependencies', () => {
+    const graph = { a: [ 'b' ], b: [ 'c' ], c: [ 'a' ] }
+    const { cycles } = sortByDependencies([ 'a', 'b', 'c' ], graph)
+
+    expect(cycles).toEqual([[ 'a', 'b', 'c', 'a' ]])
+  })
+
+})
@@ -0,0 +1,100 @@
+const commitHashMock = jest.fn(() => Promise.resolve('abc1234'))
+jest.setMock('KegGitCli', { git: { repo: { commitHash: commitHashMock }}})
+
+const { buildPublishPlan } = require('../buildPublishPlan')
+
+const repos = [
+  {
+    repo: 're-theme',
+    location: '/keg-hub/repos/re-theme',
+    package: {
+      name: '@keg-hub/re-theme',
+      version: '8.0.0',
+      scripts: { test: 'jest', build: 'rollup' },
+    }
+  },
+  {
+    repo: 'keg-components',
+    location: '/keg-hub/repos/keg-components',
+    package: {
+      name: '@keg-hub/keg-components',
+      version: '8.0.0',
+      scripts: { build: 'rollup' },
+      peerDependencies: { '@keg-hub/re-theme': '8.0.0' },
+    }
+  },
+  {
+    repo: 'keg-core',
+    location: '/keg-hub/repos/keg-core',
+    package: {
+      name: '@keg-hub/keg-core',
+      version: '8.0.0',
+      dependencies: { '@keg-hub/keg-components': '8.0.0' },
+      devDependencies: { '@keg-hub/re-theme': '8.0.0' },
+    }
+  },
+]
+
+const publishContext = {
+  name: 'keg',
+  tasks: {
+    install: true,
+    test: true,
+    build: true,
+    publish: true,
+    commit: true,
+  }
+}
+
+describe('buildPublishPlan', () => {
+
+  afterEach(() => jest.clearAllMocks())
+
+  it('should build a plan for each repo in publish order', async () => {
+    const plan = await buildPublishPlan(repos, repos, publishContext, { context: 'keg', versionNumber: '8.1.0' })
+
+    expect(plan.map(({ order, repo }) => `${order}-${repo}`))
+      .toEqual([ '1-re-theme', '2-keg-components', '3-keg-core' ])
+    expect(plan[0].version).toEqual({ current: '8.0.0', new: '8.1.0' })
+  })
+
+  it('should only include scripts that would be run', async () => {
+    const plan = await buildPublishPlan(repos, repos, publishContext, { context: 'keg', versionNumber: '8.1.0' })
+
+    expect(plan[0].scripts).toEqual([
+      'install',
+      'test',
+      'build',
+      'publish --access public --new-version 8.1.0'
+    ])
+    expect(plan[1].scripts).toEqual([
+      'install',
+      'build',
+      'publish --access public --new-version 8.1.0'
+    ])
+  })
+
+  it('should include the repos that depend on the published repo', async () => {
+    const plan = await buildPublishPlan(repos, repos, publishContext, { context: 'keg', versionNumber: '8.1.0' })
+
+    expect(plan[0].dependents).toEqual([ 'keg-components', 'keg-core' ])
+    expect(plan[1].dependents).toEqual([ 'keg-core' ])
+    expect(plan[2].dependents).toEqual([])
+  })
+
+  it('should include the git branch when commit is enabled', async () => {
+    const plan = await buildPublishPlan(repos, repos, publishContext, { context: 'keg', versionNumber: '8.1.0' })
+
+    expect(plan[0].branch).toBe('keg-8.1.0-abc1234')
+    expect(commitHashMock).toHaveBeenCalledTimes(3)
+  })
+
+  it('should not include a git branch when commit is disabled', async () => {
+    const noCommit = { ...publishContext, tasks: { ...publishContext.tasks, commit: false }}
+    const plan = await buildPublishPlan(repos, repos, noCommit, { context: 'keg', versionNumber: '8.1.0' })
+
+    expect(plan[0].branch).toBe(undefined)
+    expect(commitHashMock).not.toHaveBeenCalled()
+  })
+
+})
@@ -1,14 +1,55 @@
+const { Logger } = require('KegMocks/logger')
 const { generalError } = require('KegMocks/utils/error/generalError')
 const { repos: mockRepos } = require('KegMocks/data')
 const globalConfig = global.getGlobalCliConfig()
 const publishContext = globalConfig.publish.test
 
+jest.setMock('KegLog', { Logger })
 jest.setMock('KegUtils/error', { generalError })
 
 const { getPublishContextOrder } = require('../getPublishContextOrder')
 
+const dependentRepos = [
+  {
+    repo: 'keg-core',
+    package: {
+      name: '@keg-hub/keg-core',
+      dependencies: { '@keg-hub/keg-components': '^8.0.0', '@keg-hub/jsutils': '8.0.0' },
+    }
+  },
+  {
+    repo: 'keg-components',
+    package: {
+      name: '@keg-hub/keg-components',
+      peerDependencies: { '@keg-hub/re-theme': '8.0.0' },
+    }
+  },
+  {
+    repo: 're-theme',
+    package: {
+      name: '@keg-hub/re-theme',
+      dependencies: { '@keg-hub/jsutils': '8.0.0' },
+    }
+  },
+  {
+    repo: 'jsutils',
+    package: { name: '@keg-hub/jsutils' }
+  },
+  {
+    repo: 'tap',
+    package: {
+      name: 'keg-tap',
+      dependencies: { '@keg-hub/keg-core': '8.0.0' },
+    }
+  },
+]
+
+const getNames = repos => repos.map(repo => repo.package.name)
+
 describe('getPublishContextOrder', () => {
 
+  afterEach(() => jest.clearAllMocks())
+
   afterAll(() => jest.resetAllMocks())
 
   it('should order the repos based on the publishContext order', () => {
@@ -21,7 +62,65 @@ describe('getPublishContextOrder', () => {
     })
   })
 
-  it('should call generalError && throw an error if publishContext does not have order', () => {
-    expect(() => getPublishContextOrder(mockRepos, {name: 'test'})).toThrow()
+  it('should order the repos based on their dependencies by default', () => {
+    const reversed = { name: 'test', order: { 0: '@keg-hub/keg-core', 1: '@keg-hub/keg-components', 2: '@keg-hub/re-theme' } }
+
+    expect(getNames(getPublishContextOrder(dependentRepos, reversed))).toEqual([
+      '@keg-hub/re-theme',
+      '@keg-hub/keg-components',
+      '@keg-hub/keg-core',
+    ])
+  })
+
+  it('should use the publishContext order when params.order is config', () => {
+    const reversed = { name: 'test', order: { 0: '@keg-hub/keg-core', 1: '@keg-hub/keg-components', 2: '@keg-hub/re-theme' } }
+
+    expect(getNames(getPublishContextOrder(dependentRepos, reversed, { order: 'config' }))).toEqual([
+      '@keg-hub/keg-core',
+      '@keg-hub/keg-components',
+      '@keg-hub/re-theme',
+    ])
+  })
+
+  it('should sort the publishContext order numerically', () => {
+    const order = { 10: '@keg-hub/keg-core', 2: '@keg-hub/re-theme' }
+
+    expect(getNames(getPublishContextOrder(dependentRepos, { order }, { order: 'config' }))).toEqual([
+      '@keg-hub/re-theme',
+      '@keg-hub/keg-core',
+    ])
+  })
+
+  it('should call generalError && throw an error if publishContext has no order', () => {
+    expect(() => getPublishContextOrder(dependentRepos, { name: 'test' })).toThrow()
+    expect(generalError).toHaveBeenCalled()
+  })
+
+  it('should warn about repos that depend on a published repo, but are not published', () => {
+    getPublishContextOrder(dependentRepos, publishContext)
+
+    expect(Logger.warn).toHaveBeenCalledTimes(1)
+    expect(Logger.warn.mock.calls[0][0]).toContain('keg-tap')
+  })
+
+  it('should call generalError && throw an error when circular dependencies are found', () => {
+    const circular = dependentRepos.map(repo => repo.repo !== 're-theme'
+      ? repo
+      : { ...repo, package: { ...repo.package, devDependencies: { '@keg-hub/keg-core': '8.0.0' } } }
+    )
+
+    expect(() => getPublishContextOrder(circular, publishContext)).toThrow()
+    expect(generalError).toHaveBeenCalled()
+    expect(Logger.error.mock.calls[0][0]).toContain(
+      '@keg-hub/re-theme => @keg-hub/keg-core => @keg-hub/keg-components => @keg-hub/re-theme'
+    )
+  })
+
+  it('should call generalError && throw an error if the publishContext does not exist', () => {
+    expect(() => getPublishContextOrder(mockRepos)).toThrow()
+  })
+
+  it('should call generalError && throw an error if params.order is config and publishContext has no order', () => {
+    expect(() => getPublishContextOrder(mockRepos, { name: 'test' }, { order: 'config' })).toThrow()
   })
-})
\ No newline at end of file
+})
@@ -0,0 +1,96 @@
+const path = require('path')
+const { GLOBAL_CONFIG_FOLDER, PUBLISH_STATE_FILE } = require('KegConst/constants')
+
+const statePath = path.join(GLOBAL_CONFIG_FOLDER, PUBLISH_STATE_FILE)
+let files = {}
+
+jest.setMock('KegFileSys/fileSys', {
+  writeFileSync: jest.fn((filePath, data) => files[filePath] = data),
+  readFileSync: filePath => files[filePath],
+  pathExistsSync: filePath => filePath in files,
+  removeFileSync: jest.fn(filePath => delete files[filePath]),
+})
+
+const { generalError } = require('KegMocks/utils/error/generalError')
+jest.setMock('KegUtils/error', { generalError })
+
+const {
+  clearPublishState,
+  getPublishStatePath,
+  loadPublishState,
+  savePublishState,
+} = require('../publishState')
+
+const repo = { repo: 'keg-components' }
+const publishArgs = {
+  originalBranch: 'develop',
+  currentBranch: 'keg-8.1.0-abc1234',
+  isPublished: true,
+  step: { number: 9, name: 'git-push' },
+  pipeline: {
+    context: 'keg',
+    versionNumber: '8.1.0',
+    order: [ 're-theme', 'keg-components', 'keg-core' ],
+    completed: [{ repo: 're-theme', newVersion: '8.1.0', isPublished: true }],
+  },
+}
+
+describe('publishState', () => {
+
+  beforeEach(() => {
+    files = {}
+    generalError.mockClear()
+  })
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should save the state to the global config folder', () => {
+    expect(savePublishState(repo, publishArgs)).toBe(statePath)
+    expect(getPublishStatePath()).toBe(statePath)
+    expect(statePath in files).toBe(true)
+  })
+
+  it('should save the pipeline and the failed repo and step', () => {
+    savePublishState(repo, publishArgs)
+    const state = loadPublishState()
+
+    expect(state.context).toBe('keg')
+    expect(state.order).toEqual(publishArgs.pipeline.order)
+    expect(state.completed).toEqual(publishArgs.pipeline.completed)
+    expect(state.originalBranch).toBe('develop')
+    expect(state.failed).toEqual({
+      step: { number: 9, name: 'git-push' },
+      rolledBack: false,
+      currentBranch: 'keg-8.1.0-abc1234',
+      repo: 'keg-components',
+      isPublished: true,
+    })
+  })
+
+  it('should save if the failed repo was rolled back', () => {
+    savePublishState(repo, { ...publishArgs, isPublished: undefined }, true)
+    const { failed } = loadPublishState()
+
+    expect(failed.rolledBack).toBe(true)
+    expect(failed.isPublished).toBe(false)
+  })
+
+  it('should return undefined when no state was saved', () => {
+    expect(loadPublishState()).toBe(undefined)
+  })
+
+  it('should call generalError when the state can not be parsed', () => {
+    files[statePath] = '{ invalid'
+
+    expect(() => loadPublishState()).toThrow()
+    expect(generalError).toHaveBeenCalled()
+  })
+
+  it('should remove the saved state', () => {
+    savePublishState(repo, publishArgs)
+    clearPublishState()
+
+    expect(loadPublishState()).toBe(undefined)
+  })
+
+})
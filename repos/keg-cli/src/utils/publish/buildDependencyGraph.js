@@ -0,0 +1,78 @@
+const { get, uniqArr } = require('@keg-hub/jsutils')
+const { DEPENDENCY_TYPES } = require('KegConst/constants')
+
+/**
+ * Checks if the passed in repo has the package name as a dependency
+ * @function
+ * @param {Object} repo - Repo to check the dependencies of
+ * @param {string} packageName - Name of the package to check for
+ *
+ * @returns {boolean} - True if the repo depends on the package
+ */
+const hasDependency = (repo, packageName) => {
+  return DEPENDENCY_TYPES.some(type => Boolean(get(repo, [ 'package', type, packageName ])))
+}
+
+/**
+ * Builds a graph of the dependencies between the passed in repos
+ * <br/>Only dependencies that are also one of the repos are included
+ * @function
+ * @param {Array} repos - Repos found in the keg-hub
+ *
+ * @returns {Object} - Package name of each repo mapped to the package names it depends on
+ */
+const buildDependencyGraph = repos => {
+  const names = repos.map(repo => get(repo, 'package.name')).filter(Boolean)
+
+  return repos.reduce((graph, repo) => {
+    const name = get(repo, 'package.name')
+    if(!name) return graph
+
+    graph[name] = uniqArr(
+      names.filter(other => other !== name && hasDependency(repo, other))
+    )
+
+    return graph
+  }, {})
+}
+
+/**
+ * Sorts the package names so each package comes after the packages it depends on
+ * <br/>Packages without a dependency between them keep their passed in order
+ * <br/>Dependencies are followed through packages not in the names array,
+ * <br/>so indirect dependencies are also ordered correctly
+ * @function
+ * @param {Array} names - Package names to be sorted
+ * @param {Object} graph - Dependency graph built from buildDependencyGraph
+ *
+ * @returns {Object} - Sorted package names, and any circular dependencies found
+ */
+const sortByDependencies = (names, graph) => {
+  const sorted = []
+  const cycles = []
+  const visited = {}
+
+  const visit = (name, path) => {
+    if(visited[name] === 'done') return
+
+    // The package is already being visited, so its dependencies loop back to it
+    if(visited[name] === 'visiting')
+      return cycles.push(path.slice(path.indexOf(name)).concat([ name ]))
+
+    visited[name] = 'visiting'
+    get(graph, [ name ], []).map(dep => visit(dep, path.concat([ name ])))
+    visited[name] = 'done'
+
+    names.includes(name) && sorted.push(name)
+  }
+
+  names.map(name => visit(name, []))
+
+  return { sorted, cycles }
+}
+
+module.exports = {
+  buildDependencyGraph,
+  hasDependency,
+  sortByDependencies,
+}
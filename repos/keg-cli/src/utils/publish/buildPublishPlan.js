@@ -0,0 +1,86 @@
+const semver = require('semver')
+const { git } = require('KegGitCli')
+const { get } = require('@keg-hub/jsutils')
+const { VERSION } = require('KegConst/constants')
+const { hasDependency } = require('./buildDependencyGraph')
+
+/**
+ * Gets the yarn scripts that would be run when publishing a repo
+ * <br/>Mirrors the checks of the publishService, so missing scripts are not included
+ * @function
+ * @param {Object} repo - Repo to get the scripts for
+ * @param {Object} tasks - Publish tasks from the publishContext
+ * @param {string} versionNumber - Version the repo would be published as
+ *
+ * @returns {Array} - Yarn scripts in the order they would be run
+ */
+const getPlanScripts = (repo, tasks, versionNumber) => {
+  const { install, test, build, publish, access='public' } = tasks
+  const hasScript = script => Boolean(get(repo, [ 'package', 'scripts', script ]))
+
+  return [
+    install && 'install',
+    test && hasScript('test') && 'test',
+    build && hasScript('build') && 'build',
+    publish && `publish --access ${access} --new-version ${versionNumber}`,
+  ].filter(Boolean)
+}
+
+/**
+ * Gets the version shown in the publish plan, without asking for it
+ * <br/>A version type ( major | minor | patch ) is applied to the current version of the repo
+ * @function
+ * @param {Object} repo - First repo to be published
+ * @param {string} [version] - Version passed to the publish task
+ *
+ * @returns {string} - Version the repos would be published as
+ */
+const getPlanVersion = (repo, version) => {
+  const current = get(repo, 'package.version')
+
+  return VERSION.TYPES.includes(version)
+    ? semver.inc(current, version)
+    : version || current
+}
+
+/**
+ * Builds the ordered plan of what publishing the repos would do, without making any changes
+ * @function
+ * @param {Array} toPublish - Repos to be published, in publish order
+ * @param {Array} repos - All found repos
+ * @param {Object} publishContext - Object that defines how the repos should be published
+ * @param {Object} options - Context and version of the publish
+ * @param {string} options.context - Name of the publish context
+ * @param {string} options.versionNumber - Version the repos would be published as
+ *
+ * @returns {Array} - Plan for each repo in publish order
+ */
+const buildPublishPlan = async (toPublish, repos, publishContext, { context, versionNumber }) => {
+  const tasks = get(publishContext, 'tasks', {})
+
+  return toPublish.reduce(async (toResolve, repo, index) => {
+    const plan = await toResolve
+    const packageName = get(repo, 'package.name')
+    const commitHash = tasks.commit && await git.repo.commitHash({ location: repo.location })
+
+    return plan.concat([{
+      order: index + 1,
+      repo: repo.repo,
+      name: packageName,
+      version: {
+        current: get(repo, 'package.version'),
+        new: versionNumber,
+      },
+      scripts: getPlanScripts(repo, tasks, versionNumber),
+      dependents: repos
+        .filter(other => other.repo !== repo.repo && hasDependency(other, packageName))
+        .map(other => other.repo),
+      branch: tasks.commit ? `${context}-${versionNumber}-${commitHash}` : undefined,
+    }])
+  }, Promise.resolve([]))
+}
+
+module.exports = {
+  buildPublishPlan,
+  getPlanVersion,
+}
@@ -1,37 +1,105 @@
-const { get, noPropObj } = require('@keg-hub/jsutils')
+const { Logger } = require('KegLog')
+const { get, isObj, noPropObj } = require('@keg-hub/jsutils')
 const { generalError } = require('KegUtils/error')
+const {
+  buildDependencyGraph,
+  hasDependency,
+  sortByDependencies,
+} = require('./buildDependencyGraph')
 
 /**
- * Gets the publish context repos in order, based on the repos defined in the publish context
+ * Gets the package names of the repos to publish from the publish context order
+ * @function
+ * @param {Object} publishOrder - Order of the repos defined in the publishContext
+ *
+ * @returns {Array} - Package names of the repos to publish, in the publishContext order
+ */
+const getPublishNames = publishOrder => {
+  return Object.keys(publishOrder)
+    .sort((first, second) => first - second)
+    .map(index => publishOrder[index])
+}
+
+/**
+ * Logs a warning for repos that depend on a published repo, but will not be published
+ * @function
+ * @param {Array} repos - Repos found in the keg-hub
+ * @param {Array} names - Package names of the repos to publish
+ *
+ * @returns {Void}
+ */
+const warnUnpublishedDependents = (repos, names) => {
+  repos.map(repo => {
+    const name = get(repo, 'package.name')
+    if(!name || names.includes(name)) return
+
+    const depends = names.filter(publishName => hasDependency(repo, publishName))
+    depends.length &&
+      Logger.warn(`Repo ${name} depends on ${depends.join(', ')}, but is not in the publish context!`)
+  })
+}
+
+/**
+ * Sorts the package names based on the dependency graph of all repos
+ * <br/>Throws an error if any circular dependencies are found
+ * @function
+ * @param {Array} repos - Repos found in the keg-hub
+ * @param {Array} names - Package names of the repos to publish
+ *
+ * @returns {Array} - Package names sorted so dependencies are published first
+ */
+const getGraphOrder = (repos, names) => {
+  const { sorted, cycles } = sortByDependencies(names, buildDependencyGraph(repos))
+  if(!cycles.length) return sorted
+
+  Logger.empty()
+  cycles.map(cycle => Logger.error(`  Circular dependency: ${cycle.join(' => ')}`))
+  Logger.empty()
+
+  generalError(
+    `Can not order the repos by their dependencies. Circular dependencies were found!\n` +
+    `Use the publish context order instead with --order config`
+  )
+}
+
+/**
+ * Gets the publish context repos in order
+ * <br/>By default the order is based on the dependencies between the repos,
+ * <br/>so a repo is always published before the repos that depend on it
+ * <br/>When params.order is config, the order defined in the publishContext is used instead
  * @function
  * @param {Array} repos - Repos found in the keg-hub
  * @param {Object} publishContext - Object that defines how the repos should be published
  * @param {Object} params - publish context args passed in from the command line
+ * @param {string} params.order - Order to publish the repos in ( graph || config )
  *
- * @returns {Array} - Orders list of repos to be published based on order defined in the publishContext
+ * @returns {Array} - Orders list of repos to be published
  */
 const getPublishContextOrder = (repos, publishContext, params=noPropObj) => {
-  const publishOrder = (publishContext || get(globalConfig, `publish.${context}`)).order
-  const { context } = params
-
-  !publishOrder && generalError(`Publish context order ${context} does not exist!`)
-
-  const indexRepos = repos.reduce((toPublish, repo) => {
-    const publishIndex = Object.values(publishOrder).indexOf(get(repo, 'package.name'))
-    return publishIndex === -1
-      ? toPublish
-      : { ...toPublish, [publishIndex]: repo }
-  }, {})
-
-  // Get the indexes and sort them to get the correct order
-  // Then get the repo for that index and return it
-  return Object.keys(indexRepos).sort()
-    .map(index => {
-      return indexRepos[index]
-    })
+  const { context, order='graph' } = params
+
+  !publishContext && generalError(`Publish context ${context} does not exist!`)
+
+  // The order defines the repos to publish, so it's required for both the graph and config order
+  const publishOrder = publishContext.order
+  !isObj(publishOrder) &&
+    generalError(
+      `Publish context ${context || publishContext.name} does not define the repos to publish!`,
+      `Add the package names of the repos to its "order" object`
+    )
+
+  const names = getPublishNames(publishOrder)
+  warnUnpublishedDependents(repos, names)
+
+  const ordered = order === 'config' ? names : getGraphOrder(repos, names)
+
+  return ordered.reduce((toPublish, name) => {
+    const repo = repos.find(repo => get(repo, 'package.name') === name)
+    return repo ? toPublish.concat([ repo ]) : toPublish
+  }, [])
 }
 
 
 module.exports = {
   getPublishContextOrder
-}
\ No newline at end of file
+}
@@ -1,4 +1,7 @@
 module.exports = {
+  ...require('./buildDependencyGraph'),
+  ...require('./buildPublishPlan'),
   ...require('./getPublishContext'),
   ...require('./getPublishContextOrder'),
-}
\ No newline at end of file
+  ...require('./publishState'),
+}
@@ -0,0 +1,83 @@
+const path = require('path')
+const { generalError } = require('KegUtils/error')
+const { GLOBAL_CONFIG_FOLDER, PUBLISH_STATE_FILE } = require('KegConst/constants')
+const {
+  pathExistsSync,
+  readFileSync,
+  removeFileSync,
+  writeFileSync,
+} = require('KegFileSys/fileSys')
+
+/**
+ * Gets the path to the publish state file in the global config folder
+ * @function
+ *
+ * @returns {string} - Path to the publish state file
+ */
+const getPublishStatePath = () => path.join(GLOBAL_CONFIG_FOLDER, PUBLISH_STATE_FILE)
+
+/**
+ * Saves the state of a failed publish, so it can be resumed later
+ * @function
+ * @param {Object} repo - Repo that failed to publish
+ * @param {Object} publishArgs - Define the state or the repo being published
+ * @param {Object} publishArgs.pipeline - Context, version, order and completed repos of the publish
+ * @param {boolean} [rolledBack=false] - If the changes to the failed repo were rolled back
+ *
+ * @returns {string} - Path to the saved publish state file
+ */
+const savePublishState = (repo, publishArgs, rolledBack=false) => {
+  const { pipeline, step, originalBranch, currentBranch, isPublished } = publishArgs
+  const statePath = getPublishStatePath()
+
+  writeFileSync(statePath, JSON.stringify({
+    ...pipeline,
+    originalBranch,
+    failed: {
+      step,
+      rolledBack,
+      currentBranch,
+      repo: repo.repo,
+      isPublished: Boolean(isPublished),
+    },
+    updatedAt: new Date().toISOString(),
+  }, null, 2) + '\n')
+
+  return statePath
+}
+
+/**
+ * Loads the state of a failed publish from the global config folder
+ * @function
+ *
+ * @returns {Object|undefined} - Saved publish state if it exists
+ */
+const loadPublishState = () => {
+  const statePath = getPublishStatePath()
+  if(!pathExistsSync(statePath)) return
+
+  try {
+    return JSON.parse(readFileSync(statePath))
+  }
+  catch(err){
+    generalError(`Could not parse the publish state file => ${statePath}`, err.message)
+  }
+}
+
+/**
+ * Removes the publish state file from the global config folder
+ * @function
+ *
+ * @returns {void}
+ */
+const clearPublishState = () => {
+  const statePath = getPublishStatePath()
+  pathExistsSync(statePath) && removeFileSync(statePath)
+}
+
+module.exports = {
+  clearPublishState,
+  getPublishStatePath,
+  loadPublishState,
+  savePublishState,
+}
@@ -0,0 +1,83 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { deepClone } = require('@keg-hub/jsutils')
+
+const { getRegistry, getRegistryHost, isLocalRegistry } = require('../getRegistry')
+
+describe('getRegistry', () => {
+
+  let tapPath
+  let globalConfig
+
+  beforeEach(() => {
+    tapPath = fs.mkdtempSync(path.join(os.tmpdir(), 'keg-registry-'))
+    fs.writeFileSync(path.join(tapPath, 'tap.json'), JSON.stringify({
+      keg: { cli: { registry: { url: 'ghcr.io', namespace: 'my-org' } } }
+    }))
+
+    globalConfig = deepClone(global.getGlobalCliConfig())
+    globalConfig.cli.taps = { links: { 'my-tap': tapPath } }
+    globalConfig.docker = { ...globalConfig.docker, providerUrl: 'docker.pkg.github.com' }
+  })
+
+  afterEach(() => fs.rmSync(tapPath, { recursive: true, force: true }))
+
+  it('should default to the providerUrl of the global config', () => {
+    expect(getRegistry({}, globalConfig)).toEqual({
+      url: 'docker.pkg.github.com',
+      local: false,
+    })
+  })
+
+  it('should use the registry config of the tap', () => {
+    expect(getRegistry({ tap: 'my-tap' }, globalConfig)).toEqual({
+      url: 'ghcr.io',
+      namespace: 'my-org',
+      local: false,
+    })
+  })
+
+  it('should use the registry param over the registry of the tap', () => {
+    expect(getRegistry({ tap: 'my-tap', registry: 'registry.example.com' }, globalConfig)).toEqual({
+      url: 'registry.example.com',
+      local: false,
+    })
+  })
+
+  it('should use the provider param as the url of the registry', () => {
+    const registry = getRegistry({ tap: 'my-tap', provider: 'quay.io' }, globalConfig)
+
+    expect(registry.url).toBe('quay.io')
+    expect(registry.namespace).toBe('my-org')
+  })
+
+  it('should point the local registry to localhost', () => {
+    expect(getRegistry({ registry: 'local' }, globalConfig)).toEqual({
+      url: 'localhost:5000',
+      local: true,
+    })
+  })
+
+  it('should use the port the local registry was started on', () => {
+    globalConfig.cli.settings = { ...globalConfig.cli.settings, docker: { registryPort: 5001 } }
+
+    expect(getRegistry({ registry: 'local' }, globalConfig)).toEqual({
+      url: 'localhost:5001',
+      local: true,
+    })
+  })
+
+  it('should get the host of a registry url', () => {
+    expect(getRegistryHost('https://ghcr.io/my-org')).toBe('ghcr.io')
+    expect(getRegistryHost('localhost:5000/keg-core')).toBe('localhost:5000')
+  })
+
+  it('should only mark registries on the local machine as local', () => {
+    expect(isLocalRegistry('localhost:5000')).toBe(true)
+    expect(isLocalRegistry('127.0.0.1:5001/my-org')).toBe(true)
+    expect(isLocalRegistry('ghcr.io')).toBe(false)
+    expect(isLocalRegistry('localhost.example.com')).toBe(false)
+  })
+
+})
@@ -0,0 +1,107 @@
+const axiosMock = { get: jest.fn() }
+jest.setMock('axios', axiosMock)
+
+const { getImageLabels, listTags, parseAuthHeader } = require('../registryApi')
+
+const registry = { url: 'ghcr.io', user: 'gituser', token: '12345' }
+
+/**
+ * Builds an error like the one thrown by axios for a failed request
+ */
+const httpError = (status, headers={}) => {
+  const err = new Error(`Request failed with status code ${status}`)
+  err.response = { status, headers }
+
+  return err
+}
+
+describe('registryApi', () => {
+
+  beforeEach(() => axiosMock.get.mockReset())
+
+  it('should parse the WWW-Authenticate header of the registry', () => {
+    expect(parseAuthHeader('Bearer realm="https://ghcr.io/token",service="ghcr.io",scope="repository:org/keg-core:pull"'))
+      .toEqual({
+        scheme: 'Bearer',
+        realm: 'https://ghcr.io/token',
+        service: 'ghcr.io',
+        scope: 'repository:org/keg-core:pull',
+      })
+  })
+
+  it('should list the tags of a repository', async () => {
+    axiosMock.get.mockResolvedValueOnce({ data: { name: 'org/keg-core', tags: [ 'latest', 'develop' ] } })
+
+    expect(await listTags(registry, 'org/keg-core')).toEqual([ 'latest', 'develop' ])
+    expect(axiosMock.get).toHaveBeenCalledWith(
+      'https://ghcr.io/v2/org/keg-core/tags/list',
+      { headers: {}, auth: { username: 'gituser', password: '12345' } }
+    )
+  })
+
+  it('should call local registries over http without auth', async () => {
+    axiosMock.get.mockResolvedValueOnce({ data: { tags: [ 'latest' ] } })
+
+    await listTags({ url: 'localhost:5000' }, 'keg-core')
+
+    expect(axiosMock.get).toHaveBeenCalledWith(
+      'http://localhost:5000/v2/keg-core/tags/list',
+      { headers: {}, auth: undefined }
+    )
+  })
+
+  it('should get a bearer token and retry when the registry asks for one', async () => {
+    axiosMock.get
+      .mockRejectedValueOnce(httpError(401, {
+        'www-authenticate': 'Bearer realm="https://ghcr.io/token",service="ghcr.io",scope="repository:org/keg-core:pull"'
+      }))
+      .mockResolvedValueOnce({ data: { token: 'bearer-token' } })
+      .mockResolvedValueOnce({ data: { tags: [ 'latest' ] } })
+
+    expect(await listTags(registry, 'org/keg-core')).toEqual([ 'latest' ])
+
+    expect(axiosMock.get.mock.calls[1]).toEqual([
+      'https://ghcr.io/token',
+      {
+        params: { service: 'ghcr.io', scope: 'repository:org/keg-core:pull' },
+        auth: { username: 'gituser', password: '12345' },
+      }
+    ])
+    expect(axiosMock.get.mock.calls[2][1]).toEqual({ headers: { Authorization: 'Bearer bearer-token' } })
+  })
+
+  it('should return no tags when the repository does not exist', async () => {
+    axiosMock.get.mockRejectedValueOnce(httpError(404))
+
+    expect(await listTags(registry, 'org/missing')).toEqual([])
+  })
+
+  it('should throw other registry errors', async () => {
+    axiosMock.get.mockRejectedValueOnce(httpError(500))
+
+    await expect(listTags(registry, 'org/keg-core')).rejects.toThrow('500')
+  })
+
+  it('should get the labels of an image from its config blob', async () => {
+    const labels = { 'org.opencontainers.image.revision': 'abc123' }
+
+    axiosMock.get
+      .mockResolvedValueOnce({ data: { config: { digest: 'sha256:config' } } })
+      .mockResolvedValueOnce({ data: { config: { Labels: labels } } })
+
+    expect(await getImageLabels(registry, 'org/keg-core', 'latest')).toEqual(labels)
+    expect(axiosMock.get.mock.calls[0][0]).toBe('https://ghcr.io/v2/org/keg-core/manifests/latest')
+    expect(axiosMock.get.mock.calls[1][0]).toBe('https://ghcr.io/v2/org/keg-core/blobs/sha256:config')
+  })
+
+  it('should use the first image of a multi-platform index', async () => {
+    axiosMock.get
+      .mockResolvedValueOnce({ data: { manifests: [ { digest: 'sha256:amd64' }, { digest: 'sha256:arm64' } ] } })
+      .mockResolvedValueOnce({ data: { config: { digest: 'sha256:config' } } })
+      .mockResolvedValueOnce({ data: { config: { Labels: { 'com.keg.git.branch': 'develop' } } } })
+
+    expect(await getImageLabels(registry, 'org/keg-core', 'develop')).toEqual({ 'com.keg.git.branch': 'develop' })
+    expect(axiosMock.get.mock.calls[1][0]).toBe('https://ghcr.io/v2/org/keg-core/manifests/sha256:amd64')
+  })
+
+})
@@ -0,0 +1,83 @@
+const { get, isStr, toStr } = require('@keg-hub/jsutils')
+const { LOCAL_REGISTRY } = require('KegConst/constants')
+const { getTapConfig } = require('../getters/getTapConfig')
+const { getTapPath } = require('../globalConfig/getTapPath')
+const { getGlobalConfig } = require('../globalConfig/getGlobalConfig')
+
+/**
+ * Hosts of a registry running on the local machine
+ * @array
+ */
+const LOCAL_HOSTS = [
+  'localhost',
+  '127.0.0.1',
+  '0.0.0.0',
+]
+
+/**
+ * Gets the host of a registry url, without the protocol or path
+ * @function
+ * @param {string} url - Url of the docker registry
+ *
+ * @returns {string} - Host of the registry => localhost:5000
+ */
+const getRegistryHost = url => toStr(url).replace(/^https?:\/\//, '').split('/').shift()
+
+/**
+ * Checks if a registry url points to a registry running on the local machine
+ * <br/>Local registries do not require a login, and are called over http
+ * @function
+ * @param {string} url - Url of the docker registry
+ *
+ * @returns {boolean} - True if the registry is local
+ */
+const isLocalRegistry = url => LOCAL_HOSTS.includes(getRegistryHost(url).split(':').shift())
+
+/**
+ * Normalizes a registry config into an object
+ * <br/>A string is used as the url, the value "local" points to the keg-cli local registry
+ * <br/>The local registry uses the port it was started on, saved by `keg docker provider registry`
+ * @function
+ * @param {string|Object} registry - Registry config from the params or a taps config
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Normalized registry config => { url, namespace }
+ */
+const normalizeRegistry = (registry, globalConfig) => {
+  if(!registry) return {}
+
+  const config = isStr(registry) ? { url: registry } : registry
+  const port = get(globalConfig, LOCAL_REGISTRY.PORT_SETTING) || LOCAL_REGISTRY.PORT
+
+  return config.url === 'local'
+    ? { ...config, url: `localhost:${ port }` }
+    : config
+}
+
+/**
+ * Gets the docker registry to use for a provider task
+ * <br/>Uses the registry param, then the keg.cli.registry of the tap, then the docker.providerUrl of the globalConfig
+ * @function
+ * @param {Object} params - Params passed to the provider task
+ * @param {string|Object} params.registry - Registry url, "local" or a registry config
+ * @param {string} params.provider - Url of the registry, overrides the url of the registry config
+ * @param {string} params.tap - Name of the tap to load the registry config from
+ * @param {Object} globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Registry config => { url, namespace, local }
+ */
+const getRegistry = ({ registry, provider, tap }={}, globalConfig) => {
+  globalConfig = globalConfig || getGlobalConfig()
+
+  const tapPath = !registry && tap && getTapPath(globalConfig, tap)
+  const config = normalizeRegistry(registry || getTapConfig(tapPath, 'registry'), globalConfig)
+  const url = provider || config.url || get(globalConfig, 'docker.providerUrl')
+
+  return { ...config, url, local: isLocalRegistry(url) }
+}
+
+module.exports = {
+  getRegistry,
+  getRegistryHost,
+  isLocalRegistry,
+}
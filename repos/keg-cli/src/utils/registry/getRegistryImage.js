@@ -0,0 +1,40 @@
+const { getRegistryHost } = require('./getRegistry')
+const { buildProviderUrl } = require('../docker/buildProviderUrl')
+const { buildDockerLogin } = require('../builders/buildDockerLogin')
+const { buildContainerContext } = require('../builders/buildContainerContext')
+
+/**
+ * Gets the registry and repository of the image of a context
+ * <br/>The repository matches the url used by `keg docker provider push`
+ * @function
+ * @param {Object} args - arguments passed from the runTask method
+ * @param {Object} args.params - Formatted key / value pair of the passed in options
+ * @param {Object} args.globalConfig - Global config object for the keg-cli
+ *
+ * @returns {Object} - Registry of the image => { image, tap, repository, registry }
+ */
+const getRegistryImage = async args => {
+  const { globalConfig, params, task } = args
+  const { image, tap, cmdContext } = await buildContainerContext({ globalConfig, task, params })
+
+  const login = await buildDockerLogin({ ...params, tap })
+  const url = await buildProviderUrl({ repository: image }, { ...args, params: { ...params, tap } }, login)
+  const host = getRegistryHost(login.providerUrl)
+
+  return {
+    tap,
+    image,
+    cmdContext,
+    repository: `${ url }/${ image }`.replace(`${ host }/`, '').toLowerCase(),
+    registry: {
+      url: login.providerUrl,
+      user: login.user,
+      token: login.token,
+      local: login.local,
+    },
+  }
+}
+
+module.exports = {
+  getRegistryImage
+}
@@ -0,0 +1,5 @@
+module.exports = {
+  ...require('./getRegistry'),
+  ...require('./getRegistryImage'),
+  ...require('./registryApi'),
+}
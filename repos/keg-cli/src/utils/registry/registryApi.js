@@ -0,0 +1,141 @@
+const axios = require('axios')
+const { get } = require('@keg-hub/jsutils')
+const { getRegistryHost, isLocalRegistry } = require('./getRegistry')
+
+/**
+ * Manifest types accepted when getting the manifest of an image tag
+ * @array
+ */
+const MANIFEST_TYPES = [
+  'application/vnd.docker.distribution.manifest.v2+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.oci.image.manifest.v1+json',
+  'application/vnd.oci.image.index.v1+json',
+]
+
+/**
+ * Builds the base url of the registry HTTP API
+ * <br/>Local registries are called over http, all others over https
+ * @function
+ * @param {string} url - Url of the docker registry
+ *
+ * @returns {string} - Base url of the registry API
+ */
+const getApiUrl = url => `${ isLocalRegistry(url) ? 'http' : 'https' }://${ getRegistryHost(url) }/v2`
+
+/**
+ * Parses the WWW-Authenticate header of a registry response
+ * @function
+ * @example
+ * parseAuthHeader('Bearer realm="https://ghcr.io/token",service="ghcr.io"')
+ * // { scheme: 'Bearer', realm: 'https://ghcr.io/token', service: 'ghcr.io' }
+ * @param {string} header - Value of the WWW-Authenticate header
+ *
+ * @returns {Object} - Auth scheme and its params
+ */
+const parseAuthHeader = (header='') => {
+  const [ scheme, ...rest ] = header.trim().split(' ')
+  const params = {}
+  rest.join(' ').replace(/(\w+)="([^"]*)"/g, (match, key, value) => params[key] = value)
+
+  return { ...params, scheme }
+}
+
+/**
+ * Gets a bearer token from the auth service of a registry
+ * @function
+ * @param {Object} challenge - Parsed WWW-Authenticate header of the registry
+ * @param {Object} auth - User and token to authenticate with => { username, password }
+ *
+ * @returns {string} - Bearer token for the registry API
+ */
+const getBearerToken = async ({ realm, service, scope }, auth) => {
+  const { data } = await axios.get(realm, { params: { service, scope }, auth })
+
+  return data.token || data.access_token
+}
+
+/**
+ * Makes a GET request to the registry HTTP API
+ * <br/>When the registry responds with a Bearer challenge, a token is requested and the call is retried
+ * @function
+ * @param {Object} registry - Registry config => { url, user, token }
+ * @param {string} path - Path of the API endpoint
+ * @param {Object} [headers={}] - Headers of the request
+ *
+ * @returns {Object} - Response data of the registry API
+ */
+const registryRequest = async (registry, path, headers={}) => {
+  const url = `${ getApiUrl(registry.url) }${ path }`
+  const auth = registry.user && registry.token
+    ? { username: registry.user, password: registry.token }
+    : undefined
+
+  try {
+    const { data } = await axios.get(url, { headers, auth })
+    return data
+  }
+  catch(err){
+    const challenge = parseAuthHeader(get(err, 'response.headers.www-authenticate'))
+    if(get(err, 'response.status') !== 401 || challenge.scheme !== 'Bearer') throw err
+
+    const token = await getBearerToken(challenge, auth)
+    const { data } = await axios.get(url, { headers: { ...headers, Authorization: `Bearer ${ token }` } })
+
+    return data
+  }
+}
+
+/**
+ * Lists the tags of an image repository in the registry
+ * <br/>Returns an empty array when the repository does not exist in the registry
+ * @function
+ * @param {Object} registry - Registry config => { url, user, token }
+ * @param {string} repository - Name of the image repository => namespace/keg-core
+ *
+ * @returns {Array} - Tags of the image repository
+ */
+const listTags = async (registry, repository) => {
+  try {
+    const data = await registryRequest(registry, `/${ repository }/tags/list`)
+
+    return get(data, 'tags') || []
+  }
+  catch(err){
+    if(get(err, 'response.status') === 404) return []
+
+    throw err
+  }
+}
+
+/**
+ * Gets the labels of an image tag in the registry
+ * <br/>When the tag is a multi-platform index, the labels of the first image are used
+ * @function
+ * @param {Object} registry - Registry config => { url, user, token }
+ * @param {string} repository - Name of the image repository => namespace/keg-core
+ * @param {string} tag - Tag of the image
+ *
+ * @returns {Object} - Labels of the image
+ */
+const getImageLabels = async (registry, repository, tag) => {
+  const headers = { Accept: MANIFEST_TYPES.join(', ') }
+  let manifest = await registryRequest(registry, `/${ repository }/manifests/${ tag }`, headers)
+
+  const digest = get(manifest, 'manifests.0.digest')
+  digest && (manifest = await registryRequest(registry, `/${ repository }/manifests/${ digest }`, headers))
+
+  const configDigest = get(manifest, 'config.digest')
+  if(!configDigest) return {}
+
+  const config = await registryRequest(registry, `/${ repository }/blobs/${ configDigest }`)
+
+  return get(config, 'config.Labels') || {}
+}
+
+module.exports = {
+  getImageLabels,
+  listTags,
+  parseAuthHeader,
+  registryRequest,
+}
@@ -0,0 +1,257 @@
+const path = require('path')
+const { GLOBAL_CONFIG_FOLDER, SECRETS_FILE, SECRETS_KEY_FILE } = require('KegConst/constants')
+
+const secretsPath = path.join(GLOBAL_CONFIG_FOLDER, SECRETS_FILE)
+const keyPath = path.join(GLOBAL_CONFIG_FOLDER, SECRETS_KEY_FILE)
+let files = {}
+
+const writeFileSync = jest.fn((filePath, data) => files[filePath] = data)
+
+jest.setMock('KegFileSys/fileSys', {
+  writeFileSync,
+  ensureDirSync: jest.fn(),
+  readFileSync: filePath => files[filePath],
+  pathExistsSync: filePath => filePath in files,
+  movePathSync: jest.fn((oldPath, newPath) => {
+    files[newPath] = files[oldPath]
+    delete files[oldPath]
+  }),
+})
+
+const { generalError } = require('KegMocks/utils/error/generalError')
+jest.setMock('KegUtils/error', { generalError })
+
+const throwWrongPassword = jest.fn(() => { throw new Error(`Wrong password`) })
+jest.setMock('KegUtils/error/throwWrongPassword', { throwWrongPassword })
+
+let settings = {}
+jest.setMock('KegUtils/globalConfig/getSetting', { getSetting: jest.fn(key => settings[key]) })
+
+const removeGlobalConfigProp = jest.fn()
+jest.setMock('KegUtils/globalConfig/removeGlobalConfigProp', { removeGlobalConfigProp })
+
+const password = jest.fn(() => Promise.resolve('user-password'))
+jest.setMock('@keg-hub/ask-it', { ask: { password } })
+
+const { encrypt, decrypt } = require('KegCrypto')
+const {
+  getSecret,
+  listSecrets,
+  migrateSecrets,
+  removeSecret,
+  rotateSecrets,
+  setSecret,
+} = require('../index')
+
+/**
+ * Encrypts a value with the legacy format, to test migrating existing values
+ */
+const legacyEncrypt = (str, password) => {
+  const crypto = require('crypto')
+  const iv = crypto.randomBytes(16)
+  const key = crypto.createHash('sha1').update(password || 'a4E36cDq').digest().slice(0, 16)
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, iv)
+  const encrypted = Buffer.concat([ cipher.update(str), cipher.final() ])
+
+  return `${iv.toString('hex')}:${encrypted.toString('hex')}`
+}
+
+const loadFile = () => JSON.parse(files[secretsPath])
+
+describe('secrets', () => {
+
+  beforeEach(() => {
+    files = {}
+    settings = { 'git.secretsKeyFile': true }
+    delete process.env.KEG_SECRETS_KEY
+    writeFileSync.mockClear()
+    password.mockClear()
+    removeGlobalConfigProp.mockClear()
+    throwWrongPassword.mockClear()
+  })
+
+  afterAll(() => {
+    delete process.env.KEG_SECRETS_KEY
+    jest.resetAllMocks()
+  })
+
+  describe('setSecret', () => {
+
+    it('should save the encrypted secret with the generated key', async () => {
+      await setSecret('docker.token', 'my-docker-token')
+
+      const { value, updatedAt } = loadFile()['docker.token']
+      const key = files[keyPath].trim()
+
+      expect(value).not.toContain('my-docker-token')
+      expect(updatedAt).toBeTruthy()
+      expect(decrypt(value, key)).toBe('my-docker-token')
+      expect(writeFileSync.mock.calls.every(([ , , opts ]) => opts.mode === 0o600)).toBe(true)
+    })
+
+    it('should ask for the password when the git.secure setting is set', async () => {
+      settings['git.secure'] = true
+      await setSecret('npm.token', 'my-npm-token')
+
+      expect(password).toHaveBeenCalled()
+      expect(files[keyPath]).toBe(undefined)
+      expect(decrypt(loadFile()['npm.token'].value, 'user-password')).toBe('my-npm-token')
+    })
+
+    it('should use the default password without generating a key file when not opted in', async () => {
+      settings = {}
+      await setSecret('npm.token', 'my-npm-token')
+
+      expect(files[keyPath]).toBe(undefined)
+      expect(password).not.toHaveBeenCalled()
+      expect(await getSecret('npm.token')).toBe('my-npm-token')
+    })
+
+    it('should use the KEG_SECRETS_KEY env before the key file', async () => {
+      process.env.KEG_SECRETS_KEY = 'env-password'
+      await setSecret('npm.token', 'my-npm-token')
+
+      expect(files[keyPath]).toBe(undefined)
+      expect(decrypt(loadFile()['npm.token'].value, 'env-password')).toBe('my-npm-token')
+    })
+
+    it('should not allow invalid secret names', async () => {
+      await expect(setSecret('my secret', 'value')).rejects.toThrow()
+      expect(files[secretsPath]).toBe(undefined)
+    })
+
+  })
+
+  describe('getSecret', () => {
+
+    it('should return the decrypted value of a secret', async () => {
+      await setSecret('npm.token', 'my-npm-token')
+
+      expect(await getSecret('npm.token')).toBe('my-npm-token')
+      expect(await getSecret('docker.token', undefined, {})).toBe(undefined)
+    })
+
+    it('should throw a wrong password error when the secret can not be decrypted', async () => {
+      await setSecret('npm.token', 'my-npm-token')
+
+      await expect(getSecret('npm.token', 'wrong-password')).rejects.toThrow()
+      expect(throwWrongPassword).toHaveBeenCalled()
+    })
+
+  })
+
+  describe('listSecrets', () => {
+
+    it('should list the secret names sorted, without their values', async () => {
+      await setSecret('npm.token', 'my-npm-token')
+      await setSecret('docker.token', 'my-docker-token')
+
+      const secrets = listSecrets()
+
+      expect(secrets.map(secret => secret.name)).toEqual([ 'docker.token', 'npm.token' ])
+      expect(JSON.stringify(secrets)).not.toContain('v2:')
+    })
+
+  })
+
+  describe('removeSecret', () => {
+
+    it('should remove a secret from the secrets file', async () => {
+      await setSecret('npm.token', 'my-npm-token')
+
+      expect(removeSecret('npm.token')).toBe(true)
+      expect(removeSecret('npm.token')).toBe(false)
+      expect(loadFile()).toEqual({})
+    })
+
+  })
+
+  describe('rotateSecrets', () => {
+
+    it('should re-encrypt all secrets with a new generated key', async () => {
+      await setSecret('npm.token', 'my-npm-token')
+      const oldKey = files[keyPath].trim()
+      const oldValue = loadFile()['npm.token'].value
+
+      expect(await rotateSecrets()).toEqual([ 'npm.token' ])
+
+      const newKey = files[keyPath].trim()
+      const { value } = loadFile()['npm.token']
+
+      expect(newKey).not.toBe(oldKey)
+      expect(value).not.toBe(oldValue)
+      expect(decrypt(value, newKey)).toBe('my-npm-token')
+    })
+
+    it('should not change anything when a secret can not be decrypted', async () => {
+      files[keyPath] = 'current-key\n'
+      await setSecret('npm.token', 'my-npm-token')
+      files[secretsPath] = JSON.stringify({
+        ...loadFile(),
+        'docker.token': { value: encrypt('my-docker-token', 'other-key') },
+      })
+      const saved = files[secretsPath]
+
+      await expect(rotateSecrets()).rejects.toThrow()
+      expect(files[secretsPath]).toBe(saved)
+      expect(files[keyPath]).toBe('current-key\n')
+    })
+
+    it('should ask for the new password twice when the git.secure setting is set', async () => {
+      settings['git.secure'] = true
+      await setSecret('npm.token', 'my-npm-token')
+      password.mockImplementationOnce(() => Promise.resolve('user-password'))
+        .mockImplementationOnce(() => Promise.resolve('new-password'))
+        .mockImplementationOnce(() => Promise.resolve('new-password'))
+
+      expect(await rotateSecrets()).toEqual([ 'npm.token' ])
+
+      expect(files[keyPath]).toBe(undefined)
+      expect(Object.keys(files)).toEqual([ secretsPath ])
+      expect(decrypt(loadFile()['npm.token'].value, 'new-password')).toBe('my-npm-token')
+    })
+
+    it('should not change anything when the new passwords do not match', async () => {
+      settings['git.secure'] = true
+      await setSecret('npm.token', 'my-npm-token')
+      const saved = files[secretsPath]
+      password.mockImplementationOnce(() => Promise.resolve('user-password'))
+        .mockImplementationOnce(() => Promise.resolve('new-password'))
+        .mockImplementationOnce(() => Promise.resolve('other-password'))
+
+      await expect(rotateSecrets()).rejects.toThrow()
+      expect(files[secretsPath]).toBe(saved)
+    })
+
+  })
+
+  describe('migrateSecrets', () => {
+
+    it('should move legacy secrets from the global config to the secrets file', async () => {
+      const globalConfig = { cli: { git: { key: legacyEncrypt('my-git-key') } } }
+
+      expect(await migrateSecrets(undefined, globalConfig)).toEqual([ 'git.key' ])
+      expect(removeGlobalConfigProp).toHaveBeenCalledWith(globalConfig, 'cli.git.key')
+      expect(await getSecret('git.key')).toBe('my-git-key')
+    })
+
+    it('should migrate legacy secrets encrypted with the user password', async () => {
+      settings['git.secure'] = true
+      const globalConfig = { cli: { git: { key: legacyEncrypt('my-git-key', 'user-password') } } }
+
+      expect(await getSecret('git.key', undefined, globalConfig)).toBe('my-git-key')
+      expect(decrypt(loadFile()['git.key'].value, 'user-password')).toBe('my-git-key')
+    })
+
+    it('should skip legacy secrets that can not be decrypted', async () => {
+      const globalConfig = { cli: { git: { key: '123456789' } } }
+
+      expect(await migrateSecrets(undefined, globalConfig)).toEqual([])
+      expect(await getSecret('git.key', undefined, globalConfig)).toBe(undefined)
+      expect(removeGlobalConfigProp).not.toHaveBeenCalled()
+      expect(files[keyPath]).toBe(undefined)
+    })
+
+  })
+
+})
@@ -0,0 +1,52 @@
+const { decrypt } = require('KegCrypto')
+const { Logger } = require('KegLog')
+const { loadSecrets } = require('./secretsStore')
+const { migrateSecret } = require('./migrateSecrets')
+const { getSecretsPassword } = require('./getSecretsPassword')
+const { throwWrongPassword } = require('../error/throwWrongPassword')
+
+/**
+ * Decrypts the value of a stored secret
+ * <br/>Throws a wrong password error when it can not be decrypted
+ * @function
+ * @param {string} name - Name of the secret
+ * @param {Object} secret - Stored secret from the secrets file
+ * @param {string} password - Password used to encrypt the secret
+ *
+ * @returns {string} - Decrypted value of the secret
+ */
+const decryptSecret = (name, secret, password) => {
+  try {
+    return decrypt(secret.value, password)
+  }
+  catch(err){
+    throwWrongPassword(`Could not decrypt the "${name}" secret.`)
+  }
+}
+
+/**
+ * Gets the decrypted value of a secret
+ * <br/>If the secret does not exist, tries to migrate it from the legacy global config value
+ * <br/>The value is registered with the Logger, so it's masked in every log
+ * @function
+ * @param {string} name - Name of the secret
+ * @param {string} [password] - Password used to encrypt the secret. Asked for or loaded when not passed
+ * @param {Object} [globalConfig] - Global config object for the keg-cli
+ *
+ * @returns {string|undefined} - Decrypted value of the secret
+ */
+const getSecret = async (name, password, globalConfig) => {
+  const secret = loadSecrets()[name]
+
+  const value = secret
+    ? decryptSecret(name, secret, password || await getSecretsPassword())
+    : await migrateSecret(name, password, globalConfig)
+
+  // Register the value, so it's masked in the logs
+  return Logger.addSecret(value)
+}
+
+module.exports = {
+  decryptSecret,
+  getSecret,
+}
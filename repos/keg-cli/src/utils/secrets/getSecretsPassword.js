@@ -0,0 +1,111 @@
+const path = require('path')
+const crypto = require('crypto')
+const { ask } = require('@keg-hub/ask-it')
+const { getSetting } = require('../globalConfig/getSetting')
+const { GLOBAL_CONFIG_FOLDER, SECRETS_KEY_ENV, SECRETS_KEY_FILE } = require('KegConst/constants')
+const {
+  ensureDirSync,
+  pathExistsSync,
+  readFileSync,
+  writeFileSync,
+} = require('KegFileSys/fileSys')
+
+/**
+ * Password used when the secrets are not secured by a password, env or key file
+ * <br/>It's the same for every install, so the secrets are only obfuscated, not protected
+ * @string
+ */
+const DEFAULT_SECRETS_PASSWORD = 'keg-cli-obfuscated-secrets'
+
+/**
+ * Gets the path to the generated secrets key file in the global config folder
+ * @function
+ *
+ * @returns {string} - Path to the secrets key file
+ */
+const getSecretsKeyPath = () => path.join(GLOBAL_CONFIG_FOLDER, SECRETS_KEY_FILE)
+
+/**
+ * Generates a new random key used to encrypt the secrets
+ * @function
+ *
+ * @returns {string} - Generated key
+ */
+const generateSecretsKey = () => crypto.randomBytes(32).toString('hex')
+
+/**
+ * Saves the key used to encrypt the secrets to the global config folder
+ * <br/>The file is only readable by the current user
+ * @function
+ * @param {string} key - Key used to encrypt the secrets
+ * @param {string} [keyPath] - Path to save the key to. Defaults to the secrets key file
+ *
+ * @returns {string} - Saved key
+ */
+const saveSecretsKey = (key, keyPath=getSecretsKeyPath()) => {
+  ensureDirSync(GLOBAL_CONFIG_FOLDER)
+  writeFileSync(keyPath, key + '\n', { encoding: 'utf8', mode: 0o600 })
+
+  return key
+}
+
+/**
+ * Checks if the user should be asked for the password used to encrypt the secrets
+ * @function
+ *
+ * @returns {boolean} - True when the `git.secure` setting is set
+ */
+const isSecretsSecure = () => Boolean(getSetting(`git.secure`))
+
+/**
+ * Gets where the password used to encrypt the secrets comes from
+ * <br/>password - The `git.secure` setting is set, so the user is asked for it
+ * <br/>env - The KEG_SECRETS_KEY env is set
+ * <br/>file - The `git.secretsKeyFile` setting is set, or a key file was already saved
+ * <br/>default - The default password is used, so the secrets are only obfuscated
+ * @function
+ *
+ * @returns {string} - Source of the secrets password ( password | env | file | default )
+ */
+const getSecretsKeySource = () => {
+  if(isSecretsSecure()) return `password`
+  if(process.env[SECRETS_KEY_ENV]) return `env`
+
+  return getSetting(`git.secretsKeyFile`) || pathExistsSync(getSecretsKeyPath())
+    ? `file`
+    : `default`
+}
+
+/**
+ * Gets the password used to encrypt the secrets, based on its source
+ * <br/>The key file is only generated when the `git.secretsKeyFile` setting is set
+ * @function
+ * @param {string} [message] - Message shown when asking for the password
+ *
+ * @returns {string} - Password used to encrypt the secrets
+ */
+const getSecretsPassword = async (message=`Please enter your password`) => {
+  const keyPath = getSecretsKeyPath()
+
+  switch(getSecretsKeySource()){
+    case `password`:
+      return ask.password(message)
+    case `env`:
+      return process.env[SECRETS_KEY_ENV]
+    case `file`:
+      return pathExistsSync(keyPath)
+        ? readFileSync(keyPath).trim()
+        : saveSecretsKey(generateSecretsKey())
+    default:
+      return DEFAULT_SECRETS_PASSWORD
+  }
+}
+
+module.exports = {
+  generateSecretsKey,
+  getSecretsKeyPath,
+  getSecretsKeySource,
+  getSecretsPassword,
+  isSecretsSecure,
+  saveSecretsKey,
+}
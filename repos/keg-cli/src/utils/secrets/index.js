@@ -0,0 +1,8 @@
+module.exports = {
+  ...require('./getSecret'),
+  ...require('./getSecretsPassword'),
+  ...require('./migrateSecrets'),
+  ...require('./rotateSecrets'),
+  ...require('./secretsStore'),
+  ...require('./setSecret'),
+}
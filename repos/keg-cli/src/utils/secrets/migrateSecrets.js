@@ -0,0 +1,81 @@
+const { Logger } = require('KegLog')
+const { get } = require('@keg-hub/jsutils')
+const { decrypt } = require('KegCrypto')
+const { setSecret } = require('./setSecret')
+const { loadSecrets } = require('./secretsStore')
+const { GLOBAL_CONFIG_PATHS } = require('KegConst/constants')
+const { getGlobalConfig } = require('../globalConfig/getGlobalConfig')
+const { removeGlobalConfigProp } = require('../globalConfig/removeGlobalConfigProp')
+const { getSecretsPassword, isSecretsSecure } = require('./getSecretsPassword')
+
+/**
+ * Secrets that were stored in the global config with the legacy encryption format
+ * <br/>Maps the name of the secret to its path in the global config
+ * @object
+ */
+const LEGACY_SECRETS = {
+  'git.key': `${GLOBAL_CONFIG_PATHS.GIT}.key`,
+  'git.publicToken': `${GLOBAL_CONFIG_PATHS.GIT}.publicToken`,
+}
+
+/**
+ * Moves a secret stored in the global config with the legacy format to the secrets file
+ * <br/>The legacy value is removed from the global config once it's saved to the secrets file
+ * @function
+ * @param {string} name - Name of the secret to migrate
+ * @param {string} [password] - Password used to encrypt the secrets
+ * @param {Object} [globalConfig] - Global config object for the keg-cli
+ *
+ * @returns {string|undefined} - Decrypted value of the migrated secret
+ */
+const migrateSecret = async (name, password, globalConfig=getGlobalConfig()) => {
+  const configPath = LEGACY_SECRETS[name]
+  const legacyValue = configPath && get(globalConfig, configPath)
+  if(!legacyValue) return
+
+  // The legacy format used the same password in secure mode, or a hard-coded salt otherwise
+  const secure = isSecretsSecure()
+  password = password || (secure ? await getSecretsPassword() : undefined)
+
+  let value
+  try {
+    value = decrypt(legacyValue, secure ? password : false)
+  }
+  catch(err){
+    Logger.warn(`Could not migrate the "${name}" secret from the global config.`)
+    Logger.warn(`Run "keg secrets set ${name}" to store it again.`)
+    return
+  }
+
+  await setSecret(name, value, password)
+  removeGlobalConfigProp(globalConfig, configPath)
+
+  return value
+}
+
+/**
+ * Moves all secrets stored in the global config with the legacy format to the secrets file
+ * @function
+ * @param {string} [password] - Password used to encrypt the secrets
+ * @param {Object} [globalConfig] - Global config object for the keg-cli
+ *
+ * @returns {Array} - Names of the migrated secrets
+ */
+const migrateSecrets = async (password, globalConfig=getGlobalConfig()) => {
+  const secrets = loadSecrets()
+
+  return Object.keys(LEGACY_SECRETS).reduce(async (toResolve, name) => {
+    const migrated = await toResolve
+    if(secrets[name]) return migrated
+
+    const value = await migrateSecret(name, password, globalConfig)
+
+    return value === undefined ? migrated : migrated.concat([ name ])
+  }, Promise.resolve([]))
+}
+
+module.exports = {
+  LEGACY_SECRETS,
+  migrateSecret,
+  migrateSecrets,
+}
@@ -0,0 +1,98 @@
+const { Logger } = require('KegLog')
+const { ask } = require('@keg-hub/ask-it')
+const { encrypt } = require('KegCrypto')
+const { SECRETS_KEY_ENV } = require('KegConst/constants')
+const { generalError } = require('KegUtils/error')
+const { movePathSync } = require('KegFileSys/fileSys')
+const { decryptSecret } = require('./getSecret')
+const { getSecretsPath, loadSecrets, saveSecrets } = require('./secretsStore')
+const {
+  generateSecretsKey,
+  getSecretsKeyPath,
+  getSecretsKeySource,
+  getSecretsPassword,
+  saveSecretsKey,
+} = require('./getSecretsPassword')
+
+/**
+ * Asks the user for the new password of the secrets twice, and ensures both match
+ * @function
+ *
+ * @returns {string} - New password of the secrets
+ */
+const askNewPassword = async () => {
+  const newPassword = await ask.password(`Please enter a new password`)
+  const confirmed = await ask.password(`Please confirm the new password`)
+
+  return newPassword === confirmed
+    ? newPassword
+    : generalError(`The new passwords do not match. The secrets were not changed!`)
+}
+
+/**
+ * Gets the new password of the secrets, based on where the current password comes from
+ * <br/>A new key is generated for the key file, and the default password is kept as is
+ * @function
+ * @param {string} source - Source of the secrets password ( password | env | file | default )
+ *
+ * @returns {string} - New password of the secrets
+ */
+const getNewPassword = async source => {
+  switch(source){
+    case `file`:
+      return generateSecretsKey()
+    case `default`:
+      return getSecretsPassword()
+    default:
+      return askNewPassword()
+  }
+}
+
+/**
+ * Re-encrypts all stored secrets with a new password or generated key
+ * <br/>Every secret gets a new salt and iv, even when the password does not change
+ * @function
+ * @param {string} [password] - Current password of the secrets. Asked for or loaded when not passed
+ * @param {string} [newPassword] - New password of the secrets. Asked for or generated when not passed
+ *
+ * @returns {Array} - Names of the rotated secrets
+ */
+const rotateSecrets = async (password, newPassword) => {
+  const secrets = loadSecrets()
+  const names = Object.keys(secrets)
+  if(!names.length) return names
+
+  password = password || await getSecretsPassword()
+
+  // Decrypt all secrets first, so nothing is changed if one can not be decrypted
+  const decrypted = names.map(name => decryptSecret(name, secrets[name], password))
+
+  const source = getSecretsKeySource()
+  newPassword = newPassword || await getNewPassword(source)
+
+  const updatedAt = new Date().toISOString()
+  const rotated = names.reduce((rotated, name, index) => {
+    rotated[name] = { value: encrypt(decrypted[index], newPassword), updatedAt }
+    return rotated
+  }, {})
+
+  // Write the key and secrets to temp files, then move them in place
+  // So a failed write never leaves secrets that the saved key can not decrypt
+  const secretsPath = getSecretsPath()
+  const keyPath = getSecretsKeyPath()
+  const useKeyFile = source === `file`
+  saveSecrets(rotated, `${secretsPath}.tmp`)
+  useKeyFile && saveSecretsKey(newPassword, `${keyPath}.tmp`)
+
+  useKeyFile && movePathSync(`${keyPath}.tmp`, keyPath)
+  movePathSync(`${secretsPath}.tmp`, secretsPath)
+
+  source === `env` &&
+    Logger.warn(`Update the ${SECRETS_KEY_ENV} env to the new password, so the secrets can be decrypted!`)
+
+  return names
+}
+
+module.exports = {
+  rotateSecrets
+}
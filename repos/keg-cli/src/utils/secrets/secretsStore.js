@@ -0,0 +1,122 @@
+const path = require('path')
+const { generalError } = require('KegUtils/error')
+const { GLOBAL_CONFIG_FOLDER, SECRETS_FILE } = require('KegConst/constants')
+const {
+  ensureDirSync,
+  pathExistsSync,
+  readFileSync,
+  writeFileSync,
+} = require('KegFileSys/fileSys')
+
+/**
+ * Allowed characters of a secret name. Dots are used to group secrets ( I.E. docker.token )
+ * @RegExp
+ */
+const SECRET_NAME_MATCH = /^[a-zA-Z0-9_.-]+$/
+
+/**
+ * Gets the path to the secrets file in the global config folder
+ * @function
+ *
+ * @returns {string} - Path to the secrets file
+ */
+const getSecretsPath = () => path.join(GLOBAL_CONFIG_FOLDER, SECRETS_FILE)
+
+/**
+ * Ensures the name of a secret only contains allowed characters
+ * @function
+ * @param {string} name - Name of the secret
+ *
+ * @returns {string} - Name of the secret
+ */
+const validateSecretName = name => {
+  return SECRET_NAME_MATCH.test(name || '')
+    ? name
+    : generalError(`Invalid secret name "${name}". Only letters, numbers, "_", "-" and "." are allowed`)
+}
+
+/**
+ * Loads the encrypted secrets from the global config folder
+ * <br/>Each key is the name of a secret, mapped to its encrypted value and update date
+ * @function
+ *
+ * @returns {Object} - Encrypted secrets, or an empty object if none exist
+ */
+const loadSecrets = () => {
+  const secretsPath = getSecretsPath()
+  if(!pathExistsSync(secretsPath)) return {}
+
+  try {
+    return JSON.parse(readFileSync(secretsPath))
+  }
+  catch(err){
+    generalError(`Could not parse the secrets file => ${secretsPath}`, err.message)
+  }
+}
+
+/**
+ * Saves the encrypted secrets to the global config folder
+ * <br/>The file is only readable by the current user
+ * @function
+ * @param {Object} secrets - Encrypted secrets to save
+ * @param {string} [secretsPath] - Path to save the secrets to. Defaults to the secrets file
+ *
+ * @returns {Object} - Saved secrets
+ */
+const saveSecrets = (secrets, secretsPath=getSecretsPath()) => {
+  ensureDirSync(GLOBAL_CONFIG_FOLDER)
+  writeFileSync(
+    secretsPath,
+    JSON.stringify(secrets, null, 2) + '\n',
+    { encoding: 'utf8', mode: 0o600 }
+  )
+
+  return secrets
+}
+
+/**
+ * Checks if a secret exists in the secrets file
+ * @function
+ * @param {string} name - Name of the secret
+ *
+ * @returns {boolean} - True if the secret exists
+ */
+const hasSecret = name => Boolean(loadSecrets()[name])
+
+/**
+ * Lists the names and update dates of the stored secrets, without their values
+ * @function
+ *
+ * @returns {Array} - Stored secrets => { name, updatedAt }
+ */
+const listSecrets = () => {
+  return Object.entries(loadSecrets())
+    .map(([ name, { updatedAt } ]) => ({ name, updatedAt }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Removes a secret from the secrets file
+ * @function
+ * @param {string} name - Name of the secret
+ *
+ * @returns {boolean} - True if the secret existed and was removed
+ */
+const removeSecret = name => {
+  const { [name]: secret, ...secrets } = loadSecrets()
+  if(!secret) return false
+
+  saveSecrets(secrets)
+
+  return true
+}
+
+module.exports = {
+  getSecretsPath,
+  hasSecret,
+  listSecrets,
+  loadSecrets,
+  removeSecret,
+  saveSecrets,
+  validateSecretName,
+}
@@ -0,0 +1,27 @@
+const { encrypt } = require('KegCrypto')
+const { getSecretsPassword } = require('./getSecretsPassword')
+const { loadSecrets, saveSecrets, validateSecretName } = require('./secretsStore')
+
+/**
+ * Encrypts a secret, then saves it to the secrets file
+ * @function
+ * @param {string} name - Name of the secret
+ * @param {string} value - Plain text value of the secret
+ * @param {string} [password] - Password used to encrypt the secret. Asked for or loaded when not passed
+ *
+ * @returns {Object} - Saved secrets
+ */
+const setSecret = async (name, value, password) => {
+  validateSecretName(name)
+
+  const encrypted = encrypt(value, password || await getSecretsPassword())
+
+  return saveSecrets({
+    ...loadSecrets(),
+    [name]: { value: encrypted, updatedAt: new Date().toISOString() },
+  })
+}
+
+module.exports = {
+  setSecret
+}
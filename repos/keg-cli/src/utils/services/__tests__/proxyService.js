@@ -32,6 +32,11 @@ describe('proxyService', () => {
     expect(internalTaskMock.mock.calls[0][0]).toBe('proxy.tasks.start')
   })
 
+  it(`passes the port conflict policy to the proxy start task`, async () => {
+    await proxyService({ globalConfig, params: { onPortConflict: 'remap' } })
+    expect(internalTaskMock.mock.calls[0][1].params).toEqual({ onPortConflict: 'remap' })
+  })
+
   it(`does not call the proxy start task when the container already exists`, async () => {
     global.testDocker.containers[`keg-proxy`] = true
     await proxyService({ globalConfig, params: {} })
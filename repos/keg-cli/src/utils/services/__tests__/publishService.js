@@ -0,0 +1,258 @@
+const path = require('path')
+const { GLOBAL_CONFIG_FOLDER, PUBLISH_STATE_FILE } = require('KegConst/constants')
+const { publish } = require('KegScripts/setup/cli.config.json')
+const globalConfig = { ...global.getGlobalCliConfig(), publish }
+
+const statePath = path.join(GLOBAL_CONFIG_FOLDER, PUBLISH_STATE_FILE)
+let files = {}
+
+jest.setMock('KegFileSys/fileSys', {
+  copySync: jest.fn(),
+  emptyDirSync: jest.fn(),
+  writeFileSync: jest.fn((filePath, data) => files[filePath] = data),
+  readFileSync: filePath => files[filePath],
+  pathExistsSync: filePath => filePath in files,
+  removeFileSync: jest.fn(filePath => delete files[filePath]),
+})
+
+const generalError = jest.fn(message => { throw new Error(message) })
+jest.setMock('../../error/generalError', { generalError })
+jest.setMock('KegUtils/error', { generalError })
+
+jest.setMock('KegGitCli', {
+  git: {
+    branch: { name: jest.fn(() => Promise.resolve('develop')) },
+    repo: { commitHash: jest.fn(() => Promise.resolve('abc1234')) },
+  }
+})
+
+let failPush = false
+const spawnCmd = jest.fn(cmd => {
+  return failPush && cmd.indexOf('git push') === 0
+    ? Promise.reject(new Error(`Push failed`))
+    : Promise.resolve(0)
+})
+jest.setMock('KegProc', { spawnCmd })
+
+const confirm = jest.fn(() => Promise.resolve(true))
+jest.setMock('@keg-hub/ask-it', { ask: { confirm } })
+
+const repos = [
+  {
+    repo: 're-theme',
+    location: '/keg-hub/repos/re-theme',
+    package: {
+      name: '@keg-hub/re-theme',
+      version: '8.0.0',
+      scripts: { test: 'jest', build: 'rollup' },
+    }
+  },
+  {
+    repo: 'keg-components',
+    location: '/keg-hub/repos/keg-components',
+    package: {
+      name: '@keg-hub/keg-components',
+      version: '8.0.0',
+      scripts: { test: 'jest', build: 'rollup' },
+      peerDependencies: { '@keg-hub/re-theme': '8.0.0' },
+    }
+  },
+  {
+    repo: 'keg-core',
+    location: '/keg-hub/repos/keg-core',
+    package: {
+      name: '@keg-hub/keg-core',
+      version: '8.0.0',
+      scripts: { test: 'jest', build: 'rollup' },
+      dependencies: { '@keg-hub/keg-components': '8.0.0' },
+    }
+  },
+]
+jest.setMock('../../hub/getHubRepos', { getHubRepos: jest.fn(() => Promise.resolve(repos)) })
+
+const versionService = jest.fn(() => Promise.resolve())
+jest.setMock('../versionService', { versionService })
+
+let failScript
+const runRepoScript = jest.fn((repo, script, errorCB) => {
+  return failScript && failScript.repo === repo.repo && script.indexOf(failScript.script) === 0
+    ? errorCB()
+    : Promise.resolve(true)
+})
+jest.setMock('../../hub/runRepoScript', { runRepoScript })
+
+jest.setMock('../../secrets/secretsStore', { hasSecret: jest.fn(() => false) })
+jest.setMock('../../secrets/getSecret', { getSecret: jest.fn() })
+const getValidSemver = jest.fn()
+const getVersionUpdate = jest.fn((repo, version) => Promise.resolve(version))
+jest.setMock('KegUtils/version', { getValidSemver, getVersionUpdate })
+
+const { publishService } = require('../publishService')
+
+const publishArgs = { tasks: {} }
+const publishParams = { context: 'keg', confirm: false, version: '8.1.0' }
+const resumeParams = { resume: true, confirm: false }
+
+const versionedRepos = () => versionService.mock.calls.map(([ args, { repo } ]) => repo.repo)
+const scriptsRun = name => runRepoScript.mock.calls
+  .filter(([ repo ]) => repo.repo === name)
+  .map(([ repo, script ]) => script.split(' ')[0])
+const gitCmds = name => spawnCmd.mock.calls
+  .filter(([ cmd, { cwd } ]) => cwd.endsWith(name))
+  .map(([ cmd ]) => cmd.split(' ').slice(0, 2).join(' '))
+
+const saveState = failed => {
+  files[statePath] = JSON.stringify({
+    context: 'keg',
+    versionNumber: '8.1.0',
+    order: [ 're-theme', 'keg-components', 'keg-core' ],
+    originalBranch: 'develop',
+    completed: [{ repo: 're-theme', newVersion: '8.1.0', isPublished: true }],
+    failed: {
+      repo: 'keg-components',
+      currentBranch: 'keg-8.1.0-abc1234',
+      ...failed,
+    },
+  })
+}
+
+describe('publishService', () => {
+
+  beforeEach(() => {
+    files = {}
+    failPush = false
+    failScript = undefined
+    confirm.mockClear()
+    spawnCmd.mockClear()
+    generalError.mockClear()
+    runRepoScript.mockClear()
+    versionService.mockClear()
+    getValidSemver.mockClear()
+    getVersionUpdate.mockClear()
+  })
+
+  afterAll(() => jest.resetAllMocks())
+
+  it('should publish all repos, and clear the publish state', async () => {
+    files[statePath] = '{}'
+
+    const published = await publishService({ globalConfig, params: publishParams }, publishArgs)
+
+    expect(published.map(repo => repo.repo)).toEqual([ 're-theme', 'keg-components', 'keg-core' ])
+    expect(versionedRepos()).toEqual([ 're-theme', 'keg-components', 'keg-core' ])
+    expect(statePath in files).toBe(false)
+  })
+
+  it('should log the plan of a dry-run without asking any questions', async () => {
+    const { Logger } = require('KegLog')
+    Logger.pair.mockClear()
+
+    const result = await publishService({ globalConfig, params: { context: 'keg', dryrun: true } }, publishArgs)
+
+    expect(result).toBe(undefined)
+    expect(confirm).not.toHaveBeenCalled()
+    expect(getValidSemver).not.toHaveBeenCalled()
+    expect(getVersionUpdate).not.toHaveBeenCalled()
+    expect(versionService).not.toHaveBeenCalled()
+    expect(runRepoScript).not.toHaveBeenCalled()
+    expect(spawnCmd).not.toHaveBeenCalled()
+    expect(Logger.pair).toHaveBeenCalledWith(`     Version:`, `8.0.0 => 8.0.0`)
+  })
+
+  it('should apply the passed in version type to the dry-run plan', async () => {
+    const { Logger } = require('KegLog')
+    Logger.pair.mockClear()
+
+    await publishService({ globalConfig, params: { context: 'keg', dryrun: true, version: 'minor' } }, publishArgs)
+
+    expect(Logger.pair).toHaveBeenCalledWith(`     Version:`, `8.0.0 => 8.1.0`)
+  })
+
+  it('should keep the state, and fail the task when a repo fails to publish', async () => {
+    failScript = { repo: 'keg-components', script: 'build' }
+
+    await expect(publishService({ globalConfig, params: publishParams }, publishArgs))
+      .rejects.toThrow(`Publish failed for keg-components on step 3 (build)!`)
+
+    // The repos after the failed repo are not published
+    expect(versionedRepos()).toEqual([ 're-theme', 'keg-components' ])
+
+    const state = JSON.parse(files[statePath])
+    expect(state.completed.map(done => done.repo)).toEqual([ 're-theme' ])
+    expect(state.failed).toEqual(expect.objectContaining({
+      repo: 'keg-components',
+      step: { number: 3, name: 'build' },
+      rolledBack: true,
+      isPublished: false,
+    }))
+    expect(gitCmds('keg-components')).toEqual([ 'git reset', 'git clean' ])
+  })
+
+  it('should not rollback a repo that was already published', async () => {
+    failPush = true
+
+    await expect(publishService({ globalConfig, params: publishParams }, publishArgs))
+      .rejects.toThrow(`Publish failed for re-theme on step 9 (git-push)!`)
+
+    const { failed } = JSON.parse(files[statePath])
+    expect(failed).toEqual(expect.objectContaining({
+      step: { number: 9, name: 'git-push' },
+      rolledBack: false,
+      isPublished: true,
+      currentBranch: 'keg-8.1.0-abc1234',
+    }))
+    expect(gitCmds('re-theme')).not.toContain('git reset')
+    expect(gitCmds('re-theme')).not.toContain('git checkout')
+  })
+
+  it('should fail the task when the rollback is cancelled', async () => {
+    failScript = { repo: 're-theme', script: 'test' }
+    // Confirm the publish, then cancel the git reset
+    confirm
+      .mockImplementationOnce(() => Promise.resolve(true))
+      .mockImplementationOnce(() => Promise.resolve(false))
+
+    await expect(publishService({ globalConfig, params: { ...publishParams, confirm: true } }, publishArgs))
+      .rejects.toThrow(`Publish failed for re-theme on step 2 (test)!`)
+
+    expect(gitCmds('re-theme')).not.toContain('git reset')
+    expect(JSON.parse(files[statePath]).failed.rolledBack).toBe(false)
+  })
+
+  it('should resume the failed repo from the failed step, and skip completed repos', async () => {
+    saveState({ step: { number: 9, name: 'git-push' }, rolledBack: false, isPublished: true })
+
+    const published = await publishService({ globalConfig, params: resumeParams }, publishArgs)
+
+    // re-theme was completed, and keg-components resumes after the version step
+    expect(versionedRepos()).toEqual([ 'keg-core' ])
+    expect(scriptsRun('re-theme')).toEqual([])
+    expect(scriptsRun('keg-components')).toEqual([])
+    expect(gitCmds('keg-components')).toEqual([ 'git push' ])
+    expect(scriptsRun('keg-core')).toEqual([ 'test', 'build', 'publish' ])
+
+    const componentsRepo = published.find(repo => repo.repo === 'keg-components')
+    expect(componentsRepo.isPublished).toBe(true)
+    expect(published.map(repo => repo.repo)).toEqual([ 're-theme', 'keg-components', 'keg-core' ])
+    expect(statePath in files).toBe(false)
+  })
+
+  it('should restart a rolled back repo from the first step', async () => {
+    saveState({ step: { number: 3, name: 'build' }, rolledBack: true, isPublished: false })
+
+    await publishService({ globalConfig, params: resumeParams }, publishArgs)
+
+    expect(versionedRepos()).toEqual([ 'keg-components', 'keg-core' ])
+    expect(scriptsRun('keg-components')).toEqual([ 'test', 'build', 'publish' ])
+  })
+
+  it('should return null without publishing when the resume is cancelled', async () => {
+    saveState({ step: { number: 3, name: 'build' }, rolledBack: true, isPublished: false })
+    confirm.mockImplementationOnce(() => Promise.resolve(false))
+
+    expect(await publishService({ globalConfig, params: { resume: true } }, publishArgs)).toBe(null)
+    expect(versionService).not.toHaveBeenCalled()
+    expect(statePath in files).toBe(true)
+  })
+
+})
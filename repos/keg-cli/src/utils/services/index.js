@@ -6,6 +6,7 @@ module.exports = {
   ...require('./getServiceArgs'),
   ...require('./mutagenService'),
   ...require('./packageService'),
+  ...require('./portService'),
   ...require('./restartService'),
   ...require('./serviceOptions'),
   ...require('./startService'),
@@ -83,6 +83,24 @@ const checkYmlFile = async (containerPath, fileName) => {
   return hasYml
 }
 
+/**
+ * Builds the KEG ENVs that point to the injected apps container files
+ * @function
+ * @param {string} injectPath - Local path to the app to be injected
+ * @param {Object} containerPaths - Paths to the apps container files
+ *
+ * @returns {Object} - ENVs of the injected apps paths
+ */
+const buildInjectedEnvs = (injectPath, containerPaths) => ({
+  KEG_CONTEXT_PATH: injectPath,
+  KEG_CONTAINER_PATH: containerPaths.containerPath,
+  KEG_MUTAGEN_FILE: containerPaths.mutagenPath,
+  KEG_DOCKER_FILE: containerPaths.dockerPath,
+  KEG_VALUES_FILE: containerPaths.valuesPath,
+  KEG_COMPOSE_DEFAULT: containerPaths.composePath,
+  KEG_COMPOSE_SERVICE: containerPaths.serviceName,
+})
+
 /**
  * Calls the docker constants inject methods
  * <br/>Adds the app and container paths to the docker constants at runtime
@@ -104,15 +122,7 @@ const injectData = async ({ app, injectPath }, currentEnv, containerPaths) => {
   injectContainer(app, currentEnv, {
     ...containerPaths,
     // Add the KEG ENVS for the correct paths when running docker commands
-    ENVS: {
-      KEG_CONTEXT_PATH: injectPath,
-      KEG_CONTAINER_PATH: containerPaths.containerPath,
-      KEG_MUTAGEN_FILE: containerPaths.mutagenPath,
-      KEG_DOCKER_FILE: containerPaths.dockerPath,
-      KEG_VALUES_FILE: containerPaths.valuesPath,
-      KEG_COMPOSE_DEFAULT: containerPaths.composePath,
-      KEG_COMPOSE_SERVICE: containerPaths.serviceName,
-    }
+    ENVS: buildInjectedEnvs(injectPath, containerPaths),
   })
 
 }
@@ -289,5 +299,6 @@ const injectService = async args => {
 }
 
 module.exports = {
+  buildInjectedEnvs,
   injectService
 }
\ No newline at end of file
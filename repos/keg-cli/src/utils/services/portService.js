@@ -0,0 +1,91 @@
+const { Logger } = require('KegLog')
+const { get, uniqArr } = require('@keg-hub/jsutils')
+const { getServiceArgs } = require('./getServiceArgs')
+const { getSetting } = require('../globalConfig/getSetting')
+const { buildCmdContext } = require('../builders/buildCmdContext')
+const { buildContextEnvs } = require('../builders/buildContextEnvs')
+const { loadComposeConfig } = require('../docker/compose/loadComposeConfig')
+const { findPortConflicts, getComposePorts, resolvePortConflicts } = require('../ports')
+
+/**
+ * Gets the paths to the docker-compose files used to start the service
+ * <br/>Uses the same ENVs as buildComposeCmd to find the compose files
+ * @function
+ * @param {string} cmdContext - Context of the service being started
+ * @param {Object} params - Params passed to the current task
+ * @param {Object} contextEnvs - ENVs of the service being started
+ *
+ * @returns {Array} - Paths to the docker-compose files
+ */
+const getComposePaths = (cmdContext, params, contextEnvs) => {
+  const env = get(params, 'env', 'LOCAL')
+  const container = cmdContext.toUpperCase()
+
+  return uniqArr([
+    get(params, '__injected.composePath') || contextEnvs.KEG_COMPOSE_DEFAULT,
+    contextEnvs.KEG_COMPOSE_REPO,
+    contextEnvs[`KEG_COMPOSE_${ env }`],
+    contextEnvs[`KEG_COMPOSE_${ container }_${ env }`],
+  ].filter(Boolean))
+}
+
+/**
+ * Gets the host ports published by the docker-compose files of the service
+ * <br/>The same port defined in multiple compose files is only returned once
+ * @function
+ * @param {Array} composePaths - Paths to the docker-compose files
+ * @param {Object} contextEnvs - ENVs used to resolve the compose variables
+ *
+ * @returns {Array} - Published host ports
+ */
+const getServicePorts = async (composePaths, contextEnvs) => {
+  const ports = await composePaths.reduce(async (toResolve, composePath) => {
+    const found = await toResolve
+    const composeConfig = await loadComposeConfig({ composePath, skipThrow: true })
+
+    return found.concat(getComposePorts(composeConfig, contextEnvs))
+  }, Promise.resolve([]))
+
+  return ports.filter((port, index) => ports.findIndex(item => item.port === port.port) === index)
+}
+
+/**
+ * Checks the host ports of a service are free before it's started
+ * <br/>Conflicts are resolved based on the --on-port-conflict option, or the docker.onPortConflict setting
+ * @function
+ * @param {Object} args - Default task arguments passed from the runTask method
+ * @param {Object} exArgs - Extra arguments to run the service
+ * @param {string} exArgs.context - The context of the service being started
+ * @param {string} exArgs.container - Name of the container being started
+ *
+ * @returns {Object} - Task arguments, with the ENVs of remapped ports added to the envs
+ */
+const portService = async (args, exArgs={}) => {
+  const { globalConfig, envs={} } = args
+  const policy = get(args, 'params.onPortConflict') || getSetting('docker.onPortConflict') || 'ask'
+  if(policy === 'ignore') return args
+
+  const { params } = getServiceArgs(args, exArgs)
+  const { cmdContext, tap } = await buildCmdContext({ globalConfig, params, askFor: false })
+
+  const contextEnvs = await buildContextEnvs({ cmdContext, envs, globalConfig, params, tap })
+  const ports = await getServicePorts(getComposePaths(cmdContext, params, contextEnvs), contextEnvs)
+
+  const container = contextEnvs.CONTAINER_NAME || get(params, '__injected.container') || exArgs.container
+  const conflicts = await findPortConflicts(ports, container)
+  if(!conflicts.length) return args
+
+  const remapped = await resolvePortConflicts(conflicts, {
+    policy,
+    envs: contextEnvs,
+    exclude: ports.map(({ port }) => port),
+  })
+
+  Object.keys(remapped).length && Logger.empty()
+
+  return { ...args, envs: { ...envs, ...remapped } }
+}
+
+module.exports = {
+  portService
+}
@@ -1,4 +1,5 @@
 const docker = require('KegDocCli')
+const { get } = require('@keg-hub/jsutils')
 const { runInternalTask } = require('KegUtils/task/runInternalTask')
 
 /**
@@ -19,9 +20,10 @@ const proxyService = async args => {
 
   // If the proxy container does not exist, then start it
   // This will ensure we can route traffic to it
+  // The proxy start task checks its ports, so pass on the port conflict policy
   return exists || await runInternalTask(`proxy.tasks.start`, {
     ...args,
-    params: {},
+    params: { onPortConflict: get(args, 'params.onPortConflict') },
   })
 
 }
@@ -3,13 +3,21 @@ const { Logger } = require('KegLog')
 const { spawnCmd } = require('KegProc')
 const { ask } = require('@keg-hub/ask-it')
 const { copySync, emptyDirSync } = require('KegFileSys/fileSys')
-const { get, exists } = require('@keg-hub/jsutils')
+const { get, exists, pickKeys } = require('@keg-hub/jsutils')
 const { getHubRepos } = require('../hub/getHubRepos')
 const { versionService } = require('./versionService')
 const { generalError } = require('../error/generalError')
 const { runRepoScript } = require('../hub/runRepoScript')
+const { getSecret } = require('../secrets/getSecret')
+const { hasSecret } = require('../secrets/secretsStore')
 const { getPublishContext } = require('../publish/getPublishContext')
 const { getPublishContextOrder } = require('../publish/getPublishContextOrder')
+const { buildPublishPlan, getPlanVersion } = require('../publish/buildPublishPlan')
+const {
+  clearPublishState,
+  loadPublishState,
+  savePublishState
+} = require('../publish/publishState')
 const { getVersionUpdate, getValidSemver } = require('KegUtils/version')
 
 /**
@@ -30,37 +38,115 @@ const validatePublishTask = async (repo, runTask, scriptName, errorCB) => {
   }
 }
 
+/**
+ * Gets the envs for the yarn publish command
+ * <br/>Adds the NPM_TOKEN from the secrets store, when an npm.token secret exists
+ * @function
+ *
+ * @returns {Object|undefined} - Envs to add to the yarn publish process
+ */
+const getPublishEnvs = async () => {
+  return hasSecret(`npm.token`)
+    ? { NPM_TOKEN: await getSecret(`npm.token`) }
+    : undefined
+}
+
+/**
+ * Checks if a publish step should be run, and sets it as the current step
+ * <br/>When resuming a failed publish, steps before the failed step are skipped
+ * @param {Object} publishArgs - Define the state or the repo being published
+ * @param {number} number - Number of the step in the publish pipeline
+ * @param {string} name - Name of the step in the publish pipeline
+ *
+ * @returns {boolean} - True if the step should be run
+ */
+const runStep = (publishArgs, number, name) => {
+  if(publishArgs.resumeStep > number) return false
+
+  publishArgs.step = { number, name }
+  return true
+}
+
+/**
+ * Builds the published repo object returned by the publish service
+ * @param {Object} repo - Repo that was published
+ * @param {Object} publishArgs - Define the state or the repo being published
+ *
+ * @returns {Object} - Repo joined with its publish state
+ */
+const toPublished = (repo, { pipeline, resumeStep, ...publishArgs }) => ({ ...repo, ...publishArgs })
+
+/**
+ * Logs how to resume a failed publish from the saved publish state
+ * @param {string} statePath - Path to the saved publish state file
+ *
+ * @returns {Void}
+ */
+const logResume = statePath => {
+  Logger.empty()
+  Logger.pair(`Publish state saved to:`, statePath)
+  Logger.pair(`Continue the publish by running:`, `keg hub publish --resume`)
+  Logger.empty()
+}
+
+/**
+ * Logs the step a repo failed on, then fails the publish task
+ * <br/>Exits with a non-zero code, so the failure is not seen as a success
+ * @function
+ * @param {Object} repo - Repo that failed to publish
+ * @param {{number:Number, name:string}} step - Step the repo failed on
+ *
+ * @returns {Void}
+ */
+const throwPublishFailed = (repo, step) => {
+  generalError(`Publish failed for ${repo.repo} on step ${step.number} (${step.name})!`)
+}
+
 /**
  * Attempts to rollback changes made to a repo using git
+ * <br/>Always fails the publish task, and keeps the publish state so it can be resumed
  * @function
  * @param {Object} repo - Repo to be rolled back
  * @param {Object} publishArgs - Define the state or the repo being published
  * @param {string} publishArgs.currentBranch
  * @param {string} publishArgs.newVersion - i.e '1.0.0'
- * @param {Boolean} publishArgs.wasPublished - whether yarn publish was executed
+ * @param {Boolean} publishArgs.isPublished - whether yarn publish was executed
  * @param {{number:Number, name:string}} publishArgs.step - current step information
  * @param {boolean} [confirm=true] - Should the updates be confirmed by the user
  *
  * @returns {Void}
  */
 const rollbackChanges = async (repo, publishArgs, confirm=true) => {
-  const { originalBranch, currentBranch, newVersion, wasPublished, step } = publishArgs
+  const { originalBranch, currentBranch, newVersion, isPublished, step } = publishArgs
 
   logFormal(repo, `Publish service failed on step ${step.number}!\nRolling back publish changes...`)
 
+  // Save the publish state, so the publish can be resumed from the failed step
+  const statePath = savePublishState(repo, publishArgs)
+
+  // Resetting a published repo would make a resume publish the same version again
+  // So keep the changes, and resume from the failed step
+  if(isPublished){
+    Logger.warn(`\nCan not rollback changes, version ${newVersion} was already published to NPM!\n`)
+    logResume(statePath)
+    return throwPublishFailed(repo, step)
+  }
+
+  if(!currentBranch){
+    Logger.warn(`\nCan not rollback changes, Original git branch does not exist!\n`)
+    logResume(statePath)
+    return throwPublishFailed(repo, step)
+  }
+
   const doGitReset = confirm
     ? await ask.confirm(`Confirm running a full git reset. ALL CHANGES WILL BE LOST`)
     : true
 
   if(!doGitReset) {
     Logger.warn(`Canceling git reset. Rollback did not complete. Current git branch is not clean!`)
-    process.exit(0)
+    logResume(statePath)
+    return throwPublishFailed(repo, step)
   }
-  if(step.number > 3 && wasPublished)
-    return Logger.warn(`\nCan not rollback changes, version ${newVersion} was already published to NPM!\n`)
-
-  if(!currentBranch)
-    return Logger.warn(`\nCan not rollback changes, Original git branch does not exist!\n`)
 
   // Do a full git reset
   logFormal(repo, `Resetting git to branch ${currentBranch}`)
@@ -74,9 +160,13 @@ const rollbackChanges = async (repo, publishArgs, confirm=true) => {
     await runGitCmd(`branch -D ${currentBranch}`, repo.location)
   }
 
+  // The failed repo was reset, so a resume must start it from the first step
+  savePublishState(repo, { ...publishArgs, currentBranch: originalBranch }, true)
+
   logFormal(repo, `Finished rolling back changes.`)
+  logResume(statePath)
 
-  process.exit(0)
+  throwPublishFailed(repo, step)
 }
 
 /**
@@ -91,7 +181,24 @@ const confirmPublish = async context => {
   if(resp) return true
   
   Logger.warn(`Publish with config ${context} cancelled!`)
-  process.exit(0)
+  return false
+}
+
+/**
+ * Asks the user to confirm resuming a failed publish
+ * @function
+ * @param {Object} state - Saved state of the failed publish
+ *
+ * @returns {Promise<Boolean>} true if the failed publish should be resumed
+ */
+const confirmResume = async ({ context, versionNumber, failed }) => {
+  const resp = await ask.confirm(
+    `Resume publish ${context} version ${versionNumber} from ${failed.repo} step ${failed.step.number} (${failed.step.name})?`
+  )
+  if(resp) return true
+
+  Logger.warn(`Resume publish with config ${context} cancelled!`)
+  return false
 }
 
 /**
@@ -141,41 +248,36 @@ const runGitCmd = (cmd, location) => {
 const gitBranchCommitUpdates = async (repo, publishArgs, updated, params) => {
 
   const { newVersion, context, remote='origin', currentBranch } = publishArgs
-  const { dryrun, confirm=true } = params
-
-  try {
-    logFormal(repo, `Running commit service`)
-    // Build a new branch for the version
-    publishArgs.step = { number: 5, name: 'git-branch' }
-    const newBranch = `${context}-${newVersion}-${await git.repo.commitHash({ location: repo.location })}`
-
-    // Create a new branch for the repo and version
-    publishArgs.step = { number: 6, name: 'git-checkout' }
-    if (newBranch !== currentBranch) {
-      await runGitCmd(`switch -c ${newBranch}`, repo.location)
-      publishArgs.currentBranch = newBranch
-    }
 
-    // Add the build changes
-    publishArgs.step = { number: 7, name: 'git-add' }
+  logFormal(repo, `Running commit service`)
+  // Build a new branch for the version
+  // When resuming after the branch was created, use the existing branch
+  runStep(publishArgs, 5, 'git-branch')
+  const newBranch = publishArgs.resumeStep > 6
+    ? currentBranch
+    : `${context}-${newVersion}-${await git.repo.commitHash({ location: repo.location })}`
+
+  // Create a new branch for the repo and version
+  if(runStep(publishArgs, 6, 'git-checkout') && newBranch !== currentBranch){
+    await runGitCmd(`switch -c ${newBranch}`, repo.location)
+    publishArgs.currentBranch = newBranch
+  }
+
+  // Add the build changes
+  runStep(publishArgs, 7, 'git-add') &&
     await runGitCmd(`add --all`, repo.location)
 
-    // Commit the changes
-    publishArgs.step = { number: 8, name: 'git-commit' }
-    const message = `Updating ${context} to version ${newVersion}`
-    !dryrun && await runGitCmd(`commit -m \"${message}\"`, repo.location)
+  // Commit the changes
+  const message = `Updating ${context} to version ${newVersion}`
+  runStep(publishArgs, 8, 'git-commit') &&
+    await runGitCmd(`commit -m \"${message}\"`, repo.location)
 
-    // Push the branch to github
-    publishArgs.step = { number: 9, name: 'git-push' }
-    !dryrun && await runGitCmd(`push ${remote} ${newBranch}`, repo.location)
-  }
-  catch(err){
-    Logger.error(`Error creating git branch`, err.stack)
-    await rollbackChanges(repo, publishArgs, confirm)
-  }
+  // Push the branch to github
+  runStep(publishArgs, 9, 'git-push') &&
+    await runGitCmd(`push ${remote} ${newBranch}`, repo.location)
 
   // Add the update to updated, so we know this repo was published
-  return updated.concat([ {...repo, ...publishArgs} ])
+  return updated.concat([ toPublished(repo, publishArgs) ])
 
 }
 
@@ -198,38 +300,35 @@ const repoYarnCommands = async (repo, publishContext, publishArgs, params) => {
     access='public',
   } = publishContext.tasks
   const { newVersion } = publishArgs
-  const { dryrun, confirm=true } = params 
-
-  try {
-    // Callback when an error is thrown for a repo script
-    const scriptError = script => async () => {
-      Logger.error(`Error running script ${script}`)
-      await rollbackChanges(repo, publishArgs, confirm)
-      return false
-    }
-    // Run the repos tests
-    publishArgs.step = { number: 2, name: 'test' }
-    await validatePublishTask(repo, test, 'test', scriptError('test'))
 
-    // Build the repo
-    publishArgs.step = { number: 3, name: 'build' }
-    await validatePublishTask(repo, build, 'build', scriptError('build'))
+  // Callback when an error is thrown for a repo script
+  // Throws so the failure is rolled back by publishRepos
+  const scriptError = script => () => {
+    throw new Error(`Error running script ${script}`)
+  }
 
-    // Publish to NPM
-    publishArgs.step = { number: 4, name: 'publish' }
-    const shouldPublish = publish && !dryrun
-    logFormal(repo, `${shouldPublish ? 'Running' : 'Skipping'} yarn publish...`)
-    const isPublished = shouldPublish && await runRepoScript(repo, `publish --access ${access} --new-version ${newVersion}`, scriptError(`publish`))
+  // Run the repos tests
+  runStep(publishArgs, 2, 'test') &&
+    await validatePublishTask(repo, test, 'test', scriptError('test'))
 
-    return isPublished
+  // Build the repo
+  runStep(publishArgs, 3, 'build') &&
+    await validatePublishTask(repo, build, 'build', scriptError('build'))
 
-  }
-  catch(err){
-    Logger.error(`Error publishing ${repo.repo}`)
-    await rollbackChanges(repo, publishArgs, confirm)
+  // Publish to NPM
+  // If resuming after the publish step, use the saved published state
+  if(!runStep(publishArgs, 4, 'publish')) return publishArgs.isPublished
+
+  logFormal(repo, `${publish ? 'Running' : 'Skipping'} yarn publish...`)
+  const isPublished = publish && await runRepoScript(
+    repo,
+    `publish --access ${access} --new-version ${newVersion}`,
+    scriptError(`publish`),
+    false,
+    await getPublishEnvs()
+  )
 
-    return false
-  }
+  return isPublished
 
 }
 
@@ -258,18 +357,21 @@ const copyBuildFiles = (currentRepo, repos) => {
 
 /**
  * Runs yarn and git commands to publish the repos defined in the publish context
+ * <br/>Completed repos are tracked in the pipeline, so a failed publish can be resumed
  * @function
  * @param {Object} globalConfig - Global cli config object
  * @param {Array} toPublish - Repos to be published
  * @param {Array} repos - All found repos
  * @param {Object} params - Options passed from the command line
  * @param {Object} publishContext - Object from the global config that defines the repos to be published
+ * @param {Object} pipeline - Context, version, order and completed repos of the publish
  * 
  * @returns {Array|Boolean} - All updated/published repos or false if something failed
  */
-const publishRepos = async (globalConfig, toPublish, repos, params={}, publishContext) => {
+const publishRepos = async (globalConfig, toPublish, repos, params={}, publishContext, pipeline) => {
   const { commit=false } = publishContext.tasks
   const { versionNumber, context, confirm=true } = params
+  const { failed, completed=[], ...pipelineState } = pipeline
 
   if(!toPublish.length)
     return Logger.warn(`No repos found to publish for context ${publishContext.name}`)
@@ -277,44 +379,179 @@ const publishRepos = async (globalConfig, toPublish, repos, params={}, publishCo
   const publishArgs = {}
   // set the original branch
   const branch = await git.branch.name({location: repos[0].location})
-  publishArgs.originalBranch = branch
+  publishArgs.originalBranch = pipeline.originalBranch || branch
 
   // current branch gets updated in gitBranchCommitUpdates 
   publishArgs.currentBranch = branch
 
-  return toPublish.reduce(async (toResolve, repo, index) => {
+  // Track the completed repos, so they are saved if the publish fails
+  publishArgs.pipeline = { ...pipelineState, completed: [ ...completed ] }
+
+  const published = await toPublish.reduce(async (toResolve, repo, index) => {
     const updated = await toResolve
 
+    // Skip repos that were completed before a resumed publish failed
+    if(completed.find(done => done.repo === repo.repo)){
+      logFormal(repo, `Skipping, already completed by a previous publish`)
+      return updated
+    }
+
+    publishArgs.context = context
+
+    // When resuming, start the failed repo from the step that failed
+    // Unless its changes were rolled back, then start it from the first step
+    publishArgs.resumeStep = failed && failed.repo === repo.repo && !failed.rolledBack
+      ? failed.step.number
+      : 0
+
+    // Reset the state of the previous repo, so it's not saved for this repo if it fails
+    publishArgs.step = publishArgs.resumeStep ? failed.step : { number: 0, name: 'setup' }
+    publishArgs.currentBranch = publishArgs.resumeStep ? failed.currentBranch : branch
+    publishArgs.isPublished = publishArgs.resumeStep ? failed.isPublished : false
+
+    publishArgs.resumeStep &&
+      logFormal(repo, `Resuming publish from step ${failed.step.number} (${failed.step.name})`)
+
     try {
-      publishArgs.context = context
 
       // copy over new dependent build files to current repo node_modules
       index > 0 && copyBuildFiles(repo, toPublish.slice(0, index))
 
-      publishArgs.step = { number: 1, name: 'version' }
       // Update the version of the repos
-      await versionService(
-        { params, globalConfig, versionNumber },
-        { publishContext, repo, repos }
-      )
+      runStep(publishArgs, 1, 'version') &&
+        await versionService(
+          { params, globalConfig, versionNumber },
+          { publishContext, repo, repos }
+        )
 
       publishArgs.newVersion = versionNumber
       logFormal(repo, `Running publish service`)
       publishArgs.isPublished = await repoYarnCommands(repo, publishContext, publishArgs, params)
 
       // Check if we should do the git updates, or just return the updated array
-      return commit
-        ? gitBranchCommitUpdates(repo, publishArgs, updated, params)
-        : updated.concat([ {...repo, ...publishArgs} ])
+      const repoUpdated = commit
+        ? await gitBranchCommitUpdates(repo, publishArgs, updated, params)
+        : updated.concat([ toPublished(repo, publishArgs) ])
 
+      // Mark the repo as completed, so a resumed publish will skip it
+      publishArgs.pipeline.completed.push(
+        pickKeys(toPublished(repo, publishArgs), [ 'repo', 'newVersion', 'isPublished', 'currentBranch' ])
+      )
+
+      return repoUpdated
     }
     catch(err){
-      console.log(err)
-      Logger.error(`Error publishing ${repo.repo}`)
+      Logger.error(`Error publishing ${repo.repo}`, err.stack)
+
+      // Fails the publish task, so the loop stops and the publish state is kept
       return rollbackChanges(repo, publishArgs, confirm)
     }
 
   }, Promise.resolve([]))
+
+  // The publish finished, so there is nothing to resume
+  clearPublishState()
+
+  // Include the repos completed before a resumed publish, so they show in the summary
+  return completed.concat(published)
+}
+
+/**
+ * Logs the plan of what publishing the repos would do
+ * @function
+ * @param {Array} plan - Plan for each repo built by buildPublishPlan
+ * @param {string} context - Name of the publish context
+ *
+ * @returns {Void}
+ */
+const logPublishPlan = (plan, context) => {
+  Logger.header(`Publish Plan - ${context}`)
+
+  plan.map(({ order, repo, name, version, scripts, dependents, branch }) => {
+    Logger.pair(`  ${order}. ${repo}:`, name)
+    Logger.pair(`     Version:`, `${version.current} => ${version.new}`)
+    Logger.pair(`     Scripts:`, scripts.map(script => `yarn ${script}`).join(', ') || 'none')
+    Logger.pair(`     Dependents:`, dependents.join(', ') || 'none')
+    Logger.pair(`     Git Branch:`, branch || 'none')
+    Logger.empty()
+  })
+
+  Logger.subHeader('dry-run: No changes were made')
+}
+
+/**
+ * Logs the plan of what publishing the repos would do, without making any changes
+ * <br/>Does not ask for a confirm or version, so it can run in CI
+ * <br/>Uses the passed in version, or the current version of the first repo
+ * @function
+ * @param {Object} args - All arguments passed to the Keg-CLI publish task
+ * @param {Object} args.params - Options passed from the command line
+ * @param {Object=} publishArgs - options passed in to override the publishContext
+ *
+ * @returns {Void}
+ */
+const dryRunPublish = async (args, publishArgs) => {
+  const { params, globalConfig } = args
+  const { context, version } = params
+
+  // Get all repos / package.json
+  const repos = await getHubRepos({
+    context: 'all',
+    full: true,
+  })
+
+  !repos && generalError(`No keg-hub repos could be found!`)
+
+  const publishContext = getPublishContext(globalConfig, context, publishArgs)
+  const toPublish = getPublishContextOrder(repos, publishContext, params)
+  const versionNumber = getPlanVersion(toPublish[0], version)
+
+  const plan = await buildPublishPlan(toPublish, repos, publishContext, { context, versionNumber })
+
+  return logPublishPlan(plan, context)
+}
+
+/**
+ * Resumes a failed publish from the state saved in the global config folder
+ * <br/>Skips completed repos, and starts the failed repo from the failed step
+ * @function
+ * @param {Object} args - All arguments passed to the Keg-CLI publish task
+ * @param {Object} args.params - Options passed from the command line
+ *
+ * @returns {Array=} - returns all updated repos
+ */
+const resumePublish = async args => {
+  const { params, globalConfig } = args
+  const { confirm=true } = params
+
+  const state = loadPublishState()
+  !state && generalError(`No failed publish was found to resume!`)
+
+  const { context, versionNumber, overrides, order } = state
+  if(confirm && !await confirmResume(state)) return null
+
+  // Get all repos / package.json
+  const repos = await getHubRepos({
+    context: 'all',
+    full: true,
+  })
+
+  !repos && generalError(`No keg-hub repos could be found!`)
+
+  const publishContext = getPublishContext(globalConfig, context, overrides)
+
+  // Use the saved order, so the repos are published the same as the failed publish
+  const toPublish = order.map(name => repos.find(repo => repo.repo === name))
+    .filter(Boolean)
+
+  return await publishRepos(
+    globalConfig,
+    toPublish,
+    repos,
+    { ...params, context, versionNumber },
+    publishContext,
+    state
+  )
 }
 
 /**
@@ -329,14 +566,19 @@ const publishRepos = async (globalConfig, toPublish, repos, params={}, publishCo
  */
 const publishService = async (args, publishArgs) => {
   const { params, globalConfig } = args
-  const { context, confirm=true, version } = params
+  const { context, confirm=true, version, dryrun, resume } = params
+
+  if(resume) return resumePublish(args)
+
+  // On a dry-run, print the plan without making any changes, or asking any questions
+  if(dryrun) return dryRunPublish(args, publishArgs)
 
   // If running without a confirm, then check that we have a version
   !confirm &&
     (!exists(version) || !version) &&
     generalError(`Can not auto-publish without a valid semver version!`)
 
-  confirm && await confirmPublish(context)
+  if(confirm && !await confirmPublish(context)) return null
 
   const newVersion = !version
     ? await getValidSemver()
@@ -360,7 +602,6 @@ const publishService = async (args, publishArgs) => {
   const versionNumber = await getVersionUpdate(toPublish[0], newVersion, publishContext, confirm)
 
   if (!versionNumber) return null
-  get(params, 'dryrun') && Logger.subHeader('dry-run: Will NOT Publish or Push to GitHub')
 
   // run yarn install on all toPublish repos prior to any package json updates
   // then we can just copy over new build files to their node_modules
@@ -373,9 +614,21 @@ const publishService = async (args, publishArgs) => {
 
   // Update the version of the repos, commit and publish based on the publishContext
   // return a list of updated repos
-  return await publishRepos(globalConfig, toPublish, repos, {...params, versionNumber}, publishContext)
+  return await publishRepos(
+    globalConfig,
+    toPublish,
+    repos,
+    {...params, versionNumber},
+    publishContext,
+    {
+      context,
+      versionNumber,
+      overrides: publishArgs,
+      order: toPublish.map(repo => repo.repo),
+    }
+  )
 }
 
 module.exports = {
   publishService
-}
\ No newline at end of file
+}
@@ -1,4 +1,5 @@
 const { deepMerge } = require('@keg-hub/jsutils')
+const { PORT_CONFLICT_POLICIES } = require('KegConst/constants')
 
 /**
  * Builds the options for the compose service
@@ -72,6 +73,12 @@ const serviceOptions = (task='', action='', overrides={}) => {
       description: `List of key names or folder paths to mount into the docker container. Only used when service === 'container'`,
       example: 'keg ${ task } ${ action } --mounts cli,components',
     },
+    onPortConflict: {
+      alias: [ 'on-port-conflict', 'portConflict' ],
+      allowed: PORT_CONFLICT_POLICIES,
+      description: 'How to resolve ports of the service that are already in use. Overrides the docker.onPortConflict setting',
+      example: 'keg ${ task } ${ action } --on-port-conflict remap',
+    },
     sync: {
       alias: [ 'syncs', 'sy' ],
       type: 'array',
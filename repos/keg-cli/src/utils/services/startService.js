@@ -2,6 +2,7 @@ const { get, set } = require('@keg-hub/jsutils')
 const { composeService } = require('./composeService')
 const { buildService } = require('./buildService')
 const { proxyService } = require('./proxyService')
+const { portService } = require('./portService')
 
 /**
  * Runs the build service, then the compose service
@@ -23,12 +24,15 @@ const startService = async (args, exArgs) => {
   // Call the proxy service to make sure that is running
   await proxyService(args)
 
+  // Check the ports of the service are free, and add the ENVs of any remapped ports
+  const serviceArgs = await portService(args, exArgs)
+
   // Update the build param so we don't rebuild the tap
   // Setting it to false, tells it to NOT build the image
-  get(args, 'params.build') && set(args, 'params.build', !isBuilt) 
+  get(serviceArgs, 'params.build') && set(serviceArgs, 'params.build', !isBuilt) 
 
   // Call and return the compose server
-  return composeService(args, exArgs)
+  return composeService(serviceArgs, exArgs)
 
 }
 
@@ -16,7 +16,7 @@ let cachedVersion
  * @param {string} versionNumber - valid version number. ex 1.0.0 
  * @param {Object} publishContext - Object from the global config that defines the repos to be published 
  * 
- * @returns {Void}
+ * @returns {string} - Version written to the repos package.json
  */
 const updateRepoVersion = async (repo, versionNumber, publishContext) => {
   const { dependent } = publishContext
@@ -24,7 +24,7 @@ const updateRepoVersion = async (repo, versionNumber, publishContext) => {
   // If the repos are dependent, and we already have a version, use it
   if(dependent && cachedVersion){
     writePackageVersion(repo.package, repo.location, cachedVersion)
-    return
+    return cachedVersion
   }
 
   // If no version to update to and context is dependent, throw error and exit
@@ -35,6 +35,7 @@ const updateRepoVersion = async (repo, versionNumber, publishContext) => {
 
   writePackageVersion(repo.package, repo.location, versionNumber)
 
+  return versionNumber
 }
 
 /**
@@ -63,7 +64,7 @@ const versionService = async (args, repoData) => {
 
   !repo && generalError(`A repo is required to update it's version!`)
 
-  await updateRepoVersion(repo, versionNumber, publishContext)
+  const newVersion = await updateRepoVersion(repo, versionNumber, publishContext)
 
   // Get all repos and package.json
   const otherRepos = (repos || await getHubRepos({
@@ -78,12 +79,16 @@ const versionService = async (args, repoData) => {
     return Logger.log(`Could not find any repos to update the dependency version!`)
 
   // Update all other repos that have the current repo as a dependency
-  await updateVersionInDependencies(
+  // This ensures dependents use the new version before they are published
+  const dependents = await updateVersionInDependencies(
     get(repo, 'package.name'),
-    repos,
-    versionNumber,
+    otherRepos,
+    newVersion,
   )
 
+  dependents.length &&
+    Logger.log(`Updated ${repo.repo} to version ${newVersion} in ${dependents.map(dep => dep.repo).join(', ')}`)
+
 }
 
 
@@ -0,0 +1,96 @@
+const path = require('path')
+
+const tapPath = '/keg-hub/taps/custom-tap'
+const tapTasksPath = path.join(tapPath, 'tasks')
+const pathExistsSync = jest.fn(location => location === tapTasksPath)
+const throwExitError = jest.fn(err => { throw err })
+
+jest.setMock('KegFileSys/fileSys', { pathExistsSync })
+jest.setMock('KegUtils/error/throwExitError', { throwExitError })
+
+const deployAction = jest.fn()
+jest.mock('/keg-hub/taps/custom-tap/tasks', () => globalConfig => ({
+  deploy: {
+    name: 'deploy',
+    alias: [ 'dep' ],
+    action: deployAction,
+    description: `Deploys ${globalConfig.name}`,
+    example: 'keg custom-tap deploy',
+    options: {
+      target: {
+        description: 'Where to deploy the tap',
+        default: 'staging',
+      }
+    }
+  }
+}), { virtual: true })
+
+const { loadCustomTasks, loadTapTasks, validateCustomTask } = require('../loadCustomTasks')
+
+describe('loadCustomTasks', () => {
+
+  afterEach(() => jest.clearAllMocks())
+
+  afterAll(() => jest.resetAllMocks())
+
+  describe('validateCustomTask', () => {
+
+    it('should return valid true when the task has all required fields', () => {
+      const task = { name: 'deploy', action: jest.fn(), description: 'Deploy' }
+
+      expect(validateCustomTask('deploy', task)).toEqual({ valid: true })
+    })
+
+    it('should return the missing field when a required field does not exist', () => {
+      const { valid, message } = validateCustomTask('deploy', { name: 'deploy', action: jest.fn() })
+
+      expect(valid).toBe(false)
+      expect(message).toContain('description')
+    })
+
+    it('should return valid false when the task is not an object', () => {
+      expect(validateCustomTask('deploy', 'deploy').valid).toBe(false)
+    })
+
+  })
+
+  describe('loadTapTasks', () => {
+
+    it('should load the tasks from the tasks folder of the tap', () => {
+      const tasks = loadTapTasks(tapPath, { name: 'custom-tap' })
+
+      expect(tasks.deploy.action).toBe(deployAction)
+      expect(tasks.deploy.description).toBe('Deploys custom-tap')
+      expect(tasks.deploy.parent).toBe('tap')
+    })
+
+    it('should add the task alias and global options like default tasks', () => {
+      const tasks = loadTapTasks(tapPath, { name: 'custom-tap' })
+
+      expect(tasks.dep).toBe('deploy')
+      expect(tasks.deploy.options.target.default).toBe('staging')
+      expect(tasks.deploy.options.env).toBeDefined()
+    })
+
+    it('should return an empty object when the tap has no tasks folder', () => {
+      expect(loadTapTasks('/keg-hub/taps/other-tap', {})).toEqual({})
+      expect(throwExitError).not.toHaveBeenCalled()
+    })
+
+  })
+
+  it('should return an empty object when no path is passed', () => {
+    expect(loadCustomTasks(undefined, {})).toEqual({})
+    expect(pathExistsSync).not.toHaveBeenCalled()
+  })
+
+  it('should call throwExitError when a custom task is invalid', () => {
+    const invalidPath = '/keg-hub/invalid/tasks'
+    jest.mock(invalidPath, () => ({ deploy: { name: 'deploy' } }), { virtual: true })
+    pathExistsSync.mockReturnValueOnce(true)
+
+    expect(() => loadCustomTasks(invalidPath, {})).toThrow()
+    expect(throwExitError).toHaveBeenCalled()
+  })
+
+})
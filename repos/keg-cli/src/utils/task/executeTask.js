@@ -3,12 +3,15 @@ const { isFunc } = require('@keg-hub/jsutils')
 const { throwNoAction } = require('KegUtils/error')
 const { parseArgs } = require('KegUtils/helpers/parseArgs')
 const { hasHelpArg } = require('KegUtils/helpers/hasHelpArg')
+const { initTaskLog } = require('KegUtils/log/initTaskLog')
+const { getTaskHooks, runTaskHooks } = require('KegUtils/hooks')
 
 /**
  * Executes the passed in task.
  * <br/> Checks if a tasks has cmd key as a string, and if so runs it in a child process
  * <br/> Of if the cmd key as a function, it is called
  * <br/> The output of the the child process or function is passed to the task action
+ * <br/> The before and after hooks of the task are run around the task action
  * @function
  * @param {string} command - Name of the Keg CLI command to run
  * @param {Object} task - task object that's being executed
@@ -25,9 +28,20 @@ const executeTask = async (args) => {
   // Get the params for the task if they have not already been parsed
   const params = args.params || await parseArgs(args, globalConfig)
 
-  return isFunc(task.action)
-    ? task.action({ ...args, params })
-    : throwNoAction(task)
+  // Setup the log level and log files, before the task starts logging
+  initTaskLog({ ...args, params })
+
+  if(!isFunc(task.action)) return throwNoAction(task)
+
+  // Run the before and after hooks of the task, defined in the global config or the taps config
+  const hooks = getTaskHooks({ ...args, params })
+  await runTaskHooks('before', hooks, { ...args, params })
+
+  const result = await task.action({ ...args, params })
+
+  await runTaskHooks('after', hooks, { ...args, params, result })
+
+  return result
 
 }
 
@@ -1,11 +1,37 @@
 const { getTask } = require('./getTask')
 const { get } = require('@keg-hub/jsutils')
 const { validateTask } = require('./validateTask')
+const { loadTapTasks } = require('./loadCustomTasks')
 const { parseArgs } = require('KegUtils/helpers/parseArgs')
 const { GLOBAL_CONFIG_PATHS } = require('KegConst/constants')
 const { hasHelpArg } = require('KegUtils/helpers/hasHelpArg')
 const { injectService } = require('../services/injectService')
 const { TAP_LINKS } = GLOBAL_CONFIG_PATHS
+
+/**
+ * Adds the custom tasks of a linked tap to the sub tasks of the tap task
+ * <br/>Default tap tasks take priority over custom tasks with the same name
+ * @function
+ * @param {Object} globalConfig - Global CLI config
+ * @param {Object} tasks - All CLI registered tasks
+ * @param {string} tapPath - Path to the linked tap
+ *
+ * @returns {Object} - All CLI registered tasks, with the taps custom tasks added
+ */
+const addTapTasks = (globalConfig, tasks, tapPath) => {
+  const tapTasks = loadTapTasks(tapPath, globalConfig)
+
+  return !Object.keys(tapTasks).length
+    ? tasks
+    : {
+        ...tasks,
+        tap: {
+          ...tasks.tap,
+          tasks: { ...tapTasks, ...get(tasks, 'tap.tasks') },
+        },
+      }
+}
+
 /**
  * Checks if the command is a linked tap, and if so, calls the tap command on that tap
  * @function
@@ -26,7 +52,8 @@ const checkLinkedTaps = async (globalConfig, tasks, command, options) => {
   options = [ ...options ]
 
   // Call getTask, and set the command to be tap
-  const taskData = getTask(tasks, 'tap', ...options)
+  // Include the taps custom tasks, so they can be run like default tap tasks
+  const taskData = getTask(addTapTasks(globalConfig, tasks, tapPath), 'tap', ...options)
 
   // Get the params now instead of in executeTask
   // This way we can make all tap modification in one place
@@ -1,4 +1,5 @@
 const { ENV_MAP } = require('KegConst/constants')
+const { LOG_LEVELS } = require('KegLog/levels')
 const { deepMerge, get, set } = require('@keg-hub/jsutils')
 
 /**
@@ -48,6 +49,17 @@ const getGlobalOptions = (task, action) => {
       example: 'keg ${ task } ${ action } --env staging',
       default: getDefaultEnv() || 'development',
     },
+    logLevel: {
+      alias: [ 'log-level' ],
+      allowed: LOG_LEVELS,
+      description: 'Most verbose level of logs printed to the terminal. Defaults to the logs.level setting',
+      example: 'keg ${ task } ${ action } --log-level debug',
+    },
+    logFile: {
+      alias: [ 'log-file' ],
+      description: 'Also write the logs of the task to a file as JSON lines',
+      example: 'keg ${ task } ${ action } --log-file ./keg.log',
+    },
   }
 }
 
@@ -4,6 +4,7 @@ module.exports = {
   ...require('./findTask'),
   ...require('./getTask'),
   ...require('./globalOptions'),
+  ...require('./loadCustomTasks'),
   ...require('./runInternalTask'),
   ...require('./validateTask'),
 }
\ No newline at end of file
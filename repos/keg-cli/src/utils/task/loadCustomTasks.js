@@ -0,0 +1,90 @@
+const path = require('path')
+const { TASK_REQUIRED } = require('KegConst/constants')
+const { pathExistsSync } = require('KegFileSys/fileSys')
+const { throwExitError } = require('KegUtils/error/throwExitError')
+const { buildTaskData } = require('KegUtils/builders/buildTaskData')
+const { isFunc, isObj, reduceObj } = require('@keg-hub/jsutils')
+
+/**
+ * Name of the folder in a linked tap that contains the taps custom tasks
+ * @string
+ */
+const TAP_TASKS_FOLDER = 'tasks'
+
+/**
+ * Validates custom tasks to ensure they include the required fields
+ * @function
+ * @param {string} key - custom tasks object key to reference the custom task value
+ * @param {Object} task - custom task value that defines how to to run the task
+ *
+ * @returns {Object} - contains custom tasks status, and message
+ */
+const validateCustomTask = (key, task) => {
+
+  // If task is not an object, it's an invalid task
+  if(!isObj(task)) return { valid: false, message: `Task ${key} is not a valid object!` }
+
+  // Ensure each custom task has the required task fields
+  const missing = TASK_REQUIRED.find(field => !task[field])
+
+  // If an invalid task is found, return the status
+  // Otherwise return the valid true status
+  return missing
+    ? { valid: false, message: `Task ${key} has a missing or invalid ${missing} field!` }
+    : { valid: true }
+}
+
+/**
+ * Loads custom tasks from the passed in path
+ * <br/>The path should export the tasks object, or a function that returns it
+ * <br/>Each task is validated, then built the same way as the default tasks
+ * @function
+ * @param {string} tasksPath - Path to the custom tasks file or folder
+ * @param {Object} globalConfig - Global CLI config
+ * @param {string} parent - Name of the parent task of the custom tasks
+ *
+ * @returns {Object} - contains the custom tasks
+ */
+const loadCustomTasks = (tasksPath, globalConfig, parent) => {
+  // If no custom tasks path, just return an empty custom tasks object
+  if(!tasksPath || !pathExistsSync(tasksPath)) return {}
+
+  // Wrap in a try / catch because the custom tasks might not be valid
+  try {
+    const loaded = require(tasksPath)
+    const customTasks = isFunc(loaded) ? loaded(globalConfig) : loaded
+
+    // Loop over the tasks
+    return reduceObj(customTasks, (key, task, tasks) => {
+      // Validate that each task has the required fields
+      const taskStatus = validateCustomTask(key, task)
+      // If missing required data, throw an error
+      if(!taskStatus.valid) throw new Error(`${taskStatus.message}\nCustom tasks path: ${tasksPath}`)
+
+      // If task is valid, add it and its alias to the tasks object
+      return { ...tasks, ...buildTaskData(task, parent) }
+    }, {})
+
+  }
+  catch(err){
+    throwExitError(err)
+  }
+}
+
+/**
+ * Loads the custom tasks of a linked tap, from the tasks folder of the tap
+ * @function
+ * @param {string} tapPath - Path to the linked tap
+ * @param {Object} globalConfig - Global CLI config
+ *
+ * @returns {Object} - contains the taps custom tasks
+ */
+const loadTapTasks = (tapPath, globalConfig) => {
+  return loadCustomTasks(path.join(tapPath, TAP_TASKS_FOLDER), globalConfig, 'tap')
+}
+
+module.exports = {
+  loadCustomTasks,
+  loadTapTasks,
+  validateCustomTask,
+}
@@ -27,6 +27,9 @@ const setTemplateRegex = () => {
  * @returns {string} - Loaded template, with it's content filled
  */
 const loadTemplate = async (name, data={}) => {
+  // Re-set the template regex to ensure it's set
+  setTemplateRegex()
+
   const templateFiles = await getFiles(KegTpl, { filters: [ 'index.js' ] })
   __TEMPLATES = __TEMPLATES || templateFiles.reduce((mapped, file) => {
     const name = file.split('.').shift()
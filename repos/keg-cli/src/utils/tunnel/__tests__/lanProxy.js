@@ -0,0 +1,133 @@
+const http = require('http')
+const {
+  buildProxyHeaders,
+  buildUpgradeRequest,
+  createLanProxy,
+  parseTarget,
+  rewriteLocation,
+} = require('../lanProxy')
+
+/**
+ * Calls listen on the server with a random port, and resolves the port
+ */
+const listen = server => new Promise(res => server.listen(0, '127.0.0.1', () => res(server.address().port)))
+
+/**
+ * Makes a get request to the local port, and resolves the response and body
+ */
+const request = (port, path) => new Promise((res, rej) => {
+  http.get({ port, path, hostname: '127.0.0.1' }, response => {
+    let body = ''
+    response.on('data', data => body += data)
+    response.on('end', () => res({ response, body }))
+  }).on('error', rej)
+})
+
+describe('lanProxy', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  describe('parseTarget', () => {
+
+    it('Should use localhost when only a port is passed', () => {
+      expect(parseTarget(19006)).toEqual({ hostname: 'localhost', port: 19006 })
+      expect(parseTarget('19006')).toEqual({ hostname: 'localhost', port: 19006 })
+    })
+
+    it('Should parse hosts with and without the protocol', () => {
+      expect(parseTarget('192.168.99.101:80')).toEqual({ hostname: '192.168.99.101', port: 80 })
+      expect(parseTarget('http://localhost:3000')).toEqual({ hostname: 'localhost', port: 3000 })
+    })
+
+    it('Should default to port 80', () => {
+      expect(parseTarget('http://local.kegdev.xyz')).toEqual({ hostname: 'local.kegdev.xyz', port: 80 })
+    })
+
+  })
+
+  describe('buildProxyHeaders', () => {
+
+    it('Should rewrite the host header, and add the forwarded headers', () => {
+      const headers = buildProxyHeaders(
+        { host: '192.168.1.10:8080', accept: 'text/html' },
+        'core-develop.local.kegdev.xyz',
+        '192.168.1.20'
+      )
+
+      expect(headers.host).toBe('core-develop.local.kegdev.xyz')
+      expect(headers.accept).toBe('text/html')
+      expect(headers['x-forwarded-host']).toBe('192.168.1.10:8080')
+      expect(headers['x-forwarded-for']).toBe('192.168.1.20')
+    })
+
+    it('Should append to an existing x-forwarded-for header', () => {
+      const headers = buildProxyHeaders({ 'x-forwarded-for': '10.0.0.1' }, 'host', '10.0.0.2')
+
+      expect(headers['x-forwarded-for']).toBe('10.0.0.1, 10.0.0.2')
+    })
+
+  })
+
+  describe('rewriteLocation', () => {
+
+    it('Should rewrite redirects to the source host to the tunnel host', () => {
+      const headers = rewriteLocation(
+        { location: 'http://core.local.kegdev.xyz/login' },
+        'core.local.kegdev.xyz',
+        '192.168.1.10:8080'
+      )
+
+      expect(headers.location).toBe('http://192.168.1.10:8080/login')
+    })
+
+    it('Should not rewrite redirects to other hosts', () => {
+      const headers = rewriteLocation(
+        { location: 'http://coreXlocal.kegdev.xyz/login' },
+        'core.local.kegdev.xyz',
+        '192.168.1.10:8080'
+      )
+
+      expect(headers.location).toBe('http://coreXlocal.kegdev.xyz/login')
+    })
+
+  })
+
+  describe('buildUpgradeRequest', () => {
+
+    it('Should build a raw http request with the passed in headers', () => {
+      const raw = buildUpgradeRequest(
+        { method: 'GET', url: '/socket', httpVersion: '1.1' },
+        { host: 'core.local.kegdev.xyz', upgrade: 'websocket' }
+      )
+
+      expect(raw).toBe(`GET /socket HTTP/1.1\r\nhost: core.local.kegdev.xyz\r\nupgrade: websocket\r\n\r\n`)
+    })
+
+  })
+
+  describe('createLanProxy', () => {
+
+    let source
+    let proxy
+
+    afterEach(() => {
+      source && source.close()
+      proxy && proxy.close()
+    })
+
+    it('Should forward requests to the source with the host header rewritten', async () => {
+      source = http.createServer((req, res) => res.end(`${req.headers.host}${req.url}`))
+      const sourcePort = await listen(source)
+
+      proxy = createLanProxy({ source: sourcePort, hostHeader: 'http://core.local.kegdev.xyz' })
+      const proxyPort = await listen(proxy)
+
+      const { response, body } = await request(proxyPort, '/index.html')
+
+      expect(response.statusCode).toBe(200)
+      expect(body).toBe('core.local.kegdev.xyz/index.html')
+    })
+
+  })
+
+})
@@ -0,0 +1,5 @@
+module.exports = {
+  ...require('./lanProxy'),
+  ...require('./logTunnel'),
+  ...require('./tunnelProviders'),
+}
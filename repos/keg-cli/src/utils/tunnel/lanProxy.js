@@ -0,0 +1,149 @@
+const net = require('net')
+const http = require('http')
+const { Logger } = require('KegLog')
+
+/**
+ * Parses the source of the tunnel into the hostname and port to forward requests to
+ * @function
+ * @param {string|number} source - Url, host or port of the source. A port uses localhost
+ *
+ * @returns {Object} - Hostname and port of the source => { hostname, port }
+ */
+const parseTarget = source => {
+  const str = String(source)
+  if(/^\d+$/.test(str)) return { hostname: 'localhost', port: parseInt(str) }
+
+  const url = new URL(str.indexOf('://') === -1 ? `http://${str}` : str)
+
+  return { hostname: url.hostname, port: parseInt(url.port) || 80 }
+}
+
+/**
+ * Removes the protocol and path from the host header
+ * @function
+ * @param {string} hostHeader - Host header with or without the http protocol
+ *
+ * @returns {string} - Host of the host header
+ */
+const toHost = hostHeader => hostHeader.replace(/^\w+:\/\//, '').split('/')[0]
+
+/**
+ * Builds the headers of the request forwarded to the source
+ * <br/>Rewrites the Host header, so the keg-proxy routes the request to the correct container
+ * @function
+ * @param {Object} headers - Headers of the incoming request
+ * @param {string} host - Host the proxied request should use
+ * @param {string} remoteAddress - Address of the client making the request
+ *
+ * @returns {Object} - Headers of the forwarded request
+ */
+const buildProxyHeaders = (headers={}, host, remoteAddress) => {
+  return {
+    ...headers,
+    host,
+    'x-forwarded-host': headers.host,
+    'x-forwarded-proto': 'http',
+    ...(remoteAddress && {
+      'x-forwarded-for': headers['x-forwarded-for']
+        ? `${headers['x-forwarded-for']}, ${remoteAddress}`
+        : remoteAddress
+    }),
+  }
+}
+
+/**
+ * Rewrites redirects of the source to the host, so the client stays on the tunnel
+ * @function
+ * @param {Object} headers - Headers of the response from the source
+ * @param {string} host - Host of the source
+ * @param {string} tunnelHost - Host of the tunnel the client connected to
+ *
+ * @returns {Object} - Headers of the response sent to the client
+ */
+const rewriteLocation = (headers={}, host, tunnelHost) => {
+  const { location } = headers
+  if(!location || !tunnelHost) return headers
+
+  const escaped = host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+  return {
+    ...headers,
+    location: location.replace(new RegExp(`^(https?:)?//${escaped}`), `http://${tunnelHost}`),
+  }
+}
+
+/**
+ * Builds the raw http request used to forward a websocket upgrade to the source
+ * @function
+ * @param {Object} req - Incoming upgrade request
+ * @param {Object} headers - Headers to forward to the source
+ *
+ * @returns {string} - Raw http request
+ */
+const buildUpgradeRequest = (req, headers) => {
+  return [ `${req.method} ${req.url} HTTP/${req.httpVersion}` ]
+    .concat(Object.entries(headers).map(([ key, value ]) => `${key}: ${value}`))
+    .concat([ '', '' ])
+    .join('\r\n')
+}
+
+/**
+ * Creates a reverse proxy that forwards requests to the source, and rewrites the Host header
+ * <br/>Supports websocket upgrades, so hot reloading works through the proxy
+ * @function
+ * @param {Object} args - Arguments to create the proxy
+ * @param {string|number} args.source - Url, host or port to forward requests to
+ * @param {string} args.hostHeader - Host header to rewrite the requests to
+ * @param {boolean} args.log - Log each forwarded request
+ *
+ * @returns {Object} - Node http server of the proxy. Call listen to start it
+ */
+const createLanProxy = ({ source, hostHeader, log }) => {
+  const target = parseTarget(source)
+  const host = hostHeader ? toHost(hostHeader) : `${target.hostname}:${target.port}`
+
+  const server = http.createServer((req, res) => {
+    log && Logger.log(`  ${req.method} ${host}${req.url}`)
+
+    const proxyReq = http.request({
+      ...target,
+      path: req.url,
+      method: req.method,
+      headers: buildProxyHeaders(req.headers, host, req.socket.remoteAddress),
+    }, proxyRes => {
+      res.writeHead(proxyRes.statusCode, rewriteLocation(proxyRes.headers, host, req.headers.host))
+      proxyRes.pipe(res)
+    })
+
+    proxyReq.on('error', err => {
+      Logger.error(`  Tunnel request error => ${err.message}`)
+      !res.headersSent && res.writeHead(502, { 'content-type': 'text/plain' })
+      res.end(`Keg-CLI tunnel could not reach ${host} => ${err.message}`)
+    })
+
+    req.pipe(proxyReq)
+  })
+
+  server.on('upgrade', (req, socket, head) => {
+    const headers = buildProxyHeaders(req.headers, host, req.socket.remoteAddress)
+
+    const proxySocket = net.connect(target.port, target.hostname, () => {
+      proxySocket.write(buildUpgradeRequest(req, headers))
+      head && head.length && proxySocket.write(head)
+      proxySocket.pipe(socket).pipe(proxySocket)
+    })
+
+    proxySocket.on('error', () => socket.destroy())
+    socket.on('error', () => proxySocket.destroy())
+  })
+
+  return server
+}
+
+module.exports = {
+  buildProxyHeaders,
+  buildUpgradeRequest,
+  createLanProxy,
+  parseTarget,
+  rewriteLocation,
+}
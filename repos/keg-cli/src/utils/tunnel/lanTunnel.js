@@ -0,0 +1,49 @@
+const { Logger } = require('KegLog')
+const { logTunnel } = require('./logTunnel')
+const { createLanProxy } = require('./lanProxy')
+const { generalError } = require('../error/generalError')
+const { getInternalIp } = require('../getters/getInternalIp')
+
+/**
+ * Creates a tunnel on the local network, through a reverse proxy on the internal IP of the machine
+ * <br/>Devices on the same network can access the container without a third party service
+ * @function
+ * @param {Object} args - Arguments to start the tunnel
+ * @param {string} args.hostHeader - Host header to rewrite the tunnel requests to
+ * @param {string} args.source - Source url the tunnel forwards requests to
+ * @param {number} args.listen - Port the tunnel listens on
+ * @param {boolean} args.qr - Should a qr code be displayed
+ * @param {boolean} args.log - Log the requests forwarded by the tunnel
+ *
+ * @returns {Promise} - Resolves when the tunnel is closed
+ */
+const start = ({ hostHeader, source, listen, qr, log }) => {
+  const internalIp = getInternalIp()
+  !internalIp && generalError(`Could not find the internal IP address of the host machine!`)
+
+  const server = createLanProxy({ source, hostHeader, log })
+
+  return new Promise((res, rej) => {
+    server.on('error', err => rej(
+      err.code === 'EADDRINUSE'
+        ? new Error(`Port ${listen} is already in use. Use the --listen option to set a different port`)
+        : err
+    ))
+
+    server.on('close', res)
+
+    server.listen(listen, '0.0.0.0', () => {
+      logTunnel(`${source}${ hostHeader ? ` => ${hostHeader}` : '' }`, `http://${internalIp}:${listen}`, qr)
+      Logger.info(`  Devices must be on the same network to access the tunnel`)
+      Logger.empty()
+    })
+  })
+}
+
+module.exports = {
+  lanTunnel: {
+    name: 'lan',
+    description: 'Tunnel on the local network, through the internal IP of the host machine',
+    start,
+  }
+}
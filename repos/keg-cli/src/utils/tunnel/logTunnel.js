@@ -0,0 +1,24 @@
+const { Logger } = require('KegLog')
+const qrcode = require('qrcode-terminal')
+
+/**
+ * Logs the source and url of a started tunnel
+ * <br/>Displays a QR code of the tunnel url for easy access on a mobile device
+ * @function
+ * @param {string} source - Source the tunnel forwards requests to
+ * @param {string} url - Url of the tunnel
+ * @param {boolean} qr - Should a qr code be displayed
+ *
+ * @returns {void}
+ */
+const logTunnel = (source, url, qr) => {
+  Logger.spacedMsg('Source:', Logger.color('magenta', source))
+  Logger.spacedMsg('Tunnel:', Logger.color('green', url))
+
+  qr && qrcode.generate(url, { small: false })
+  qr && Logger.empty()
+}
+
+module.exports = {
+  logTunnel
+}
@@ -0,0 +1,82 @@
+const path = require('path')
+const { Logger } = require('KegLog')
+const { pipeCmd } = require('KegProc')
+const platform = require('os').platform()
+const { logTunnel } = require('./logTunnel')
+const { CLI_ROOT } = require('KegConst/constants')
+
+const NODE_MODULES_BIN = path.join(CLI_ROOT, `node_modules/.bin`)
+const NGROK_BIN = './ngrok' + (platform === 'win32' ? '.exe' : '')
+
+// TODO: Add better parsing for the log message
+/**
+ * Callback for the standard out of the ngrok process
+ * <br/>Looks for the started tunnel message, and parses the ngrok url
+ * <br/>Displays a QR code with or the ngrok url for easy access
+ * @function
+ * @param {boolean} qr - Should a qr code be displayed
+ * @param {boolean} log - Should messages be logged
+ * @param {boolean} tunnelSet - Has the ngrok tunnel be setup
+ *
+ * @returns {function} - Standard out callback for the ngrok process
+ */
+const onStdOut = (qr, log, tunnelSet=false) => {
+
+ /**
+  * Return a callback used by the ngrok process to log message
+  * <br/>This is used to parse the ngrok tunnel url so it can be displayed 
+  * <br/>We also use it to create a QR code for easy access
+  * @function
+  * @param {string} data - Output from the standard out ngrok process
+  *
+  * @returns {void}
+  */
+  return data => {
+
+    // If logging is turned on and it's not the started tunnel message, then log the data
+    if(tunnelSet || data.indexOf(`msg="started tunnel"`) === -1)
+      return tunnelSet && log && Logger.stdout(data)
+
+    // Set tunnel set to true so we can start logging
+    tunnelSet = true
+
+    const localUrl = data.split(`addr=`)[1].split(' ')[0]
+    const tunnelUrl = data.split(`url=`)[1].split(' ')[0].split('\n')[0]
+
+    // Only show one qr code, even if ngrok starts more then one tunnel
+    logTunnel(localUrl, tunnelUrl, qr)
+    qr = false
+  }
+
+}
+
+/**
+ * Creates a public tunnel through the ngrok service
+ * @function
+ * @param {Object} args - Arguments to start the tunnel
+ * @param {string} args.hostHeader - Host header to rewrite the tunnel requests to
+ * @param {string} args.source - Source url of the tunnel, used when no host header exists
+ * @param {boolean} args.qr - Should a qr code be displayed
+ * @param {boolean} args.log - Log output from the tunnel process
+ *
+ * @returns {Promise} - Resolves when the ngrok process exits
+ */
+const start = async ({ hostHeader, source, qr, log }) => {
+  let ngrokCmd = `${NGROK_BIN} http --log=stdout`
+  hostHeader
+    ? (ngrokCmd += ` -host-header=rewrite ${hostHeader}`)
+    : (ngrokCmd += ` ${source}`)
+
+  return pipeCmd(ngrokCmd.trim(), {
+    cwd: NODE_MODULES_BIN,
+    onStdOut: onStdOut(qr, log),
+  })
+}
+
+module.exports = {
+  ngrokTunnel: {
+    name: 'ngrok',
+    description: 'Public tunnel through the ngrok service',
+    start,
+  }
+}
@@ -0,0 +1,59 @@
+const { isFunc, isStr } = require('@keg-hub/jsutils')
+const { lanTunnel } = require('./lanTunnel')
+const { ngrokTunnel } = require('./ngrokTunnel')
+const { generalError } = require('../error/generalError')
+
+/**
+ * Registered tunnel providers, keyed by name
+ * @object
+ */
+const providers = {
+  [lanTunnel.name]: lanTunnel,
+  [ngrokTunnel.name]: ngrokTunnel,
+}
+
+/**
+ * Registers a tunnel provider, so it can be used by the keg docker tunnel task
+ * <br/>A provider must have a name, and a start method that returns a promise
+ * @function
+ * @param {Object} provider - Tunnel provider to register => { name, description, start }
+ *
+ * @returns {Object} - Registered tunnel provider
+ */
+const registerTunnelProvider = provider => {
+  const { name, start } = provider || {}
+
+  ;(!isStr(name) || !isFunc(start)) &&
+    generalError(`A tunnel provider requires a name and a start method!`)
+
+  providers[name] = provider
+
+  return provider
+}
+
+/**
+ * Gets the names of the registered tunnel providers
+ * @function
+ *
+ * @returns {Array} - Names of the tunnel providers
+ */
+const getTunnelProviderNames = () => Object.keys(providers)
+
+/**
+ * Gets a registered tunnel provider by name
+ * @function
+ * @param {string} name - Name of the tunnel provider
+ *
+ * @returns {Object} - Found tunnel provider => { name, description, start }
+ */
+const getTunnelProvider = name => {
+  return providers[name] || generalError(
+    `Tunnel provider "${name}" does not exist. Available providers are ${getTunnelProviderNames().join(', ')}`
+  )
+}
+
+module.exports = {
+  getTunnelProvider,
+  getTunnelProviderNames,
+  registerTunnelProvider,
+}
@@ -0,0 +1,85 @@
+const path = require('path')
+
+let ymls = {}
+let envFiles = {}
+
+const loadYmlSync = jest.fn(filePath => ymls[filePath])
+jest.setMock('KegFileSys/yml', { ...jest.requireActual('KegFileSys/yml'), loadYmlSync })
+
+const checkLoadEnv = jest.fn(envPath => envFiles[envPath] || {})
+jest.setMock('KegFileSys/env', { ...jest.requireActual('KegFileSys/env'), checkLoadEnv })
+
+const { DOCKER } = require('KegConst/docker')
+const { GLOBAL_CONFIG_FOLDER } = require('KegConst/constants')
+const { getValuesPaths } = require('KegConst/docker/loaders')
+const { loadEnvValues } = require('../loadEnvValues')
+
+const containersPath = DOCKER.CONTAINERS_PATH
+const corePath = path.join(containersPath, 'core')
+
+describe('loadEnvValues', () => {
+
+  beforeEach(() => {
+    ymls = {}
+    envFiles = {}
+    loadYmlSync.mockClear()
+    checkLoadEnv.mockClear()
+  })
+
+  afterAll(() => jest.resetAllMocks())
+
+  describe('getValuesPaths', () => {
+
+    it('Should order the container values before the global values', () => {
+      const paths = getValuesPaths({ container: 'core', env: 'qa' })
+
+      expect(paths[0]).toBe(path.join(corePath, 'values.yml'))
+      expect(paths.indexOf(path.join(corePath, 'values.qa.yml')))
+        .toBeGreaterThan(paths.indexOf(path.join(containersPath, 'core.values.qa.yml')))
+      expect(paths.indexOf(path.join(GLOBAL_CONFIG_FOLDER, 'values_qa.yml')))
+        .toBeGreaterThan(paths.indexOf(path.join(corePath, 'values.qa.yml')))
+      expect(paths[paths.length - 1]).toBe(path.join(GLOBAL_CONFIG_FOLDER, 'core.values.qa.yml'))
+    })
+
+    it('Should order the global values before the injected values', () => {
+      const __internal = { containerPath: '/tap/container', valuesPath: '/tap/container/values.yml' }
+      const paths = getValuesPaths({ container: 'tap', env: 'qa', __internal })
+
+      expect(paths[0]).toBe(path.join(GLOBAL_CONFIG_FOLDER, 'values_qa.yml'))
+      expect(paths.indexOf('/tap/container/values.yml'))
+        .toBeGreaterThan(paths.indexOf(path.join(GLOBAL_CONFIG_FOLDER, 'core.values.qa.yml')))
+      expect(paths[paths.length - 1]).toBe('/tap/container/values.qa.yml')
+    })
+
+  })
+
+  it('Should merge the values files in order, then the .env files', () => {
+    ymls[path.join(corePath, 'values.yml')] = { env: { NODE_ENV: 'development', PORT: '80', NAME: 'core' } }
+    ymls[path.join(corePath, 'values.staging.yml')] = { env: { NODE_ENV: 'staging', PORT: '8080' } }
+    ymls[path.join(GLOBAL_CONFIG_FOLDER, 'values_staging.yml')] = { env: { PORT: '9000' } }
+    envFiles[path.join(corePath, 'staging.env')] = { PORT: '9090' }
+
+    expect(loadEnvValues({ cmdContext: 'core', env: 'staging' })).toEqual({
+      NAME: 'core',
+      NODE_ENV: 'staging',
+      PORT: '9090',
+    })
+  })
+
+  it('Should only load the values files once for the same context and env', () => {
+    ymls[path.join(corePath, 'values.yml')] = { env: { NODE_ENV: 'production' } }
+
+    const envValues = loadEnvValues({ cmdContext: 'core', env: 'production' })
+    const callCount = loadYmlSync.mock.calls.length
+
+    expect(loadEnvValues({ cmdContext: 'core', env: 'production' })).toBe(envValues)
+    expect(loadYmlSync.mock.calls.length).toBe(callCount)
+    expect(envValues.NODE_ENV).toBe('production')
+  })
+
+  it('Should return an empty object when no env is passed', () => {
+    expect(loadEnvValues({ cmdContext: 'core' })).toEqual({})
+    expect(loadYmlSync).not.toHaveBeenCalled()
+  })
+
+})
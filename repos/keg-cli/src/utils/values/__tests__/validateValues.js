@@ -0,0 +1,78 @@
+const { findPlaceholders, validateValues } = require('../validateValues')
+
+const content = [
+  `start: /bin/bash run.sh`,
+  `env:`,
+  `  # COMMENTED: "{{ cli.paths.missing }}"`,
+  `  CORE_PATH: "{{ cli.paths.core }}"`,
+  `  TAP_PATH: "{{ cli.taps.links.missing }}"`,
+].join('\n')
+
+describe('validateValues', () => {
+
+  afterAll(() => jest.resetAllMocks())
+
+  describe('findPlaceholders', () => {
+
+    it('Should find the placeholders with their line numbers', () => {
+      const found = findPlaceholders(content)
+
+      expect(found.length).toBe(2)
+      expect(found[0]).toEqual({ line: 4, placeholder: '{{ cli.paths.core }}', path: 'cli.paths.core' })
+      expect(found[1].line).toBe(5)
+    })
+
+    it('Should skip placeholders in comment lines', () => {
+      const found = findPlaceholders(content)
+
+      expect(found.find(({ path }) => path === 'cli.paths.missing')).toBe(undefined)
+    })
+
+  })
+
+  it('Should return an error for unresolved placeholders', () => {
+    const { errors } = validateValues({
+      content,
+      data: { cli: { paths: { core: '/keg/core' } } },
+    })
+
+    expect(errors.length).toBe(1)
+    expect(errors[0].indexOf('Line 5')).toBe(0)
+    expect(errors[0].indexOf('{{ cli.taps.links.missing }}')).not.toBe(-1)
+  })
+
+  it('Should return an error for an invalid port', () => {
+    const { errors } = validateValues({ values: { env: { KEG_PROXY_PORT: 70000 } } })
+
+    expect(errors.length).toBe(1)
+    expect(errors[0].indexOf('KEG_PROXY_PORT')).not.toBe(-1)
+  })
+
+  it('Should allow valid ports', () => {
+    const { errors } = validateValues({ values: { env: { KEG_PROXY_PORT: '80', DOC_APP_PORT: 19006 } } })
+
+    expect(errors.length).toBe(0)
+  })
+
+  it('Should return an error for ENV values that are objects', () => {
+    const { errors } = validateValues({ values: { env: { NODE_ENV: { value: 'local' } } } })
+
+    expect(errors.length).toBe(1)
+    expect(errors[0].indexOf('NODE_ENV')).not.toBe(-1)
+  })
+
+  it('Should return a warning for unknown keys', () => {
+    const { errors, warnings } = validateValues({ values: { envs: { NODE_ENV: 'local' } } })
+
+    expect(errors.length).toBe(0)
+    expect(warnings.length).toBe(1)
+    expect(warnings[0].indexOf('"envs"')).not.toBe(-1)
+  })
+
+  it('Should return a warning for ENV names that are not uppercase', () => {
+    const { warnings } = validateValues({ values: { env: { node_env: 'local' } } })
+
+    expect(warnings.length).toBe(1)
+  })
+
+})
@@ -0,0 +1,55 @@
+const { deepMerge, pickKeys } = require('@keg-hub/jsutils')
+const { loadEnvFiles, loadValuesFiles } = require('KegConst/docker/loaders')
+
+/**
+ * Keys of the injected params that define the paths of an injected apps container files
+ * @array
+ */
+const INJECTED_PATHS = [
+  'composePath',
+  'containerPath',
+  'dockerPath',
+  'injectPath',
+  'mutagenPath',
+  'serviceName',
+  'valuesPath',
+]
+
+// Holds past loaded values, so the values and .env files are only read once per context and env
+const envValuesCache = {}
+
+/**
+ * Loads the values and .env files of a context for an environment
+ * <br/>Files are merged in the order defined by getValuesPaths, then the .env files
+ * <br/>I.E. values.yml => values.<env>.yml => ~/.kegConfig/values_<env>.yml => <env>.env
+ * <br/>The loaded values are cached, so later calls for the same context do not re-read the files
+ * @function
+ * @param {Object} args - Defines the context and environment to load the values for
+ * @param {string} args.cmdContext - Context to run the docker container in
+ * @param {string} args.env - Environment to load the values for ( staging | qa | production )
+ * @param {Object} args.__injected - Injected params of an app with its own container folder
+ *
+ * @returns {Object} - ENVs of the context for the environment
+ */
+const loadEnvValues = ({ cmdContext, env, __injected }) => {
+  if(!cmdContext || !env) return {}
+
+  const __internal = __injected && __injected.containerPath
+    ? { ...pickKeys(__injected, INJECTED_PATHS), context: cmdContext }
+    : undefined
+
+  const loaderArgs = { container: cmdContext, env, __internal }
+  const cacheKey = JSON.stringify(loaderArgs)
+
+  !envValuesCache[cacheKey] &&
+    ( envValuesCache[cacheKey] = deepMerge(
+      loadValuesFiles({ ...loaderArgs, loadPath: 'env' }),
+      loadEnvFiles(loaderArgs)
+    ))
+
+  return envValuesCache[cacheKey]
+}
+
+module.exports = {
+  loadEnvValues
+}
@@ -0,0 +1,150 @@
+const { DOCKER } = require('KegConst/docker')
+const { NEWLINES_MATCH } = require('KegConst/patterns')
+const { loadYmlSync } = require('KegFileSys/yml')
+const { buildTemplateData } = require('KegFileSys/parseTemplate')
+const { pathExistsSync, readFileSync } = require('KegFileSys/fileSys')
+const { get, isArr, isObj, isStr } = require('@keg-hub/jsutils')
+const { VALUES_SCHEMA } = DOCKER
+
+/**
+ * Matches the ENV names that follow the uppercase ENV naming convention
+ * @RegExp
+ */
+const ENV_NAME_MATCH = /^[A-Z_][A-Z0-9_]*$/
+
+/**
+ * Finds the template placeholders in the content of a values file
+ * <br/>Comment lines are skipped, because their placeholders are never used
+ * @function
+ * @param {string} content - Raw content of the values file
+ *
+ * @returns {Array} - Found placeholders => { line, placeholder, path }
+ */
+const findPlaceholders = (content='') => {
+  return content.split(NEWLINES_MATCH).reduce((found, line, index) => {
+    if(line.trim().indexOf('#') === 0) return found
+
+    return found.concat(Array.from(line.matchAll(/{{([^}]*)}}/g)).map(match => ({
+      line: index + 1,
+      placeholder: match[0],
+      path: match[1].trim(),
+    })))
+  }, [])
+}
+
+/**
+ * Checks if a template placeholder resolves to a value that can be added to the template
+ * @function
+ * @param {Object} data - Data used to fill the template
+ * @param {string} path - Path of the placeholder in the data object
+ *
+ * @returns {boolean} - True if the placeholder resolves to a value
+ */
+const isResolved = (data, path) => {
+  const value = get(data, path)
+
+  return value !== undefined &&
+    value !== null &&
+    value !== '' &&
+    !isObj(value) &&
+    !isArr(value)
+}
+
+/**
+ * Validates the value of an ENV against its type in the values schema
+ * @function
+ * @param {string} key - Name of the ENV
+ * @param {*} value - Value of the ENV
+ * @param {Object} result - Holds the found errors and warnings
+ *
+ * @returns {void}
+ */
+const validateEnv = (key, value, { errors, warnings }) => {
+  if(isObj(value) || isArr(value))
+    return errors.push(`ENV "${key}" must be a string or number`)
+
+  !ENV_NAME_MATCH.test(key) && warnings.push(`ENV "${key}" should only contain uppercase letters, numbers and "_"`)
+
+  const type = VALUES_SCHEMA.env[key]
+  if(!type || value === 'INITIAL' || value === null || value === '') return
+
+  const port = Number(value)
+  type === 'port' &&
+    (!Number.isInteger(port) || port < 1 || port > 65535) &&
+    errors.push(`ENV "${key}" must be a port between 1 and 65535 => ${value}`)
+
+  type === 'file' &&
+    !pathExistsSync(String(value)) &&
+    warnings.push(`File of ENV "${key}" does not exist => ${value}`)
+}
+
+/**
+ * Validates the content of a values file against the values schema
+ * <br/>Also checks the template placeholders resolve to a value
+ * @function
+ * @param {Object} args - Content of the values file to validate
+ * @param {string} args.content - Raw content of the values file
+ * @param {Object} args.values - Values file content parsed as an object, with the templates filled
+ * @param {Object} args.data - Data used to fill the templates of the values file
+ *
+ * @returns {Object} - Found errors and warnings => { errors, warnings }
+ */
+const validateValues = ({ content, values, data={} }) => {
+  const result = { errors: [], warnings: [] }
+
+  findPlaceholders(content)
+    .filter(({ path }) => !isResolved(data, path))
+    .map(({ line, placeholder }) => result.errors.push(
+      `Line ${line}: unresolved template placeholder ${placeholder}`
+    ))
+
+  if(!values) return result
+  if(!isObj(values)){
+    result.errors.push(`Values file must contain an object of keys and values`)
+    return result
+  }
+
+  Object.entries(values).map(([ key, value ]) => {
+    const type = VALUES_SCHEMA.keys[key]
+
+    if(!type)
+      return result.warnings.push(
+        `Unknown key "${key}". Known keys are ${Object.keys(VALUES_SCHEMA.keys).join(', ')}`
+      )
+
+    type === 'object' && value && !isObj(value) && result.errors.push(`Key "${key}" must be an object`)
+    type === 'string' && value && !isStr(value) && result.errors.push(`Key "${key}" must be a string`)
+  })
+
+  isObj(values.env) &&
+    Object.entries(values.env).map(([ key, value ]) => validateEnv(key, value, result))
+
+  return result
+}
+
+/**
+ * Loads and validates a values file against the values schema
+ * @function
+ * @param {string} filePath - Path to the values file
+ * @param {Object} extraData - Extra data used to fill the templates of the values file
+ *
+ * @returns {Object} - Found errors and warnings => { errors, warnings }
+ */
+const validateValuesFile = (filePath, extraData) => {
+  try {
+    return validateValues({
+      content: readFileSync(filePath),
+      values: loadYmlSync(filePath, false, extraData),
+      data: buildTemplateData(extraData),
+    })
+  }
+  catch(err){
+    return { errors: [ `Could not parse the values file => ${err.message}` ], warnings: [] }
+  }
+}
+
+module.exports = {
+  findPlaceholders,
+  validateValues,
+  validateValuesFile,
+}
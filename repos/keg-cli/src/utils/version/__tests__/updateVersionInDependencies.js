@@ -0,0 +1,98 @@
+const writePackageVersion = jest.fn()
+jest.setMock('../writePackageVersion', { writePackageVersion })
+
+const {
+  keepRangePrefix,
+  updateVersionInDependencies
+} = require('../updateVersionInDependencies')
+
+const buildRepos = () => ([
+  {
+    repo: 'keg-core',
+    location: '/keg-hub/repos/keg-core',
+    package: {
+      name: '@keg-hub/keg-core',
+      dependencies: { '@keg-hub/jsutils': '^8.0.0' },
+      peerDependencies: { '@keg-hub/jsutils': '~8.0.0' },
+    }
+  },
+  {
+    repo: 'keg-cli',
+    location: '/keg-hub/repos/keg-cli',
+    package: {
+      name: 'keg-cli',
+      devDependencies: { '@keg-hub/jsutils': '8.0.0' },
+    }
+  },
+  {
+    repo: 'spawn-cmd',
+    location: '/keg-hub/repos/spawn-cmd',
+    package: {
+      name: '@keg-hub/spawn-cmd',
+      dependencies: { 'semver': '^7.3.2' },
+    }
+  },
+])
+
+describe('updateVersionInDependencies', () => {
+
+  afterEach(() => jest.clearAllMocks())
+
+  describe('keepRangePrefix', () => {
+
+    it('should keep the range prefix of the current version', () => {
+      expect(keepRangePrefix('^8.0.0', '8.1.0')).toBe('^8.1.0')
+      expect(keepRangePrefix('~8.0.0', '8.1.0')).toBe('~8.1.0')
+      expect(keepRangePrefix('>=8.0.0', '8.1.0')).toBe('>=8.1.0')
+    })
+
+    it('should not add a prefix when the current version is exact', () => {
+      expect(keepRangePrefix('8.0.0', '8.1.0')).toBe('8.1.0')
+    })
+
+    it('should use the prefix of the new version when it has one', () => {
+      expect(keepRangePrefix('^8.0.0', '~8.1.0')).toBe('~8.1.0')
+    })
+
+    it('should return the current version when it is not a plain semver range', () => {
+      expect(keepRangePrefix('npm:@keg-hub/jsutils@^8.0.0', '8.1.0')).toBe('npm:@keg-hub/jsutils@^8.0.0')
+      expect(keepRangePrefix('file:../jsutils', '8.1.0')).toBe('file:../jsutils')
+      expect(keepRangePrefix('link:../jsutils', '8.1.0')).toBe('link:../jsutils')
+      expect(keepRangePrefix('workspace:*', '8.1.0')).toBe('workspace:*')
+      expect(keepRangePrefix('git+https://github.com/keg-hub/jsutils.git', '8.1.0'))
+        .toBe('git+https://github.com/keg-hub/jsutils.git')
+      expect(keepRangePrefix('*', '8.1.0')).toBe('*')
+      expect(keepRangePrefix('latest', '8.1.0')).toBe('latest')
+    })
+
+  })
+
+  it('should update the dependency in all dependency types', async () => {
+    const repos = buildRepos()
+    await updateVersionInDependencies('@keg-hub/jsutils', repos, '8.1.0')
+
+    expect(repos[0].package.dependencies['@keg-hub/jsutils']).toBe('^8.1.0')
+    expect(repos[0].package.peerDependencies['@keg-hub/jsutils']).toBe('~8.1.0')
+    expect(repos[1].package.devDependencies['@keg-hub/jsutils']).toBe('8.1.0')
+  })
+
+  it('should only write and return repos that use the dependency', async () => {
+    const repos = buildRepos()
+    const updated = await updateVersionInDependencies('@keg-hub/jsutils', repos, '8.1.0')
+
+    expect(updated.map(({ repo }) => repo)).toEqual([ 'keg-core', 'keg-cli' ])
+    expect(writePackageVersion).toHaveBeenCalledTimes(2)
+    expect(repos[2].package.dependencies.semver).toBe('^7.3.2')
+  })
+
+  it('should not write repos that use a non-semver spec for the dependency', async () => {
+    const repos = buildRepos()
+    repos[1].package.devDependencies['@keg-hub/jsutils'] = 'file:../jsutils'
+    const updated = await updateVersionInDependencies('@keg-hub/jsutils', repos, '8.1.0')
+
+    expect(updated.map(({ repo }) => repo)).toEqual([ 'keg-core' ])
+    expect(writePackageVersion).toHaveBeenCalledTimes(1)
+    expect(repos[1].package.devDependencies['@keg-hub/jsutils']).toBe('file:../jsutils')
+  })
+
+})
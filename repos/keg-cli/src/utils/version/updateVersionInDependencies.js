@@ -1,21 +1,57 @@
-const { ask } = require('@keg-hub/ask-it')
+const semver = require('semver')
+const { isStr } = require('@keg-hub/jsutils')
+const { DEPENDENCY_TYPES } = require('KegConst/constants')
 const { writePackageVersion } = require('./writePackageVersion')
 
+/**
+ * Checks if a dependency version is a plain semver version or range, I.E. ^1.0.0 || ~1.0 || 1.0.0
+ * <br/>Specs like npm:pkg@^1.0.0, file:../pkg, link:, workspace:*, git urls, tags and * are not
+ * @function
+ * @param {string} current - Current version of the dependency
+ *
+ * @returns {boolean} - True if the version is a plain semver version or range
+ */
+const isPlainRange = current => {
+  return isStr(current) &&
+    /^\s*(\^|~|>=|<=|>|<|=|v?\d)/.test(current) &&
+    Boolean(semver.validRange(current))
+}
+
+/**
+ * Keeps the semver range prefix ( ^ || ~ || >= ) of the current version on the new version
+ * <br/>If the new version defines its own range prefix, it is used instead
+ * <br/>If the current version is not a plain semver range, it's returned untouched
+ * @function
+ * @param {string} current - Current version of the dependency
+ * @param {string} version - New version of the dependency
+ *
+ * @returns {string} - New version with the range prefix of the current version
+ */
+const keepRangePrefix = (current, version) => {
+  if(isStr(current) && !isPlainRange(current)) return current
+  if(!isStr(current) || !isStr(version) || /^[\^~<>=]/.test(version)) return version
+
+  const [ prefix ] = current.trim().match(/^(\^|~|>=|<=|>|<|=)/) || []
+
+  return prefix ? `${prefix}${version}` : version
+}
+
 /**
  * Loops through the passed in repos looking to see if repoName is a dependency
  * <br/>If repoName is found, it updates the version to the passed in version
+ * <br/>The range prefix of the existing version is kept on the updated version
  * <br/>Rewrites the package.json if a dependency update if found
  * @function
  * @param {string} repoName - Name of the repo to search fro
  * @param {array} repos - Repos to search for the repoName dependency
  * @param {string} version - New version to update to
- * 
- * @returns {string} - The updated version if valid
+ *
+ * @returns {Array} - Repos that had their package.json updated
  */
 const updateVersionInDependencies = async (repoName, repos, version) => {
 
   // Loop over all the repos and check for the repo as a dependancy
-  return repos.map(otherRepo => {
+  return repos.reduce((updatedRepos, otherRepo) => {
     const { package } = otherRepo
 
     // Track if a dependency has been updated
@@ -23,33 +59,32 @@ const updateVersionInDependencies = async (repoName, repos, version) => {
 
     // If the dependency exists, update it to the newest version
     // Check dependencies / devDependencies / peerDependencies
-    
-    if (package.dependencies && package.dependencies[repoName]){
-      package.dependencies[repoName] = version
-      updated = true
-    }
+    DEPENDENCY_TYPES.map(type => {
+      if(!package[type] || !package[type][repoName]) return
 
-    if (package.devDependencies && package.devDependencies[repoName]){
-      package.devDependencies[repoName] = version
-      updated = true
-    }
+      // Dependencies that are not a plain semver range are not changed
+      const current = package[type][repoName]
+      const updatedVersion = keepRangePrefix(current, version)
+      if(updatedVersion === current) return
 
-    if (package.peerDependencies && package.peerDependencies[repoName]){
-      package.peerDependencies[repoName] = version
+      package[type][repoName] = updatedVersion
       updated = true
-    }
+    })
 
     // If nothing was update just return
-    if(!updated) return
+    if(!updated) return updatedRepos
 
     // Update the original package.json with the update version
     otherRepo.package = package
     // Overwrite the package.json file with updated package version
     writePackageVersion(otherRepo.package, otherRepo.location)
 
-  })
+    return updatedRepos.concat([ otherRepo ])
+  }, [])
 }
 
 module.exports = {
+  isPlainRange,
+  keepRangePrefix,
   updateVersionInDependencies
-}
\ No newline at end of file
+}